@@ -1 +1,18 @@
-// jest.config.js - Placeholder for implementation
+/**
+ * Jest configuration
+ *
+ * WHAT THIS FILE DOES: Runs the behavior tests in src/tests (npm test)
+ *
+ * LEARNING: The tests never talk to a real MongoDB - model calls are replaced
+ * with in-memory fakes per test (jest.spyOn), so `npm test` works anywhere.
+ * src/tests/setup.js makes a model call that was NOT faked fail immediately
+ * instead of waiting 10 seconds for a connection that never comes.
+ */
+module.exports = {
+  testEnvironment: 'node',
+  roots: ['<rootDir>/src/tests'],
+  testMatch: ['**/*.test.js'],
+  setupFilesAfterEnv: ['<rootDir>/src/tests/setup.js'],
+  collectCoverageFrom: ['src/**/*.js', '!src/server.js', '!src/tests/**'],
+  coverageDirectory: 'coverage'
+};
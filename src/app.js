@@ -87,19 +87,107 @@ app.get('/api', (req, res) => {
         routes: {
           register: 'POST /api/auth/register',
           login: 'POST /api/auth/login',
+          twoFactorVerify: 'POST /api/auth/2fa/verify',
           refresh: 'POST /api/auth/refresh',
+          verifyEmail: 'POST /api/auth/verify-email',
+          resendVerification: 'POST /api/auth/resend-verification (protected)',
+          forgotPassword: 'POST /api/auth/forgot-password',
+          resetPassword: 'POST /api/auth/reset-password',
+          oidcProviders: 'GET /api/auth/oidc/providers',
+          oidcAuthorize: 'GET /api/auth/oidc/:provider/authorize',
+          oidcCallback: 'POST /api/auth/oidc/:provider/callback',
           me: 'GET /api/auth/me (protected)',
           logout: 'POST /api/auth/logout (protected)',
+          logoutAll: 'POST /api/auth/logout-all (protected)',
           updatePassword: 'PUT /api/auth/password (protected)',
+          twoFactorSetup: 'POST /api/auth/2fa/setup (protected)',
+          twoFactorEnable: 'POST /api/auth/2fa/enable (protected)',
+          twoFactorDisable: 'POST /api/auth/2fa/disable (protected)',
           test: 'GET /api/auth/test'
         }
       },
+      users: {
+        base: '/api/users',
+        routes: {
+          devices: 'GET /api/users/me/devices (protected)',
+          renameDevice: 'PATCH /api/users/me/devices/:deviceId (protected)',
+          revokeDevice: 'DELETE /api/users/me/devices/:deviceId (protected)',
+          apiKeys: 'GET /api/users/me/api-keys (protected)',
+          createApiKey: 'POST /api/users/me/api-keys (protected)',
+          revokeApiKey: 'DELETE /api/users/me/api-keys/:keyId (protected)'
+        }
+      },
+      admin: {
+        base: '/api/admin',
+        routes: {
+          lockouts: 'GET /api/admin/lockouts (admin)',
+          unlockUser: 'POST /api/admin/users/:userId/unlock (admin)'
+        }
+      },
+      wellKnown: {
+        base: '/.well-known',
+        routes: {
+          jwks: 'GET /.well-known/jwks.json'
+        }
+      },
+      workspaces: {
+        base: '/api/workspaces',
+        routes: {
+          list: 'GET /api/workspaces (protected, scope widgets:read)',
+          create: 'POST /api/workspaces (protected, scope widgets:write)',
+          get: 'GET /api/workspaces/:workspaceId (protected, scope widgets:read)',
+          update: 'PATCH /api/workspaces/:workspaceId (protected, scope widgets:write, owner)',
+          delete: 'DELETE /api/workspaces/:workspaceId (protected, scope workspaces:admin, owner, deletes its widgets)',
+          clone: 'POST /api/workspaces/:workspaceId/clone (protected, scope widgets:write)',
+          export: 'GET /api/workspaces/:workspaceId/export (protected, scope widgets:read)',
+          import: 'POST /api/workspaces/import (protected, scope widgets:write)',
+          members: 'GET /api/workspaces/:workspaceId/members (protected, scope widgets:read)',
+          addMember: 'POST /api/workspaces/:workspaceId/members (protected, scope workspaces:share, owner)',
+          updateMember: 'PATCH /api/workspaces/:workspaceId/members/:userId (protected, scope workspaces:share, owner)',
+          removeMember: 'DELETE /api/workspaces/:workspaceId/members/:userId (protected, scope workspaces:share, owner or self)',
+          shareLinks: 'GET /api/workspaces/:workspaceId/share-links (protected, scope widgets:read, owner)',
+          createShareLink: 'POST /api/workspaces/:workspaceId/share-links (protected, scope workspaces:share, owner)',
+          revokeShareLink: 'DELETE /api/workspaces/:workspaceId/share-links/:linkId (protected, scope workspaces:share, owner)'
+        }
+      },
+      shared: {
+        base: '/api/shared',
+        routes: {
+          view: 'GET /api/shared/:token (public, read-only)'
+        }
+      },
       widgets: {
         base: '/api/widgets',
         routes: {
-          get: 'GET /api/widgets/:workspaceId (protected)',
-          save: 'POST /api/widgets/:workspaceId (protected)',
-          delete: 'DELETE /api/widgets/:workspaceId/:widgetId (protected)'
+          list: 'GET /api/widgets/:workspaceId?breakpoint=lg|md|sm|xs (protected, scope widgets:read)',
+          create: 'POST /api/widgets/:workspaceId (protected, scope widgets:write; { widgets: [...] } is a deprecated alias of replaceLayout until 2027-03-31)',
+          replaceLayout: 'PUT /api/widgets/:workspaceId/layout (protected, scope widgets:write)',
+          grid: 'PUT /api/widgets/:workspaceId/grid (protected, scope widgets:write)',
+          get: 'GET /api/widgets/:workspaceId/:widgetId (protected, scope widgets:read)',
+          update: 'PATCH /api/widgets/:workspaceId/:widgetId (protected, scope widgets:write)',
+          delete: 'DELETE /api/widgets/:workspaceId/:widgetId (protected, scope widgets:write, moves to trash)',
+          trash: 'GET /api/widgets/:workspaceId/trash (protected, scope widgets:read)',
+          restore: 'POST /api/widgets/:workspaceId/trash/:widgetId/restore (protected, scope widgets:write)',
+          revisions: 'GET /api/widgets/:workspaceId/:widgetId/revisions (protected, scope widgets:read)',
+          revision: 'GET /api/widgets/:workspaceId/:widgetId/revisions/:revision (protected, scope widgets:read)',
+          revert: 'POST /api/widgets/:workspaceId/:widgetId/revisions/:revision/revert (protected, scope widgets:write)',
+          fromPreset: 'POST /api/widgets/:workspaceId/from-preset/:presetId (protected, scope widgets:write)'
+        }
+      },
+      widgetTypes: {
+        base: '/api/widget-types',
+        routes: {
+          list: 'GET /api/widget-types'
+        }
+      },
+      presets: {
+        base: '/api/presets',
+        routes: {
+          list: 'GET /api/presets?scope=mine|public|all&type= (protected, scope widgets:read)',
+          create: 'POST /api/presets (protected, scope widgets:write)',
+          get: 'GET /api/presets/:presetId (protected, scope widgets:read)',
+          update: 'PATCH /api/presets/:presetId (protected, scope widgets:write, owner only)',
+          delete: 'DELETE /api/presets/:presetId (protected, scope widgets:write, owner only)'
         }
       }
     },
@@ -111,6 +199,14 @@ app.get('/api', (req, res) => {
 // API ROUTES
 // ========================================
 
+try {
+  const wellKnownRoutes = require('./routes/wellKnownRoutes');
+  app.use('/.well-known', wellKnownRoutes);
+  console.log('✅ Well-known routes mounted at /.well-known');
+} catch (error) {
+  console.error('❌ Failed to load well-known routes:', error.message);
+}
+
 try {
   const authRoutes = require('./routes/authRoutes');
   app.use('/api/auth', authRoutes);
@@ -119,6 +215,38 @@ try {
   console.error('❌ Failed to load auth routes:', error.message);
 }
 
+try {
+  const userRoutes = require('./routes/userRoutes');
+  app.use('/api/users', userRoutes);
+  console.log('✅ User routes mounted at /api/users');
+} catch (error) {
+  console.error('❌ Failed to load user routes:', error.message);
+}
+
+try {
+  const adminRoutes = require('./routes/adminRoutes');
+  app.use('/api/admin', adminRoutes);
+  console.log('✅ Admin routes mounted at /api/admin');
+} catch (error) {
+  console.error('❌ Failed to load admin routes:', error.message);
+}
+
+try {
+  const workspaceRoutes = require('./routes/workspaceRoutes');
+  app.use('/api/workspaces', workspaceRoutes);
+  console.log('✅ Workspace routes mounted at /api/workspaces');
+} catch (error) {
+  console.error('❌ Failed to load workspace routes:', error.message);
+}
+
+try {
+  const sharedRoutes = require('./routes/sharedRoutes');
+  app.use('/api/shared', sharedRoutes);
+  console.log('✅ Shared workspace routes mounted at /api/shared');
+} catch (error) {
+  console.error('❌ Failed to load shared workspace routes:', error.message);
+}
+
 try {
   const Widget = require('./models/Widget');
   const widgetRoutes = require('./routes/widgetRoutes');
@@ -128,6 +256,22 @@ try {
   console.error('❌ Failed to load widget routes:', error.message);
 }
 
+try {
+  const widgetTypeRoutes = require('./routes/widgetTypeRoutes');
+  app.use('/api/widget-types', widgetTypeRoutes);
+  console.log('✅ Widget type routes mounted at /api/widget-types');
+} catch (error) {
+  console.error('❌ Failed to load widget type routes:', error.message);
+}
+
+try {
+  const presetRoutes = require('./routes/presetRoutes');
+  app.use('/api/presets', presetRoutes);
+  console.log('✅ Preset routes mounted at /api/presets');
+} catch (error) {
+  console.error('❌ Failed to load preset routes:', error.message);
+}
+
 // ========================================
 // 404 HANDLER
 // ========================================
@@ -141,8 +285,15 @@ app.use((req, res, next) => {
       root: '/',
       health: '/health',
       api: '/api',
+      jwks: '/.well-known/jwks.json',
       auth: '/api/auth/*',
-      widgets: '/api/widgets/*'
+      users: '/api/users/*',
+      admin: '/api/admin/*',
+      workspaces: '/api/workspaces/*',
+      shared: '/api/shared/:token',
+      widgets: '/api/widgets/*',
+      widgetTypes: '/api/widget-types',
+      presets: '/api/presets/*'
     },
     hint: 'Visit /api for list of all available endpoints'
   });
@@ -143,6 +143,8 @@ const corsOptions = {
    * X-Requested-With = AJAX indicator
    * Accept = Response format preference
    * Origin = Request origin (auto-added by browser)
+   * X-Device-Id / X-Device-Name = Identify the device for session tracking
+   * If-Match / If-None-Match = Conditional requests (workspace revisions)
    */
   allowedHeaders: [
     'Content-Type',
@@ -150,6 +152,10 @@ const corsOptions = {
     'X-Requested-With',
     'Accept',
     'Origin',
+    'X-Device-Id',
+    'X-Device-Name',
+    'If-Match',
+    'If-None-Match',
     'Access-Control-Request-Method',
     'Access-Control-Request-Headers',
   ],
@@ -162,8 +168,10 @@ const corsOptions = {
    * 
    * WHY NEEDED: If you want frontend to read custom headers
    * Example: Pagination info in headers
+   * ETag = Workspace revision for If-Match on the next write
    */
   exposedHeaders: [
+    'ETag',
     'Content-Range',
     'X-Content-Range',
     'X-Total-Count',
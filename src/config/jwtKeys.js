@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getAlgorithmForKey } = require('../utils/jws');
+
+/**
+ * JWT Signing Keys
+ *
+ * WHAT THIS FILE DOES:
+ * Loads the key pairs used to sign our JWTs and publishes their public halves
+ * at GET /.well-known/jwks.json
+ *
+ * WHY ASYMMETRIC: With HS256 every service that verifies tokens must know the
+ * secret (and could forge tokens), and changing the secret logs everyone out.
+ * With key pairs only this server can sign, anyone can verify, and several
+ * keys can be valid at once - identified by the "kid" token header.
+ *
+ * CONFIGURATION:
+ * JWT_KEYS_DIR=./keys          Directory with PEM files, file name = kid
+ *   <kid>.pem                  Private key → can sign, public half is published
+ *   <kid>.public.pem           Public key only → verifies old tokens, never signs
+ * JWT_ACTIVE_KEY_ID=<kid>      Key that signs new tokens (optional if there is one private key)
+ * JWT_LEGACY_HS256=false       Stop accepting tokens signed with JWT_SECRET (see step 0)
+ *
+ * Without JWT_KEYS_DIR everything is signed with HS256 (JWT_SECRET / JWT_REFRESH_SECRET).
+ *
+ * CREATING KEYS (RSA → RS256, P-256 → ES256, Ed25519 → EdDSA):
+ * openssl genpkey -algorithm ed25519 -out keys/2026-01.pem
+ * openssl genpkey -algorithm RSA -pkeyopt rsa_keygen_bits:2048 -out keys/2026-01.pem
+ *
+ * ROTATION PROCEDURE (nobody gets logged out):
+ * 0. First switch from HS256: add a key and deploy. Old HS256 tokens keep
+ *    working; set JWT_LEGACY_HS256=false once JWT_REFRESH_EXPIRE (30 days) has passed.
+ * 1. Add the new private key (keys/2026-07.pem) next to the current one and deploy.
+ *    It is published in the JWKS but doesn't sign yet - give other services'
+ *    JWKS caches time to pick it up (at least the Cache-Control max-age).
+ * 2. Set JWT_ACTIVE_KEY_ID=2026-07 and deploy. New tokens use the new key,
+ *    tokens signed with the old key still verify.
+ * 3. Optionally replace the old private key with its public half:
+ *    openssl pkey -in keys/2026-01.pem -pubout -out keys/2026-01.public.pem
+ * 4. After JWT_REFRESH_EXPIRE has passed, delete the old key and deploy.
+ */
+
+// ========================================
+// LOAD KEYS
+// ========================================
+
+const PUBLIC_SUFFIX = '.public.pem';
+const PRIVATE_SUFFIX = '.pem';
+
+const loadKeyFile = (directory, fileName) => {
+  const isPublicOnly = fileName.endsWith(PUBLIC_SUFFIX);
+  const kid = fileName.slice(0, -(isPublicOnly ? PUBLIC_SUFFIX : PRIVATE_SUFFIX).length);
+  const pem = fs.readFileSync(path.join(directory, fileName), 'utf8');
+
+  const privateKey = isPublicOnly ? null : crypto.createPrivateKey(pem);
+  const publicKey = crypto.createPublicKey(privateKey || pem);
+  const alg = getAlgorithmForKey(publicKey);
+
+  if (!alg) {
+    console.warn(`⚠️  JWT key "${kid}" skipped: unsupported key type (use RSA, P-256 or Ed25519)`);
+    return null;
+  }
+
+  return { kid, alg, privateKey, publicKey };
+};
+
+const loadKeys = () => {
+  const keys = new Map();
+  const directory = process.env.JWT_KEYS_DIR;
+
+  if (!directory) {
+    return { keys, activeKid: null };
+  }
+
+  fs.readdirSync(directory)
+    .filter(fileName => fileName.endsWith(PRIVATE_SUFFIX))
+    .sort()
+    .forEach((fileName) => {
+      const key = loadKeyFile(directory, fileName);
+      if (!key) return;
+
+      // WHY: A private key for the same kid wins over its public-only copy
+      if (keys.has(key.kid) && !key.privateKey) return;
+      keys.set(key.kid, key);
+    });
+
+  const signingKids = Array.from(keys.values())
+    .filter(key => key.privateKey)
+    .map(key => key.kid);
+
+  const activeKid = process.env.JWT_ACTIVE_KEY_ID || (signingKids.length === 1 ? signingKids[0] : null);
+
+  // WHY: Fail at startup rather than signing with a key nobody expects
+  if (!activeKid || !signingKids.includes(activeKid)) {
+    throw new Error(
+      `JWT_ACTIVE_KEY_ID must name a private key in ${directory} (available: ${signingKids.join(', ') || 'none'})`
+    );
+  }
+
+  console.log(`🔑 JWT signing key: ${activeKid} (${keys.get(activeKid).alg}), ${keys.size} verification key(s)`);
+
+  return { keys, activeKid };
+};
+
+const { keys, activeKid } = loadKeys();
+
+// ========================================
+// LOOKUPS
+// ========================================
+
+/**
+ * WHAT THIS DOES: The key that signs new tokens
+ * RETURNS: { kid, alg, privateKey } or null (HS256 mode)
+ */
+const getActiveKey = () => (activeKid ? keys.get(activeKid) : null);
+
+/**
+ * WHAT THIS DOES: Finds the key for a token's "kid" header
+ * RETURNS: { kid, alg, publicKey } or null
+ */
+const getVerificationKey = (kid) => keys.get(kid) || null;
+
+/**
+ * WHAT THIS DOES: Should tokens signed with JWT_SECRET (no kid) still be accepted?
+ * WHY: Keeps users logged in while moving from HS256 to key pairs
+ */
+const isLegacyHs256Allowed = () => process.env.JWT_LEGACY_HS256 !== 'false';
+
+/**
+ * WHAT THIS DOES: Public keys in JWKS format (RFC 7517)
+ * SECURITY: Only public halves are exported - HS256 secrets are never published
+ */
+const getPublicJwks = () => ({
+  keys: Array.from(keys.values()).map(key => ({
+    ...key.publicKey.export({ format: 'jwk' }),
+    kid: key.kid,
+    alg: key.alg,
+    use: 'sig'
+  }))
+});
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  getActiveKey,
+  getVerificationKey,
+  isLegacyHs256Allowed,
+  getPublicJwks
+};
@@ -0,0 +1,97 @@
+/**
+ * OIDC (OpenID Connect) Provider Registry
+ *
+ * WHAT THIS FILE DOES:
+ * Reads social-login providers from environment variables
+ *
+ * WHY ENVIRONMENT: Adding "Sign in with X" should not need code changes -
+ * any standards-compliant OpenID Connect provider works
+ *
+ * CONFIGURATION:
+ * OIDC_PROVIDERS=google,mock                     (comma-separated names)
+ *
+ * Per provider (NAME = upper-cased provider name):
+ * OIDC_<NAME>_ISSUER=https://accounts.google.com (required)
+ * OIDC_<NAME>_CLIENT_ID=...                      (required)
+ * OIDC_<NAME>_CLIENT_SECRET=...                  (optional - public clients use PKCE only)
+ * OIDC_<NAME>_REDIRECT_URI=...                   (default: FRONTEND_URL/auth/callback/<name>)
+ * OIDC_<NAME>_SCOPES=openid email profile        (optional)
+ * OIDC_<NAME>_DISPLAY_NAME=Google                (optional - shown on the login button)
+ * OIDC_<NAME>_TOKEN_AUTH_METHOD=client_secret_post | client_secret_basic (optional)
+ *
+ * LOCAL TESTING:
+ * Run any mock OpenID provider (e.g. mock-oauth2-server on port 8080) and set
+ * OIDC_PROVIDERS=mock
+ * OIDC_MOCK_ISSUER=http://localhost:8080/default
+ * OIDC_MOCK_CLIENT_ID=holodesk
+ * Endpoints are discovered from <issuer>/.well-known/openid-configuration
+ */
+
+// ========================================
+// PARSE PROVIDERS
+// ========================================
+
+const loadProvider = (name) => {
+  const prefix = `OIDC_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+  const env = (key) => process.env[`${prefix}${key}`];
+
+  const issuer = env('ISSUER');
+  const clientId = env('CLIENT_ID');
+
+  if (!issuer || !clientId) {
+    console.warn(`⚠️  OIDC provider "${name}" skipped: ${prefix}ISSUER and ${prefix}CLIENT_ID are required`);
+    return null;
+  }
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  return {
+    name,
+    displayName: env('DISPLAY_NAME') || name.charAt(0).toUpperCase() + name.slice(1),
+    issuer: issuer.replace(/\/$/, ''),
+    clientId,
+    clientSecret: env('CLIENT_SECRET') || null,
+    redirectUri: env('REDIRECT_URI') || `${frontendUrl}/auth/callback/${name}`,
+    scopes: env('SCOPES') || 'openid email profile',
+    tokenAuthMethod: env('TOKEN_AUTH_METHOD') || 'client_secret_post'
+  };
+};
+
+const providers = new Map();
+
+(process.env.OIDC_PROVIDERS || '')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(Boolean)
+  .forEach((name) => {
+    const provider = loadProvider(name);
+    if (provider) providers.set(name, provider);
+  });
+
+// ========================================
+// LOOKUPS
+// ========================================
+
+/**
+ * WHAT THIS DOES: Returns a configured provider, or null
+ */
+const getProvider = (name) => providers.get(String(name).toLowerCase()) || null;
+
+/**
+ * WHAT THIS DOES: Public info about every provider (safe to send to the frontend)
+ */
+const listProviders = () => {
+  return Array.from(providers.values()).map(provider => ({
+    name: provider.name,
+    displayName: provider.displayName
+  }));
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  getProvider,
+  listProviders
+};
@@ -0,0 +1,126 @@
+const schemas = require('../utils/widgetSchemas');
+
+/**
+ * Widget Type Declarations
+ *
+ * WHAT THIS FILE DOES:
+ * Lists every widget type the dashboard supports - the ONLY place a new type
+ * has to be added (the model, validators and GET /api/widget-types all read
+ * from services/widgetRegistry.js, which registers these)
+ *
+ * EACH TYPE DECLARES:
+ * - type            Stored in Widget.type ("sticky-note")
+ * - label           Shown in the "add widget" menu
+ * - schemaVersion   Version of the data/settings shape (starts at 1)
+ * - defaultSize     { width, height } for new widgets
+ * - defaultData     Starting content
+ * - defaultSettings Starting settings
+ * - schemas         zod schemas for data and settings (utils/widgetSchemas.js)
+ * - migrations      { <version>: ({ data, settings }) => ({ data, settings }) }
+ * - resetData       Optional (data) => data - clears progress but keeps the
+ *                   content when a workspace is cloned with data: 'reset'
+ *                   (types without it start over with defaultData)
+ *
+ * CHANGING THE SHAPE OF A TYPE:
+ * 1. Update its schemas to the new shape
+ * 2. Bump schemaVersion (e.g. 1 → 2)
+ * 3. Add migrations[2] converting version-1 content to version 2
+ * Stored widgets are upgraded the next time they are read.
+ *
+ * EXAMPLE MIGRATION (sticky-note renaming "text" to "content"):
+ * migrations: {
+ *   2: ({ data, settings }) => {
+ *     const { text, ...rest } = data;
+ *     return { data: { ...rest, content: text }, settings };
+ *   }
+ * }
+ */
+
+const WIDGET_TYPE_DEFINITIONS = [
+  {
+    type: 'pomodoro-timer',
+    label: 'Pomodoro Timer',
+    schemaVersion: 1,
+    defaultSize: { width: 300, height: 250 },
+    defaultData: { mode: 'work', completedSessions: 0, isRunning: false },
+    defaultSettings: { workMinutes: 25, shortBreakMinutes: 5, longBreakMinutes: 15, sessionsBeforeLongBreak: 4 },
+    schemas: schemas.pomodoroTimer,
+    migrations: {}
+  },
+  {
+    type: 'clock',
+    label: 'Clock',
+    schemaVersion: 1,
+    defaultSize: { width: 250, height: 150 },
+    defaultData: {},
+    defaultSettings: { format: '24h', style: 'digital', showSeconds: false, showDate: true },
+    schemas: schemas.clock,
+    migrations: {}
+  },
+  {
+    type: 'sticky-note',
+    label: 'Sticky Note',
+    schemaVersion: 1,
+    defaultSize: { width: 250, height: 250 },
+    defaultData: { content: '' },
+    defaultSettings: { color: 'yellow', fontSize: 14 },
+    schemas: schemas.stickyNote,
+    migrations: {},
+    // Notes aren't progress - keep the text
+    resetData: (data) => data
+  },
+  {
+    type: 'todo-list',
+    label: 'Todo List',
+    schemaVersion: 1,
+    defaultSize: { width: 300, height: 400 },
+    defaultData: { items: [] },
+    defaultSettings: { showCompleted: true, sortBy: 'created' },
+    schemas: schemas.todoList,
+    migrations: {},
+    // Completed todos are done - open ones carry over
+    resetData: (data) => ({
+      ...data,
+      items: (data.items || []).filter(item => !item.completed)
+    })
+  },
+  {
+    type: 'quick-links',
+    label: 'Quick Links',
+    schemaVersion: 1,
+    defaultSize: { width: 300, height: 300 },
+    defaultData: { links: [] },
+    defaultSettings: { openInNewTab: true, layout: 'list' },
+    schemas: schemas.quickLinks,
+    migrations: {},
+    // Links aren't progress - keep them all
+    resetData: (data) => data
+  },
+  {
+    type: 'calendar',
+    label: 'Calendar',
+    schemaVersion: 1,
+    defaultSize: { width: 400, height: 400 },
+    defaultData: { events: [] },
+    defaultSettings: { view: 'month', weekStartsOn: 1, showWeekNumbers: false },
+    schemas: schemas.calendar,
+    migrations: {}
+  },
+  {
+    type: 'habits',
+    label: 'Habit Tracker',
+    schemaVersion: 1,
+    defaultSize: { width: 350, height: 300 },
+    defaultData: { habits: [] },
+    defaultSettings: { weekStartsOn: 1, showStreaks: true },
+    schemas: schemas.habits,
+    migrations: {},
+    // Same habits, no check-ins yet
+    resetData: (data) => ({
+      ...data,
+      habits: (data.habits || []).map(habit => ({ ...habit, completedDates: [] }))
+    })
+  }
+];
+
+module.exports = WIDGET_TYPE_DEFINITIONS;
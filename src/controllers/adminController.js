@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const LockoutEvent = require('../models/LockoutEvent');
+const { unlockAccount } = require('../services/loginProtectionService');
+
+/**
+ * WHAT THIS FILE DOES: Support/admin operations
+ * ACCESS: Only users with role "admin" (enforced in adminRoutes)
+ */
+
+// ========================================
+// LIST LOCKOUT EVENTS
+// ========================================
+
+/**
+ * @route   GET /api/admin/lockouts
+ * @desc    Search login lockouts
+ * @access  Admin
+ *
+ * QUERY PARAMS (all optional):
+ * - email: Only lockouts for this email
+ * - userId: Only lockouts for this user
+ * - active=true: Only lockouts still in effect
+ * - page, limit: Pagination
+ */
+const getLockouts = async (req, res) => {
+  try {
+    const { email, userId, active } = req.query;
+    const { page, limit, skip } = req.pagination;
+
+    // WHY: An invalid id would make the query throw a CastError (500)
+    if (userId && !mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid userId format',
+        code: 'INVALID_ID',
+        hint: 'ID must be a valid MongoDB ObjectID (24 hex characters)'
+      });
+    }
+
+    const filter = {};
+    if (email) filter.email = String(email).toLowerCase();
+    if (userId) filter.userId = userId;
+    if (active === 'true') {
+      filter.unlockedAt = null;
+      filter.lockedUntil = { $gt: new Date() };
+    }
+
+    const [lockouts, total] = await Promise.all([
+      LockoutEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('userId', 'email name')
+        .populate('unlockedBy', 'email name'),
+      LockoutEvent.countDocuments(filter)
+    ]);
+
+    res.set('X-Total-Count', String(total));
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        lockouts,
+        pagination: { page, limit, total }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get lockouts error:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch lockouts',
+      code: 'FETCH_LOCKOUTS_ERROR'
+    });
+  }
+};
+
+// ========================================
+// UNLOCK ACCOUNT
+// ========================================
+
+/**
+ * @route   POST /api/admin/users/:userId/unlock
+ * @desc    Lift a login lockout before it expires
+ * @access  Admin
+ */
+const unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const closedLockouts = await unlockAccount(user, req.userId);
+
+    console.log(`🔓 Account unlocked by admin ${req.user.email}: ${user.email} (lockouts closed: ${closedLockouts})`);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Account unlocked',
+      data: {
+        closedLockouts
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Unlock user error:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to unlock account',
+      code: 'UNLOCK_USER_ERROR'
+    });
+  }
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  getLockouts,
+  unlockUser
+};
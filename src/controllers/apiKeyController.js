@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('../models/ApiKey');
+const {
+  createApiKey: createKey,
+  listApiKeys,
+  revokeApiKey: revokeKey
+} = require('../services/apiKeyService');
+
+/**
+ * WHAT THIS FILE DOES: Lets users manage personal API keys for their scripts
+ *
+ * USING A KEY:
+ * curl -H "Authorization: Bearer hdk_..." https://api.example.com/api/widgets/default
+ *
+ * LEARNING: A key can only do what its scopes allow (widgets:read, widgets:write,
+ * workspaces:admin, workspaces:share) and never manages the account itself
+ * (see requireSession)
+ */
+
+// ========================================
+// CREATE API KEY
+// ========================================
+
+/**
+ * @route   POST /api/users/me/api-keys
+ * @desc    Create a personal API key
+ * @access  Private (logged-in session only)
+ * @body    { name, scopes: ['widgets:read'], expiresInDays? }
+ *
+ * RESPONSE (the key is shown ONCE - only its hash is stored):
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "key": "hdk_3fa9c21e...",
+ *     "apiKey": { "_id": "...", "name": "Backup script", "prefix": "hdk_3fa9c21e", "scopes": [...], "expiresAt": null }
+ *   }
+ * }
+ */
+const createApiKey = async (req, res) => {
+  try {
+    const result = await createKey(req.userId, req.body);
+
+    if (!result.success) {
+      return res.status(400).json({
+        status: 'error',
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    console.log(`🔑 API key created: ${result.apiKey.prefix} for user ${req.user.email} (scopes: ${result.apiKey.scopes.join(', ')})`);
+
+    return res.status(201).json({
+      status: 'success',
+      message: 'API key created',
+      data: {
+        key: result.key,
+        apiKey: result.apiKey.toSafeObject()
+      },
+      hint: 'Copy the key now - it will not be shown again'
+    });
+
+  } catch (error) {
+    console.error('❌ Create API key error:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to create API key',
+      code: 'API_KEY_CREATE_ERROR'
+    });
+  }
+};
+
+// ========================================
+// LIST API KEYS
+// ========================================
+
+/**
+ * @route   GET /api/users/me/api-keys
+ * @desc    List the user's API keys (never the keys themselves)
+ * @access  Private (logged-in session only)
+ */
+const getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys(req.userId);
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        apiKeys: apiKeys.map(apiKey => apiKey.toSafeObject()),
+        availableScopes: API_KEY_SCOPES
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get API keys error:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch API keys',
+      code: 'API_KEYS_FETCH_ERROR'
+    });
+  }
+};
+
+// ========================================
+// REVOKE API KEY
+// ========================================
+
+/**
+ * @route   DELETE /api/users/me/api-keys/:keyId
+ * @desc    Revoke an API key - scripts using it stop working immediately
+ * @access  Private (logged-in session only)
+ */
+const revokeApiKey = async (req, res) => {
+  try {
+    const { keyId } = req.params;
+
+    const apiKey = mongoose.isValidObjectId(keyId)
+      ? await revokeKey(req.userId, keyId)
+      : null;
+
+    if (!apiKey) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'API key not found or already revoked',
+        code: 'API_KEY_NOT_FOUND'
+      });
+    }
+
+    console.log(`🗑️  API key revoked: ${apiKey.prefix} for user ${req.user.email}`);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'API key revoked',
+      data: {
+        apiKey: apiKey.toSafeObject()
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Revoke API key error:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to revoke API key',
+      code: 'API_KEY_REVOKE_ERROR'
+    });
+  }
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey
+};
@@ -1,5 +1,38 @@
 const User = require('../models/User');
-const { generateTokenPair, verifyRefreshToken } = require('../services/tokenService');
+const {
+  verifyRefreshToken,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  verifyTwoFactorChallengeToken
+} = require('../services/tokenService');
+const {
+  TWO_FACTOR_FIELDS,
+  verifySecondFactor
+} = require('../services/twoFactorService');
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail
+} = require('../services/emailService');
+const {
+  checkLoginAllowed,
+  recordFailedLogin,
+  isChallengeUsable,
+  recordFailedChallenge,
+  consumeChallenge,
+  getBlockedResponse
+} = require('../services/loginProtectionService');
+const {
+  createTwoFactorChallenge,
+  completeLogin
+} = require('../services/loginService');
+const { generateRandomToken, hashToken } = require('../utils/encryption');
+const {
+  getRequestContext,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions
+} = require('../services/sessionService');
 
 /**
  * WHAT THIS FILE DOES: Handles all authentication operations
@@ -11,6 +44,55 @@ const { generateTokenPair, verifyRefreshToken } = require('../services/tokenServ
  * - Sends res (response) back to client
  */
 
+// ========================================
+// HELPER: SEND VERIFICATION EMAIL
+// ========================================
+
+/**
+ * WHAT THIS DOES: Issues a fresh verification token and emails it
+ * WHY A HELPER: Used by register and resend-verification
+ * 
+ * LEARNING: Storing a new token hash replaces the previous one,
+ * so older verification links stop working
+ */
+const issueVerificationEmail = async (user) => {
+  const tokenId = generateRandomToken(16);
+  const token = generateEmailVerificationToken(user._id, tokenId);
+
+  user.emailVerificationTokenHash = hashToken(tokenId);
+  user.emailVerificationSentAt = new Date();
+  await user.save();
+
+  await sendVerificationEmail(user, token);
+};
+
+// ========================================
+// HELPER: FAILED LOGIN RESPONSE
+// ========================================
+
+/**
+ * WHAT THIS DOES: Records a failed attempt and sends the matching error
+ * - Normal failure → 401 INVALID_CREDENTIALS (+ Retry-After once delays kick in)
+ * - Failure that triggered a lockout → 423 ACCOUNT_LOCKED / 429 IP_LOCKED
+ */
+const respondFailedLogin = async (req, res, attempt, failure) => {
+  const result = await recordFailedLogin({ ...attempt, ipAddress: req.ip });
+
+  if (result.retryAfter) {
+    res.set('Retry-After', String(result.retryAfter));
+  }
+
+  if (result.locked) {
+    const { statusCode, body } = getBlockedResponse(result);
+    return res.status(statusCode).json(body);
+  }
+
+  return res.status(401).json({
+    status: 'error',
+    ...failure
+  });
+};
+
 // ========================================
 // REGISTER NEW USER
 // ========================================
@@ -24,8 +106,9 @@ const { generateTokenPair, verifyRefreshToken } = require('../services/tokenServ
  * 1. Receives email, password, name from request
  * 2. Checks if email already exists
  * 3. Creates new user in database (password auto-hashed by User model)
- * 4. Generates JWT tokens
- * 5. Returns tokens + user data
+ * 4. Starts a session and generates JWT tokens for it
+ * 5. Sends the email verification link
+ * 6. Returns tokens + user data
  * 
  * REQUEST BODY:
  * {
@@ -71,16 +154,29 @@ const register = async (req, res) => {
       isEmailVerified: false // Require email verification
     });
 
-    // STEP 3: Generate JWT tokens
-    const tokens = generateTokenPair(user._id);
+    // STEP 3: Start a session and generate its JWT tokens
+    const context = getRequestContext(req);
+    const { session, tokens } = await createSession(user._id, context);
+
+    // STEP 3b: Remember the device the account was created on
+    user.recordDevice({ ...context, deviceId: session.deviceId });
+    await user.save();
+
+    // STEP 4: Send verification email
+    // WHY: A failed email must not fail the registration - user can resend
+    try {
+      await issueVerificationEmail(user);
+    } catch (emailError) {
+      console.error('⚠️ Failed to send verification email:', emailError.message);
+    }
 
-    // STEP 4: Get safe user object (without password)
+    // STEP 5: Get safe user object (without password)
     const safeUser = user.toSafeObject();
 
-    // STEP 5: Log registration event
+    // STEP 6: Log registration event
     console.log(`✅ New user registered: ${email} (ID: ${user._id})`);
 
-    // STEP 6: Send success response
+    // STEP 7: Send success response
     return res.status(201).json({
       status: 'success',
       message: 'User registered successfully',
@@ -130,19 +226,23 @@ const register = async (req, res) => {
  * @access  Public
  * 
  * WHAT THIS DOES:
- * 1. Receives email and password
+ * 1. Receives email and password (loginThrottle already checked lockouts)
  * 2. Finds user by email
- * 3. Compares password with hashed password
- * 4. Generates JWT tokens
- * 5. Updates last login timestamp
- * 6. Returns tokens + user data
+ * 3. Compares password with hashed password (failures are counted)
+ * 4. If 2FA is enabled: returns a challenge token instead of tokens
+ * 5. Starts a session and generates JWT tokens for it
+ * 6. Updates last login timestamp and device list
+ * 7. Returns tokens + user data
  * 
  * REQUEST BODY:
  * {
  *   "email": "user@example.com",
- *   "password": "SecurePass123"
+ *   "password": "SecurePass123",
+ *   "deviceId": "optional-client-device-id"
  * }
  * 
+ * OPTIONAL HEADERS: X-Device-Id, X-Device-Name
+ * 
  * RESPONSE:
  * {
  *   "status": "success",
@@ -163,8 +263,8 @@ const login = async (req, res) => {
 
     if (!user) {
       // SECURITY: Don't reveal if email exists or not
-      return res.status(401).json({
-        status: 'error',
+      // LEARNING: Unknown emails are throttled too, so they behave identically
+      return respondFailedLogin(req, res, { email }, {
         message: 'Invalid email or password',
         code: 'INVALID_CREDENTIALS'
       });
@@ -185,27 +285,32 @@ const login = async (req, res) => {
 
     if (!isPasswordValid) {
       // SECURITY: Same error message as user not found
-      return res.status(401).json({
-        status: 'error',
+      return respondFailedLogin(req, res, { email, userId: user._id }, {
         message: 'Invalid email or password',
         code: 'INVALID_CREDENTIALS'
       });
     }
 
-    // STEP 4: Generate JWT tokens
-    const tokens = generateTokenPair(user._id);
+    // STEP 4: Two-factor users must also prove the second factor
+    // LEARNING: No session yet - only a 5-minute challenge token
+    if (user.twoFactor && user.twoFactor.enabled) {
+      console.log(`🔐 2FA challenge issued: ${email} (ID: ${user._id})`);
 
-    // STEP 5: Update last login timestamp
-    user.lastLogin = new Date();
-    await user.save();
+      return res.status(200).json({
+        status: 'success',
+        message: 'Two-factor authentication required',
+        data: createTwoFactorChallenge(user),
+        hint: 'Send the challengeToken with a code to POST /api/auth/2fa/verify'
+      });
+    }
 
-    // STEP 6: Get safe user object (without password)
-    const safeUser = user.toSafeObject();
+    // STEP 5: Start a session, update last login and device list
+    const { safeUser, tokens } = await completeLogin(req, user);
 
-    // STEP 7: Log login event
+    // STEP 6: Log login event
     console.log(`✅ User logged in: ${email} (ID: ${user._id})`);
 
-    // STEP 8: Send success response
+    // STEP 7: Send success response
     return res.status(200).json({
       status: 'success',
       message: 'Login successful',
@@ -226,6 +331,129 @@ const login = async (req, res) => {
   }
 };
 
+// ========================================
+// VERIFY TWO-FACTOR LOGIN
+// ========================================
+
+/**
+ * HELPER: Sends 401 for 2FA challenge tokens that were used up
+ * (too many wrong codes, or already used to log in)
+ */
+const respondChallengeBurned = (res) => {
+  return res.status(401).json({
+    status: 'error',
+    message: 'Two-factor challenge is no longer valid. Please login again.',
+    code: 'TWO_FACTOR_CHALLENGE_EXHAUSTED'
+  });
+};
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Second step of login for users with 2FA enabled
+ * @access  Public (requires challenge token from /login)
+ * 
+ * WHAT THIS DOES:
+ * 1. Verifies the challenge token (password step succeeded < 5 min ago)
+ * 2. Checks lockouts, then the TOTP code or a one-time recovery code
+ *    (each challenge token allows TWO_FACTOR_MAX_ATTEMPTS wrong codes)
+ * 3. Burns the challenge and starts the session - tokens exactly like /login
+ *    (a challenge from social login also links its pending identity now)
+ * 
+ * REQUEST BODY:
+ * {
+ *   "challengeToken": "eyJhbGciOi...",
+ *   "code": "123456"              // or "recoveryCode": "a1b2c-3d4e5"
+ * }
+ */
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    // STEP 1: Verify challenge token
+    const verification = verifyTwoFactorChallengeToken(challengeToken);
+
+    if (!verification.valid) {
+      return res.status(401).json({
+        status: 'error',
+        message: verification.error,
+        code: verification.expired ? 'TWO_FACTOR_CHALLENGE_EXPIRED' : 'INVALID_TWO_FACTOR_CHALLENGE'
+      });
+    }
+
+    const user = await User.findById(verification.decoded.userId).select(TWO_FACTOR_FIELDS);
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid two-factor challenge',
+        code: 'INVALID_TWO_FACTOR_CHALLENGE'
+      });
+    }
+
+    // STEP 2: Respect brute-force lockouts
+    // WHY: 6-digit codes are guessable too - they share the login counters,
+    // and each challenge token only gets a few tries of its own
+    if (!(await isChallengeUsable(verification.decoded))) {
+      return respondChallengeBurned(res);
+    }
+
+    const check = await checkLoginAllowed(user.email, req.ip);
+
+    if (!check.allowed) {
+      const { statusCode, body } = getBlockedResponse(check);
+      res.set('Retry-After', String(check.retryAfter));
+      return res.status(statusCode).json(body);
+    }
+
+    // STEP 3: Check the second factor
+    const factor = verifySecondFactor(user, { code, recoveryCode });
+
+    if (!factor.valid) {
+      const challenge = await recordFailedChallenge(verification.decoded);
+      const failure = challenge.burned
+        ? { message: 'Too many invalid codes. Please login again.', code: 'TWO_FACTOR_CHALLENGE_EXHAUSTED' }
+        : { message: 'Invalid authentication code', code: 'INVALID_TWO_FACTOR_CODE', attemptsRemaining: challenge.attemptsRemaining };
+
+      return respondFailedLogin(req, res, { email: user.email, userId: user._id }, failure);
+    }
+
+    // STEP 3b: One challenge, one session
+    if (!(await consumeChallenge(verification.decoded))) {
+      return respondChallengeBurned(res);
+    }
+
+    // STEP 4: Start the session
+    // LEARNING: completeLogin saves the user, which also persists the
+    // burned recovery code / last used time step
+    const { identity } = verification.decoded;
+    const { safeUser, tokens, linked } = await completeLogin(req, user, { identity });
+
+    console.log(`✅ User logged in with 2FA (${factor.method}): ${user.email} (ID: ${user._id})`);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Login successful',
+      data: {
+        user: safeUser,
+        tokens,
+        ...(identity && { linked }),
+        ...(factor.method === 'recovery_code' && {
+          remainingRecoveryCodes: user.twoFactor.recoveryCodes.length
+        })
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ 2FA verify error:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Two-factor verification failed',
+      code: 'TWO_FACTOR_VERIFY_ERROR'
+    });
+  }
+};
+
 // ========================================
 // REFRESH ACCESS TOKEN
 // ========================================
@@ -237,13 +465,16 @@ const login = async (req, res) => {
  * 
  * WHAT THIS DOES:
  * 1. Receives refresh token
- * 2. Verifies refresh token
- * 3. Generates new access token
- * 4. Returns new token
+ * 2. Verifies refresh token signature and expiry
+ * 3. Rotates the session: old refresh token dies, a new pair is issued
+ * 4. Returns new tokens
  * 
  * WHY NEEDED: Access tokens expire after 15 minutes
  * Instead of logging in again, use refresh token to get new access token
  * 
+ * SECURITY: Each refresh token works ONCE. Presenting an already-rotated
+ * token revokes the whole session (see sessionService.rotateSession)
+ * 
  * REQUEST BODY:
  * {
  *   "refreshToken": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
@@ -253,8 +484,7 @@ const login = async (req, res) => {
  * {
  *   "status": "success",
  *   "data": {
- *     "accessToken": "...",
- *     "expiresIn": 900
+ *     "tokens": { accessToken, refreshToken, expiresIn }
  *   }
  * }
  */
@@ -311,9 +541,31 @@ const refreshToken = async (req, res) => {
       });
     }
 
-    // STEP 4: Generate new token pair
-    // LEARNING: We generate both tokens to extend session
-    const tokens = generateTokenPair(user._id);
+    // STEP 4: Rotate the session and generate a new token pair
+    // LEARNING: The presented refresh token is retired in the same step
+    const rotation = await rotateSession(
+      verification.decoded,
+      refreshToken,
+      getRequestContext(req)
+    );
+
+    if (!rotation.success) {
+      return res.status(401).json({
+        status: 'error',
+        message: rotation.error,
+        code: rotation.code
+      });
+    }
+
+    const { tokens, session } = rotation;
+
+    // STEP 4b: Mark the session's device as recently active
+    user.recordDevice({
+      ...getRequestContext(req),
+      deviceId: session.deviceId,
+      deviceName: session.deviceName
+    });
+    await user.save();
 
     // STEP 5: Log token refresh
     console.log(`🔄 Token refreshed for user: ${user.email}`);
@@ -344,21 +596,18 @@ const refreshToken = async (req, res) => {
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user (invalidate tokens)
+ * @desc    Logout user (revoke the current session)
  * @access  Private (requires authentication)
  * 
  * WHAT THIS DOES:
- * 1. Logs logout event
- * 2. Returns success message
+ * 1. Revokes the session the access token belongs to
+ * 2. Logs logout event
+ * 3. Returns success message
  * 
- * LEARNING: JWT tokens can't be "deleted" from server
- * They expire automatically after their expiry time
- * Frontend should delete tokens from storage
- * 
- * For better security, we could implement:
- * - Token blacklist in Redis
- * - Store active tokens in database
- * - Use shorter expiry times
+ * LEARNING: JWT tokens can't be "deleted" from the client's storage,
+ * but every token carries a session id (sid). Once the session is revoked:
+ * - its refresh token can no longer be rotated
+ * - its access tokens are rejected by authMiddleware
  * 
  * REQUEST: No body needed (uses token from Authorization header)
  * 
@@ -370,15 +619,15 @@ const refreshToken = async (req, res) => {
  */
 const logout = async (req, res) => {
   try {
-    // LEARNING: req.user is available because authMiddleware ran first
+    // LEARNING: req.user and req.sessionId are available because authMiddleware ran first
     const userId = req.userId;
     const user = req.user;
 
-    // Log logout event
-    console.log(`👋 User logged out: ${user.email} (ID: ${userId})`);
+    // Revoke the current session
+    await revokeSession(req.sessionId, 'logout');
 
-    // TODO (Future Enhancement): Add token to blacklist in Redis
-    // await redisClient.set(`blacklist:${req.token}`, 'true', 'EX', 900);
+    // Log logout event
+    console.log(`👋 User logged out: ${user.email} (ID: ${userId}, session: ${req.sessionId})`);
 
     return res.status(200).json({
       status: 'success',
@@ -397,6 +646,53 @@ const logout = async (req, res) => {
   }
 };
 
+// ========================================
+// LOGOUT FROM ALL DEVICES
+// ========================================
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Revoke every session of the current user ("log out everywhere")
+ * @access  Private (requires authentication)
+ * 
+ * WHY USEFUL: Lost phone, shared computer, suspicious activity
+ * 
+ * RESPONSE:
+ * {
+ *   "status": "success",
+ *   "message": "Logged out from all devices",
+ *   "data": { "revokedSessions": 3 }
+ * }
+ */
+const logoutAll = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const user = req.user;
+
+    const revokedSessions = await revokeAllSessions(userId, 'logout_all');
+
+    console.log(`👋 User logged out everywhere: ${user.email} (ID: ${userId}, sessions: ${revokedSessions})`);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Logged out from all devices',
+      data: {
+        revokedSessions
+      },
+      hint: 'Please delete tokens from client storage'
+    });
+
+  } catch (error) {
+    console.error('❌ Logout all error:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Logout from all devices failed',
+      code: 'LOGOUT_ALL_ERROR'
+    });
+  }
+};
+
 // ========================================
 // GET CURRENT USER
 // ========================================
@@ -451,6 +747,280 @@ const getCurrentUser = async (req, res) => {
   }
 };
 
+// ========================================
+// VERIFY EMAIL
+// ========================================
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Confirm email address using the token from the email link
+ * @access  Public (token proves ownership of the inbox)
+ * 
+ * WHAT THIS DOES:
+ * 1. Verifies token signature and expiry
+ * 2. Checks token is the latest one issued and hasn't been used
+ * 3. Sets isEmailVerified = true and burns the token
+ * 
+ * REQUEST BODY:
+ * {
+ *   "token": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ * }
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    // STEP 1: Verify token signature and expiry
+    const verification = verifyEmailVerificationToken(token);
+
+    if (!verification.valid) {
+      return res.status(400).json({
+        status: 'error',
+        message: verification.error,
+        code: verification.expired ? 'VERIFICATION_TOKEN_EXPIRED' : 'INVALID_VERIFICATION_TOKEN',
+        hint: 'Request a new verification email from /api/auth/resend-verification'
+      });
+    }
+
+    const { userId, jti } = verification.decoded;
+
+    // STEP 2: Mark verified and burn the token in one atomic update
+    // LEARNING: The filter only matches while this token is still the stored one
+    const user = await User.findOneAndUpdate(
+      { _id: userId, emailVerificationTokenHash: hashToken(jti) },
+      {
+        $set: { isEmailVerified: true },
+        $unset: { emailVerificationTokenHash: 1, emailVerificationSentAt: 1 }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      // Clicking the link twice is harmless - tell them they're done
+      const existingUser = await User.findById(userId);
+
+      if (existingUser && existingUser.isEmailVerified) {
+        return res.status(200).json({
+          status: 'success',
+          message: 'Email is already verified'
+        });
+      }
+
+      return res.status(400).json({
+        status: 'error',
+        message: 'Verification link is no longer valid',
+        code: 'INVALID_VERIFICATION_TOKEN',
+        hint: 'Request a new verification email from /api/auth/resend-verification'
+      });
+    }
+
+    console.log(`📧 Email verified: ${user.email} (ID: ${user._id})`);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Email verified successfully',
+      data: {
+        user: user.toSafeObject()
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Verify email error:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Email verification failed',
+      code: 'EMAIL_VERIFICATION_ERROR'
+    });
+  }
+};
+
+// ========================================
+// RESEND VERIFICATION EMAIL
+// ========================================
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new verification email
+ * @access  Private (rate limited)
+ * 
+ * NOTE: The new link replaces any previous one
+ */
+const resendVerification = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Email is already verified',
+        code: 'EMAIL_ALREADY_VERIFIED'
+      });
+    }
+
+    await issueVerificationEmail(user);
+
+    console.log(`📧 Verification email resent: ${user.email}`);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Verification email sent. Please check your inbox.'
+    });
+
+  } catch (error) {
+    console.error('❌ Resend verification error:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to send verification email',
+      code: 'RESEND_VERIFICATION_ERROR'
+    });
+  }
+};
+
+// ========================================
+// FORGOT PASSWORD
+// ========================================
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public (rate limited)
+ * 
+ * WHAT THIS DOES:
+ * 1. Looks up the account by email
+ * 2. Stores the HASH of a random reset token (valid 30 minutes)
+ * 3. Emails the raw token as a link
+ * 
+ * SECURITY: The response is identical whether or not the email is
+ * registered - otherwise this endpoint would reveal who has an account
+ * 
+ * REQUEST BODY:
+ * {
+ *   "email": "user@example.com"
+ * }
+ */
+const forgotPassword = async (req, res) => {
+  const genericResponse = {
+    status: 'success',
+    message: 'If an account exists for this email, a password reset link has been sent.'
+  };
+
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+
+    if (!user || !user.isActive) {
+      // SECURITY: Same answer as the success path
+      return res.status(200).json(genericResponse);
+    }
+
+    // STEP 1: Create reset token (only its hash is stored)
+    const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30;
+    const resetToken = generateRandomToken();
+
+    user.passwordResetTokenHash = hashToken(resetToken);
+    user.passwordResetExpiresAt = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+    await user.save();
+
+    // STEP 2: Email the raw token
+    try {
+      await sendPasswordResetEmail(user, resetToken, expiresInMinutes);
+    } catch (emailError) {
+      // Don't let a delivery failure change the response
+      console.error('⚠️ Failed to send password reset email:', emailError.message);
+    }
+
+    console.log(`🔑 Password reset requested: ${user.email} (ID: ${user._id})`);
+
+    return res.status(200).json(genericResponse);
+
+  } catch (error) {
+    console.error('❌ Forgot password error:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Password reset request failed',
+      code: 'FORGOT_PASSWORD_ERROR'
+    });
+  }
+};
+
+// ========================================
+// RESET PASSWORD
+// ========================================
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password using the emailed reset token
+ * @access  Public (token proves ownership of the inbox)
+ * 
+ * WHAT THIS DOES:
+ * 1. Finds the user by the token's hash (and checks expiry)
+ * 2. Burns the token so it can't be used twice
+ * 3. Sets the new password
+ * 4. Revokes every session - the user must login again everywhere
+ * 
+ * REQUEST BODY:
+ * {
+ *   "token": "3f9a...",
+ *   "password": "NewSecurePass456"
+ * }
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    // STEP 1 + 2: Claim the token atomically
+    // LEARNING: $unset in the same operation makes the token single-use,
+    // even if two requests arrive at the same time
+    const claimedUser = await User.findOneAndUpdate(
+      {
+        passwordResetTokenHash: hashToken(token),
+        passwordResetExpiresAt: { $gt: new Date() }
+      },
+      { $unset: { passwordResetTokenHash: 1, passwordResetExpiresAt: 1 } }
+    );
+
+    if (!claimedUser || !claimedUser.isActive) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Reset link is invalid or has expired',
+        code: 'INVALID_RESET_TOKEN',
+        hint: 'Request a new link from /api/auth/forgot-password'
+      });
+    }
+
+    // STEP 3: Set new password
+    // LEARNING: Password will be auto-hashed by User model pre-save hook
+    const user = await User.findById(claimedUser._id).select('+password');
+    user.password = password;
+    // WHY: Receiving the reset email proves the user owns this inbox
+    user.isEmailVerified = true;
+    await user.save();
+
+    // STEP 4: Revoke all sessions
+    const revokedSessions = await revokeAllSessions(user._id, 'password_reset');
+
+    console.log(`🔒 Password reset for user: ${user.email} (sessions revoked: ${revokedSessions})`);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Password has been reset. Please login with your new password.'
+    });
+
+  } catch (error) {
+    console.error('❌ Reset password error:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Password reset failed',
+      code: 'RESET_PASSWORD_ERROR'
+    });
+  }
+};
+
 // ========================================
 // UPDATE PASSWORD
 // ========================================
@@ -464,7 +1034,8 @@ const getCurrentUser = async (req, res) => {
  * 1. Receives current password and new password
  * 2. Verifies current password
  * 3. Updates to new password
- * 4. Generates new tokens (invalidates old sessions)
+ * 4. Revokes every existing session (other devices must login again)
+ * 5. Starts a fresh session and returns its tokens
  * 
  * REQUEST BODY:
  * {
@@ -513,11 +1084,14 @@ const updatePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
-    // STEP 4: Generate new tokens
+    // STEP 4: Revoke all existing sessions
     // WHY: Force user to login again on all devices (security)
-    const tokens = generateTokenPair(user._id);
+    await revokeAllSessions(user._id, 'password_change');
+
+    // STEP 5: Start a fresh session with new tokens
+    const { tokens } = await createSession(user._id, getRequestContext(req));
 
-    // STEP 5: Log password change
+    // STEP 6: Log password change
     console.log(`🔒 Password updated for user: ${user.email}`);
 
     return res.status(200).json({
@@ -546,8 +1120,14 @@ const updatePassword = async (req, res) => {
 module.exports = {
   register,
   login,
+  verifyTwoFactorLogin,
   refreshToken,
   logout,
+  logoutAll,
   getCurrentUser,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
   updatePassword
 };
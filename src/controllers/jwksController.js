@@ -0,0 +1,43 @@
+const { getPublicJwks } = require('../config/jwtKeys');
+
+/**
+ * WHAT THIS FILE DOES: Publishes our token verification keys
+ *
+ * WHO USES IT: Other services (and API gateways) that verify HoloDesk
+ * access tokens themselves - they pick the key matching the token's "kid"
+ */
+
+// WHY: Long enough to spare us traffic, short enough that a newly added
+// key reaches everyone before it starts signing (see config/jwtKeys.js)
+const JWKS_MAX_AGE_SECONDS = 10 * 60;
+
+// ========================================
+// JWKS
+// ========================================
+
+/**
+ * @route   GET /.well-known/jwks.json
+ * @desc    Public keys that verify our JWTs (RFC 7517 JSON Web Key Set)
+ * @access  Public
+ *
+ * RESPONSE (no "status" wrapper - clients expect the bare JWKS format):
+ * {
+ *   "keys": [
+ *     { "kty": "OKP", "crv": "Ed25519", "x": "...", "kid": "2026-01", "alg": "EdDSA", "use": "sig" }
+ *   ]
+ * }
+ *
+ * NOTE: Empty while tokens are signed with the HS256 secret
+ */
+const getJwks = (req, res) => {
+  res.set('Cache-Control', `public, max-age=${JWKS_MAX_AGE_SECONDS}`);
+  return res.status(200).json(getPublicJwks());
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  getJwks
+};
@@ -0,0 +1,256 @@
+const { getProvider, listProviders } = require('../config/oidcProviders');
+const {
+  startAuthorization,
+  completeAuthorization,
+  resolveUser
+} = require('../services/oidcService');
+const {
+  checkLoginAllowed,
+  getBlockedResponse
+} = require('../services/loginProtectionService');
+const {
+  createTwoFactorChallenge,
+  completeLogin
+} = require('../services/loginService');
+
+/**
+ * WHAT THIS FILE DOES: Social login through any OpenID Connect provider
+ *
+ * FLOW (frontend's view):
+ * 1. GET  /api/auth/oidc/providers               → buttons to show
+ * 2. GET  /api/auth/oidc/:provider/authorize     → redirect the browser to authorizationUrl
+ * 3. Provider redirects back to the frontend with ?code&state
+ * 4. POST /api/auth/oidc/:provider/callback      → same response as /login
+ *
+ * Providers are configured in config/oidcProviders.js (environment variables)
+ */
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * HELPER: Sends 404 for providers that aren't configured
+ */
+const respondProviderNotFound = (res, name) => {
+  return res.status(404).json({
+    status: 'error',
+    message: `Login provider "${name}" is not configured`,
+    code: 'OIDC_PROVIDER_NOT_FOUND',
+    availableProviders: listProviders().map(provider => provider.name)
+  });
+};
+
+// ========================================
+// LIST PROVIDERS
+// ========================================
+
+/**
+ * @route   GET /api/auth/oidc/providers
+ * @desc    List configured social login providers
+ * @access  Public
+ *
+ * RESPONSE:
+ * {
+ *   "status": "success",
+ *   "data": { "providers": [{ "name": "google", "displayName": "Google" }] }
+ * }
+ */
+const getProviders = (req, res) => {
+  return res.status(200).json({
+    status: 'success',
+    data: {
+      providers: listProviders()
+    }
+  });
+};
+
+// ========================================
+// START LOGIN
+// ========================================
+
+/**
+ * @route   GET /api/auth/oidc/:provider/authorize
+ * @desc    Get the provider login URL (state, nonce and PKCE included)
+ * @access  Public
+ * @query   redirect=true → answer with a 302 instead of JSON
+ *
+ * RESPONSE:
+ * {
+ *   "status": "success",
+ *   "data": { "authorizationUrl": "https://accounts.google.com/o/oauth2/v2/auth?..." }
+ * }
+ */
+const startOidcLogin = async (req, res) => {
+  const provider = getProvider(req.params.provider);
+
+  if (!provider) {
+    return respondProviderNotFound(res, req.params.provider);
+  }
+
+  try {
+    const { authorizationUrl } = await startAuthorization(provider);
+
+    if (req.query.redirect === 'true') {
+      return res.redirect(302, authorizationUrl);
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        authorizationUrl
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'OidcProviderError') {
+      console.error(`❌ OIDC authorize error (${provider.name}):`, error.message);
+
+      return res.status(502).json({
+        status: 'error',
+        message: 'Login provider is unavailable. Please try again later.',
+        code: 'OIDC_PROVIDER_ERROR'
+      });
+    }
+
+    console.error(`❌ OIDC authorize error (${provider.name}):`, error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Login with provider failed due to server error',
+      code: 'OIDC_LOGIN_ERROR'
+    });
+  }
+};
+
+// ========================================
+// CALLBACK
+// ========================================
+
+/**
+ * @route   POST /api/auth/oidc/:provider/callback
+ * @desc    Finish social login with the code the provider sent back
+ * @access  Public
+ * @body    { code, state }
+ *
+ * WHAT THIS DOES:
+ * 1. Validates state, exchanges the code (with PKCE verifier), verifies the ID token
+ * 2. Finds or creates the user (see oidcService.resolveUser)
+ * 3. Responds exactly like /login - tokens, or a 2FA challenge
+ *
+ * SECURITY: An identity matched by verified email is linked only when the
+ * login succeeds - right here, or after POST /api/auth/2fa/verify
+ *
+ * ERRORS:
+ * - 400 INVALID_OIDC_STATE / INVALID_ID_TOKEN / OIDC_EMAIL_REQUIRED
+ * - 409 ACCOUNT_LINK_REQUIRES_VERIFIED_EMAIL
+ * - 502 OIDC_PROVIDER_ERROR (provider unreachable or rejected the code)
+ * - 500 OIDC_LOGIN_ERROR (our side - e.g. database)
+ */
+const oidcCallback = async (req, res) => {
+  const provider = getProvider(req.params.provider);
+
+  if (!provider) {
+    return respondProviderNotFound(res, req.params.provider);
+  }
+
+  try {
+    // STEP 1: Verify the round trip with the provider
+    const authorization = await completeAuthorization(provider, req.body);
+
+    if (!authorization.success) {
+      return res.status(400).json({
+        status: 'error',
+        message: authorization.error,
+        code: authorization.code
+      });
+    }
+
+    // STEP 2: Map the identity to an account
+    const resolved = await resolveUser(provider, authorization.claims);
+
+    if (!resolved.success) {
+      return res.status(resolved.statusCode).json({
+        status: 'error',
+        message: resolved.error,
+        code: resolved.code
+      });
+    }
+
+    const { user, created, pendingIdentity } = resolved;
+
+    if (!user.isActive) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Account is deactivated. Please contact support.',
+        code: 'ACCOUNT_DEACTIVATED'
+      });
+    }
+
+    // STEP 3: A locked account stays locked, whatever way you log in
+    const check = await checkLoginAllowed(user.email, req.ip);
+
+    if (!check.allowed) {
+      const { statusCode, body } = getBlockedResponse(check);
+      res.set('Retry-After', String(check.retryAfter));
+      return res.status(statusCode).json(body);
+    }
+
+    // STEP 4: Two-factor users still owe the second factor
+    if (user.twoFactor && user.twoFactor.enabled) {
+      console.log(`🔐 2FA challenge issued after ${provider.name} login: ${user.email} (ID: ${user._id})`);
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Two-factor authentication required',
+        data: createTwoFactorChallenge(user, { identity: pendingIdentity }),
+        hint: 'Send the challengeToken with a code to POST /api/auth/2fa/verify'
+      });
+    }
+
+    // STEP 5: Start the session (and link the identity - every check passed)
+    const { safeUser, tokens, linked } = await completeLogin(req, user, { identity: pendingIdentity });
+
+    console.log(`✅ User logged in via ${provider.name}: ${user.email} (ID: ${user._id})`);
+
+    return res.status(created ? 201 : 200).json({
+      status: 'success',
+      message: created ? 'Account created' : 'Login successful',
+      data: {
+        user: safeUser,
+        tokens,
+        created,
+        linked
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'OidcProviderError') {
+      console.error(`❌ OIDC callback error (${provider.name}):`, error.message);
+
+      return res.status(502).json({
+        status: 'error',
+        message: 'Login with provider failed. Please try again.',
+        code: 'OIDC_PROVIDER_ERROR'
+      });
+    }
+
+    console.error(`❌ OIDC callback error (${provider.name}):`, error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Login with provider failed due to server error',
+      code: 'OIDC_LOGIN_ERROR'
+    });
+  }
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  getProviders,
+  startOidcLogin,
+  oidcCallback
+};
@@ -0,0 +1,347 @@
+const mongoose = require('mongoose');
+const WidgetPreset = require('../models/WidgetPreset');
+const { validateWidgetContent } = require('../services/widgetRegistry');
+
+/**
+ * WHAT THIS FILE DOES: The widget presets library
+ *
+ * A preset is a saved widget configuration - type + size + data + settings -
+ * e.g. "Deep work pomodoro 50/10" or "Daily standup checklist"
+ *
+ * VISIBILITY:
+ * - private presets are only visible to their owner
+ * - public presets are visible to every signed-in user (read-only for them)
+ *
+ * ADDING ONE TO A WORKSPACE: POST /api/widgets/:workspaceId/from-preset/:presetId
+ * (see widgetController.createWidgetFromPreset)
+ */
+
+// WHY a limit: Presets are small, but an unbounded library is an easy way to fill the database
+const MAX_PRESETS_PER_USER = 100;
+
+const PRESET_SCOPES = ['mine', 'public', 'all'];
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * HELPER: Filter for presets the user may SEE (own + public)
+ */
+const visibleFilter = (req) => ({
+  $or: [{ userId: req.userId }, { isPublic: true }]
+});
+
+/**
+ * HELPER: Loads a preset the user may see, or null
+ * LEARNING: Invalid ObjectIds are a 404, not a 500 CastError
+ */
+const findVisiblePreset = async (req, presetId) => {
+  if (!mongoose.isValidObjectId(presetId)) return null;
+  return WidgetPreset.findOne({ _id: presetId, ...visibleFilter(req) });
+};
+
+/**
+ * HELPER: Loads a preset the user OWNS, or null
+ */
+const findOwnPreset = async (req, presetId) => {
+  if (!mongoose.isValidObjectId(presetId)) return null;
+  return WidgetPreset.findOne({ _id: presetId, userId: req.userId });
+};
+
+/**
+ * HELPER: Sends 404 for presets that don't exist or aren't visible
+ * SECURITY: Someone else's private preset looks exactly like a missing one
+ */
+const respondPresetNotFound = (res, presetId) => {
+  return res.status(404).json({
+    status: 'error',
+    message: `Preset ${presetId} not found`,
+    code: 'PRESET_NOT_FOUND'
+  });
+};
+
+// ========================================
+// LIST PRESETS
+// ========================================
+
+/**
+ * @route   GET /api/presets
+ * @desc    List presets the user can use
+ * @access  Private (API keys need scope: widgets:read)
+ * @query   scope? - mine | public | all (default: all), type? - widget type
+ *
+ * SORTING: Own presets by name, then public presets by popularity (usageCount)
+ */
+const getPresets = async (req, res) => {
+  try {
+    const scope = PRESET_SCOPES.includes(req.query.scope) ? req.query.scope : 'all';
+
+    const filter = {
+      mine: { userId: req.userId },
+      public: { isPublic: true },
+      all: visibleFilter(req)
+    }[scope];
+
+    if (typeof req.query.type === 'string' && req.query.type) {
+      filter.type = req.query.type;
+    }
+
+    const presets = await WidgetPreset.find(filter)
+      .sort({ usageCount: -1, name: 1 })
+      .limit(500);
+
+    const ownId = String(req.userId);
+    const own = presets.filter(preset => preset.userId.toString() === ownId)
+      .sort((a, b) => a.name.localeCompare(b.name));
+    const others = presets.filter(preset => preset.userId.toString() !== ownId);
+
+    return res.status(200).json({
+      status: 'success',
+      count: presets.length,
+      data: {
+        presets: [...own, ...others].map(preset => preset.toPublicObject(req.userId))
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching presets:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch presets',
+      code: 'PRESETS_FETCH_ERROR'
+    });
+  }
+};
+
+// ========================================
+// GET PRESET
+// ========================================
+
+/**
+ * @route   GET /api/presets/:presetId
+ * @desc    Get one preset (own or public)
+ * @access  Private (API keys need scope: widgets:read)
+ */
+const getPreset = async (req, res) => {
+  try {
+    const { presetId } = req.params;
+    const preset = await findVisiblePreset(req, presetId);
+
+    if (!preset) {
+      return respondPresetNotFound(res, presetId);
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        preset: preset.toPublicObject(req.userId)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching preset:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch preset',
+      code: 'PRESET_FETCH_ERROR'
+    });
+  }
+};
+
+// ========================================
+// CREATE PRESET
+// ========================================
+
+/**
+ * @route   POST /api/presets
+ * @desc    Save a widget configuration as a preset
+ * @access  Private (API keys need scope: widgets:write)
+ * @body    { name, description?, type, size?, data?, settings?, isPublic? }
+ *
+ * LEARNING: data/settings are already checked against the type's schema by
+ * createPresetSchema - only content that makes a valid widget can be saved
+ *
+ * EXAMPLE:
+ * POST /api/presets
+ * { "name": "Deep work", "type": "pomodoro-timer", "settings": { "workMinutes": 50, "shortBreakMinutes": 10 } }
+ */
+const createPreset = async (req, res) => {
+  try {
+    const presetCount = await WidgetPreset.countDocuments({ userId: req.userId });
+
+    if (presetCount >= MAX_PRESETS_PER_USER) {
+      return res.status(400).json({
+        status: 'error',
+        message: `You can save up to ${MAX_PRESETS_PER_USER} presets. Delete one to save a new one.`,
+        code: 'PRESET_LIMIT_REACHED'
+      });
+    }
+
+    const { name, description, type, size, data, settings, isPublic } = req.body;
+
+    const preset = await WidgetPreset.create({
+      userId: req.userId,
+      name,
+      description,
+      type,
+      size,
+      data,
+      settings,
+      isPublic
+    });
+
+    console.log(`✅ Preset created: "${preset.name}" (${preset.type}${preset.isPublic ? ', public' : ''}) by user ${req.userId}`);
+
+    return res.status(201).json({
+      status: 'success',
+      message: 'Preset saved',
+      data: {
+        preset: preset.toPublicObject(req.userId)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating preset:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to save preset',
+      code: 'PRESET_CREATE_ERROR'
+    });
+  }
+};
+
+// ========================================
+// UPDATE PRESET
+// ========================================
+
+/**
+ * @route   PATCH /api/presets/:presetId
+ * @desc    Rename, re-describe, publish/unpublish or change a preset's content
+ * @access  Private - owner only (API keys need scope: widgets:write)
+ * @body    { name?, description?, size?, data?, settings?, isPublic? }
+ *
+ * MERGE RULES (same as PATCH on a widget):
+ * - data / settings: given keys are replaced, other keys are kept
+ * - The merged content must match the widget type's schema → else 400
+ * - size: null removes the preset's size (the type's default size is used)
+ */
+const updatePreset = async (req, res) => {
+  try {
+    const { presetId } = req.params;
+    const { name, description, size, data, settings, isPublic } = req.body;
+
+    const preset = await findOwnPreset(req, presetId);
+
+    if (!preset) {
+      return respondPresetNotFound(res, presetId);
+    }
+
+    const mergedData = data ? { ...preset.data, ...data } : undefined;
+    const mergedSettings = settings ? { ...preset.settings, ...settings } : undefined;
+
+    const content = validateWidgetContent(preset.type, { data: mergedData, settings: mergedSettings });
+
+    if (!content.success) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        code: 'PRESET_VALIDATION_FAILED',
+        errors: content.errors,
+        fields: content.errors.map(err => err.field)
+      });
+    }
+
+    if (name !== undefined) preset.name = name;
+    if (description !== undefined) preset.description = description;
+    if (isPublic !== undefined) preset.isPublic = isPublic;
+    if (size !== undefined) preset.size = size || {};
+
+    // LEARNING: Mixed fields need markModified() so Mongoose saves them
+    if (mergedData) {
+      preset.data = mergedData;
+      preset.markModified('data');
+    }
+    if (mergedSettings) {
+      preset.settings = mergedSettings;
+      preset.markModified('settings');
+    }
+
+    await preset.save();
+
+    console.log(`📝 Preset updated: "${preset.name}" by user ${req.userId}`);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Preset updated',
+      data: {
+        preset: preset.toPublicObject(req.userId)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating preset:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to update preset',
+      code: 'PRESET_UPDATE_ERROR'
+    });
+  }
+};
+
+// ========================================
+// DELETE PRESET
+// ========================================
+
+/**
+ * @route   DELETE /api/presets/:presetId
+ * @desc    Delete a preset
+ * @access  Private - owner only (API keys need scope: widgets:write)
+ *
+ * LEARNING: Widgets created from the preset are independent copies - they stay
+ */
+const deletePreset = async (req, res) => {
+  try {
+    const { presetId } = req.params;
+
+    const preset = mongoose.isValidObjectId(presetId)
+      ? await WidgetPreset.findOneAndDelete({ _id: presetId, userId: req.userId })
+      : null;
+
+    if (!preset) {
+      return respondPresetNotFound(res, presetId);
+    }
+
+    console.log(`🗑️  Preset deleted: "${preset.name}" by user ${req.userId}`);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Preset deleted'
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting preset:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete preset',
+      code: 'PRESET_DELETE_ERROR'
+    });
+  }
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  getPresets,
+  getPreset,
+  createPreset,
+  updatePreset,
+  deletePreset
+};
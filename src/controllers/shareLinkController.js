@@ -0,0 +1,249 @@
+const mongoose = require('mongoose');
+const {
+  createShareLink: createLink,
+  listShareLinks,
+  revokeShareLink: revokeLink,
+  resolveShareToken,
+  listSharedWidgets
+} = require('../services/shareLinkService');
+
+/**
+ * WHAT THIS FILE DOES: Public read-only links to a workspace
+ *
+ * FLOW:
+ * 1. The owner creates a link → gets https://app.example.com/shared/hds_...
+ * 2. Anyone with the link sees the workspace (GET /api/shared/:token) -
+ *    no account needed, nothing can be changed
+ * 3. The owner revokes the link (or it expires) → the link stops working
+ *
+ * PRIVACY: Widgets marked excludeFromShare (PATCH the widget) never appear
+ */
+
+// ========================================
+// CREATE SHARE LINK
+// ========================================
+
+/**
+ * @route   POST /api/workspaces/:workspaceId/share-links
+ * @desc    Create a public read-only link
+ * @access  Private - owner only (API keys need scope: workspaces:share)
+ * @body    { label?, expiresInDays? }
+ *
+ * RESPONSE (the token is shown ONCE - only its hash is stored):
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "token": "hds_3fa9c21e...",
+ *     "url": "/api/shared/hds_3fa9c21e...",
+ *     "shareLink": { "_id": "...", "label": "Office TV", "prefix": "hds_3fa9c21e", "expiresAt": null }
+ *   }
+ * }
+ */
+const createShareLink = async (req, res) => {
+  try {
+    const result = await createLink(req.workspace, req.userId, req.body);
+
+    if (!result.success) {
+      return res.status(400).json({
+        status: 'error',
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    console.log(`🔗 Share link created: ${result.shareLink.prefix} for workspace ${req.workspace._id}`);
+
+    return res.status(201).json({
+      status: 'success',
+      message: 'Share link created',
+      data: {
+        token: result.token,
+        url: `/api/shared/${result.token}`,
+        shareLink: result.shareLink.toSafeObject()
+      },
+      hint: 'Copy the link now - it will not be shown again'
+    });
+
+  } catch (error) {
+    console.error('❌ Create share link error:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to create share link',
+      code: 'SHARE_LINK_CREATE_ERROR'
+    });
+  }
+};
+
+// ========================================
+// LIST SHARE LINKS
+// ========================================
+
+/**
+ * @route   GET /api/workspaces/:workspaceId/share-links
+ * @desc    List the workspace's share links (never the tokens themselves)
+ * @access  Private - owner only (API keys need scope: widgets:read)
+ */
+const getShareLinks = async (req, res) => {
+  try {
+    const shareLinks = await listShareLinks(req.workspace);
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        shareLinks: shareLinks.map(shareLink => shareLink.toSafeObject())
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get share links error:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch share links',
+      code: 'SHARE_LINKS_FETCH_ERROR'
+    });
+  }
+};
+
+// ========================================
+// REVOKE SHARE LINK
+// ========================================
+
+/**
+ * @route   DELETE /api/workspaces/:workspaceId/share-links/:linkId
+ * @desc    Revoke a share link - it stops working immediately
+ * @access  Private - owner only (API keys need scope: workspaces:share)
+ */
+const revokeShareLink = async (req, res) => {
+  try {
+    const { linkId } = req.params;
+
+    const shareLink = mongoose.isValidObjectId(linkId)
+      ? await revokeLink(req.workspace, linkId)
+      : null;
+
+    if (!shareLink) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Share link not found or already revoked',
+        code: 'SHARE_LINK_NOT_FOUND'
+      });
+    }
+
+    console.log(`🗑️  Share link revoked: ${shareLink.prefix} for workspace ${req.workspace._id}`);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Share link revoked',
+      data: {
+        shareLink: shareLink.toSafeObject()
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Revoke share link error:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to revoke share link',
+      code: 'SHARE_LINK_REVOKE_ERROR'
+    });
+  }
+};
+
+// ========================================
+// VIEW SHARED WORKSPACE (public)
+// ========================================
+
+/**
+ * @route   GET /api/shared/:token
+ * @desc    Read-only view of a shared workspace
+ * @access  Public (optional login)
+ *
+ * RESPONSE:
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "workspace": { "name": "Team planning", "description": "", "theme": {...} },
+ *     "widgets": [{ "id": "...", "type": "todo-list", "grid": {...}, "data": {...}, "settings": {...} }],
+ *     "readOnly": true,
+ *     "viewer": { "role": "editor", "workspaceId": "..." }   ← only for logged-in members
+ *   }
+ * }
+ *
+ * LEARNING: optionalAuthMiddleware runs first - a logged-in member gets
+ * "viewer" info so the frontend can offer "Open in editor". The response is
+ * the same read-only data for everyone.
+ */
+const getSharedWorkspace = async (req, res) => {
+  try {
+    // WHY: Shared boards change - and a token in a URL must not sit in shared caches
+    res.set('Cache-Control', 'private, no-store');
+    res.set('X-Robots-Tag', 'noindex, nofollow');
+
+    const result = await resolveShareToken(req.params.token);
+
+    if (!result.valid) {
+      return res.status(result.code === 'SHARE_LINK_NOT_FOUND' ? 404 : 410).json({
+        status: 'error',
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    const { workspace } = result;
+    const widgets = await listSharedWidgets(workspace);
+    const role = req.userId ? workspace.roleOf(req.userId) : null;
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        workspace: {
+          name: workspace.name,
+          description: workspace.description,
+          theme: workspace.toPublicObject().theme
+        },
+        widgets,
+        readOnly: true,
+        viewer: role ? { role, workspaceId: workspace._id } : null
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Shared workspace error:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to load shared workspace',
+      code: 'SHARED_WORKSPACE_ERROR'
+    });
+  }
+};
+
+/**
+ * @route   ALL /api/shared/:token (anything but GET)
+ * @desc    Share links are read-only
+ * @access  Public
+ */
+const rejectSharedWrite = (req, res) => {
+  res.set('Allow', 'GET, HEAD');
+
+  return res.status(405).json({
+    status: 'error',
+    message: 'Share links are read-only',
+    code: 'SHARE_LINK_READ_ONLY'
+  });
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  createShareLink,
+  getShareLinks,
+  revokeShareLink,
+  getSharedWorkspace,
+  rejectSharedWrite
+};
@@ -0,0 +1,237 @@
+const User = require('../models/User');
+const { generateSecret, buildOtpauthUri, verifyTotp } = require('../utils/totp');
+const { encrypt, decrypt } = require('../utils/encryption');
+const {
+  TWO_FACTOR_FIELDS,
+  generateRecoveryCodes,
+  verifySecondFactor
+} = require('../services/twoFactorService');
+
+/**
+ * WHAT THIS FILE DOES: Enrolls and removes TOTP two-factor authentication
+ *
+ * ENROLLMENT FLOW:
+ * 1. POST /api/auth/2fa/setup   → secret + otpauth URI (shown as QR code)
+ * 2. User scans it with an authenticator app
+ * 3. POST /api/auth/2fa/enable  → first code confirms the app works,
+ *    2FA is switched on and recovery codes are returned ONCE
+ *
+ * The login side (challenge → code) lives in authController.verifyTwoFactorLogin
+ */
+
+// ========================================
+// SETUP (Step 1 of enrollment)
+// ========================================
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Generate a new TOTP secret for the user to scan
+ * @access  Private
+ *
+ * RESPONSE:
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "secret": "JBSWY3DPEHPK3PXP...",
+ *     "otpauthUri": "otpauth://totp/HoloDesk:user%40example.com?secret=..."
+ *   }
+ * }
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is already enabled',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    // LEARNING: Stored as "pending" until confirmed with a valid code,
+    // so an abandoned setup never locks anyone out
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encrypt(secret);
+    await user.save();
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, accountName: user.email })
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ 2FA setup error:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Two-factor setup failed',
+      code: 'TWO_FACTOR_SETUP_ERROR'
+    });
+  }
+};
+
+// ========================================
+// ENABLE (Step 2 of enrollment)
+// ========================================
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm the authenticator app with a first code and turn 2FA on
+ * @access  Private
+ * @body    { code }
+ *
+ * RESPONSE (recovery codes are never shown again):
+ * {
+ *   "status": "success",
+ *   "data": { "recoveryCodes": ["a1b2c-3d4e5", ...] }
+ * }
+ */
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.userId).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is already enabled',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    if (!user.twoFactor || !user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'No two-factor setup in progress',
+        code: 'TWO_FACTOR_NOT_SET_UP',
+        hint: 'Start with POST /api/auth/2fa/setup'
+      });
+    }
+
+    // STEP 1: The code proves the app was set up correctly
+    const step = verifyTotp(decrypt(user.twoFactor.pendingSecret), code);
+
+    if (step === null) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid authentication code',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    // STEP 2: Activate the secret and create recovery codes
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    console.log(`🔐 2FA enabled for user: ${user.email}`);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication enabled',
+      data: {
+        recoveryCodes: codes
+      },
+      hint: 'Store these recovery codes somewhere safe - they will not be shown again'
+    });
+
+  } catch (error) {
+    console.error('❌ 2FA enable error:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to enable two-factor authentication',
+      code: 'TWO_FACTOR_ENABLE_ERROR'
+    });
+  }
+};
+
+// ========================================
+// DISABLE
+// ========================================
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn 2FA off
+ * @access  Private
+ * @body    { password, code } or { password, recoveryCode }
+ *
+ * SECURITY: Requires both the password and a second factor,
+ * so a stolen access token alone can't remove 2FA
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.userId).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is not enabled',
+        code: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Password is incorrect',
+        code: 'INVALID_PASSWORD'
+      });
+    }
+
+    const factor = verifySecondFactor(user, { code, recoveryCode });
+
+    if (!factor.valid) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid authentication code',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    user.twoFactor = { enabled: false, enabledAt: null };
+    await user.save();
+
+    console.log(`🔓 2FA disabled for user: ${user.email}`);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('❌ 2FA disable error:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to disable two-factor authentication',
+      code: 'TWO_FACTOR_DISABLE_ERROR'
+    });
+  }
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor
+};
@@ -1 +1,228 @@
-// src/controllers/userController.js - Placeholder for implementation
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { revokeAllSessions } = require('../services/sessionService');
+
+/**
+ * WHAT THIS FILE DOES: Handles operations on the signed-in user's account
+ * (currently: the devices they are logged in on)
+ *
+ * LEARNING: Devices vs Sessions
+ * - A device (user.devices) is a browser/app the user has logged in from
+ * - A session (Session model) is one login on that device
+ * Revoking a device revokes all of its sessions
+ */
+
+// ========================================
+// LIST DEVICES
+// ========================================
+
+/**
+ * @route   GET /api/users/me/devices
+ * @desc    List devices the user has signed in from
+ * @access  Private
+ *
+ * RESPONSE:
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "devices": [
+ *       {
+ *         "deviceId": "...",
+ *         "deviceName": "Chrome on Windows",
+ *         "lastActive": "...",
+ *         "activeSessions": 1,
+ *         "isCurrent": true
+ *       }
+ *     ]
+ *   }
+ * }
+ */
+const getDevices = async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const user = await User.findById(userId).select('devices');
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    // STEP 1: Count active sessions per device
+    const sessions = await Session.find({
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).select('deviceId');
+
+    const sessionCounts = {};
+    let currentDeviceId = null;
+
+    sessions.forEach(session => {
+      sessionCounts[session.deviceId] = (sessionCounts[session.deviceId] || 0) + 1;
+      if (String(session._id) === String(req.sessionId)) {
+        currentDeviceId = session.deviceId;
+      }
+    });
+
+    // STEP 2: Combine device info with session info
+    const devices = user.devices
+      .map(device => ({
+        deviceId: device.deviceId,
+        deviceName: device.deviceName,
+        lastActive: device.lastActive,
+        firstSeen: device.firstSeen,
+        ipAddress: device.ipAddress,
+        userAgent: device.userAgent,
+        activeSessions: sessionCounts[device.deviceId] || 0,
+        isCurrent: device.deviceId === currentDeviceId
+      }))
+      .sort((a, b) => new Date(b.lastActive) - new Date(a.lastActive));
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        devices
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get devices error:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch devices',
+      code: 'FETCH_DEVICES_ERROR'
+    });
+  }
+};
+
+// ========================================
+// RENAME DEVICE
+// ========================================
+
+/**
+ * @route   PATCH /api/users/me/devices/:deviceId
+ * @desc    Give a device a friendly name ("Work laptop")
+ * @access  Private
+ * @body    { deviceName }
+ */
+const renameDevice = async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const { deviceName } = req.body;
+
+    // LEARNING: The positional operator $ updates the array element the filter matched
+    const user = await User.findOneAndUpdate(
+      { _id: req.userId, 'devices.deviceId': deviceId },
+      { $set: { 'devices.$.deviceName': deviceName } },
+      { new: true }
+    ).select('devices');
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Device not found',
+        code: 'DEVICE_NOT_FOUND'
+      });
+    }
+
+    // Keep session records consistent with the new name
+    await Session.updateMany(
+      { userId: req.userId, deviceId },
+      { $set: { deviceName } }
+    );
+
+    const device = user.devices.find(d => d.deviceId === deviceId);
+
+    console.log(`✏️  Device renamed for user ${req.userId}: ${deviceId} → ${deviceName}`);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Device renamed successfully',
+      data: {
+        device
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Rename device error:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to rename device',
+      code: 'RENAME_DEVICE_ERROR'
+    });
+  }
+};
+
+// ========================================
+// REVOKE DEVICE
+// ========================================
+
+/**
+ * @route   DELETE /api/users/me/devices/:deviceId
+ * @desc    Sign a device out and forget it
+ * @access  Private
+ *
+ * WHAT THIS DOES:
+ * 1. Revokes every session created on the device
+ * 2. Removes the device from user.devices
+ *
+ * NOTE: Revoking the current device logs this client out as well
+ */
+const revokeDevice = async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const userId = req.userId;
+
+    // STEP 1: Remove device from the user's list
+    const result = await User.updateOne(
+      { _id: userId },
+      { $pull: { devices: { deviceId } } }
+    );
+
+    // STEP 2: Revoke its sessions
+    const revokedSessions = await revokeAllSessions(userId, 'device_revoked', { deviceId });
+
+    if (result.modifiedCount === 0 && revokedSessions === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Device not found',
+        code: 'DEVICE_NOT_FOUND'
+      });
+    }
+
+    console.log(`🚫 Device revoked for user ${userId}: ${deviceId} (sessions: ${revokedSessions})`);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Device signed out successfully',
+      data: {
+        revokedSessions
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Revoke device error:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to revoke device',
+      code: 'REVOKE_DEVICE_ERROR'
+    });
+  }
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  getDevices,
+  renameDevice,
+  revokeDevice
+};
@@ -1 +1,1215 @@
-// src/controllers/widgetController.js - Placeholder for implementation
+const mongoose = require('mongoose');
+const Widget = require('../models/Widget');
+const WidgetPreset = require('../models/WidgetPreset');
+const {
+  formatEtag,
+  getRevision,
+  withRevision
+} = require('../services/layoutRevisionService');
+const {
+  generateWidgetId,
+  prepareLayout,
+  replaceLayout: replaceWidgets
+} = require('../services/layoutService');
+const {
+  validateWidgetContent,
+  knownWidgetContent,
+  applyWidgetDefaults,
+  upgradeWidget
+} = require('../services/widgetRegistry');
+const {
+  ACTIVE_FILTER,
+  TRASHED_FILTER,
+  TRASH_RETENTION_DAYS,
+  trashWidget,
+  listTrash,
+  restoreWidget: restoreTrashedWidget
+} = require('../services/widgetTrashService');
+const {
+  BREAKPOINTS,
+  LARGEST_BREAKPOINT,
+  findOverlaps,
+  compactLayout,
+  deriveLayout,
+  placeItem,
+  resolveOverlaps,
+  gridOf,
+  changedItems
+} = require('../utils/gridLayout');
+const {
+  REVISION_LIMIT,
+  actorOf,
+  recordRevisions,
+  listRevisions,
+  getRevisionEntry
+} = require('../services/widgetHistoryService');
+const { workspaceScopeOf } = require('../services/workspaceService');
+
+/**
+ * WHAT THIS FILE DOES: Creates, reads, updates and deletes widgets
+ *
+ * LEARNING: Granular vs bulk saves
+ * - Moving one sticky note → PATCH that one widget
+ * - Loading a preset / undoing everything → PUT the whole layout (replaceLayout)
+ * Granular requests are small, and a failed one can't take other widgets with it
+ *
+ * WORKSPACES: :workspaceId is a workspace _id or 'default' (the caller's
+ * default workspace) - see models/Workspace.js. Shared workspaces are open to
+ * their members: viewers read, editors also write (checked in widgetRoutes.js)
+ *
+ * WIDGET IDS: Widgets are addressed by their own `id` string (generated by
+ * the frontend or, when missing, by the server) - not by MongoDB's _id
+ *
+ * WIDGET TYPES: Defaults, schemas and schema versions come from the widget
+ * registry (services/widgetRegistry.js). Widgets stored in an older
+ * schemaVersion are upgraded when they are loaded.
+ *
+ * CONCURRENCY: Every response carries the workspace revision (body + ETag).
+ * Writes may send If-Match: "rev-<n>" - a stale revision gets 412 with the
+ * current widgets so the client can merge (see layoutRevisionService).
+ * Each write runs inside withRevision, so a write that fails gives its
+ * revision back instead of making other clients' If-Match stale.
+ */
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * HELPER: The filter that limits queries to the requested workspace
+ * LEARNING: req.workspace is loaded (and access-checked) by loadWorkspace
+ * in widgetRoutes.js - widgets are stored under the workspace owner's id
+ */
+const workspaceScope = (req) => workspaceScopeOf(req.workspace);
+
+/**
+ * HELPER: Same as workspaceScope, but only widgets that aren't in the trash
+ */
+const activeScope = (req) => ({
+  ...workspaceScope(req),
+  ...ACTIVE_FILTER
+});
+
+/**
+ * HELPER: A widget's grid rectangle (for one breakpoint) as a layout-engine item
+ */
+const toGridItem = (widget, breakpoint = LARGEST_BREAKPOINT) => {
+  const grid = gridOf(widget, breakpoint);
+
+  return {
+    widgetId: widget.id,
+    x: grid.x,
+    y: grid.y,
+    w: grid.w,
+    h: grid.h,
+    z: grid.z ?? 0
+  };
+};
+
+/**
+ * HELPER: Grid layout of a workspace for one breakpoint
+ *
+ * - lg → the stored grid rectangles
+ * - md / sm / xs → rectangles the user arranged for that size, and every
+ *   other widget derived from its lg rectangle (marked derived: true)
+ */
+const buildBreakpointLayout = (widgets, breakpoint) => {
+  if (breakpoint === LARGEST_BREAKPOINT) {
+    return widgets.filter(widget => widget.grid).map(widget => toGridItem(widget));
+  }
+
+  const explicitItems = resolveOverlaps(
+    widgets.filter(widget => gridOf(widget, breakpoint)).map(widget => toGridItem(widget, breakpoint))
+  );
+  const largestItems = widgets
+    .filter(widget => widget.grid && !gridOf(widget, breakpoint))
+    .map(widget => toGridItem(widget));
+
+  return deriveLayout(largestItems, explicitItems, BREAKPOINTS[breakpoint]);
+};
+
+/**
+ * HELPER: Finds a free grid spot for one widget without moving the others
+ * USED BY: create, restore and revert - a single widget joining the grid
+ *
+ * @returns {object} Grid rectangle { x, y, w, h, z } (pushed down if needed)
+ */
+const findFreeGridSpot = async (req, widgetId, grid) => {
+  const others = await Widget.find({ ...activeScope(req), id: { $ne: widgetId }, grid: { $ne: null } })
+    .select('id grid')
+    .lean();
+
+  const placed = placeItem({ z: 0, ...grid, widgetId }, others.map(other => toGridItem(other)));
+
+  return { x: placed.x, y: placed.y, w: placed.w, h: placed.h, z: placed.z };
+};
+
+/**
+ * HELPER: Copies a validated create payload into a widget document shape
+ * LEARNING: Missing size/data/settings come from the type's registry defaults
+ */
+const buildWidget = (req, payload) => ({
+  ...applyWidgetDefaults(payload),
+  ...workspaceScope(req),
+  id: payload.id || generateWidgetId()
+});
+
+/**
+ * HELPER: Sends 404 for widgets that don't exist in this workspace
+ */
+const respondWidgetNotFound = (res, widgetId) => {
+  return res.status(404).json({
+    status: 'error',
+    message: `Widget ${widgetId} not found`,
+    code: 'WIDGET_NOT_FOUND'
+  });
+};
+
+/**
+ * HELPER: Sends a success response tagged with the workspace revision
+ */
+const sendWithRevision = (res, statusCode, revision, body) => {
+  res.set('ETag', formatEtag(revision));
+  return res.status(statusCode).json({ ...body, revision });
+};
+
+/**
+ * HELPER: Answers a stale write with the current server state
+ *
+ * LEARNING: 412 Precondition Failed = "your If-Match didn't match".
+ * The widgets in the body save the client a second round trip.
+ */
+const respondRevisionConflict = async (req, res, currentRevision) => {
+  const widgets = await Widget.find(activeScope(req)).sort({ createdAt: -1 });
+
+  res.set('ETag', formatEtag(currentRevision));
+
+  return res.status(412).json({
+    status: 'error',
+    message: 'Workspace was changed in another tab or device. Merge with the current state and retry.',
+    code: 'LAYOUT_REVISION_MISMATCH',
+    currentRevision,
+    widgets
+  });
+};
+
+// LEARNING: 11000 = MongoDB duplicate key error (unique index on userId+workspaceId+id)
+const isDuplicateKeyError = (error) => error && error.code === 11000;
+
+// ========================================
+// LIST WIDGETS
+// ========================================
+
+/**
+ * @route   GET /api/widgets/:workspaceId
+ * @desc    Get all widgets for a workspace
+ * @access  Private (API keys: widgets:read)
+ * @query   breakpoint? - lg | md | sm | xs
+ *
+ * RESPONSE (header ETag: "rev-7"):
+ * { "status": "success", "widgets": [...], "revision": 7 }
+ *
+ * WITH ?breakpoint=sm the grid placement for that screen size is added:
+ * {
+ *   "breakpoint": "sm", "columns": 6,
+ *   "layout": [{ "widgetId": "...", "x": 0, "y": 0, "w": 3, "h": 2, "z": 0, "derived": true }]
+ * }
+ * derived: true = computed from the lg layout (the user never arranged it for sm)
+ */
+const getWidgets = async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+
+    console.log(`📦 Fetching widgets for workspace: ${workspaceId}, user: ${req.userId}`);
+
+    const [widgets, revision] = await Promise.all([
+      Widget.find(activeScope(req)).sort({ createdAt: -1 }),
+      getRevision(workspaceScope(req))
+    ]);
+
+    // WHY: Widgets in an older schemaVersion were upgraded on load - store that
+    await Widget.persistMigrations(widgets);
+
+    console.log(`✅ Found ${widgets.length} widgets (revision ${revision})`);
+
+    const { breakpoint } = req.query;
+    const responsive = breakpoint
+      ? { breakpoint, columns: BREAKPOINTS[breakpoint], layout: buildBreakpointLayout(widgets, breakpoint) }
+      : {};
+
+    // LEARNING: With an ETag set, Express answers If-None-Match with 304 Not Modified
+    return sendWithRevision(res, 200, revision, {
+      status: 'success',
+      widgets,
+      ...responsive
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching widgets:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch widgets',
+      code: 'WIDGETS_FETCH_ERROR'
+    });
+  }
+};
+
+// ========================================
+// GET SINGLE WIDGET
+// ========================================
+
+/**
+ * @route   GET /api/widgets/:workspaceId/:widgetId
+ * @desc    Get one widget by its id
+ * @access  Private (API keys: widgets:read)
+ */
+const getWidget = async (req, res) => {
+  try {
+    const { widgetId } = req.params;
+
+    const [widget, revision] = await Promise.all([
+      Widget.findOne({ ...activeScope(req), id: widgetId }),
+      getRevision(workspaceScope(req))
+    ]);
+
+    if (!widget) {
+      return respondWidgetNotFound(res, widgetId);
+    }
+
+    await Widget.persistMigrations([widget]);
+
+    return sendWithRevision(res, 200, revision, {
+      status: 'success',
+      widget
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching widget:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch widget',
+      code: 'WIDGET_FETCH_ERROR'
+    });
+  }
+};
+
+// ========================================
+// CREATE WIDGET
+// ========================================
+
+/**
+ * @route   POST /api/widgets/:workspaceId
+ * @desc    Add one widget to a workspace
+ * @access  Private (API keys: widgets:write)
+ * @body    { id?, type, position?, size?, data?, settings? }
+ * @headers If-Match: "rev-<n>" (optional)
+ *
+ * RESPONSE (201):
+ * { "status": "success", "widget": { "id": "widget-...", "type": "clock", ... }, "revision": 8 }
+ */
+const createWidget = async (req, res) => {
+  try {
+    const widgetData = buildWidget(req, req.body);
+
+    if (widgetData.grid) {
+      widgetData.grid = await findFreeGridSpot(req, widgetData.id, widgetData.grid);
+    }
+
+    const change = await withRevision(workspaceScope(req), req.get('If-Match'), () => Widget.create(widgetData));
+
+    if (!change.success) {
+      return respondRevisionConflict(req, res, change.currentRevision);
+    }
+
+    const widget = change.result;
+
+    await recordRevisions(workspaceScope(req), [widget], {
+      revision: change.revision,
+      action: 'create',
+      actor: actorOf(req)
+    });
+
+    console.log(`✅ Widget created: ${widget.id} (${widget.type}) in workspace: ${req.params.workspaceId}`);
+
+    return sendWithRevision(res, 201, change.revision, {
+      status: 'success',
+      message: 'Widget created',
+      widget
+    });
+
+  } catch (error) {
+    if (isDuplicateKeyError(error)) {
+      // WHY: Trashed widgets keep their id until they are purged
+      // WHY .catch: we're already in the catch block - if this lookup fails
+      // too, the plain 409 below is still a true answer
+      const inTrash = await Widget.exists({ ...workspaceScope(req), ...TRASHED_FILTER, id: req.body.id })
+        .catch((lookupError) => {
+          console.error('❌ Error checking the trash for a duplicate widget id:', lookupError.message);
+          return null;
+        });
+
+      if (inTrash) {
+        return res.status(409).json({
+          status: 'error',
+          message: `Widget ${req.body.id} is in the trash`,
+          code: 'WIDGET_IN_TRASH',
+          hint: `Restore it with POST /api/widgets/${req.params.workspaceId}/trash/${req.body.id}/restore or use another id`
+        });
+      }
+
+      return res.status(409).json({
+        status: 'error',
+        message: `Widget ${req.body.id} already exists in this workspace`,
+        code: 'WIDGET_ALREADY_EXISTS',
+        hint: 'Use PATCH to update an existing widget'
+      });
+    }
+
+    console.error('❌ Error creating widget:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to create widget',
+      code: 'WIDGET_CREATE_ERROR'
+    });
+  }
+};
+
+// ========================================
+// CREATE WIDGET FROM PRESET
+// ========================================
+
+/**
+ * @route   POST /api/widgets/:workspaceId/from-preset/:presetId
+ * @desc    Add a widget built from a saved preset (own or public)
+ * @access  Private (API keys: widgets:write)
+ * @body    { position?, size?, grid? }
+ * @headers If-Match: "rev-<n>" (optional)
+ *
+ * HOW:
+ * 1. The widget gets a fresh id, the preset's type, data and settings
+ * 2. Size: body → preset → type default
+ * 3. The content is checked against the type's CURRENT schema - a preset
+ *    saved under older rules is migrated on load, and if it still doesn't
+ *    pass → 422 PRESET_INVALID (nothing is created)
+ *
+ * LEARNING: The widget is a copy - later changes to the preset don't affect it
+ */
+const createWidgetFromPreset = async (req, res) => {
+  try {
+    const { presetId } = req.params;
+
+    const preset = mongoose.isValidObjectId(presetId)
+      ? await WidgetPreset.findOne({ _id: presetId, $or: [{ userId: req.userId }, { isPublic: true }] })
+      : null;
+
+    if (!preset) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Preset ${presetId} not found`,
+        code: 'PRESET_NOT_FOUND'
+      });
+    }
+
+    const { size: presetSize, data, settings } = preset.toObject();
+
+    const content = validateWidgetContent(preset.type, { data, settings });
+
+    if (!content.success) {
+      return res.status(422).json({
+        status: 'error',
+        message: 'This preset no longer matches its widget type and cannot be used',
+        code: 'PRESET_INVALID',
+        errors: content.errors
+      });
+    }
+
+    const widgetData = buildWidget(req, {
+      type: preset.type,
+      position: req.body.position,
+      size: { ...(presetSize && presetSize.width ? presetSize : {}), ...req.body.size },
+      grid: req.body.grid,
+      data,
+      settings
+    });
+
+    if (widgetData.grid) {
+      widgetData.grid = await findFreeGridSpot(req, widgetData.id, widgetData.grid);
+    }
+
+    const change = await withRevision(workspaceScope(req), req.get('If-Match'), () => Widget.create(widgetData));
+
+    if (!change.success) {
+      return respondRevisionConflict(req, res, change.currentRevision);
+    }
+
+    const widget = change.result;
+
+    await recordRevisions(workspaceScope(req), [widget], {
+      revision: change.revision,
+      action: 'create',
+      actor: actorOf(req)
+    });
+
+    // Best effort - popularity must never fail the create
+    WidgetPreset.updateOne({ _id: preset._id }, { $inc: { usageCount: 1 } }, { timestamps: false })
+      .catch(error => console.error('❌ Failed to count preset usage:', error.message));
+
+    console.log(`✅ Widget created from preset "${preset.name}": ${widget.id} (${widget.type}) in workspace: ${req.params.workspaceId}`);
+
+    return sendWithRevision(res, 201, change.revision, {
+      status: 'success',
+      message: 'Widget created from preset',
+      widget,
+      presetId: preset._id
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating widget from preset:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to create widget from preset',
+      code: 'WIDGET_CREATE_ERROR'
+    });
+  }
+};
+
+// ========================================
+// UPDATE WIDGET (Partial)
+// ========================================
+
+/**
+ * @route   PATCH /api/widgets/:workspaceId/:widgetId
+ * @desc    Change part of a widget
+ * @access  Private (API keys: widgets:write)
+ * @body    { position?, size?, data?, settings?, excludeFromShare? }
+ * @headers If-Match: "rev-<n>" (optional)
+ *
+ * MERGE RULES:
+ * - position / size: only the given coordinates change ({ x: 40 } keeps y)
+ * - grid placement is not changed here - use PUT /:workspaceId/grid so
+ *   overlaps are resolved for the whole workspace
+ * - data / settings: given keys are replaced, other keys are kept
+ * - The merged data/settings must match the widget type's schema → else 400
+ *   WIDGET_VALIDATION_FAILED with field paths ("data.items.0.text")
+ *
+ * EXAMPLE: Move a sticky note
+ * PATCH /api/widgets/default/widget-1712345678901
+ * { "position": { "x": 40, "y": 120 } }
+ */
+const updateWidget = async (req, res) => {
+  try {
+    const { widgetId } = req.params;
+    const { position, size, data, settings, excludeFromShare } = req.body;
+
+    const widget = await Widget.findOne({ ...activeScope(req), id: widgetId });
+
+    if (!widget) {
+      return respondWidgetNotFound(res, widgetId);
+    }
+
+    // WHY merged: A valid patch on top of the stored content must still give a valid widget
+    // WHY known: Legacy keys the schema no longer declares are dropped, not reported
+    const mergedData = data
+      ? { ...knownWidgetContent(widget.type, 'data', widget.data), ...data }
+      : undefined;
+    const mergedSettings = settings
+      ? { ...knownWidgetContent(widget.type, 'settings', widget.settings), ...settings }
+      : undefined;
+
+    const content = validateWidgetContent(widget.type, { data: mergedData, settings: mergedSettings });
+
+    if (!content.success) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        code: 'WIDGET_VALIDATION_FAILED',
+        errors: content.errors,
+        fields: content.errors.map(err => err.field)
+      });
+    }
+
+    // LEARNING: Dotted paths change single coordinates ("position.x")
+    Object.entries(position || {}).forEach(([key, value]) => widget.set(`position.${key}`, value));
+    Object.entries(size || {}).forEach(([key, value]) => widget.set(`size.${key}`, value));
+
+    // LEARNING: Mixed fields aren't change-tracked - markModified tells Mongoose to save them
+    if (mergedData) {
+      widget.data = mergedData;
+      widget.markModified('data');
+    }
+
+    if (mergedSettings) {
+      widget.settings = mergedSettings;
+      widget.markModified('settings');
+    }
+
+    if (excludeFromShare !== undefined) {
+      widget.excludeFromShare = excludeFromShare;
+    }
+
+    const change = await withRevision(workspaceScope(req), req.get('If-Match'), () => widget.save());
+
+    if (!change.success) {
+      return respondRevisionConflict(req, res, change.currentRevision);
+    }
+
+    await recordRevisions(workspaceScope(req), [widget], {
+      revision: change.revision,
+      action: 'update',
+      actor: actorOf(req)
+    });
+
+    return sendWithRevision(res, 200, change.revision, {
+      status: 'success',
+      message: 'Widget updated',
+      widget
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating widget:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to update widget',
+      code: 'WIDGET_UPDATE_ERROR'
+    });
+  }
+};
+
+// ========================================
+// DELETE WIDGET (to trash)
+// ========================================
+
+/**
+ * @route   DELETE /api/widgets/:workspaceId/:widgetId
+ * @desc    Move a widget to the trash
+ * @access  Private (API keys: widgets:write)
+ * @headers If-Match: "rev-<n>" (optional)
+ *
+ * LEARNING: Soft delete - the widget disappears from the workspace but can be
+ * restored until it is purged (WIDGET_TRASH_RETENTION_DAYS, default 30)
+ */
+const deleteWidget = async (req, res) => {
+  try {
+    const { workspaceId, widgetId } = req.params;
+
+    console.log(`🗑️  Trashing widget: ${widgetId} from workspace: ${workspaceId}`);
+
+    const exists = await Widget.exists({ ...activeScope(req), id: widgetId });
+
+    if (!exists) {
+      return respondWidgetNotFound(res, widgetId);
+    }
+
+    const change = await withRevision(workspaceScope(req), req.get('If-Match'), () => trashWidget(workspaceScope(req), widgetId));
+
+    if (!change.success) {
+      return respondRevisionConflict(req, res, change.currentRevision);
+    }
+
+    const widget = change.result;
+
+    // WHY: Another request may have trashed it between the check and now
+    if (!widget) {
+      return respondWidgetNotFound(res, widgetId);
+    }
+
+    await recordRevisions(workspaceScope(req), [widget], {
+      revision: change.revision,
+      action: 'delete',
+      actor: actorOf(req)
+    });
+
+    console.log(`✅ Widget moved to trash (purged ${widget.purgeAt.toISOString()})`);
+
+    return sendWithRevision(res, 200, change.revision, {
+      status: 'success',
+      message: 'Widget moved to trash',
+      widget: {
+        id: widget.id,
+        type: widget.type,
+        deletedAt: widget.deletedAt,
+        purgeAt: widget.purgeAt
+      },
+      hint: `Restore it with POST /api/widgets/${workspaceId}/trash/${widgetId}/restore`
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting widget:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete widget',
+      code: 'WIDGET_DELETE_ERROR'
+    });
+  }
+};
+
+// ========================================
+// LIST TRASH
+// ========================================
+
+/**
+ * @route   GET /api/widgets/:workspaceId/trash
+ * @desc    Widgets in the trash, most recently deleted first
+ * @access  Private (API keys: widgets:read)
+ *
+ * RESPONSE:
+ * { "status": "success", "widgets": [{ "id": "...", "deletedAt": "...", "purgeAt": "...", ... }], "retentionDays": 30 }
+ */
+const getTrash = async (req, res) => {
+  try {
+    const widgets = await listTrash(workspaceScope(req));
+
+    return res.status(200).json({
+      status: 'success',
+      widgets,
+      retentionDays: TRASH_RETENTION_DAYS
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching trash:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch trash',
+      code: 'WIDGET_TRASH_FETCH_ERROR'
+    });
+  }
+};
+
+// ========================================
+// RESTORE FROM TRASH
+// ========================================
+
+/**
+ * @route   POST /api/widgets/:workspaceId/trash/:widgetId/restore
+ * @desc    Put a trashed widget back into the workspace
+ * @access  Private (API keys: widgets:write)
+ * @headers If-Match: "rev-<n>" (optional)
+ *
+ * NOTE: The widget comes back with its old position - the frontend may
+ * move it if something else took its place in the meantime
+ */
+const restoreWidget = async (req, res) => {
+  try {
+    const { widgetId } = req.params;
+
+    const inTrash = await Widget.exists({ ...workspaceScope(req), ...TRASHED_FILTER, id: widgetId });
+
+    if (!inTrash) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Widget ${widgetId} is not in the trash`,
+        code: 'WIDGET_NOT_IN_TRASH'
+      });
+    }
+
+    const change = await withRevision(workspaceScope(req), req.get('If-Match'), async () => {
+      const restored = await restoreTrashedWidget(workspaceScope(req), widgetId);
+
+      // WHY: Another widget may have taken its grid spot while it was in the trash
+      if (restored && restored.grid) {
+        restored.grid = await findFreeGridSpot(req, restored.id, restored.grid);
+        await restored.save();
+      }
+
+      return restored;
+    });
+
+    if (!change.success) {
+      return respondRevisionConflict(req, res, change.currentRevision);
+    }
+
+    const widget = change.result;
+
+    if (!widget) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Widget ${widgetId} is not in the trash`,
+        code: 'WIDGET_NOT_IN_TRASH'
+      });
+    }
+
+    await recordRevisions(workspaceScope(req), [widget], {
+      revision: change.revision,
+      action: 'restore',
+      actor: actorOf(req)
+    });
+
+    console.log(`♻️  Widget restored: ${widgetId} in workspace: ${req.params.workspaceId}`);
+
+    return sendWithRevision(res, 200, change.revision, {
+      status: 'success',
+      message: 'Widget restored',
+      widget
+    });
+
+  } catch (error) {
+    console.error('❌ Error restoring widget:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to restore widget',
+      code: 'WIDGET_RESTORE_ERROR'
+    });
+  }
+};
+
+// ========================================
+// GRID LAYOUT
+// ========================================
+
+/**
+ * @route   PUT /api/widgets/:workspaceId/grid
+ * @desc    Place widgets on the grid - overlaps are resolved server-side
+ * @access  Private (API keys: widgets:write)
+ * @body    { breakpoint?: 'lg' | 'md' | 'sm' | 'xs', layout: [{ widgetId, x, y, w, h, z? }],
+ *            compact?: 'vertical' | 'horizontal' | 'none', dryRun?: boolean }
+ * @headers If-Match: "rev-<n>" (optional)
+ *
+ * HOW IT WORKS:
+ * 1. Rectangles are checked against the breakpoint's columns (validators.js)
+ *    lg (default) is the master layout; md/sm/xs store a layout for that
+ *    screen size only
+ * 2. Widgets NOT in the list keep their current rectangle at this breakpoint
+ * 3. compact 'vertical' (default) / 'horizontal' → overlaps are resolved and
+ *    gaps removed (utils/gridLayout.js)
+ *    compact 'none' → overlaps are rejected with 409 GRID_OVERLAP
+ * 4. dryRun: true → returns the normalized layout without saving
+ *
+ * RESPONSE (layout = the full layout for this breakpoint, as GET ?breakpoint= returns it):
+ * {
+ *   "status": "success",
+ *   "breakpoint": "lg",
+ *   "layout": [{ "widgetId": "...", "x": 0, "y": 0, "w": 6, "h": 2, "z": 0 }],
+ *   "overlaps": [{ "widgetIds": ["a", "b"] }],   ← found in the request (and resolved)
+ *   "changed": ["b"],                              ← widgets whose rectangle changed
+ *   "revision": 9
+ * }
+ *
+ * LEARNING: The response is the single source of truth - clients render
+ * this layout instead of arranging widgets themselves
+ */
+const updateGrid = async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+    const { breakpoint, layout, compact, dryRun } = req.body;
+
+    const widgets = await Widget.find(activeScope(req));
+    const widgetsById = new Map(widgets.map(widget => [widget.id, widget]));
+
+    // STEP 1: Every listed widget must exist in this workspace
+    const unknownIds = layout.map(item => item.widgetId).filter(id => !widgetsById.has(id));
+
+    if (unknownIds.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Unknown widget(s) in layout: ${unknownIds.join(', ')}`,
+        code: 'GRID_UNKNOWN_WIDGETS',
+        widgetIds: unknownIds
+      });
+    }
+
+    // STEP 2: Requested rectangles + current rectangles of unlisted widgets
+    const listedIds = new Set(layout.map(item => item.widgetId));
+    const currentItems = widgets
+      .filter(widget => gridOf(widget, breakpoint))
+      .map(widget => toGridItem(widget, breakpoint));
+    const requestedItems = [
+      ...layout.map(item => ({ z: 0, ...item })),
+      ...currentItems.filter(item => !listedIds.has(item.widgetId))
+    ];
+
+    const overlaps = findOverlaps(requestedItems);
+
+    if (compact === 'none' && overlaps.length > 0) {
+      return res.status(409).json({
+        status: 'error',
+        message: `${overlaps.length} overlap(s) found - nothing was saved`,
+        code: 'GRID_OVERLAP',
+        overlaps,
+        hint: 'Move the widgets apart or send compact: "vertical" to resolve overlaps automatically'
+      });
+    }
+
+    // STEP 3: Normalize (changes are applied in memory only for now)
+    const normalized = compactLayout(requestedItems, compact, { columns: BREAKPOINTS[breakpoint] });
+    const changed = changedItems(currentItems, normalized);
+    const gridPath = breakpoint === LARGEST_BREAKPOINT ? 'grid' : `breakpointGrids.${breakpoint}`;
+
+    const changedWidgets = normalized
+      .filter(item => changed.includes(item.widgetId))
+      .map(({ widgetId, ...grid }) => {
+        const widget = widgetsById.get(widgetId);
+        widget.set(gridPath, grid);
+        return widget;
+      });
+
+    if (dryRun) {
+      return res.status(200).json({
+        status: 'success',
+        message: 'Preview only - nothing was saved',
+        dryRun: true,
+        breakpoint,
+        layout: buildBreakpointLayout(widgets, breakpoint),
+        overlaps,
+        changed
+      });
+    }
+
+    // STEP 4: Store only what changed (under the If-Match check)
+    const change = await withRevision(workspaceScope(req), req.get('If-Match'), async () => {
+      if (changedWidgets.length > 0) {
+        await Widget.bulkWrite(changedWidgets.map(widget => ({
+          updateOne: {
+            filter: { ...activeScope(req), id: widget.id },
+            update: { $set: { [gridPath]: widget.get(gridPath).toObject() } }
+          }
+        })));
+      }
+
+      return changedWidgets;
+    });
+
+    if (!change.success) {
+      return respondRevisionConflict(req, res, change.currentRevision);
+    }
+
+    // WHY lg only: The history keeps the master layout (smaller ones derive from it)
+    if (breakpoint === LARGEST_BREAKPOINT) {
+      await recordRevisions(workspaceScope(req), changedWidgets, {
+        revision: change.revision,
+        action: 'layout',
+        actor: actorOf(req)
+      });
+    }
+
+    console.log(`📐 Grid saved for workspace: ${workspaceId} [${breakpoint}] (${changed.length} moved, ${overlaps.length} overlaps resolved, ${compact})`);
+
+    return sendWithRevision(res, 200, change.revision, {
+      status: 'success',
+      message: 'Grid layout saved',
+      breakpoint,
+      layout: buildBreakpointLayout(widgets, breakpoint),
+      overlaps,
+      changed
+    });
+
+  } catch (error) {
+    console.error('❌ Error saving grid layout:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to save grid layout',
+      code: 'GRID_SAVE_ERROR'
+    });
+  }
+};
+
+// ========================================
+// WIDGET HISTORY
+// ========================================
+
+/**
+ * HELPER: Reads :revision as a positive integer (null when it isn't one)
+ */
+const parseRevisionParam = (value) => {
+  const revision = Number(value);
+  return Number.isInteger(revision) && revision > 0 ? revision : null;
+};
+
+/**
+ * HELPER: Sends 404 for revisions that don't exist (or were pruned)
+ */
+const respondRevisionNotFound = (res, widgetId, revision) => {
+  return res.status(404).json({
+    status: 'error',
+    message: `Revision ${revision} of widget ${widgetId} not found`,
+    code: 'WIDGET_REVISION_NOT_FOUND',
+    hint: `Only the newest ${REVISION_LIMIT} revisions of a widget are kept`
+  });
+};
+
+/**
+ * @route   GET /api/widgets/:workspaceId/:widgetId/revisions
+ * @desc    Change history of a widget, newest first (without content)
+ * @access  Private (API keys: widgets:read)
+ *
+ * RESPONSE:
+ * {
+ *   "status": "success",
+ *   "revisions": [
+ *     { "revision": 12, "action": "update", "changedBy": "...", "via": "session",
+ *       "changedFields": ["data.content"], "createdAt": "..." }
+ *   ]
+ * }
+ *
+ * NOTE: Also works for widgets in the trash (to see who deleted them)
+ */
+const getWidgetRevisions = async (req, res) => {
+  try {
+    const { widgetId } = req.params;
+
+    const revisions = await listRevisions(workspaceScope(req), widgetId);
+
+    if (revisions.length === 0) {
+      return respondWidgetNotFound(res, widgetId);
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      revisions: revisions.map(entry => entry.toSummary()),
+      limit: REVISION_LIMIT
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching widget revisions:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch widget history',
+      code: 'WIDGET_REVISIONS_FETCH_ERROR'
+    });
+  }
+};
+
+/**
+ * @route   GET /api/widgets/:workspaceId/:widgetId/revisions/:revision
+ * @desc    One revision with the full widget snapshot
+ * @access  Private (API keys: widgets:read)
+ */
+const getWidgetRevision = async (req, res) => {
+  try {
+    const { widgetId } = req.params;
+    const revision = parseRevisionParam(req.params.revision);
+
+    const entry = revision && await getRevisionEntry(workspaceScope(req), widgetId, revision);
+
+    if (!entry) {
+      return respondRevisionNotFound(res, widgetId, req.params.revision);
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      revision: {
+        ...entry.toSummary(),
+        snapshot: entry.snapshot
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching widget revision:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch widget revision',
+      code: 'WIDGET_REVISION_FETCH_ERROR'
+    });
+  }
+};
+
+/**
+ * @route   POST /api/widgets/:workspaceId/:widgetId/revisions/:revision/revert
+ * @desc    Put a widget back to how it was at that revision
+ * @access  Private (API keys: widgets:write)
+ * @headers If-Match: "rev-<n>" (optional)
+ *
+ * HOW:
+ * - position, size, grid, breakpoint grids, data, settings and the share flag
+ *   are copied from the snapshot (the grid rectangle moves down if another
+ *   widget sits there now)
+ * - Snapshots from an older schemaVersion are migrated first
+ * - The revert itself becomes a new revision, so it can be undone too
+ *
+ * NOTE: Trashed widgets must be restored before they can be reverted
+ */
+const revertWidget = async (req, res) => {
+  try {
+    const { widgetId } = req.params;
+    const revision = parseRevisionParam(req.params.revision);
+
+    const [widget, entry] = await Promise.all([
+      Widget.findOne({ ...activeScope(req), id: widgetId }),
+      revision ? getRevisionEntry(workspaceScope(req), widgetId, revision) : null
+    ]);
+
+    if (!widget) {
+      return respondWidgetNotFound(res, widgetId);
+    }
+
+    if (!entry) {
+      return respondRevisionNotFound(res, widgetId, req.params.revision);
+    }
+
+    // STEP 1: Bring the old content to the current schema version
+    const { snapshot } = entry.toObject();
+    const upgrade = upgradeWidget(snapshot);
+    const content = upgrade.upgraded
+      ? { data: upgrade.data, settings: upgrade.settings }
+      : { data: snapshot.data, settings: snapshot.settings };
+
+    const validation = validateWidgetContent(widget.type, content);
+
+    if (!validation.success) {
+      return res.status(422).json({
+        status: 'error',
+        message: `Revision ${revision} no longer matches the ${widget.type} schema and can't be restored`,
+        code: 'WIDGET_REVISION_INVALID',
+        errors: validation.errors
+      });
+    }
+
+    // STEP 2: Apply the snapshot
+    widget.position = snapshot.position;
+    widget.size = snapshot.size;
+    widget.grid = snapshot.grid ? await findFreeGridSpot(req, widget.id, snapshot.grid) : null;
+    // WHY the checks: snapshots recorded before these fields existed keep the current values
+    Object.entries(snapshot.breakpointGrids || {})
+      .filter(([, grid]) => grid !== undefined)
+      .forEach(([breakpoint, grid]) => widget.set(`breakpointGrids.${breakpoint}`, grid));
+    if (typeof snapshot.excludeFromShare === 'boolean') widget.excludeFromShare = snapshot.excludeFromShare;
+    widget.data = content.data;
+    widget.settings = content.settings;
+    widget.markModified('data');
+    widget.markModified('settings');
+
+    // STEP 3: Save under the If-Match check
+    const change = await withRevision(workspaceScope(req), req.get('If-Match'), () => widget.save());
+
+    if (!change.success) {
+      return respondRevisionConflict(req, res, change.currentRevision);
+    }
+
+    await recordRevisions(workspaceScope(req), [widget], {
+      revision: change.revision,
+      action: 'revert',
+      actor: actorOf(req),
+      revertedFrom: revision
+    });
+
+    console.log(`⏪ Widget ${widgetId} reverted to revision ${revision}`);
+
+    return sendWithRevision(res, 200, change.revision, {
+      status: 'success',
+      message: `Widget reverted to revision ${revision}`,
+      widget
+    });
+
+  } catch (error) {
+    console.error('❌ Error reverting widget:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to revert widget',
+      code: 'WIDGET_REVERT_ERROR'
+    });
+  }
+};
+
+// ========================================
+// REPLACE LAYOUT (Bulk)
+// ========================================
+
+/**
+ * @route   PUT /api/widgets/:workspaceId/layout
+ * @desc    Replace ALL widgets of a workspace with the given list
+ * @access  Private (API keys: widgets:write)
+ * @body    { widgets: [{ id?, type, position, size, data, settings }, ...] }
+ * @headers If-Match: "rev-<n>" (recommended - without it the last save wins)
+ *
+ * WARNING: Widgets missing from the list are moved to the trash.
+ * Trashed widgets whose id is in the list are replaced by the new version.
+ * For everyday edits use POST / PATCH / DELETE on single widgets.
+ *
+ * ALL-OR-NOTHING: Either the whole new layout is stored or the old one stays
+ * (see layoutService). Invalid widgets → 400 listing every problem:
+ * { "code": "WIDGET_VALIDATION_FAILED", "invalidWidgets": [{ "index": 2, "id": "...", "errors": [...] }] }
+ */
+const replaceLayout = async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+
+    // STEP 1: Validate every widget before touching the database
+    const layout = prepareLayout(workspaceScope(req), req.body.widgets);
+
+    if (!layout.valid) {
+      return res.status(400).json({
+        status: 'error',
+        message: `${layout.invalidWidgets.length} widget(s) are invalid - nothing was saved`,
+        code: 'WIDGET_VALIDATION_FAILED',
+        invalidWidgets: layout.invalidWidgets
+      });
+    }
+
+    // WHY: Widgets left out of the layout are trashed - remember them for the history
+    const previousIds = await Widget.distinct('id', activeScope(req));
+
+    // STEP 2: Swap the layout all-or-nothing, under the If-Match check
+    const change = await withRevision(workspaceScope(req), req.get('If-Match'), () => {
+      console.log(`💾 Replacing layout of workspace: ${workspaceId} with ${layout.widgets.length} widgets`);
+      return replaceWidgets(workspaceScope(req), layout.widgets);
+    });
+
+    if (!change.success) {
+      console.log(`⚠️  Stale layout save rejected for workspace: ${workspaceId} (current revision ${change.currentRevision})`);
+      return respondRevisionConflict(req, res, change.currentRevision);
+    }
+
+    const { widgets: savedWidgets, strategy } = change.result;
+
+    console.log(`✅ Saved ${savedWidgets.length} widgets (${strategy})`);
+
+    // STEP 3: History - changed widgets as "layout", left-out widgets as "delete"
+    const savedIds = new Set(savedWidgets.map(widget => widget.id));
+    const historyChange = { revision: change.revision, actor: actorOf(req) };
+
+    // WHY re-read: the trashed copies carry purgeAt, which their history follows
+    const leftOutIds = previousIds.filter(id => !savedIds.has(id));
+    const trashedWidgets = leftOutIds.length > 0
+      ? await Widget.find({ ...workspaceScope(req), ...TRASHED_FILTER, id: { $in: leftOutIds } })
+      : [];
+
+    await recordRevisions(workspaceScope(req), savedWidgets, { ...historyChange, action: 'layout' });
+    await recordRevisions(workspaceScope(req), trashedWidgets, { ...historyChange, action: 'delete' });
+
+    return sendWithRevision(res, 200, change.revision, {
+      status: 'success',
+      message: `Saved ${savedWidgets.length} widgets`,
+      widgets: savedWidgets
+    });
+
+  } catch (error) {
+    console.error('❌ Error replacing layout:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to save widgets - the previous layout was kept',
+      code: 'LAYOUT_SAVE_ERROR'
+    });
+  }
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  getWidgets,
+  getWidget,
+  createWidget,
+  createWidgetFromPreset,
+  updateWidget,
+  deleteWidget,
+  getTrash,
+  restoreWidget,
+  updateGrid,
+  getWidgetRevisions,
+  getWidgetRevision,
+  revertWidget,
+  replaceLayout
+};
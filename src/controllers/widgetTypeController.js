@@ -0,0 +1,56 @@
+const { listWidgetTypes } = require('../services/widgetRegistry');
+
+/**
+ * WHAT THIS FILE DOES: Tells the frontend which widget types exist
+ *
+ * WHY: The "add widget" menu, default sizes and starting content come from
+ * the backend registry - a new type shows up without a frontend release
+ */
+
+// WHY: The registry only changes with a deploy
+const WIDGET_TYPES_MAX_AGE_SECONDS = 60 * 60;
+
+// ========================================
+// LIST WIDGET TYPES
+// ========================================
+
+/**
+ * @route   GET /api/widget-types
+ * @desc    All registered widget types with their defaults
+ * @access  Public
+ *
+ * RESPONSE:
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "widgetTypes": [
+ *       {
+ *         "type": "sticky-note",
+ *         "label": "Sticky Note",
+ *         "schemaVersion": 1,
+ *         "defaultSize": { "width": 250, "height": 250 },
+ *         "defaultData": { "content": "" },
+ *         "defaultSettings": { "color": "yellow", "fontSize": 14 }
+ *       }
+ *     ]
+ *   }
+ * }
+ */
+const getWidgetTypes = (req, res) => {
+  res.set('Cache-Control', `public, max-age=${WIDGET_TYPES_MAX_AGE_SECONDS}`);
+
+  return res.status(200).json({
+    status: 'success',
+    data: {
+      widgetTypes: listWidgetTypes()
+    }
+  });
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  getWidgetTypes
+};
@@ -1 +1,640 @@
-// src/controllers/workspaceController.js - Placeholder for implementation
+const mongoose = require('mongoose');
+const {
+  listWorkspaces,
+  createWorkspace: createNewWorkspace,
+  deleteWorkspace: deleteWorkspaceCascade,
+  cloneWorkspace: cloneWorkspaceWithWidgets,
+  workspaceScopeOf,
+  listMembers,
+  addMember: addWorkspaceMember,
+  updateMemberRole,
+  removeMember: removeWorkspaceMember
+} = require('../services/workspaceService');
+const { claimRevision } = require('../services/layoutRevisionService');
+const { actorOf, recordRevisions } = require('../services/widgetHistoryService');
+const { buildBundle, importBundle } = require('../services/workspaceBundleService');
+
+/**
+ * WHAT THIS FILE DOES: Creates, lists, renames and deletes workspaces
+ *
+ * LEARNING: A workspace is the container, widgets live in it
+ * (/api/widgets/:workspaceId). Every user always has a default workspace -
+ * 'default' in a URL is a shortcut for it.
+ *
+ * NOTE: :workspaceId routes get req.workspace and req.workspaceRole from
+ * loadWorkspace (middleware/workspaceMiddleware.js) - it already answered 404
+ * if the workspace doesn't exist or the caller has no access
+ *
+ * SHARING: The owner adds members as editor (change widgets) or viewer
+ * (read only). Settings, members and deleting stay with the owner.
+ */
+
+// ========================================
+// LIST WORKSPACES
+// ========================================
+
+/**
+ * @route   GET /api/workspaces
+ * @desc    List the user's workspaces (default first), then shared ones
+ * @access  Private (API keys need scope: widgets:read)
+ *
+ * RESPONSE:
+ * {
+ *   "status": "success",
+ *   "count": 2,
+ *   "data": {
+ *     "workspaces": [
+ *       { "_id": "...", "name": "My Workspace", "isDefault": true, "role": "owner", "widgetCount": 5, ... },
+ *       { "_id": "...", "name": "Team planning", "role": "editor", "memberCount": 4, "widgetCount": 12, ... }
+ *     ]
+ *   }
+ * }
+ */
+const getWorkspaces = async (req, res) => {
+  try {
+    const entries = await listWorkspaces(req.userId);
+
+    return res.status(200).json({
+      status: 'success',
+      count: entries.length,
+      data: {
+        workspaces: entries.map(({ workspace, widgetCount }) => ({
+          ...workspace.toPublicObject(req.userId),
+          widgetCount
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching workspaces:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch workspaces',
+      code: 'WORKSPACES_FETCH_ERROR'
+    });
+  }
+};
+
+// ========================================
+// GET WORKSPACE
+// ========================================
+
+/**
+ * @route   GET /api/workspaces/:workspaceId
+ * @desc    Get one workspace
+ * @access  Private (API keys need scope: widgets:read)
+ */
+const getWorkspace = (req, res) => {
+  return res.status(200).json({
+    status: 'success',
+    data: {
+      workspace: req.workspace.toPublicObject(req.userId)
+    }
+  });
+};
+
+// ========================================
+// CREATE WORKSPACE
+// ========================================
+
+/**
+ * @route   POST /api/workspaces
+ * @desc    Create an empty workspace
+ * @access  Private (API keys need scope: widgets:write)
+ * @body    { name, description?, theme?: { primaryColor?, backgroundColor? } }
+ *
+ * NEXT STEP for the client: add widgets with POST /api/widgets/<_id>
+ */
+const createWorkspace = async (req, res) => {
+  try {
+    const result = await createNewWorkspace(req.userId, req.body);
+
+    if (!result.success) {
+      return res.status(400).json({
+        status: 'error',
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    console.log(`✅ Workspace created: "${result.workspace.name}" (${result.workspace._id}) by user ${req.userId}`);
+
+    return res.status(201).json({
+      status: 'success',
+      message: 'Workspace created',
+      data: {
+        workspace: result.workspace.toPublicObject(req.userId)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating workspace:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to create workspace',
+      code: 'WORKSPACE_CREATE_ERROR'
+    });
+  }
+};
+
+// ========================================
+// UPDATE WORKSPACE
+// ========================================
+
+/**
+ * @route   PATCH /api/workspaces/:workspaceId
+ * @desc    Rename a workspace or change its description / theme
+ * @access  Private - owner only (API keys need scope: widgets:write)
+ * @body    { name?, description?, theme? }
+ */
+const updateWorkspace = async (req, res) => {
+  try {
+    const { workspace } = req;
+    const { name, description, theme } = req.body;
+
+    if (name !== undefined) workspace.name = name;
+    if (description !== undefined) workspace.description = description;
+
+    if (theme) {
+      Object.entries(theme).forEach(([key, value]) => {
+        workspace.theme[key] = value;
+      });
+    }
+
+    await workspace.save();
+
+    console.log(`📝 Workspace updated: "${workspace.name}" (${workspace._id})`);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Workspace updated',
+      data: {
+        workspace: workspace.toPublicObject(req.userId)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating workspace:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to update workspace',
+      code: 'WORKSPACE_UPDATE_ERROR'
+    });
+  }
+};
+
+// ========================================
+// DELETE WORKSPACE
+// ========================================
+
+/**
+ * @route   DELETE /api/workspaces/:workspaceId
+ * @desc    Delete a workspace with ALL its widgets (not restorable)
+ * @access  Private - owner only (API keys need scope: workspaces:admin)
+ *
+ * WARNING: Unlike deleting a widget, nothing goes to the trash - the widgets,
+ * their history and the trash of this workspace are removed for good
+ */
+const deleteWorkspace = async (req, res) => {
+  try {
+    const { workspace } = req;
+    const result = await deleteWorkspaceCascade(workspace);
+
+    if (!result.success) {
+      return res.status(400).json({
+        status: 'error',
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    console.log(`🗑️  Workspace deleted: "${workspace.name}" (${workspace._id}) with ${result.deletedWidgets} widgets`);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Workspace deleted',
+      data: {
+        deletedWidgets: result.deletedWidgets
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting workspace:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete workspace',
+      code: 'WORKSPACE_DELETE_ERROR'
+    });
+  }
+};
+
+// ========================================
+// CLONE WORKSPACE
+// ========================================
+
+/**
+ * HELPER: The widgets of a new workspace (clone, import) start its history
+ * as revision 1
+ */
+const recordInitialRevisions = async (req, workspace, widgets) => {
+  if (widgets.length === 0) return;
+
+  const claim = await claimRevision(workspaceScopeOf(workspace));
+
+  await recordRevisions(workspaceScopeOf(workspace), widgets, {
+    revision: claim.revision,
+    action: 'create',
+    actor: actorOf(req)
+  });
+};
+
+/**
+ * @route   POST /api/workspaces/:workspaceId/clone
+ * @desc    Copy a workspace with all its widgets (e.g. next sprint's board)
+ * @access  Private - any role, the copy belongs to the caller (API keys need scope: widgets:write)
+ * @body    { name?, description?, data?: 'keep' | 'reset' | 'defaults' }
+ *
+ * DATA OPTIONS:
+ * - keep (default): widgets are copied with their content
+ * - reset: progress is cleared - completed todos removed, habit check-ins wiped,
+ *   timers restarted; notes and links are kept
+ * - defaults: every widget starts empty (its type's default content)
+ *
+ * RESPONSE:
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "workspace": { "_id": "...", "name": "Sprint 14 (copy)", ... },
+ *     "widgetCount": 8,
+ *     "idMap": { "widget-old-1": "widget-new-1", ... }
+ *   }
+ * }
+ *
+ * LEARNING: Widgets get new ids; idMap lets a client carry over its own
+ * per-widget state (e.g. collapsed panels)
+ */
+const cloneWorkspace = async (req, res) => {
+  try {
+    const result = await cloneWorkspaceWithWidgets(req.workspace, req.userId, req.body);
+
+    if (!result.success) {
+      return res.status(400).json({
+        status: 'error',
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    const { workspace, widgets, idMap } = result;
+
+    await recordInitialRevisions(req, workspace, widgets);
+
+    console.log(`📑 Workspace cloned: ${req.workspace._id} → ${workspace._id} (${widgets.length} widgets, data: ${req.body.data})`);
+
+    return res.status(201).json({
+      status: 'success',
+      message: 'Workspace cloned',
+      data: {
+        workspace: workspace.toPublicObject(req.userId),
+        widgetCount: widgets.length,
+        idMap
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error cloning workspace:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to clone workspace',
+      code: 'WORKSPACE_CLONE_ERROR'
+    });
+  }
+};
+
+// ========================================
+// EXPORT / IMPORT
+// ========================================
+
+/**
+ * @route   GET /api/workspaces/:workspaceId/export
+ * @desc    Download the workspace as a JSON bundle
+ * @access  Private - any role (API keys need scope: widgets:read)
+ *
+ * RESPONSE: The bundle itself (no status/data envelope), so the download can
+ * be sent back to POST /api/workspaces/import unchanged.
+ * Format documented in services/workspaceBundleService.js
+ */
+const exportWorkspace = async (req, res) => {
+  try {
+    const bundle = await buildBundle(req.workspace);
+
+    // WHY a safe filename: the workspace name is user input
+    const filename = `${req.workspace.name.replace(/[^\w-]+/g, '-').toLowerCase() || 'workspace'}.holodesk.json`;
+
+    console.log(`📦 Workspace exported: ${req.workspace._id} (${bundle.widgets.length} widgets)`);
+
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.status(200).json(bundle);
+
+  } catch (error) {
+    console.error('❌ Error exporting workspace:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to export workspace',
+      code: 'WORKSPACE_EXPORT_ERROR'
+    });
+  }
+};
+
+/**
+ * @route   POST /api/workspaces/import
+ * @desc    Create a new workspace from an exported bundle
+ * @access  Private (API keys need scope: widgets:write)
+ * @body    { bundle, name?, onConflict?: 'fail' | 'skip', dryRun?: boolean }
+ *
+ * CONFLICTS: Widgets that can't be imported (unknown type, too new, invalid
+ * content, duplicate ref) are listed in `conflicts`
+ * - onConflict 'fail' (default): 409 IMPORT_CONFLICTS, nothing is created
+ * - onConflict 'skip': the other widgets are imported
+ * dryRun: true runs every check and returns the report without creating anything
+ *
+ * RESPONSE (201):
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "workspace": { "_id": "...", "name": "Sprint 14 (2)", ... },
+ *     "widgetCount": 7,
+ *     "idMap": { "w1": "widget-...", ... },
+ *     "conflicts": [{ "index": 3, "ref": "w4", "code": "UNKNOWN_WIDGET_TYPE", "message": "..." }],
+ *     "renamedTo": "Sprint 14 (2)",
+ *     "upgradedFrom": null
+ *   }
+ * }
+ *
+ * LEARNING: Every import gets new ids - importing the same bundle twice
+ * gives two separate workspaces
+ */
+const importWorkspace = async (req, res) => {
+  try {
+    const result = await importBundle(req.userId, req.body);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        status: 'error',
+        message: result.error,
+        code: result.code,
+        ...(result.conflicts && { conflicts: result.conflicts })
+      });
+    }
+
+    const { conflicts, renamedTo, upgradedFrom } = result;
+
+    if (result.dryRun) {
+      return res.status(200).json({
+        status: 'success',
+        message: 'Bundle can be imported (dry run, nothing created)',
+        data: { widgetCount: result.widgets.length, conflicts, renamedTo, upgradedFrom }
+      });
+    }
+
+    const { workspace, widgets, idMap } = result;
+
+    await recordInitialRevisions(req, workspace, widgets);
+
+    console.log(`📥 Workspace imported: ${workspace._id} (${widgets.length} widgets, ${conflicts.length} skipped)`);
+
+    return res.status(201).json({
+      status: 'success',
+      message: 'Workspace imported',
+      data: {
+        workspace: workspace.toPublicObject(req.userId),
+        widgetCount: widgets.length,
+        idMap,
+        conflicts,
+        renamedTo,
+        upgradedFrom
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error importing workspace:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to import workspace',
+      code: 'WORKSPACE_IMPORT_ERROR'
+    });
+  }
+};
+
+// ========================================
+// MEMBERS
+// ========================================
+
+/**
+ * HELPER: Sends 404 for users who aren't members of this workspace
+ */
+const respondMemberNotFound = (res, userId) => {
+  return res.status(404).json({
+    status: 'error',
+    message: `User ${userId} is not a member of this workspace`,
+    code: 'WORKSPACE_MEMBER_NOT_FOUND'
+  });
+};
+
+/**
+ * @route   GET /api/workspaces/:workspaceId/members
+ * @desc    Who has access (owner first)
+ * @access  Private - any role (API keys need scope: widgets:read)
+ *
+ * RESPONSE:
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "members": [
+ *       { "userId": "...", "name": "Ada", "email": "ada@example.com", "role": "owner", "addedAt": "..." },
+ *       { "userId": "...", "name": "Linus", "email": "linus@example.com", "role": "viewer", "addedAt": "..." }
+ *     ]
+ *   }
+ * }
+ */
+const getMembers = async (req, res) => {
+  try {
+    const members = await listMembers(req.workspace);
+
+    return res.status(200).json({
+      status: 'success',
+      count: members.length,
+      data: {
+        members
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching workspace members:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch workspace members',
+      code: 'WORKSPACE_MEMBERS_FETCH_ERROR'
+    });
+  }
+};
+
+/**
+ * @route   POST /api/workspaces/:workspaceId/members
+ * @desc    Share the workspace with a registered user
+ * @access  Private - owner only (API keys need scope: workspaces:share)
+ * @body    { email, role: 'editor' | 'viewer' }
+ */
+const addMember = async (req, res) => {
+  try {
+    const result = await addWorkspaceMember(req.workspace, req.body, req.userId);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        status: 'error',
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    console.log(`👥 Workspace ${req.workspace._id} shared with ${result.member.email} as ${result.member.role}`);
+
+    return res.status(201).json({
+      status: 'success',
+      message: 'Member added',
+      data: {
+        member: {
+          userId: result.member.userId,
+          name: result.member.name,
+          email: result.member.email,
+          role: result.member.role,
+          addedAt: result.member.addedAt
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error adding workspace member:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to add member',
+      code: 'WORKSPACE_MEMBER_ADD_ERROR'
+    });
+  }
+};
+
+/**
+ * @route   PATCH /api/workspaces/:workspaceId/members/:userId
+ * @desc    Change a member's role
+ * @access  Private - owner only (API keys need scope: workspaces:share)
+ * @body    { role: 'editor' | 'viewer' }
+ */
+const updateMember = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const workspace = mongoose.isValidObjectId(userId)
+      ? await updateMemberRole(req.workspace, userId, req.body.role)
+      : null;
+
+    if (!workspace) {
+      return respondMemberNotFound(res, userId);
+    }
+
+    console.log(`👥 Workspace ${workspace._id}: ${userId} is now ${req.body.role}`);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Member role updated',
+      data: {
+        member: { userId, role: req.body.role }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating workspace member:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to update member',
+      code: 'WORKSPACE_MEMBER_UPDATE_ERROR'
+    });
+  }
+};
+
+/**
+ * @route   DELETE /api/workspaces/:workspaceId/members/:userId
+ * @desc    Remove a member - or leave a shared workspace (own userId)
+ * @access  Private - owner, or the member themselves (API keys need scope: workspaces:share)
+ *
+ * LEARNING: Access ends immediately - the next request of the removed user
+ * gets 404 from loadWorkspace
+ */
+const removeMember = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const isSelf = userId === String(req.userId);
+
+    if (req.workspaceRole !== 'owner' && !isSelf) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only the owner can remove other members',
+        code: 'WORKSPACE_ROLE_REQUIRED',
+        requiredRoles: ['owner'],
+        workspaceRole: req.workspaceRole
+      });
+    }
+
+    const workspace = mongoose.isValidObjectId(userId)
+      ? await removeWorkspaceMember(req.workspace, userId)
+      : null;
+
+    if (!workspace) {
+      return respondMemberNotFound(res, userId);
+    }
+
+    console.log(`👥 Workspace ${workspace._id}: ${userId} ${isSelf ? 'left' : 'removed'}`);
+
+    return res.status(200).json({
+      status: 'success',
+      message: isSelf ? 'You left the workspace' : 'Member removed'
+    });
+
+  } catch (error) {
+    console.error('❌ Error removing workspace member:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to remove member',
+      code: 'WORKSPACE_MEMBER_REMOVE_ERROR'
+    });
+  }
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  getWorkspaces,
+  getWorkspace,
+  createWorkspace,
+  updateWorkspace,
+  deleteWorkspace,
+  cloneWorkspace,
+  exportWorkspace,
+  importWorkspace,
+  getMembers,
+  addMember,
+  updateMember,
+  removeMember
+};
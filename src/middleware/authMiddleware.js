@@ -1,4 +1,6 @@
 const { verifyAccessToken } = require('../services/tokenService');
+const { isSessionActive } = require('../services/sessionService');
+const { isApiKey, authenticateApiKey } = require('../services/apiKeyService');
 const User = require('../models/User');
 
 /**
@@ -15,8 +17,84 @@ const User = require('../models/User');
  * 1. Block the request (send error response)
  * 2. Modify the request (add req.user)
  * 3. Pass control to next middleware (call next())
+ * 
+ * CREDENTIALS (both sent as "Authorization: Bearer <credential>"):
+ * - Access token (JWT) from login → full access, bound to a session
+ * - Personal API key (hdk_...) → only what its scopes allow (see requireScope)
  */
 
+// ========================================
+// CREDENTIAL CHECK
+// ========================================
+
+/**
+ * HELPER: Verifies an access token or API key
+ *
+ * RETURNS:
+ * { valid: true, userId, sessionId, apiKey }   (sessionId OR apiKey is null)
+ * { valid: false, message, code }
+ */
+const verifyCredential = async (token, req) => {
+  // Personal API key
+  if (isApiKey(token)) {
+    const result = await authenticateApiKey(token, req.ip);
+
+    if (!result.valid) {
+      return { valid: false, message: result.error, code: result.code };
+    }
+
+    return {
+      valid: true,
+      userId: result.apiKey.userId.toString(),
+      sessionId: null,
+      apiKey: result.apiKey
+    };
+  }
+
+  // Access token (JWT)
+  const verification = verifyAccessToken(token);
+
+  if (!verification.valid) {
+    // LEARNING: Different error responses for different scenarios
+    if (verification.expired) {
+      return {
+        valid: false,
+        message: 'Token has expired. Please refresh your token.',
+        code: 'TOKEN_EXPIRED'
+      };
+    }
+
+    if (verification.revoked) {
+      return {
+        valid: false,
+        message: 'Session has been revoked. Please login again.',
+        code: 'SESSION_REVOKED'
+      };
+    }
+
+    return {
+      valid: false,
+      message: verification.error || 'Invalid token',
+      code: 'INVALID_TOKEN'
+    };
+  }
+
+  const { userId, sid: sessionId } = verification.decoded;
+
+  // WHY: Logout revokes the session, which must kill its access tokens too
+  const sessionActive = await isSessionActive(sessionId, userId);
+
+  if (!sessionActive) {
+    return {
+      valid: false,
+      message: 'Session has been revoked. Please login again.',
+      code: 'SESSION_REVOKED'
+    };
+  }
+
+  return { valid: true, userId, sessionId, apiKey: null };
+};
+
 // ========================================
 // MAIN AUTH MIDDLEWARE
 // ========================================
@@ -54,28 +132,19 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
-    // STEP 3: Verify token using tokenService
-    const verification = verifyAccessToken(token);
-
-    if (!verification.valid) {
-      // LEARNING: Different error responses for different scenarios
-      if (verification.expired) {
-        return res.status(401).json({
-          status: 'error',
-          message: 'Token has expired. Please refresh your token.',
-          code: 'TOKEN_EXPIRED'
-        });
-      }
+    // STEP 3: Verify access token or API key
+    const credential = await verifyCredential(token, req);
 
+    if (!credential.valid) {
       return res.status(401).json({
         status: 'error',
-        message: verification.error || 'Invalid token',
-        code: 'INVALID_TOKEN'
+        message: credential.message,
+        code: credential.code
       });
     }
 
-    // STEP 4: Extract user ID from decoded token
-    const { userId } = verification.decoded;
+    // STEP 4: Extract user ID and session ID (or API key)
+    const { userId, sessionId, apiKey } = credential;
 
     // STEP 5: Fetch user from database
     // LEARNING: We verify user still exists and is active
@@ -101,11 +170,17 @@ const authMiddleware = async (req, res, next) => {
     // LEARNING: Now all route handlers can access req.user
     req.user = user;
     req.userId = userId;
+    req.sessionId = sessionId;
     req.token = token;
+    req.apiKey = apiKey;
+    req.authMethod = apiKey ? 'api_key' : 'session';
 
     // STEP 7: Update last login timestamp (optional)
-    user.lastLogin = new Date();
-    await user.save();
+    // WHY: A script using an API key isn't a login
+    if (!apiKey) {
+      user.lastLogin = new Date();
+      await user.save();
+    }
 
     // STEP 8: Pass control to next middleware/route handler
     next();
@@ -156,15 +231,17 @@ const optionalAuthMiddleware = async (req, res, next) => {
     }
 
     // Try to verify token
-    const verification = verifyAccessToken(token);
+    const credential = await verifyCredential(token, req);
 
-    if (verification.valid) {
-      const { userId } = verification.decoded;
-      const user = await User.findById(userId).select('-password');
+    if (credential.valid) {
+      const user = await User.findById(credential.userId).select('-password');
 
       if (user && user.isActive) {
         req.user = user;
-        req.userId = userId;
+        req.userId = credential.userId;
+        req.sessionId = credential.sessionId;
+        req.apiKey = credential.apiKey;
+        req.authMethod = credential.apiKey ? 'api_key' : 'session';
       }
     }
 
@@ -203,6 +280,15 @@ const requireRole = (allowedRoles) => {
       });
     }
 
+    // SECURITY: API keys are scoped to data - never to admin powers
+    if (req.apiKey) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'API keys cannot access this endpoint',
+        code: 'API_KEY_NOT_ALLOWED'
+      });
+    }
+
     // Check if user's role is in allowed roles
     if (!allowedRoles.includes(req.user.role)) {
       return res.status(403).json({
@@ -219,6 +305,82 @@ const requireRole = (allowedRoles) => {
   };
 };
 
+// ========================================
+// SCOPE-BASED AUTH MIDDLEWARE (API keys)
+// ========================================
+
+/**
+ * WHAT THIS DOES: Restricts API keys to routes their scopes cover
+ * WHY: A key made for a read-only dashboard script must not be able to delete widgets
+ * 
+ * LEARNING: Logged-in users (access tokens) have every scope -
+ * only API key requests are checked
+ * 
+ * USAGE EXAMPLE:
+ * router.get('/:workspaceId', authMiddleware, requireScope('widgets:read'), getWidgets);
+ * router.post('/:workspaceId', authMiddleware, requireScope(['widgets:write']), saveWidgets);
+ */
+const requireScope = (requiredScopes) => {
+  const scopes = Array.isArray(requiredScopes) ? requiredScopes : [requiredScopes];
+
+  return (req, res, next) => {
+    // LEARNING: This assumes authMiddleware has already run
+    if (!req.user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Authentication required',
+        code: 'NOT_AUTHENTICATED'
+      });
+    }
+
+    if (!req.apiKey) {
+      return next();
+    }
+
+    const missingScopes = scopes.filter(scope => !req.apiKey.scopes.includes(scope));
+
+    if (missingScopes.length > 0) {
+      return res.status(403).json({
+        status: 'error',
+        message: `API key is missing scope: ${missingScopes.join(', ')}`,
+        code: 'INSUFFICIENT_SCOPE',
+        requiredScopes: scopes,
+        keyScopes: req.apiKey.scopes
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * WHAT THIS DOES: Rejects API keys on account-management routes
+ * WHY: Sessions, devices, passwords, 2FA and the API keys themselves are only
+ * managed by the person logged in - never by a script holding a key
+ * 
+ * USAGE:
+ * router.post('/me/api-keys', authMiddleware, requireSession, createApiKey);
+ */
+const requireSession = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Authentication required',
+      code: 'NOT_AUTHENTICATED'
+    });
+  }
+
+  if (req.apiKey) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'API keys cannot access this endpoint. Please login.',
+      code: 'API_KEY_NOT_ALLOWED'
+    });
+  }
+
+  next();
+};
+
 // ========================================
 // EMAIL VERIFICATION MIDDLEWARE
 // ========================================
@@ -277,6 +439,8 @@ module.exports = {
   authMiddleware,
   optionalAuthMiddleware,
   requireRole,
+  requireScope,
+  requireSession,
   requireEmailVerification,
   attachUserToRateLimit
 };
@@ -1 +1,142 @@
-// src/middleware/rateLimiter.js - Placeholder for implementation
+const rateLimit = require('express-rate-limit');
+const {
+  checkLoginAllowed,
+  getBlockedResponse
+} = require('../services/loginProtectionService');
+
+/**
+ * WHAT THIS DOES: Rate limiting middleware built on express-rate-limit
+ * WHY IMPORTANT: Stops a single client from hammering expensive or
+ * abusable endpoints (sending emails, guessing passwords)
+ *
+ * LEARNING: A rate limiter counts requests per key (IP or user) inside a
+ * time window and answers 429 Too Many Requests once the limit is reached
+ */
+
+// ========================================
+// LIMITER FACTORY
+// ========================================
+
+/**
+ * WHAT THIS DOES: Creates a limiter with our standard JSON error response
+ *
+ * @param {object} options
+ *   - windowMs: Length of the window in milliseconds
+ *   - max: Requests allowed per key per window
+ *   - message: Error message shown to the client
+ *   - code: Error code for the frontend
+ *
+ * LEARNING: Keys come from req.rateLimitKey (set by attachUserToRateLimit
+ * in authMiddleware) so logged-in users are limited per account, not per IP
+ */
+const createRateLimiter = ({ windowMs, max, message, code = 'TOO_MANY_REQUESTS' }) => {
+  return rateLimit({
+    windowMs,
+    limit: max,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    keyGenerator: (req) => req.rateLimitKey || req.ip,
+    handler: (req, res, next, options) => {
+      const retryAfter = Math.ceil(options.windowMs / 1000);
+
+      return res.status(429).json({
+        status: 'error',
+        message,
+        code,
+        retryAfter
+      });
+    }
+  });
+};
+
+// ========================================
+// EMAIL LIMITERS
+// ========================================
+
+/**
+ * WHAT THIS DOES: Limit endpoints that send emails
+ * WHY: Prevents inbox flooding and burning through our email quota
+ *
+ * LEARNING: One limiter instance = one counter store. Each email route gets
+ * its own instance, so requests to one route never use up the other's quota.
+ *
+ * USAGE:
+ * router.post('/forgot-password', passwordResetEmailLimiter, handler);                                      // per IP
+ * router.post('/resend-verification', authMiddleware, attachUserToRateLimit, verificationEmailLimiter, handler); // per user
+ */
+const emailLimiterOptions = {
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3,
+  message: 'Too many email requests. Please try again later.',
+  code: 'EMAIL_RATE_LIMITED'
+};
+
+const passwordResetEmailLimiter = createRateLimiter(emailLimiterOptions);
+const verificationEmailLimiter = createRateLimiter(emailLimiterOptions);
+
+// ========================================
+// SHARE LINK LIMITER
+// ========================================
+
+/**
+ * WHAT THIS DOES: Limits the public share link endpoint per IP
+ * WHY: It needs no login - this keeps token guessing and scraping slow,
+ * while a dashboard refreshing every few seconds stays well below the limit
+ *
+ * USAGE:
+ * router.get('/:token', shareLinkLimiter, optionalAuthMiddleware, getSharedWorkspace);
+ */
+const shareLinkLimiter = createRateLimiter({
+  windowMs: 60 * 1000, // 1 minute
+  max: 60,
+  message: 'Too many requests for shared workspaces. Please slow down.',
+  code: 'SHARE_LINK_RATE_LIMITED'
+});
+
+// ========================================
+// LOGIN THROTTLE (Brute-force protection)
+// ========================================
+
+/**
+ * WHAT THIS DOES: Rejects login attempts for locked or cooling-down accounts/IPs
+ * WHY: Guessing passwords gets slower after every failure (see loginProtectionService)
+ *
+ * LEARNING: Unlike express-rate-limit this counts FAILED logins only,
+ * and counts them per account as well as per IP
+ *
+ * USAGE (after validation, so req.body.email is normalized):
+ * router.post('/login', validate(loginSchema), loginThrottle, login);
+ */
+const loginThrottle = async (req, res, next) => {
+  try {
+    const check = await checkLoginAllowed(req.body.email, req.ip);
+
+    if (!check.allowed) {
+      const { statusCode, body } = getBlockedResponse(check);
+      res.set('Retry-After', String(check.retryAfter));
+      return res.status(statusCode).json(body);
+    }
+
+    next();
+  } catch (error) {
+    console.error('❌ Login throttle error:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Login failed due to server error',
+      code: 'LOGIN_ERROR'
+    });
+  }
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  createRateLimiter,
+  passwordResetEmailLimiter,
+  verificationEmailLimiter,
+  shareLinkLimiter,
+  loginThrottle
+};
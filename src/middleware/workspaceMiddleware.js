@@ -0,0 +1,85 @@
+const { resolveWorkspace } = require('../services/workspaceService');
+
+/**
+ * WHAT THIS DOES: Loads the workspace named in the URL into req.workspace
+ * and the caller's role in it into req.workspaceRole
+ * WHY IMPORTANT: Widgets can only be read or written in a workspace that
+ * exists and that the caller owns or is a member of
+ *
+ * LEARNING: Registered with router.param('workspaceId', loadWorkspace), so it
+ * runs once for every route that has :workspaceId - no route can forget it.
+ * It assumes authMiddleware has already run (router.use(authMiddleware) first).
+ *
+ * USAGE:
+ * router.use(authMiddleware);
+ * router.param('workspaceId', loadWorkspace);
+ */
+const loadWorkspace = async (req, res, next, workspaceId) => {
+  try {
+    const workspace = await resolveWorkspace(req.userId, workspaceId);
+
+    if (!workspace) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Workspace ${workspaceId} not found`,
+        code: 'WORKSPACE_NOT_FOUND',
+        hint: 'List your workspaces with GET /api/workspaces'
+      });
+    }
+
+    req.workspace = workspace;
+    req.workspaceRole = workspace.roleOf(req.userId);
+    next();
+
+  } catch (error) {
+    console.error('❌ Workspace lookup error:', error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to load workspace',
+      code: 'WORKSPACE_LOOKUP_ERROR'
+    });
+  }
+};
+
+// ========================================
+// WORKSPACE ROLE MIDDLEWARE
+// ========================================
+
+/**
+ * WHAT THIS DOES: Restricts a route to some workspace roles
+ * WHY: A viewer may look at a shared board but must not move its widgets
+ *
+ * LEARNING: Runs after loadWorkspace - the caller already has SOME access,
+ * so a missing role is 403 (not the 404 used for "no access at all")
+ *
+ * USAGE EXAMPLE:
+ * router.patch('/:workspaceId/:widgetId', requireWorkspaceRole(['owner', 'editor']), updateWidget);
+ * router.delete('/:workspaceId', requireWorkspaceRole(['owner']), deleteWorkspace);
+ */
+const requireWorkspaceRole = (allowedRoles) => {
+  return (req, res, next) => {
+    if (!allowedRoles.includes(req.workspaceRole)) {
+      return res.status(403).json({
+        status: 'error',
+        message: `Access denied. Required workspace role: ${allowedRoles.join(' or ')}`,
+        code: 'WORKSPACE_ROLE_REQUIRED',
+        requiredRoles: allowedRoles,
+        workspaceRole: req.workspaceRole
+      });
+    }
+
+    next();
+  };
+};
+
+// Shortcuts for the common cases
+const requireWorkspaceEditor = requireWorkspaceRole(['owner', 'editor']);
+const requireWorkspaceOwner = requireWorkspaceRole(['owner']);
+
+module.exports = {
+  loadWorkspace,
+  requireWorkspaceRole,
+  requireWorkspaceEditor,
+  requireWorkspaceOwner
+};
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+/**
+ * WHAT THIS DOES: Stores personal API keys for scripts and integrations
+ * WHY IMPORTANT: Access tokens live 15 minutes - scripts need a long-lived
+ * credential that can do LESS than the user (scopes) and be revoked on its own
+ *
+ * SECURITY:
+ * - Only the SHA-256 hash of the key is stored - the key is shown once at creation
+ * - prefix (first characters) lets users recognise a key in the list
+ */
+
+// LEARNING: Every scope is "<resource>:<action>"
+// workspaces:admin - delete whole workspaces (never implied by widgets:write)
+// workspaces:share - change who can see a workspace (members, share links)
+const API_KEY_SCOPES = ['widgets:read', 'widgets:write', 'workspaces:admin', 'workspaces:share'];
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+
+    name: {
+      type: String,
+      required: [true, 'API key name is required'],
+      trim: true,
+      maxlength: [50, 'API key name cannot exceed 50 characters']
+    },
+
+    // WHY: "hdk_3fa9c21e" is enough to tell keys apart, useless for logging in
+    prefix: {
+      type: String,
+      required: true
+    },
+
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false
+    },
+
+    scopes: {
+      type: [{ type: String, enum: API_KEY_SCOPES }],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: 'API key needs at least one scope'
+      }
+    },
+
+    // WHY: null = never expires (until revoked)
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: null
+    },
+
+    lastUsedIp: {
+      type: String,
+      default: null
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+apiKeySchema.index({ userId: 1, revokedAt: 1 });
+
+// ========================================
+// CUSTOM METHODS
+// ========================================
+
+/**
+ * WHAT THIS DOES: Tells whether the key can still be used
+ */
+apiKeySchema.methods.isActive = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+/**
+ * WHAT THIS DOES: Returns key info that is safe to show the user
+ */
+apiKeySchema.methods.toSafeObject = function () {
+  const keyObject = this.toObject();
+
+  delete keyObject.keyHash;
+  keyObject.isActive = this.isActive();
+
+  return keyObject;
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
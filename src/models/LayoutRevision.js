@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+/**
+ * WHAT THIS DOES: Counts changes to each workspace layout
+ * WHY IMPORTANT: Two tabs saving the same workspace must not silently
+ * overwrite each other - every write bumps the revision, and a write based
+ * on an old revision is rejected (optimistic concurrency)
+ *
+ * LEARNING: The revision is sent to clients as the ETag "rev-<n>"
+ */
+
+const layoutRevisionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    workspaceId: {
+      type: String,
+      required: true
+    },
+
+    revision: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+// WHY: One counter per workspace - also makes concurrent upserts collide
+layoutRevisionSchema.index({ userId: 1, workspaceId: 1 }, { unique: true });
+
+module.exports = mongoose.model('LayoutRevision', layoutRevisionSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+/**
+ * WHAT THIS DOES: Permanent record of every login lockout
+ * WHY IMPORTANT: Support can see who was locked out, when and why,
+ * and unlock the account (see /api/admin/lockouts)
+ */
+
+const lockoutEventSchema = new mongoose.Schema(
+  {
+    scope: {
+      type: String,
+      enum: ['account', 'ip'],
+      required: true
+    },
+
+    // WHY: null when the email doesn't belong to an account
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+      index: true
+    },
+
+    email: {
+      type: String,
+      lowercase: true,
+      default: null,
+      index: true
+    },
+
+    ipAddress: {
+      type: String,
+      default: null
+    },
+
+    failedCount: {
+      type: Number,
+      required: true
+    },
+
+    lockedUntil: {
+      type: Date,
+      required: true
+    },
+
+    unlockedAt: {
+      type: Date,
+      default: null
+    },
+
+    unlockedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+lockoutEventSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('LockoutEvent', lockoutEventSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+/**
+ * WHAT THIS DOES: Counts failed logins per account and per IP address
+ * WHY IMPORTANT: Password guessing gets slower with every failure,
+ * and finally the account/IP is locked for a while
+ *
+ * KEY FORMAT:
+ * - "account:john@example.com"
+ * - "ip:203.0.113.7"
+ * - "challenge:<jti>" - wrong codes for one 2FA challenge token
+ */
+
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true
+    },
+
+    scope: {
+      type: String,
+      enum: ['account', 'ip', 'challenge'],
+      required: true
+    },
+
+    failedCount: {
+      type: Number,
+      default: 0
+    },
+
+    lastFailedAt: {
+      type: Date,
+      default: null
+    },
+
+    // WHY: Progressive delay - no new attempt accepted before this time
+    nextAttemptAt: {
+      type: Date,
+      default: null
+    },
+
+    lockedUntil: {
+      type: Date,
+      default: null
+    },
+
+    // LEARNING: TTL cleanup - idle counters disappear on their own
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
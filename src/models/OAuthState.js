@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * WHAT THIS DOES: Remembers an OIDC login between "go to provider" and "come back"
+ * WHY IMPORTANT:
+ * - state: proves the callback belongs to a login WE started (CSRF protection)
+ * - codeVerifier: PKCE secret - a stolen authorization code is useless without it
+ * - nonce: binds the returned ID token to this exact login
+ *
+ * LIFETIME: 10 minutes, single use (deleted when the callback consumes it)
+ */
+
+const oauthStateSchema = new mongoose.Schema(
+  {
+    // WHY: Hash only - the raw state travels through the browser
+    stateHash: {
+      type: String,
+      required: true,
+      unique: true
+    },
+
+    provider: {
+      type: String,
+      required: true
+    },
+
+    codeVerifier: {
+      type: String,
+      required: true
+    },
+
+    nonce: {
+      type: String,
+      required: true
+    },
+
+    redirectUri: {
+      type: String,
+      required: true
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OAuthState', oauthStateSchema);
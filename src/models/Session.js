@@ -1 +1,110 @@
-// src/models/Session.js - Placeholder for implementation
+const mongoose = require('mongoose');
+
+/**
+ * WHAT THIS DOES: Stores one server-side session per login
+ * WHY IMPORTANT: Lets us rotate refresh tokens and kill stolen ones
+ *
+ * HOW IT WORKS:
+ * 1. Login creates a Session and a refresh token bound to it (sid claim)
+ * 2. Every /api/auth/refresh swaps the stored token hash for a new one
+ * 3. An old (already rotated) token showing up again means it was copied,
+ *    so the whole session - the "token family" - is revoked
+ */
+
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+
+    // WHY: Hash of the ONLY refresh token currently valid for this session
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false
+    },
+
+    // LEARNING: How many times the refresh token has been rotated
+    rotationCount: {
+      type: Number,
+      default: 0
+    },
+
+    deviceId: {
+      type: String,
+      default: null
+    },
+
+    deviceName: {
+      type: String,
+      default: null
+    },
+
+    ipAddress: {
+      type: String,
+      default: null
+    },
+
+    userAgent: {
+      type: String,
+      default: null
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+
+    // WHY: Matches the refresh token expiry - MongoDB removes the record afterwards
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+
+    revokedReason: {
+      type: String,
+      enum: [null, 'logout', 'logout_all', 'token_reuse', 'password_change', 'password_reset', 'device_revoked'],
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+// LEARNING: TTL index - MongoDB deletes documents once expiresAt has passed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+
+// ========================================
+// CUSTOM METHODS
+// ========================================
+
+/**
+ * WHAT THIS DOES: Tells whether the session can still be used
+ */
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+/**
+ * WHAT THIS DOES: Returns session info that is safe to show the user
+ */
+sessionSchema.methods.toSafeObject = function () {
+  const sessionObject = this.toObject();
+
+  delete sessionObject.refreshTokenHash;
+
+  return sessionObject;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
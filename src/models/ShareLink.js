@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+/**
+ * WHAT THIS DOES: Public read-only links to a workspace
+ * WHY: Show a dashboard to people without an account (a TV in the office,
+ * a client, a blog post) - without adding them as members
+ *
+ * SECURITY:
+ * - Only the SHA-256 hash of the token is stored - the link is shown once
+ * - A link can only READ (GET /api/shared/:token) - never change anything
+ * - Widgets with excludeFromShare are left out
+ * - Links can be revoked at any time and may expire
+ */
+
+const shareLinkSchema = new mongoose.Schema(
+  {
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: true,
+      index: true
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    // EXAMPLE: "Office TV", "Client preview"
+    label: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Label cannot exceed 50 characters'],
+      default: ''
+    },
+
+    // WHY: "hds_3fa9c21e" is enough to tell links apart in the list
+    prefix: {
+      type: String,
+      required: true
+    },
+
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false
+    },
+
+    // WHY: null = never expires (until revoked)
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: null
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+// ========================================
+// CUSTOM METHODS
+// ========================================
+
+/**
+ * WHAT THIS DOES: Tells whether the link still works
+ */
+shareLinkSchema.methods.isActive = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+/**
+ * WHAT THIS DOES: Returns link info that is safe to show the owner
+ */
+shareLinkSchema.methods.toSafeObject = function () {
+  const linkObject = this.toObject();
+
+  delete linkObject.tokenHash;
+  linkObject.isActive = this.isActive();
+
+  return linkObject;
+};
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
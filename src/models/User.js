@@ -25,7 +25,13 @@ const userSchema = new mongoose.Schema(
 
     password: {
       type: String,
-      required: [true, 'Password is required'],
+      // WHY: Accounts created through social login (OIDC) have no password
+      required: [
+        function () {
+          return !this.identities || this.identities.length === 0;
+        },
+        'Password is required'
+      ],
       minlength: [8, 'Password must be at least 8 characters'],
       select: false,  // WHY: NEVER return password in queries (security!)
     },
@@ -48,17 +54,87 @@ const userSchema = new mongoose.Schema(
       default: false,  // WHY: Must verify email before full access
     },
 
+    // WHY: Hash of the id of the only verification link that still works
+    emailVerificationTokenHash: {
+      type: String,
+      select: false,
+    },
+
+    emailVerificationSentAt: {
+      type: Date,
+      select: false,
+    },
+
+    // WHY: Hash only - a leaked database must not allow password resets
+    passwordResetTokenHash: {
+      type: String,
+      select: false,
+    },
+
+    passwordResetExpiresAt: {
+      type: Date,
+      select: false,
+    },
+
     lastLogin: {
       type: Date,
       default: null,
     },
 
+    // LEARNING: Optional TOTP two-factor authentication (RFC 6238)
+    // Secrets are encrypted (utils/encryption), recovery codes are hashed
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // WHY: Secret from /2fa/setup waiting to be confirmed with a first code
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // WHY: Time step of the last accepted code - the same code can't be replayed
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+        default: null,
+      },
+    },
+
     // LEARNING: Array of objects for tracking login devices
+    // WHY: Answers "where am I logged in?" (see GET /api/users/me/devices)
     devices: [
       {
         deviceId: String,
         deviceName: String,
         lastActive: Date,
+        userAgent: String,
+        ipAddress: String,
+        firstSeen: Date,
+        _id: false,
+      }
+    ],
+
+    // LEARNING: External identities (OIDC social login) linked to this account
+    // provider = our provider name ("google"), subject = the IdP's user id ("sub")
+    identities: [
+      {
+        provider: { type: String, required: true },
+        subject: { type: String, required: true },
+        email: String,
+        linkedAt: { type: Date, default: Date.now },
+        _id: false,
       }
     ],
 
@@ -78,6 +154,13 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+// WHY: One external identity can belong to one account only
+// LEARNING: partialFilterExpression skips users without identities
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
 // ========================================
 // MIDDLEWARE: Runs before saving user
 // ========================================
@@ -91,7 +174,7 @@ userSchema.pre('save', async function (next) {
   // LEARNING: 'this' refers to the user document being saved
   
   // Only hash if password is new or modified
-  if (!this.isModified('password')) {
+  if (!this.isModified('password') || !this.password) {
     return next();  // Skip hashing if password unchanged
   }
 
@@ -124,6 +207,11 @@ userSchema.pre('save', async function (next) {
  * const isMatch = await user.comparePassword('userTypedPassword');
  */
 userSchema.methods.comparePassword = async function (candidatePassword) {
+  // WHY: Social-login accounts have no password - nothing can match
+  if (!this.password || !candidatePassword) {
+    return false;
+  }
+
   try {
     // LEARNING: bcrypt.compare() hashes candidatePassword and compares
     // Returns true if match, false if not
@@ -133,6 +221,75 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   }
 };
 
+// WHY: Keeps the devices array from growing forever
+const MAX_TRACKED_DEVICES = 20;
+
+/**
+ * WHAT THIS DOES: Adds or refreshes a device in user.devices
+ * WHEN USED: On login and token refresh
+ * NOTE: Only modifies the document - caller is responsible for user.save()
+ * 
+ * EXAMPLE USAGE:
+ * user.recordDevice({ deviceId, deviceName, userAgent, ipAddress });
+ * await user.save();
+ */
+userSchema.methods.recordDevice = function (context = {}) {
+  if (!context.deviceId) return null;
+
+  const now = new Date();
+  let device = this.devices.find(d => d.deviceId === context.deviceId);
+
+  if (device) {
+    device.lastActive = now;
+    device.userAgent = context.userAgent || device.userAgent;
+    device.ipAddress = context.ipAddress || device.ipAddress;
+    // LEARNING: A name the user chose (rename endpoint) wins over the detected one
+    if (!device.deviceName) device.deviceName = context.deviceName;
+  } else {
+    this.devices.push({
+      deviceId: context.deviceId,
+      deviceName: context.deviceName,
+      lastActive: now,
+      userAgent: context.userAgent,
+      ipAddress: context.ipAddress,
+      firstSeen: now,
+    });
+    device = this.devices[this.devices.length - 1];
+  }
+
+  // Drop the least recently active devices beyond the limit
+  if (this.devices.length > MAX_TRACKED_DEVICES) {
+    this.devices.sort((a, b) => b.lastActive - a.lastActive);
+    this.devices.splice(MAX_TRACKED_DEVICES);
+  }
+
+  return device;
+};
+
+/**
+ * WHAT THIS DOES: Links an external (OIDC) identity to this account
+ * WHEN USED: At the end of a social login that matched by verified email
+ * NOTE: Only modifies the document - caller is responsible for user.save()
+ *
+ * @param {object} identity - { provider, subject, email }
+ * @returns {boolean} false if the identity was already linked
+ */
+userSchema.methods.linkIdentity = function (identity) {
+  const known = this.identities.some(
+    linked => linked.provider === identity.provider && linked.subject === identity.subject
+  );
+
+  if (known) return false;
+
+  this.identities.push({
+    provider: identity.provider,
+    subject: identity.subject,
+    email: identity.email,
+  });
+
+  return true;
+};
+
 /**
  * WHAT THIS DOES: Returns safe user object (without password)
  * WHEN USED: Before sending user data to frontend
@@ -144,6 +301,17 @@ userSchema.methods.toSafeObject = function () {
   // LEARNING: Delete sensitive fields before sending to frontend
   delete userObject.password;
   delete userObject.devices;
+  delete userObject.emailVerificationTokenHash;
+  delete userObject.emailVerificationSentAt;
+  delete userObject.passwordResetTokenHash;
+  delete userObject.passwordResetExpiresAt;
+
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret;
+    delete userObject.twoFactor.pendingSecret;
+    delete userObject.twoFactor.recoveryCodes;
+    delete userObject.twoFactor.lastUsedStep;
+  }
   
   return userObject;
 };
@@ -1,4 +1,27 @@
 const mongoose = require('mongoose');
+const { BREAKPOINT_NAMES, LARGEST_BREAKPOINT } = require('../utils/gridLayout');
+const {
+  getWidgetType,
+  isWidgetType,
+  getWidgetTypeNames,
+  upgradeWidget
+} = require('../services/widgetRegistry');
+
+/**
+ * GRID PLACEMENT: Cell-based rectangle on the 12-column grid
+ * (see utils/gridLayout.js). position/size stay as free-form pixels for
+ * clients that don't use the grid yet.
+ */
+const widgetGridSchema = new mongoose.Schema(
+  {
+    x: { type: Number, required: true, min: 0 },
+    y: { type: Number, required: true, min: 0 },
+    w: { type: Number, required: true, min: 1 },
+    h: { type: Number, required: true, min: 1 },
+    z: { type: Number, default: 0 }
+  },
+  { _id: false }
+);
 
 const widgetSchema = new mongoose.Schema(
   {
@@ -19,18 +42,20 @@ const widgetSchema = new mongoose.Schema(
       default: 'default',
       index: true
     },
+    // WHY a validator instead of enum: types come from services/widgetRegistry.js
     type: {
       type: String,
       required: true,
-      enum: [
-        'pomodoro-timer',
-        'clock',
-        'sticky-note',
-        'todo-list',
-        'quick-links',
-        'calendar',
-        'habits'
-      ]
+      validate: {
+        validator: isWidgetType,
+        message: (props) => `Unknown widget type "${props.value}" (known: ${getWidgetTypeNames().join(', ')})`
+      }
+    },
+    // WHY no default: widgets saved before versioning must read as "missing"
+    // (= version 1), not get the current version stamped on them
+    schemaVersion: {
+      type: Number,
+      min: 1
     },
     position: {
       x: { type: Number, default: 0 },
@@ -40,6 +65,17 @@ const widgetSchema = new mongoose.Schema(
       width: { type: Number, default: 300 },
       height: { type: Number, default: 200 }
     },
+    // null = not placed on the grid yet
+    // LEARNING: This is the lg (largest) layout - smaller screens derive from it
+    grid: {
+      type: widgetGridSchema,
+      default: null
+    },
+    // Layouts the user arranged for smaller screens ({ md, sm, xs })
+    // null = derived from grid when requested (see utils/gridLayout.js)
+    breakpointGrids: BREAKPOINT_NAMES
+      .filter(name => name !== LARGEST_BREAKPOINT)
+      .reduce((paths, name) => ({ ...paths, [name]: { type: widgetGridSchema, default: null } }), {}),
     data: {
       type: mongoose.Schema.Types.Mixed,
       default: {}
@@ -47,6 +83,21 @@ const widgetSchema = new mongoose.Schema(
     settings: {
       type: mongoose.Schema.Types.Mixed,
       default: {}
+    },
+    // SHARING: true = left out of public share links (e.g. a private sticky note)
+    excludeFromShare: {
+      type: Boolean,
+      default: false
+    },
+    // TRASH: Set when the widget is deleted (see services/widgetTrashService.js)
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    // WHEN the trashed widget is removed for good (TTL index below)
+    purgeAt: {
+      type: Date,
+      default: null
     }
   },
   {
@@ -54,7 +105,84 @@ const widgetSchema = new mongoose.Schema(
   }
 );
 
+// ========================================
+// SCHEMA VERSIONS
+// ========================================
+
+// New widgets are stored in the current version of their type
+widgetSchema.pre('validate', function(next) {
+  if (this.isNew && this.schemaVersion == null) {
+    const widgetType = getWidgetType(this.type);
+    if (widgetType) this.schemaVersion = widgetType.schemaVersion;
+  }
+  next();
+});
+
+/**
+ * LAZY MIGRATION: Runs whenever a widget is loaded from MongoDB
+ *
+ * Outdated data/settings are upgraded in memory, so every caller sees the
+ * current shape. The change is persisted by the next save() or by
+ * Widget.persistMigrations() for plain reads.
+ *
+ * WHY catch: A failing migration must not make the whole workspace unreadable -
+ * the widget stays in its old version and the error is logged
+ */
+widgetSchema.post('init', function(doc) {
+  try {
+    const upgrade = upgradeWidget(doc);
+
+    if (upgrade.upgraded) {
+      doc.$locals.storedSchemaVersion = doc.schemaVersion;
+      doc.data = upgrade.data;
+      doc.settings = upgrade.settings;
+      doc.schemaVersion = upgrade.schemaVersion;
+      doc.markModified('data');
+      doc.markModified('settings');
+    }
+  } catch (error) {
+    console.error(`❌ Widget migration failed (${doc.type} ${doc.id}):`, error.message);
+  }
+});
+
+/**
+ * WHAT THIS DOES: Writes upgraded widgets back after a read
+ *
+ * LEARNING: The filter includes the old schemaVersion - if another request
+ * saved the widget in the meantime, its write wins and this one is a no-op.
+ * timestamps: false because a migration isn't a user edit.
+ *
+ * @param {Array} widgets - Documents returned by find()/findOne()
+ */
+widgetSchema.statics.persistMigrations = async function(widgets) {
+  const upgraded = widgets.filter(widget => widget && '$locals' in widget && 'storedSchemaVersion' in widget.$locals);
+
+  if (upgraded.length === 0) return;
+
+  try {
+    await this.bulkWrite(upgraded.map(widget => ({
+      updateOne: {
+        filter: { _id: widget._id, schemaVersion: widget.$locals.storedSchemaVersion ?? null },
+        update: { $set: { data: widget.data, settings: widget.settings, schemaVersion: widget.schemaVersion } },
+        timestamps: false
+      }
+    })));
+
+    upgraded.forEach(widget => { delete widget.$locals.storedSchemaVersion; });
+
+    console.log(`🔄 Migrated ${upgraded.length} widget(s) to their current schema version`);
+  } catch (error) {
+    // WHY swallow: The read already succeeded - the upgrade is retried next time
+    console.error('❌ Persisting widget migrations failed:', error.message);
+  }
+};
+
 widgetSchema.index({ userId: 1, workspaceId: 1 });
 widgetSchema.index({ userId: 1, workspaceId: 1, id: 1 }, { unique: true });
 
+// LEARNING: TTL index - MongoDB deletes trashed widgets once purgeAt has passed
+// (live widgets have purgeAt null and are never touched)
+widgetSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
 module.exports = mongoose.model('Widget', widgetSchema);
+module.exports.widgetGridSchema = widgetGridSchema;
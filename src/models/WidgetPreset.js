@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const {
+  getWidgetType,
+  isWidgetType,
+  getWidgetTypeNames,
+  upgradeWidget
+} = require('../services/widgetRegistry');
+
+/**
+ * WHAT THIS DOES: Saved widget configurations ("Standup todo list",
+ * "Deep work pomodoro 50/10") that can be added to any workspace
+ *
+ * VISIBILITY:
+ * - private (default): only the owner sees and uses it
+ * - public: every signed-in user can use it, only the owner can change it
+ *
+ * LEARNING: data/settings follow the same per-type schemas as widgets and
+ * carry a schemaVersion, so presets are migrated exactly like widgets
+ */
+
+const widgetPresetSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+
+    name: {
+      type: String,
+      required: [true, 'Preset name is required'],
+      trim: true,
+      maxlength: [60, 'Preset name cannot exceed 60 characters']
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Description cannot exceed 300 characters'],
+      default: ''
+    },
+
+    type: {
+      type: String,
+      required: true,
+      validate: {
+        validator: isWidgetType,
+        message: (props) => `Unknown widget type "${props.value}" (known: ${getWidgetTypeNames().join(', ')})`
+      }
+    },
+
+    schemaVersion: {
+      type: Number,
+      min: 1
+    },
+
+    // Optional - instantiated widgets otherwise get the type's default size
+    size: {
+      width: Number,
+      height: Number
+    },
+
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+
+    settings: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+
+    isPublic: {
+      type: Boolean,
+      default: false,
+      index: true
+    },
+
+    // HOW OFTEN it was added to a workspace (sorts popular public presets first)
+    usageCount: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    minimize: false
+  }
+);
+
+// New presets are stored in the current version of their type
+widgetPresetSchema.pre('validate', function(next) {
+  if (this.isNew && this.schemaVersion == null) {
+    const widgetType = getWidgetType(this.type);
+    if (widgetType) this.schemaVersion = widgetType.schemaVersion;
+  }
+  next();
+});
+
+// LAZY MIGRATION: Same as widgets (see models/Widget.js) - persisted on the next save
+widgetPresetSchema.post('init', function(doc) {
+  try {
+    const upgrade = upgradeWidget(doc);
+
+    if (upgrade.upgraded) {
+      doc.data = upgrade.data;
+      doc.settings = upgrade.settings;
+      doc.schemaVersion = upgrade.schemaVersion;
+      doc.markModified('data');
+      doc.markModified('settings');
+    }
+  } catch (error) {
+    console.error(`❌ Preset migration failed (${doc.type} ${doc._id}):`, error.message);
+  }
+});
+
+/**
+ * WHAT THIS DOES: Preset as shown to a user
+ * @param {string} viewerId - Requesting user (isOwn tells the UI whether it can edit)
+ *
+ * SECURITY: The owner's id isn't exposed for other users' public presets
+ */
+widgetPresetSchema.methods.toPublicObject = function(viewerId) {
+  const isOwn = this.userId.toString() === String(viewerId);
+
+  return {
+    _id: this._id,
+    name: this.name,
+    description: this.description,
+    type: this.type,
+    schemaVersion: this.schemaVersion,
+    size: this.size && this.size.width ? this.size : null,
+    data: this.data,
+    settings: this.settings,
+    isPublic: this.isPublic,
+    isOwn,
+    usageCount: this.usageCount,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('WidgetPreset', widgetPresetSchema);
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const { widgetGridSchema } = require('./Widget');
+const { BREAKPOINT_NAMES, LARGEST_BREAKPOINT } = require('../utils/gridLayout');
+
+/**
+ * WHAT THIS DOES: Keeps earlier versions of each widget
+ * WHY IMPORTANT: "My sticky note content disappeared" - with a history we can
+ * see who changed it, when, and put the old content back
+ *
+ * HOW:
+ * - Every widget write stores a snapshot of the widget AFTER the change
+ * - `revision` is the workspace revision of that write (the ETag number),
+ *   so all widgets changed by one layout save share a revision
+ * - changedFields is the compact diff against the previous snapshot
+ * - Only the newest WIDGET_REVISION_LIMIT entries per widget are kept
+ *   (see services/widgetHistoryService.js)
+ * - The history of a trashed widget expires with it (purgeAt, TTL index) -
+ *   content the user deleted doesn't live on in old snapshots
+ */
+
+const WIDGET_REVISION_ACTIONS = ['create', 'update', 'layout', 'delete', 'restore', 'revert'];
+
+const widgetRevisionSchema = new mongoose.Schema(
+  {
+    // Workspace owner (same scope as Widget)
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    workspaceId: {
+      type: String,
+      required: true
+    },
+
+    widgetId: {
+      type: String,
+      required: true
+    },
+
+    revision: {
+      type: Number,
+      required: true
+    },
+
+    action: {
+      type: String,
+      enum: WIDGET_REVISION_ACTIONS,
+      required: true
+    },
+
+    // WHO made the change
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    // HOW: from the app (session) or a script (api_key)
+    via: {
+      type: String,
+      enum: ['session', 'api_key'],
+      default: 'session'
+    },
+
+    apiKeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey',
+      default: null
+    },
+
+    // EXAMPLE: ['data.content', 'position']
+    changedFields: {
+      type: [String],
+      default: []
+    },
+
+    // Set on "revert" entries - which revision was restored
+    revertedFrom: {
+      type: Number,
+      default: null
+    },
+
+    snapshot: {
+      type: { type: String, required: true },
+      schemaVersion: { type: Number, default: 1 },
+      position: { x: Number, y: Number },
+      size: { width: Number, height: Number },
+      grid: { type: widgetGridSchema, default: null },
+      // WHY no defaults: entries recorded before these two were snapshotted
+      // must read as "unknown", not as "no grids / shared"
+      breakpointGrids: BREAKPOINT_NAMES
+        .filter(name => name !== LARGEST_BREAKPOINT)
+        .reduce((paths, name) => ({ ...paths, [name]: { type: widgetGridSchema } }), {}),
+      data: { type: mongoose.Schema.Types.Mixed, default: {} },
+      settings: { type: mongoose.Schema.Types.Mixed, default: {} },
+      excludeFromShare: { type: Boolean }
+    },
+
+    // Same as the widget's purgeAt - set while the widget is in the trash
+    purgeAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    // WHY no updatedAt: revisions are never edited
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+    // WHY: Mixed data/settings may legitimately be {} - keep them in snapshots
+    minimize: false
+  }
+);
+
+// WHY unique: One entry per widget per workspace revision
+widgetRevisionSchema.index({ userId: 1, workspaceId: 1, widgetId: 1, revision: -1 }, { unique: true });
+
+// LEARNING: TTL index - removed together with the trashed widget (see models/Widget.js)
+widgetRevisionSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * WHAT THIS DOES: Entry for the history list (no snapshot payload)
+ */
+widgetRevisionSchema.methods.toSummary = function() {
+  return {
+    revision: this.revision,
+    action: this.action,
+    changedBy: this.changedBy,
+    via: this.via,
+    changedFields: this.changedFields,
+    revertedFrom: this.revertedFrom,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('WidgetRevision', widgetRevisionSchema);
+module.exports.WIDGET_REVISION_ACTIONS = WIDGET_REVISION_ACTIONS;
@@ -1 +1,144 @@
-// src/models/Workspace.js - Placeholder for implementation
+const mongoose = require('mongoose');
+
+/**
+ * WHAT THIS DOES: A workspace (dashboard) that holds widgets
+ *
+ * IDENTIFIERS:
+ * - _id: the workspace's address in URLs (/api/widgets/:workspaceId)
+ * - key: what widgets store as their workspaceId (Widget.workspaceId)
+ *
+ * WHY TWO: Widgets were grouped by a free-form string ('default') before
+ * workspaces were documents. Those strings become keys of adopted workspaces,
+ * so no widget has to be rewritten. New workspaces use their _id as key.
+ *
+ * LEARNING: 'default' in a URL always means the caller's own default
+ * workspace - it is created automatically (see services/workspaceService.js)
+ *
+ * SHARING (roles):
+ * - owner:  everything, incl. members, settings and deleting the workspace
+ * - editor: reads and changes widgets
+ * - viewer: reads widgets only
+ * The owner is stored in `owner`, everyone else in `members`
+ */
+
+const DEFAULT_WORKSPACE_KEY = 'default';
+
+const WORKSPACE_ROLES = ['owner', 'editor', 'viewer'];
+const MEMBER_ROLES = ['editor', 'viewer'];
+
+const memberSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: MEMBER_ROLES,
+      required: true
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
+
+const workspaceSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+
+    key: {
+      type: String,
+      required: true
+    },
+
+    name: {
+      type: String,
+      required: [true, 'Workspace name is required'],
+      trim: true,
+      maxlength: [50, 'Workspace name too long']
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Description too long'],
+      default: ''
+    },
+
+    theme: {
+      primaryColor: { type: String, default: null },
+      backgroundColor: { type: String, default: null }
+    },
+
+    isDefault: {
+      type: Boolean,
+      default: false
+    },
+
+    members: {
+      type: [memberSchema],
+      default: []
+    }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+// WHY unique: Widgets are scoped by (owner, key) - two workspaces must never share it
+workspaceSchema.index({ owner: 1, key: 1 }, { unique: true });
+
+// WHY: "Workspaces shared with me" is looked up by member
+workspaceSchema.index({ 'members.userId': 1 });
+
+/**
+ * WHAT THIS DOES: The user's role in this workspace
+ * @returns {string|null} 'owner' | 'editor' | 'viewer' | null (no access)
+ */
+workspaceSchema.methods.roleOf = function(userId) {
+  if (this.owner.toString() === String(userId)) return 'owner';
+
+  const member = this.members.find(entry => entry.userId.toString() === String(userId));
+  return member ? member.role : null;
+};
+
+/**
+ * WHAT THIS DOES: Workspace as returned by the API
+ * @param {string} viewerId - Requesting user (adds their role)
+ */
+workspaceSchema.methods.toPublicObject = function(viewerId) {
+  return {
+    _id: this._id,
+    name: this.name,
+    description: this.description,
+    theme: {
+      primaryColor: this.theme?.primaryColor ?? null,
+      backgroundColor: this.theme?.backgroundColor ?? null
+    },
+    isDefault: this.isDefault,
+    owner: this.owner,
+    role: viewerId ? this.roleOf(viewerId) : undefined,
+    memberCount: this.members.length,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('Workspace', workspaceSchema);
+module.exports.DEFAULT_WORKSPACE_KEY = DEFAULT_WORKSPACE_KEY;
+module.exports.WORKSPACE_ROLES = WORKSPACE_ROLES;
+module.exports.MEMBER_ROLES = MEMBER_ROLES;
@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  getLockouts,
+  unlockUser
+} = require('../controllers/adminController');
+
+// Import middleware
+const { authMiddleware, requireRole } = require('../middleware/authMiddleware');
+const { validatePagination, validateMongoId } = require('../middleware/validationMiddleware');
+
+/**
+ * WHAT THIS FILE DOES: Support/admin routes
+ * MOUNTED AT: /api/admin (see app.js)
+ *
+ * SECURITY: Every route requires a logged-in admin
+ */
+router.use(authMiddleware, requireRole(['admin']));
+
+// ========================================
+// LOGIN LOCKOUTS
+// ========================================
+
+/**
+ * @route   GET /api/admin/lockouts
+ * @desc    List login lockouts (filter by email, userId, active)
+ * @access  Admin
+ */
+router.get(
+  '/lockouts',
+  validatePagination,
+  getLockouts
+);
+
+/**
+ * @route   POST /api/admin/users/:userId/unlock
+ * @desc    Unlock an account locked by failed logins
+ * @access  Admin
+ */
+router.post(
+  '/users/:userId/unlock',
+  validateMongoId('userId'),
+  unlockUser
+);
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = router;
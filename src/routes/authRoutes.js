@@ -5,20 +5,44 @@ const router = express.Router();
 const {
   register,
   login,
+  verifyTwoFactorLogin,
   refreshToken,
   logout,
+  logoutAll,
   getCurrentUser,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
   updatePassword
 } = require('../controllers/authController');
+const {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor
+} = require('../controllers/twoFactorController');
+const {
+  getProviders,
+  startOidcLogin,
+  oidcCallback
+} = require('../controllers/oidcController');
 
 // Import middleware
-const { authMiddleware } = require('../middleware/authMiddleware');
+const { authMiddleware, requireSession, attachUserToRateLimit } = require('../middleware/authMiddleware');
 const { validate, sanitizeInput } = require('../middleware/validationMiddleware');
+const { passwordResetEmailLimiter, verificationEmailLimiter, loginThrottle } = require('../middleware/rateLimiter');
 
 // Import validation schemas
 const {
   registerSchema,
-  loginSchema
+  loginSchema,
+  verifyEmailSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  enableTwoFactorSchema,
+  twoFactorLoginSchema,
+  disableTwoFactorSchema,
+  oidcCallbackSchema
 } = require('../utils/validators');
 
 /**
@@ -71,15 +95,29 @@ router.post(
  * FLOW:
  * 1. sanitizeInput - Remove dangerous characters
  * 2. validate(loginSchema) - Check email/password provided
- * 3. login - Verify credentials and return tokens
+ * 3. loginThrottle - Reject locked / cooling-down accounts and IPs
+ * 4. login - Verify credentials and return tokens
  */
 router.post(
   '/login',
   sanitizeInput,
   validate(loginSchema),
+  loginThrottle,
   login
 );
 
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Complete login with a TOTP or recovery code
+ * @access  Public (requires challenge token from /login)
+ * @body    { challengeToken, code } or { challengeToken, recoveryCode }
+ */
+router.post(
+  '/2fa/verify',
+  validate(twoFactorLoginSchema),
+  verifyTwoFactorLogin
+);
+
 /**
  * @route   POST /api/auth/refresh
  * @desc    Refresh access token using refresh token
@@ -94,10 +132,94 @@ router.post(
   refreshToken
 );
 
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Confirm email address
+ * @access  Public (requires valid verification token)
+ * @body    { token }
+ */
+router.post(
+  '/verify-email',
+  validate(verifyEmailSchema),
+  verifyEmail
+);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Request a password reset email
+ * @access  Public
+ * @body    { email }
+ * 
+ * FLOW:
+ * 1. passwordResetEmailLimiter - Max 3 requests per hour per IP
+ * 2. validate(forgotPasswordSchema) - Check email format
+ * 3. forgotPassword - Always answers the same way (no account enumeration)
+ */
+router.post(
+  '/forgot-password',
+  passwordResetEmailLimiter,
+  sanitizeInput,
+  validate(forgotPasswordSchema),
+  forgotPassword
+);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with a reset token
+ * @access  Public (requires valid reset token)
+ * @body    { token, password }
+ */
+router.post(
+  '/reset-password',
+  validate(resetPasswordSchema),
+  resetPassword
+);
+
+// ========================================
+// SOCIAL LOGIN (OIDC)
+// ========================================
+
+/**
+ * @route   GET /api/auth/oidc/providers
+ * @desc    List configured social login providers
+ * @access  Public
+ */
+router.get(
+  '/oidc/providers',
+  getProviders
+);
+
+/**
+ * @route   GET /api/auth/oidc/:provider/authorize
+ * @desc    Get the provider login URL (add ?redirect=true for a 302)
+ * @access  Public
+ */
+router.get(
+  '/oidc/:provider/authorize',
+  startOidcLogin
+);
+
+/**
+ * @route   POST /api/auth/oidc/:provider/callback
+ * @desc    Finish social login with the provider's code and state
+ * @access  Public
+ * @body    { code, state }
+ */
+router.post(
+  '/oidc/:provider/callback',
+  validate(oidcCallbackSchema),
+  oidcCallback
+);
+
 // ========================================
 // PROTECTED ROUTES (Authentication required)
 // ========================================
 
+/**
+ * LEARNING: requireSession rejects personal API keys - sessions, passwords
+ * and 2FA belong to the logged-in user, not to scripts
+ */
+
 /**
  * @route   GET /api/auth/me
  * @desc    Get current user profile
@@ -124,16 +246,54 @@ router.get(
  * 
  * FLOW:
  * 1. authMiddleware - Verify user is logged in
- * 2. logout - Log event, return success
+ * 2. logout - Revoke current session, return success
  * 
  * LEARNING: Frontend should delete tokens after this
  */
 router.post(
   '/logout',
   authMiddleware,
+  requireSession,
   logout
 );
 
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Logout from every device
+ * @access  Private
+ * @headers Authorization: Bearer <access_token>
+ * 
+ * FLOW:
+ * 1. authMiddleware - Verify user is logged in
+ * 2. logoutAll - Revoke all of the user's sessions
+ */
+router.post(
+  '/logout-all',
+  authMiddleware,
+  requireSession,
+  logoutAll
+);
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new email verification link
+ * @access  Private
+ * @headers Authorization: Bearer <access_token>
+ * 
+ * FLOW:
+ * 1. authMiddleware - Verify user is logged in
+ * 2. attachUserToRateLimit + verificationEmailLimiter - Max 3 emails per hour per user
+ * 3. resendVerification - Issue new token and send email
+ */
+router.post(
+  '/resend-verification',
+  authMiddleware,
+  requireSession,
+  attachUserToRateLimit,
+  verificationEmailLimiter,
+  resendVerification
+);
+
 /**
  * @route   PUT /api/auth/password
  * @desc    Update user password
@@ -149,10 +309,55 @@ router.post(
 router.put(
   '/password',
   authMiddleware,
+  requireSession,
   sanitizeInput,
   updatePassword
 );
 
+// ========================================
+// TWO-FACTOR AUTHENTICATION (Authentication required)
+// ========================================
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start 2FA enrollment (returns secret + otpauth URI)
+ * @access  Private
+ */
+router.post(
+  '/2fa/setup',
+  authMiddleware,
+  requireSession,
+  setupTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrollment with a first code, get recovery codes
+ * @access  Private
+ * @body    { code }
+ */
+router.post(
+  '/2fa/enable',
+  authMiddleware,
+  requireSession,
+  validate(enableTwoFactorSchema),
+  enableTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn 2FA off
+ * @access  Private
+ * @body    { password, code } or { password, recoveryCode }
+ */
+router.post(
+  '/2fa/disable',
+  authMiddleware,
+  requireSession,
+  validate(disableTwoFactorSchema),
+  disableTwoFactor
+);
+
 // ========================================
 // TEST/DEBUG ROUTES (Optional - Remove in production)
 // ========================================
@@ -174,12 +379,24 @@ router.get('/test', (req, res) => {
       public: [
         'POST /api/auth/register',
         'POST /api/auth/login',
-        'POST /api/auth/refresh'
+        'POST /api/auth/2fa/verify',
+        'POST /api/auth/refresh',
+        'POST /api/auth/verify-email',
+        'POST /api/auth/forgot-password',
+        'POST /api/auth/reset-password',
+        'GET /api/auth/oidc/providers',
+        'GET /api/auth/oidc/:provider/authorize',
+        'POST /api/auth/oidc/:provider/callback'
       ],
       protected: [
         'GET /api/auth/me',
         'POST /api/auth/logout',
-        'PUT /api/auth/password'
+        'POST /api/auth/logout-all',
+        'POST /api/auth/resend-verification',
+        'PUT /api/auth/password',
+        'POST /api/auth/2fa/setup',
+        'POST /api/auth/2fa/enable',
+        'POST /api/auth/2fa/disable'
       ]
     }
   });
@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  getPresets,
+  getPreset,
+  createPreset,
+  updatePreset,
+  deletePreset
+} = require('../controllers/presetController');
+
+// Import middleware
+const { authMiddleware, requireScope } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+
+// Import validation schemas
+const {
+  createPresetSchema,
+  updatePresetSchema
+} = require('../utils/validators');
+
+/**
+ * WHAT THIS FILE DOES: Defines widget preset routes
+ * MOUNTED AT: /api/presets (see app.js)
+ *
+ * NOTE: No sanitizeInput here - like widgets, preset content is user data
+ *
+ * LEARNING: Presets use the widget scopes - a script that may create widgets
+ * may also save the configurations it creates them from
+ */
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/presets
+ * @desc    List own and public presets
+ * @access  Private (API keys need scope: widgets:read)
+ * @query   scope? - mine | public | all, type? - widget type
+ */
+router.get('/', requireScope('widgets:read'), getPresets);
+
+/**
+ * @route   POST /api/presets
+ * @desc    Save a preset
+ * @access  Private (API keys need scope: widgets:write)
+ * @body    { name, description?, type, size?, data?, settings?, isPublic? }
+ */
+router.post('/', requireScope('widgets:write'), validate(createPresetSchema), createPreset);
+
+/**
+ * @route   GET /api/presets/:presetId
+ * @desc    Get one preset (own or public)
+ * @access  Private (API keys need scope: widgets:read)
+ */
+router.get('/:presetId', requireScope('widgets:read'), getPreset);
+
+/**
+ * @route   PATCH /api/presets/:presetId
+ * @desc    Update an own preset
+ * @access  Private (API keys need scope: widgets:write)
+ */
+router.patch('/:presetId', requireScope('widgets:write'), validate(updatePresetSchema), updatePreset);
+
+/**
+ * @route   DELETE /api/presets/:presetId
+ * @desc    Delete an own preset
+ * @access  Private (API keys need scope: widgets:write)
+ */
+router.delete('/:presetId', requireScope('widgets:write'), deletePreset);
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = router;
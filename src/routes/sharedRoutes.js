@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  getSharedWorkspace,
+  rejectSharedWrite
+} = require('../controllers/shareLinkController');
+
+// Import middleware
+const { optionalAuthMiddleware } = require('../middleware/authMiddleware');
+const { shareLinkLimiter } = require('../middleware/rateLimiter');
+
+/**
+ * WHAT THIS FILE DOES: Public, read-only access to shared workspaces
+ * MOUNTED AT: /api/shared (see app.js)
+ *
+ * SECURITY: Only GET is routed - every other method answers 405, and the
+ * share token is not a credential anywhere else in the API
+ */
+
+/**
+ * @route   GET /api/shared/:token
+ * @desc    View a shared workspace
+ * @access  Public (optional login)
+ */
+router.get('/:token', shareLinkLimiter, optionalAuthMiddleware, getSharedWorkspace);
+
+// Writes are never possible with a share link
+router.all('/:token', rejectSharedWrite);
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = router;
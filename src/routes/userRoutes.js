@@ -1 +1,112 @@
-// src/routes/userRoutes.js - Placeholder for implementation
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  getDevices,
+  renameDevice,
+  revokeDevice
+} = require('../controllers/userController');
+const {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey
+} = require('../controllers/apiKeyController');
+
+// Import middleware
+const { authMiddleware, requireSession } = require('../middleware/authMiddleware');
+const { validate, sanitizeInput } = require('../middleware/validationMiddleware');
+
+// Import validation schemas
+const { renameDeviceSchema, createApiKeySchema } = require('../utils/validators');
+
+/**
+ * WHAT THIS FILE DOES: Defines routes for the signed-in user's account
+ * MOUNTED AT: /api/users (see app.js)
+ *
+ * LEARNING: router.use() applies middleware to every route below it
+ * All user routes are private, so authMiddleware runs for all of them
+ * 
+ * SECURITY: requireSession - account settings can't be changed with an API key
+ */
+router.use(authMiddleware, requireSession);
+
+// ========================================
+// DEVICE ROUTES
+// ========================================
+
+/**
+ * @route   GET /api/users/me/devices
+ * @desc    List devices the user is signed in on
+ * @access  Private
+ */
+router.get(
+  '/me/devices',
+  getDevices
+);
+
+/**
+ * @route   PATCH /api/users/me/devices/:deviceId
+ * @desc    Rename a device
+ * @access  Private
+ * @body    { deviceName }
+ */
+router.patch(
+  '/me/devices/:deviceId',
+  sanitizeInput,
+  validate(renameDeviceSchema),
+  renameDevice
+);
+
+/**
+ * @route   DELETE /api/users/me/devices/:deviceId
+ * @desc    Sign out a device (revokes its sessions)
+ * @access  Private
+ */
+router.delete(
+  '/me/devices/:deviceId',
+  revokeDevice
+);
+
+// ========================================
+// API KEY ROUTES
+// ========================================
+
+/**
+ * @route   GET /api/users/me/api-keys
+ * @desc    List personal API keys
+ * @access  Private
+ */
+router.get(
+  '/me/api-keys',
+  getApiKeys
+);
+
+/**
+ * @route   POST /api/users/me/api-keys
+ * @desc    Create a personal API key (returned once)
+ * @access  Private
+ * @body    { name, scopes, expiresInDays? }
+ */
+router.post(
+  '/me/api-keys',
+  sanitizeInput,
+  validate(createApiKeySchema),
+  createApiKey
+);
+
+/**
+ * @route   DELETE /api/users/me/api-keys/:keyId
+ * @desc    Revoke a personal API key
+ * @access  Private
+ */
+router.delete(
+  '/me/api-keys/:keyId',
+  revokeApiKey
+);
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+
+const { getJwks } = require('../controllers/jwksController');
+
+/**
+ * WHAT THIS FILE DOES: Standard discovery documents under /.well-known
+ *
+ * LEARNING: /.well-known/ (RFC 8615) is where clients look for metadata
+ * without being told a URL - e.g. JWT libraries fetch jwks.json by convention
+ */
+
+/**
+ * @route   GET /.well-known/jwks.json
+ * @desc    Public keys for verifying HoloDesk JWTs
+ * @access  Public
+ */
+router.get('/jwks.json', getJwks);
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = router;
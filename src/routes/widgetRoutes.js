@@ -1,125 +1,276 @@
 const express = require('express');
 const router = express.Router();
-const { authMiddleware } = require('../middleware/authMiddleware');
-const Widget = require('../models/Widget');
-
-/**
- * GET /api/widgets/:workspaceId
- * Get all widgets for a workspace
- */
-router.get('/:workspaceId', authMiddleware, async (req, res) => {
-  try {
-    const { workspaceId } = req.params;
-    const userId = req.user.id;
-
-    console.log(`📦 Fetching widgets for workspace: ${workspaceId}, user: ${userId}`);
-
-    const widgets = await Widget.find({ 
-      userId, 
-      workspaceId 
-    }).sort({ createdAt: -1 });
-
-    console.log(`✅ Found ${widgets.length} widgets`);
-
-    res.json({ 
-      status: 'success',
-      widgets 
-    });
-  } catch (error) {
-    console.error('❌ Error fetching widgets:', error);
-    res.status(500).json({ 
-      status: 'error',
-      error: 'Failed to fetch widgets',
-      message: error.message
-    });
-  }
-});
-
-/**
- * POST /api/widgets/:workspaceId
- * Save/update widgets layout for workspace
- */
-router.post('/:workspaceId', authMiddleware, async (req, res) => {
-  try {
-    const { workspaceId } = req.params;
-    const { widgets } = req.body;
-    const userId = req.user.id;
-
-    console.log(`💾 Saving ${widgets?.length || 0} widgets for workspace: ${workspaceId}`);
-
-    if (!widgets || !Array.isArray(widgets)) {
-      return res.status(400).json({
-        status: 'error',
-        error: 'Widgets array is required'
-      });
-    }
-
-    await Widget.deleteMany({ userId, workspaceId });
-    console.log('🗑️  Deleted old widgets');
-
-    const savedWidgets = await Widget.insertMany(
-      widgets.map(w => ({ 
-        ...w, 
-        userId, 
-        workspaceId 
-      }))
-    );
-
-    console.log(`✅ Saved ${savedWidgets.length} widgets`);
-
-    res.json({ 
-      status: 'success',
-      widgets: savedWidgets,
-      message: `Saved ${savedWidgets.length} widgets`
-    });
-  } catch (error) {
-    console.error('❌ Error saving widgets:', error);
-    res.status(500).json({ 
-      status: 'error',
-      error: 'Failed to save widgets',
-      message: error.message
-    });
-  }
-});
-
-/**
- * DELETE /api/widgets/:workspaceId/:widgetId
- * Delete a single widget
- */
-router.delete('/:workspaceId/:widgetId', authMiddleware, async (req, res) => {
-  try {
-    const { workspaceId, widgetId } = req.params;
-    const userId = req.user.id;
-
-    console.log(`🗑️  Deleting widget: ${widgetId} from workspace: ${workspaceId}`);
-
-    const result = await Widget.deleteOne({ 
-      id: widgetId,
-      userId, 
-      workspaceId 
-    });
-
-    if (result.deletedCount === 0) {
-      return res.status(404).json({
-        status: 'error',
-        error: 'Widget not found'
-      });
-    }
-
-    console.log('✅ Widget deleted');
-
-    res.json({ 
-      status: 'success',
-      message: 'Widget deleted successfully'
-    });
-  } catch (error) {
-    console.error('❌ Error deleting widget:', error);
-    res.status(500).json({ 
-      status: 'error',
-      error: 'Failed to delete widget',
-      message: error.message
-    });
+
+// Import controllers
+const {
+  getWidgets,
+  getWidget,
+  createWidget,
+  createWidgetFromPreset,
+  updateWidget,
+  deleteWidget,
+  getTrash,
+  restoreWidget,
+  updateGrid,
+  getWidgetRevisions,
+  getWidgetRevision,
+  revertWidget,
+  replaceLayout
+} = require('../controllers/widgetController');
+
+// Import middleware
+const { authMiddleware, requireScope } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const { loadWorkspace, requireWorkspaceEditor } = require('../middleware/workspaceMiddleware');
+
+// Import validation schemas
+const {
+  createWidgetSchema,
+  updateWidgetSchema,
+  replaceLayoutSchema,
+  updateLayoutSchema,
+  listWidgetsQuerySchema,
+  instantiatePresetSchema
+} = require('../utils/validators');
+
+/**
+ * WHAT THIS FILE DOES: Defines widget API routes
+ * MOUNTED AT: /api/widgets (see app.js)
+ *
+ * NOTE: No sanitizeInput here - it would rewrite what users type into
+ * sticky notes and todo lists. Widget content is data, never HTML we render.
+ *
+ * LEARNING: Route order matters - '/:workspaceId/layout', '/grid' and '/trash'
+ * must be declared before '/:workspaceId/:widgetId' or they would be treated
+ * as widget ids (validators.js reserves these names)
+ */
+router.use(authMiddleware);
+
+// Every route below has :workspaceId → the caller must own it or be a member
+// (reads: any role, writes: owner or editor - viewers get 403)
+router.param('workspaceId', loadWorkspace);
+
+// ========================================
+// WORKSPACE-LEVEL ROUTES
+// ========================================
+
+/**
+ * @route   GET /api/widgets/:workspaceId
+ * @desc    Get all widgets for a workspace
+ * @access  Private (API keys need scope: widgets:read)
+ * @query   breakpoint? - lg | md | sm | xs (adds the grid layout for that screen size)
+ */
+router.get(
+  '/:workspaceId',
+  requireScope('widgets:read'),
+  validate(listWidgetsQuerySchema, 'query'),
+  getWidgets
+);
+
+/**
+ * WHAT THIS DOES: Keeps the old bulk save working for one release
+ * WHY: POST /:workspaceId used to take { widgets: [...] } and replace the
+ * layout. It now creates one widget - old clients would suddenly get 400s.
+ *
+ * LEARNING: next('route') skips the rest of this route's handlers and moves
+ * on to the next matching route (single create below)
+ *
+ * DEPRECATED: Answers carry Deprecation, Sunset (RFC 8594) and a Link to
+ * PUT /:workspaceId/layout, so clients can see when the alias goes away
+ */
+const LEGACY_BULK_SAVE_SUNSET = 'Wed, 31 Mar 2027 00:00:00 GMT';
+
+const legacyBulkSave = (req, res, next) => {
+  if (!req.body || !Array.isArray(req.body.widgets)) {
+    return next('route');
   }
-});
+
+  console.warn(`⚠️  Deprecated bulk save: POST /api/widgets/${req.params.workspaceId} (user: ${req.userId})`);
+
+  res.set('Deprecation', 'true');
+  res.set('Sunset', LEGACY_BULK_SAVE_SUNSET);
+  res.set('Link', `</api/widgets/${req.params.workspaceId}/layout>; rel="successor-version"`);
+  next();
+};
+
+/**
+ * @route   POST /api/widgets/:workspaceId  (body: { widgets: [...] })
+ * @desc    DEPRECATED - replace the whole layout, same as PUT /:workspaceId/layout
+ * @access  Private (API keys need scope: widgets:write)
+ * @body    { widgets: [...] }
+ */
+router.post(
+  '/:workspaceId',
+  legacyBulkSave,
+  requireScope('widgets:write'),
+  requireWorkspaceEditor,
+  validate(replaceLayoutSchema),
+  replaceLayout
+);
+
+/**
+ * @route   POST /api/widgets/:workspaceId
+ * @desc    Create one widget
+ * @access  Private (API keys need scope: widgets:write)
+ * @body    { id?, type, position?, size?, data?, settings? }
+ */
+router.post(
+  '/:workspaceId',
+  requireScope('widgets:write'),
+  requireWorkspaceEditor,
+  validate(createWidgetSchema),
+  createWidget
+);
+
+/**
+ * @route   POST /api/widgets/:workspaceId/from-preset/:presetId
+ * @desc    Create a widget from a saved preset (fresh id, preset content)
+ * @access  Private (API keys need scope: widgets:write)
+ * @body    { position?, size?, grid? }
+ */
+router.post(
+  '/:workspaceId/from-preset/:presetId',
+  requireScope('widgets:write'),
+  requireWorkspaceEditor,
+  validate(instantiatePresetSchema),
+  createWidgetFromPreset
+);
+
+/**
+ * @route   PUT /api/widgets/:workspaceId/layout
+ * @desc    Replace the whole layout (widgets not in the list go to the trash)
+ * @access  Private (API keys need scope: widgets:write)
+ * @body    { widgets: [...] }
+ */
+router.put(
+  '/:workspaceId/layout',
+  requireScope('widgets:write'),
+  requireWorkspaceEditor,
+  validate(replaceLayoutSchema),
+  replaceLayout
+);
+
+/**
+ * @route   PUT /api/widgets/:workspaceId/grid
+ * @desc    Save grid placement - validated, overlaps resolved by compaction
+ * @access  Private (API keys need scope: widgets:write)
+ * @body    { breakpoint?, layout: [{ widgetId, x, y, w, h, z? }], compact?, dryRun? }
+ */
+router.put(
+  '/:workspaceId/grid',
+  requireScope('widgets:write'),
+  requireWorkspaceEditor,
+  validate(updateLayoutSchema),
+  updateGrid
+);
+
+// ========================================
+// TRASH ROUTES
+// ========================================
+
+/**
+ * @route   GET /api/widgets/:workspaceId/trash
+ * @desc    List deleted widgets that can still be restored
+ * @access  Private (API keys need scope: widgets:read)
+ */
+router.get(
+  '/:workspaceId/trash',
+  requireScope('widgets:read'),
+  getTrash
+);
+
+/**
+ * @route   POST /api/widgets/:workspaceId/trash/:widgetId/restore
+ * @desc    Restore a deleted widget
+ * @access  Private (API keys need scope: widgets:write)
+ */
+router.post(
+  '/:workspaceId/trash/:widgetId/restore',
+  requireScope('widgets:write'),
+  requireWorkspaceEditor,
+  restoreWidget
+);
+
+// ========================================
+// SINGLE WIDGET ROUTES
+// ========================================
+
+/**
+ * @route   GET /api/widgets/:workspaceId/:widgetId
+ * @desc    Get one widget
+ * @access  Private (API keys need scope: widgets:read)
+ */
+router.get(
+  '/:workspaceId/:widgetId',
+  requireScope('widgets:read'),
+  getWidget
+);
+
+/**
+ * @route   PATCH /api/widgets/:workspaceId/:widgetId
+ * @desc    Update part of a widget (position, size, data, settings, excludeFromShare)
+ * @access  Private (API keys need scope: widgets:write)
+ */
+router.patch(
+  '/:workspaceId/:widgetId',
+  requireScope('widgets:write'),
+  requireWorkspaceEditor,
+  validate(updateWidgetSchema),
+  updateWidget
+);
+
+/**
+ * @route   DELETE /api/widgets/:workspaceId/:widgetId
+ * @desc    Move a single widget to the trash
+ * @access  Private (API keys need scope: widgets:write)
+ */
+router.delete(
+  '/:workspaceId/:widgetId',
+  requireScope('widgets:write'),
+  requireWorkspaceEditor,
+  deleteWidget
+);
+
+// ========================================
+// WIDGET HISTORY ROUTES
+// ========================================
+
+/**
+ * @route   GET /api/widgets/:workspaceId/:widgetId/revisions
+ * @desc    List a widget's revisions (who changed what, when)
+ * @access  Private (API keys need scope: widgets:read)
+ */
+router.get(
+  '/:workspaceId/:widgetId/revisions',
+  requireScope('widgets:read'),
+  getWidgetRevisions
+);
+
+/**
+ * @route   GET /api/widgets/:workspaceId/:widgetId/revisions/:revision
+ * @desc    View one revision including the widget snapshot
+ * @access  Private (API keys need scope: widgets:read)
+ */
+router.get(
+  '/:workspaceId/:widgetId/revisions/:revision',
+  requireScope('widgets:read'),
+  getWidgetRevision
+);
+
+/**
+ * @route   POST /api/widgets/:workspaceId/:widgetId/revisions/:revision/revert
+ * @desc    Revert a widget to an earlier revision
+ * @access  Private (API keys need scope: widgets:write)
+ */
+router.post(
+  '/:workspaceId/:widgetId/revisions/:revision/revert',
+  requireScope('widgets:write'),
+  requireWorkspaceEditor,
+  revertWidget
+);
+
+// ========================================
+// EXPORTS
+// ========================================
 
 module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+
+const { getWidgetTypes } = require('../controllers/widgetTypeController');
+
+/**
+ * WHAT THIS FILE DOES: Read-only access to the widget type registry
+ *
+ * LEARNING: Public on purpose - it contains no user data, and the login
+ * page can already preload it
+ */
+
+/**
+ * @route   GET /api/widget-types
+ * @desc    List widget types (defaults + schema versions)
+ * @access  Public
+ */
+router.get('/', getWidgetTypes);
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = router;
@@ -1 +1,224 @@
-// src/routes/workspaceRoutes.js - Placeholder for implementation
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  getWorkspaces,
+  getWorkspace,
+  createWorkspace,
+  updateWorkspace,
+  deleteWorkspace,
+  cloneWorkspace,
+  exportWorkspace,
+  importWorkspace,
+  getMembers,
+  addMember,
+  updateMember,
+  removeMember
+} = require('../controllers/workspaceController');
+const {
+  createShareLink,
+  getShareLinks,
+  revokeShareLink
+} = require('../controllers/shareLinkController');
+
+// Import middleware
+const { authMiddleware, requireScope } = require('../middleware/authMiddleware');
+const { validate, sanitizeInput } = require('../middleware/validationMiddleware');
+const { loadWorkspace, requireWorkspaceOwner } = require('../middleware/workspaceMiddleware');
+
+// Import validation schemas
+const {
+  createWorkspaceSchema,
+  updateWorkspaceSchema,
+  cloneWorkspaceSchema,
+  importWorkspaceSchema,
+  addWorkspaceMemberSchema,
+  updateWorkspaceMemberSchema,
+  createShareLinkSchema
+} = require('../utils/validators');
+
+/**
+ * WHAT THIS FILE DOES: Defines workspace routes
+ * MOUNTED AT: /api/workspaces (see app.js)
+ *
+ * LEARNING: Workspaces use the widget scopes for everyday changes. Deleting
+ * a whole workspace (workspaces:admin) and changing who can see it
+ * (workspaces:share) need their own scopes - a key that may edit widgets
+ * must not be able to wipe the board or hand it to someone else
+ */
+router.use(authMiddleware);
+
+// :workspaceId must be owned by or shared with the caller → req.workspace, req.workspaceRole
+router.param('workspaceId', loadWorkspace);
+
+/**
+ * @route   GET /api/workspaces
+ * @desc    List workspaces
+ * @access  Private (API keys need scope: widgets:read)
+ */
+router.get('/', requireScope('widgets:read'), getWorkspaces);
+
+/**
+ * @route   POST /api/workspaces
+ * @desc    Create a workspace
+ * @access  Private (API keys need scope: widgets:write)
+ * @body    { name, description?, theme? }
+ */
+router.post(
+  '/',
+  requireScope('widgets:write'),
+  sanitizeInput,
+  validate(createWorkspaceSchema),
+  createWorkspace
+);
+
+/**
+ * @route   POST /api/workspaces/import
+ * @desc    Create a workspace from an exported bundle
+ * @access  Private (API keys need scope: widgets:write)
+ * @body    { bundle, name?, onConflict?: 'fail' | 'skip', dryRun?: boolean }
+ *
+ * NOTE: No sanitizeInput - the bundle holds widget content, which is stored
+ * as typed (same as the widget routes)
+ */
+router.post(
+  '/import',
+  requireScope('widgets:write'),
+  validate(importWorkspaceSchema),
+  importWorkspace
+);
+
+/**
+ * @route   GET /api/workspaces/:workspaceId
+ * @desc    Get one workspace
+ * @access  Private (API keys need scope: widgets:read)
+ */
+router.get('/:workspaceId', requireScope('widgets:read'), getWorkspace);
+
+/**
+ * @route   PATCH /api/workspaces/:workspaceId
+ * @desc    Update name, description or theme
+ * @access  Private - owner only (API keys need scope: widgets:write)
+ */
+router.patch(
+  '/:workspaceId',
+  requireScope('widgets:write'),
+  requireWorkspaceOwner,
+  sanitizeInput,
+  validate(updateWorkspaceSchema),
+  updateWorkspace
+);
+
+/**
+ * @route   DELETE /api/workspaces/:workspaceId
+ * @desc    Delete a workspace and all its widgets
+ * @access  Private - owner only (API keys need scope: workspaces:admin)
+ */
+router.delete('/:workspaceId', requireScope('workspaces:admin'), requireWorkspaceOwner, deleteWorkspace);
+
+/**
+ * @route   POST /api/workspaces/:workspaceId/clone
+ * @desc    Copy a workspace with its widgets into a new workspace of the caller
+ * @access  Private - any role (API keys need scope: widgets:write)
+ * @body    { name?, description?, data?: 'keep' | 'reset' | 'defaults' }
+ */
+router.post(
+  '/:workspaceId/clone',
+  requireScope('widgets:write'),
+  sanitizeInput,
+  validate(cloneWorkspaceSchema),
+  cloneWorkspace
+);
+
+/**
+ * @route   GET /api/workspaces/:workspaceId/export
+ * @desc    Download the workspace and its widgets as a JSON bundle
+ * @access  Private - any role (API keys need scope: widgets:read)
+ */
+router.get('/:workspaceId/export', requireScope('widgets:read'), exportWorkspace);
+
+// ========================================
+// MEMBER ROUTES (sharing)
+// ========================================
+
+/**
+ * @route   GET /api/workspaces/:workspaceId/members
+ * @desc    List owner and members
+ * @access  Private - any role (API keys need scope: widgets:read)
+ */
+router.get('/:workspaceId/members', requireScope('widgets:read'), getMembers);
+
+/**
+ * @route   POST /api/workspaces/:workspaceId/members
+ * @desc    Add a member
+ * @access  Private - owner only (API keys need scope: workspaces:share)
+ * @body    { email, role: 'editor' | 'viewer' }
+ */
+router.post(
+  '/:workspaceId/members',
+  requireScope('workspaces:share'),
+  requireWorkspaceOwner,
+  validate(addWorkspaceMemberSchema),
+  addMember
+);
+
+/**
+ * @route   PATCH /api/workspaces/:workspaceId/members/:userId
+ * @desc    Change a member's role
+ * @access  Private - owner only (API keys need scope: workspaces:share)
+ * @body    { role: 'editor' | 'viewer' }
+ */
+router.patch(
+  '/:workspaceId/members/:userId',
+  requireScope('workspaces:share'),
+  requireWorkspaceOwner,
+  validate(updateWorkspaceMemberSchema),
+  updateMember
+);
+
+/**
+ * @route   DELETE /api/workspaces/:workspaceId/members/:userId
+ * @desc    Remove a member, or leave (own userId)
+ * @access  Private - owner, or the member themselves (API keys need scope: workspaces:share)
+ */
+router.delete('/:workspaceId/members/:userId', requireScope('workspaces:share'), removeMember);
+
+// ========================================
+// SHARE LINK ROUTES (public read-only links)
+// ========================================
+
+/**
+ * @route   GET /api/workspaces/:workspaceId/share-links
+ * @desc    List share links
+ * @access  Private - owner only (API keys need scope: widgets:read)
+ */
+router.get('/:workspaceId/share-links', requireScope('widgets:read'), requireWorkspaceOwner, getShareLinks);
+
+/**
+ * @route   POST /api/workspaces/:workspaceId/share-links
+ * @desc    Create a share link
+ * @access  Private - owner only (API keys need scope: workspaces:share)
+ * @body    { label?, expiresInDays? }
+ */
+router.post(
+  '/:workspaceId/share-links',
+  requireScope('workspaces:share'),
+  requireWorkspaceOwner,
+  sanitizeInput,
+  validate(createShareLinkSchema),
+  createShareLink
+);
+
+/**
+ * @route   DELETE /api/workspaces/:workspaceId/share-links/:linkId
+ * @desc    Revoke a share link
+ * @access  Private - owner only (API keys need scope: workspaces:share)
+ */
+router.delete('/:workspaceId/share-links/:linkId', requireScope('workspaces:share'), requireWorkspaceOwner, revokeShareLink);
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = router;
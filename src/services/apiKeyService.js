@@ -0,0 +1,133 @@
+const ApiKey = require('../models/ApiKey');
+const { generateRandomToken, hashToken } = require('../utils/encryption');
+
+/**
+ * WHAT THIS DOES: Creates, lists, revokes and checks personal API keys
+ *
+ * KEY FORMAT: hdk_<64 random hex characters>
+ * WHY A PREFIX: authMiddleware can tell an API key from a JWT at a glance,
+ * and secret scanners (e.g. on GitHub) can recognise leaked keys
+ */
+
+const KEY_PREFIX = 'hdk_';
+const DISPLAY_PREFIX_LENGTH = 12;
+const MAX_KEYS_PER_USER = 25;
+
+// WHY: Writing lastUsedAt on every request would double the DB load of scripts
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * WHAT THIS DOES: Tells whether a Bearer credential looks like an API key
+ */
+const isApiKey = (credential) => typeof credential === 'string' && credential.startsWith(KEY_PREFIX);
+
+// ========================================
+// CREATE
+// ========================================
+
+/**
+ * WHAT THIS DOES: Creates a new key for a user
+ *
+ * @param {string} userId
+ * @param {object} options - { name, scopes, expiresInDays (optional) }
+ * @returns {object} { success: true, apiKey, key } - key is the plaintext, shown ONCE
+ *                   or { success: false, code, error }
+ */
+const createApiKey = async (userId, { name, scopes, expiresInDays }) => {
+  const activeCount = await ApiKey.countDocuments({ userId, revokedAt: null });
+
+  if (activeCount >= MAX_KEYS_PER_USER) {
+    return {
+      success: false,
+      code: 'API_KEY_LIMIT_REACHED',
+      error: `You can have at most ${MAX_KEYS_PER_USER} API keys. Revoke one first.`
+    };
+  }
+
+  const key = `${KEY_PREFIX}${generateRandomToken(32)}`;
+
+  const apiKey = await ApiKey.create({
+    userId,
+    name,
+    prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+    keyHash: hashToken(key),
+    scopes: Array.from(new Set(scopes)),
+    expiresAt: expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : null
+  });
+
+  return { success: true, apiKey, key };
+};
+
+// ========================================
+// LIST & REVOKE
+// ========================================
+
+/**
+ * WHAT THIS DOES: Lists a user's keys, newest first (revoked ones included)
+ */
+const listApiKeys = async (userId) => {
+  return ApiKey.find({ userId }).sort({ createdAt: -1 });
+};
+
+/**
+ * WHAT THIS DOES: Revokes one of the user's keys
+ * RETURNS: The revoked key, or null if the user has no such active key
+ */
+const revokeApiKey = async (userId, keyId) => {
+  return ApiKey.findOneAndUpdate(
+    { _id: keyId, userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// ========================================
+// AUTHENTICATE
+// ========================================
+
+/**
+ * WHAT THIS DOES: Looks up the key behind a Bearer credential
+ *
+ * @param {string} key - Plaintext key from the Authorization header
+ * @param {string} ipAddress - For the "last used" info
+ * @returns {object} { valid: true, apiKey } or { valid: false, code, error }
+ */
+const authenticateApiKey = async (key, ipAddress) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+
+  if (!apiKey) {
+    return { valid: false, code: 'INVALID_API_KEY', error: 'Invalid API key' };
+  }
+
+  if (apiKey.revokedAt) {
+    return { valid: false, code: 'API_KEY_REVOKED', error: 'API key has been revoked' };
+  }
+
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+    return { valid: false, code: 'API_KEY_EXPIRED', error: 'API key has expired' };
+  }
+
+  const now = Date.now();
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL_MS) {
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { $set: { lastUsedAt: new Date(now), lastUsedIp: ipAddress } }
+    );
+  }
+
+  return { valid: true, apiKey };
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  isApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticateApiKey
+};
@@ -1 +1,80 @@
-// src/services/cacheService.js - Placeholder for implementation
+/**
+ * WHAT THIS DOES: Tiny in-memory key/value cache with per-key expiry
+ * WHY: Fast synchronous lookups on hot paths (e.g. every authenticated request)
+ *
+ * LEARNING: This cache lives in a single Node process. Anything stored here
+ * must also be persisted somewhere authoritative (MongoDB) - the cache only
+ * lets us answer quickly without a database round trip.
+ *
+ * USAGE EXAMPLE:
+ * cache.set('revoked:session:abc', true, 900); // expires in 15 minutes
+ * cache.has('revoked:session:abc');            // true
+ */
+
+const store = new Map();
+
+// ========================================
+// CORE OPERATIONS
+// ========================================
+
+/**
+ * WHAT THIS DOES: Stores a value, optionally expiring after ttlSeconds
+ */
+const set = (key, value, ttlSeconds = null) => {
+  const expiresAt = ttlSeconds ? Date.now() + ttlSeconds * 1000 : null;
+  store.set(key, { value, expiresAt });
+};
+
+/**
+ * WHAT THIS DOES: Returns a stored value, or undefined if missing/expired
+ */
+const get = (key) => {
+  const entry = store.get(key);
+
+  if (!entry) return undefined;
+
+  // LEARNING: Expired entries are removed lazily, when they're next read
+  if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+    store.delete(key);
+    return undefined;
+  }
+
+  return entry.value;
+};
+
+const has = (key) => get(key) !== undefined;
+
+const del = (key) => store.delete(key);
+
+// ========================================
+// HOUSEKEEPING
+// ========================================
+
+/**
+ * WHAT THIS DOES: Drops every expired entry
+ * WHY: Keys that are never read again would otherwise stay in memory
+ */
+const prune = () => {
+  const now = Date.now();
+
+  for (const [key, entry] of store.entries()) {
+    if (entry.expiresAt && entry.expiresAt <= now) {
+      store.delete(key);
+    }
+  }
+};
+
+// LEARNING: unref() lets the process exit even while this timer is pending
+setInterval(prune, 60 * 1000).unref();
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  set,
+  get,
+  has,
+  del,
+  prune
+};
@@ -1 +1,144 @@
-// src/services/emailService.js - Placeholder for implementation
+/**
+ * WHAT THIS DOES: Sends transactional emails (verification, notifications)
+ * CURRENT TRANSPORT: Console - emails are printed to the server log
+ *
+ * LEARNING: Every email goes through sendEmail(), so plugging in a real
+ * provider (SMTP, SendGrid, SES...) only means replacing the transport
+ * function below - templates and callers stay the same
+ */
+
+// WHY: Links in emails must point at the frontend, not this API
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// ========================================
+// TRANSPORT
+// ========================================
+
+/**
+ * WHAT THIS DOES: Delivers an email (placeholder: logs it)
+ * NOTE: In production, replace with a real provider integration
+ */
+const consoleTransport = async ({ to, subject, text }) => {
+  console.log('═══════════════════════════════════════════');
+  console.log('📧 EMAIL (console transport)');
+  console.log(`To: ${to}`);
+  console.log(`Subject: ${subject}`);
+  console.log('───────────────────────────────────────────');
+  console.log(text);
+  console.log('═══════════════════════════════════════════');
+
+  return { delivered: true, transport: 'console' };
+};
+
+/**
+ * WHAT THIS DOES: Sends a single email
+ *
+ * @param {object} email - { to, subject, text, html }
+ * @returns {object} { delivered, transport }
+ */
+const sendEmail = async (email) => {
+  if (!email.to || !email.subject) {
+    throw new Error('Email requires "to" and "subject"');
+  }
+
+  return consoleTransport(email);
+};
+
+// ========================================
+// TEMPLATES
+// ========================================
+
+/**
+ * HELPER: Escapes text for the html part of an email
+ * WHY: user.name is user input - a name like <a href="..."> must show up as
+ * text, not as a link in our own email
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * WHAT THIS DOES: Builds the "confirm your email address" email
+ *
+ * @param {object} user - User document (needs email and name)
+ * @param {string} token - Email verification token
+ * @returns {object} { to, subject, text, html }
+ */
+const buildVerificationEmail = (user, token) => {
+  const link = `${getFrontendUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return {
+    to: user.email,
+    subject: 'Verify your HoloDesk email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Please confirm your email address by opening the link below:',
+      link,
+      '',
+      'The link expires in 24 hours and can only be used once.',
+      'If you did not create a HoloDesk account, you can ignore this email.'
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Please confirm your email address:</p>
+<p><a href="${escapeHtml(link)}">Verify email</a></p>
+<p>The link expires in 24 hours and can only be used once.</p>`
+  };
+};
+
+/**
+ * WHAT THIS DOES: Sends the "confirm your email address" email
+ */
+const sendVerificationEmail = async (user, token) => sendEmail(buildVerificationEmail(user, token));
+
+/**
+ * WHAT THIS DOES: Builds the password reset email
+ *
+ * @param {object} user - User document (needs email and name)
+ * @param {string} token - Raw reset token (only its hash is stored)
+ * @param {number} expiresInMinutes - Shown to the user
+ * @returns {object} { to, subject, text, html }
+ */
+const buildPasswordResetEmail = (user, token, expiresInMinutes) => {
+  const link = `${getFrontendUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+
+  return {
+    to: user.email,
+    subject: 'Reset your HoloDesk password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'We received a request to reset your password. Open the link below to choose a new one:',
+      link,
+      '',
+      `The link expires in ${expiresInMinutes} minutes and can only be used once.`,
+      'If you did not request this, you can ignore this email - your password stays the same.'
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>We received a request to reset your password:</p>
+<p><a href="${escapeHtml(link)}">Choose a new password</a></p>
+<p>The link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+<p>If you did not request this, you can ignore this email.</p>`
+  };
+};
+
+/**
+ * WHAT THIS DOES: Sends the password reset link
+ */
+const sendPasswordResetEmail = async (user, token, expiresInMinutes) =>
+  sendEmail(buildPasswordResetEmail(user, token, expiresInMinutes));
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  sendEmail,
+  buildVerificationEmail,
+  buildPasswordResetEmail,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
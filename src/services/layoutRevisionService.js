@@ -0,0 +1,180 @@
+const LayoutRevision = require('../models/LayoutRevision');
+
+/**
+ * WHAT THIS DOES: Optimistic concurrency for workspace layouts
+ *
+ * HOW IT WORKS (HTTP conditional requests):
+ * 1. GET /api/widgets/:workspaceId → ETag: "rev-7"
+ * 2. The client edits and writes with header If-Match: "rev-7"
+ * 3. Revision still 7 → write succeeds, revision becomes 8 (new ETag)
+ *    Revision already 8 (another tab saved) → 412 with the current widgets
+ *
+ * LEARNING: "Optimistic" = no locks while the user edits. Conflicts are
+ * detected at write time and the client merges.
+ * Writes without If-Match are still accepted (older clients) and bump the revision.
+ */
+
+// ========================================
+// ETAG HELPERS
+// ========================================
+
+/**
+ * WHAT THIS DOES: Revision number → ETag header value
+ * EXAMPLE: 7 → "rev-7" (quotes are part of the ETag syntax)
+ */
+const formatEtag = (revision) => `"rev-${revision}"`;
+
+/**
+ * WHAT THIS DOES: Reads the If-Match header
+ *
+ * RETURNS:
+ * null                          → no header, write unconditionally
+ * { any: true }                 → If-Match: *
+ * { any: false, revisions: [7] } → If-Match: "rev-7" (lists allowed)
+ *
+ * LEARNING: Weak tags (W/"rev-7") are accepted too - some proxies weaken
+ * ETags when they compress responses
+ */
+const parseIfMatch = (header) => {
+  if (!header) return null;
+
+  if (header.trim() === '*') {
+    return { any: true };
+  }
+
+  const revisions = header
+    .split(',')
+    .map(tag => /^(?:W\/)?"rev-(\d+)"$/.exec(tag.trim()))
+    .filter(Boolean)
+    .map(match => parseInt(match[1], 10));
+
+  return { any: false, revisions };
+};
+
+// ========================================
+// READ & CLAIM REVISIONS
+// ========================================
+
+/**
+ * WHAT THIS DOES: Current revision of a workspace (0 before the first write)
+ *
+ * @param {object} scope - { userId, workspaceId }
+ */
+const getRevision = async (scope) => {
+  const layoutRevision = await LayoutRevision.findOne(scope).lean();
+  return layoutRevision ? layoutRevision.revision : 0;
+};
+
+/**
+ * WHAT THIS DOES: Checks If-Match and bumps the revision in ONE atomic step
+ *
+ * WHY ATOMIC: "read revision, compare, write" in separate steps would let two
+ * tabs both pass the check. A conditional $inc can only succeed for one of them.
+ *
+ * @param {object} scope - { userId, workspaceId }
+ * @param {string} ifMatchHeader - Raw If-Match header (may be undefined)
+ * @returns {object} { success: true, revision } or { success: false, currentRevision }
+ */
+const claimRevision = async (scope, ifMatchHeader) => {
+  const precondition = parseIfMatch(ifMatchHeader);
+
+  if (!precondition || precondition.any) {
+    const layoutRevision = await LayoutRevision.findOneAndUpdate(
+      scope,
+      { $inc: { revision: 1 } },
+      { upsert: true, new: true }
+    );
+
+    return { success: true, revision: layoutRevision.revision };
+  }
+
+  for (const expectedRevision of precondition.revisions) {
+    try {
+      const layoutRevision = await LayoutRevision.findOneAndUpdate(
+        { ...scope, revision: expectedRevision },
+        { $inc: { revision: 1 } },
+        // WHY: Revision 0 = workspace never written since tracking began - create the counter
+        { upsert: expectedRevision === 0, new: true }
+      );
+
+      if (layoutRevision) {
+        return { success: true, revision: layoutRevision.revision };
+      }
+    } catch (error) {
+      // LEARNING: 11000 here means the counter exists with another revision
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  return { success: false, currentRevision: await getRevision(scope) };
+};
+
+/**
+ * WHAT THIS DOES: Hands a claimed revision back after a write that failed
+ * WHY: Otherwise a failed write (duplicate id, DB error) still moves the
+ * revision on, and every other client's next If-Match gets a spurious 412
+ *
+ * LEARNING: Only undone while the counter still shows OUR revision - if
+ * another write claimed the next one meanwhile, the number simply stays used
+ *
+ * @returns {boolean} true if the revision was handed back
+ */
+const releaseRevision = async (scope, revision) => {
+  const result = await LayoutRevision.updateOne(
+    { ...scope, revision },
+    { $inc: { revision: -1 } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+/**
+ * WHAT THIS DOES: Runs a write under a claimed revision
+ *
+ * @param {object} scope - { userId, workspaceId }
+ * @param {string} ifMatchHeader - Raw If-Match header (may be undefined)
+ * @param {Function} write - async (revision) => result; return null when
+ *   nothing was written (e.g. the widget was gone) - the revision is handed back
+ * @returns {object} { success: true, revision, result } or { success: false, currentRevision }
+ *
+ * USAGE EXAMPLE:
+ * const change = await withRevision(scope, req.get('If-Match'), () => Widget.create(widgetData));
+ * if (!change.success) return respondRevisionConflict(req, res, change.currentRevision);
+ *
+ * LEARNING: A thrown error hands the revision back and is re-thrown - the
+ * caller's catch answers as before
+ */
+const withRevision = async (scope, ifMatchHeader, write) => {
+  const claim = await claimRevision(scope, ifMatchHeader);
+
+  if (!claim.success) return claim;
+
+  let result;
+
+  try {
+    result = await write(claim.revision);
+  } catch (error) {
+    await releaseRevision(scope, claim.revision)
+      .catch(releaseError => console.error('❌ Failed to release revision:', releaseError.message));
+    throw error;
+  }
+
+  if (result === null || result === undefined) {
+    await releaseRevision(scope, claim.revision);
+  }
+
+  return { success: true, revision: claim.revision, result };
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  formatEtag,
+  parseIfMatch,
+  getRevision,
+  claimRevision,
+  releaseRevision,
+  withRevision
+};
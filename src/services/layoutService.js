@@ -0,0 +1,278 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Widget = require('../models/Widget');
+const { createWidgetSchema } = require('../utils/validators');
+const { applyWidgetDefaults } = require('./widgetRegistry');
+const { ACTIVE_FILTER, trashFields } = require('./widgetTrashService');
+const {
+  BREAKPOINTS,
+  BREAKPOINT_NAMES,
+  LARGEST_BREAKPOINT,
+  compactLayout,
+  gridOf
+} = require('../utils/gridLayout');
+
+/**
+ * WHAT THIS DOES: Replaces a workspace layout all-or-nothing
+ *
+ * WHY: "deleteMany then insertMany" is two operations - a crash or one
+ * invalid widget between them used to wipe the whole workspace
+ *
+ * WIDGETS LEFT OUT of the new layout go to the trash (restorable), trashed
+ * widgets that come back in the layout are replaced by the new version
+ *
+ * HOW:
+ * 1. Every widget is validated BEFORE anything is written
+ * 2. Replica sets / sharded clusters (e.g. MongoDB Atlas) → one transaction
+ * 3. Standalone servers (no transactions) → staged swap:
+ *    new widgets are written under a temporary workspace id first and only
+ *    swapped in once they are all stored
+ */
+
+// ========================================
+// VALIDATION
+// ========================================
+
+/**
+ * WHAT THIS DOES: Id for widgets created without one
+ */
+const generateWidgetId = () => `widget-${crypto.randomUUID()}`;
+
+/**
+ * WHAT THIS DOES: Turns a layout payload into widget documents, collecting
+ * ALL problems instead of stopping at the first
+ *
+ * @param {object} scope - { userId, workspaceId }
+ * @param {Array} payloads - Widgets as sent by the client
+ * @returns {object} { valid: true, widgets } or { valid: false, invalidWidgets: [{ index, id, type, errors }] }
+ *
+ * LEARNING: Three layers
+ * 1. zod checks the API contract (and strips _id, createdAt... sent back from GET)
+ * 2. Mongoose checks the model exactly as insertMany would
+ * 3. Ids must be unique within the layout
+ * Valid layouts then get their grid rectangles compacted (no overlaps)
+ */
+const prepareLayout = (scope, payloads) => {
+  const invalidWidgets = [];
+  const widgets = [];
+  const seenIds = new Set();
+
+  payloads.forEach((payload, index) => {
+    const errors = [];
+    const contract = createWidgetSchema.safeParse(payload);
+
+    if (!contract.success) {
+      contract.error.errors.forEach(err => errors.push({
+        field: err.path.join('.'),
+        message: err.message
+      }));
+    }
+
+    const widget = {
+      ...(contract.success ? applyWidgetDefaults(contract.data) : {}),
+      ...scope,
+      id: (contract.success ? contract.data.id : payload && payload.id) || generateWidgetId()
+    };
+
+    if (contract.success) {
+      const modelError = new Widget(widget).validateSync();
+      if (modelError) {
+        Object.values(modelError.errors).forEach(err => errors.push({
+          field: err.path,
+          message: err.message
+        }));
+      }
+    }
+
+    if (seenIds.has(widget.id)) {
+      errors.push({ field: 'id', message: `Duplicate widget id: ${widget.id}` });
+    }
+    seenIds.add(widget.id);
+
+    if (errors.length > 0) {
+      invalidWidgets.push({
+        index,
+        id: (payload && payload.id) || null,
+        type: (payload && payload.type) || null,
+        errors
+      });
+    }
+
+    widgets.push(widget);
+  });
+
+  if (invalidWidgets.length > 0) {
+    return { valid: false, invalidWidgets };
+  }
+
+  return { valid: true, widgets: normalizeGrid(widgets) };
+};
+
+/**
+ * WHAT THIS DOES: Makes the grid part of a full layout overlap-free,
+ * one breakpoint at a time (lg in `grid`, others in `breakpointGrids`)
+ * WHY: A layout save must not store overlaps the grid endpoint would reject
+ */
+const normalizeGrid = (widgets) => {
+  return BREAKPOINT_NAMES.reduce((current, breakpoint) => {
+    const gridItems = current
+      .filter(widget => gridOf(widget, breakpoint))
+      .map(widget => ({ ...gridOf(widget, breakpoint), widgetId: widget.id }));
+
+    const compacted = new Map(
+      compactLayout(gridItems, 'vertical', { columns: BREAKPOINTS[breakpoint] })
+        .map(item => [item.widgetId, item])
+    );
+
+    return current.map((widget) => {
+      if (!gridOf(widget, breakpoint)) return widget;
+
+      const { widgetId, ...grid } = compacted.get(widget.id);
+
+      return breakpoint === LARGEST_BREAKPOINT
+        ? { ...widget, grid }
+        : { ...widget, breakpointGrids: { ...widget.breakpointGrids, [breakpoint]: grid } };
+    });
+  }, widgets);
+};
+
+// ========================================
+// TRANSACTION SUPPORT
+// ========================================
+
+let transactionSupport = null;
+
+/**
+ * WHAT THIS DOES: Detects whether the connected MongoDB supports transactions
+ * LEARNING: Transactions need a replica set (setName) or mongos (isdbgrid).
+ * A local standalone mongod has neither.
+ */
+const supportsTransactions = async () => {
+  if (transactionSupport !== null) return transactionSupport;
+
+  try {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionSupport = Boolean(hello.setName || hello.msg === 'isdbgrid');
+  } catch (error) {
+    console.warn('⚠️  Could not detect transaction support, using staged swaps:', error.message);
+    transactionSupport = false;
+  }
+
+  console.log(`🧱 Layout saves use ${transactionSupport ? 'transactions' : 'staged swaps'}`);
+
+  return transactionSupport;
+};
+
+// ========================================
+// REPLACE STRATEGIES
+// ========================================
+
+/**
+ * STRATEGY 1: Trash + delete + insert inside one transaction
+ * If anything fails, MongoDB rolls all of them back
+ */
+const replaceWithTransaction = async (scope, widgets) => {
+  const session = await mongoose.startSession();
+  const incomingIds = widgets.map(widget => widget.id);
+  let savedWidgets = [];
+
+  try {
+    // LEARNING: withTransaction retries on transient errors and aborts on others
+    await session.withTransaction(async () => {
+      // Widgets in the new layout (live or trashed) are replaced...
+      await Widget.deleteMany({ ...scope, id: { $in: incomingIds } }, { session });
+      // ...the remaining live ones are left out → trash
+      await Widget.updateMany({ ...scope, ...ACTIVE_FILTER }, { $set: trashFields() }, { session });
+      savedWidgets = await Widget.insertMany(widgets, { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return savedWidgets;
+};
+
+/**
+ * STRATEGY 2: Staged swap (no transactions available)
+ *
+ * 1. Insert new widgets under "<workspaceId>::staging::<token>"
+ *    → fails? delete the staged copies, the workspace was never touched
+ * 2. Move current live widgets (and trashed widgets with an incoming id)
+ *    to "<workspaceId>::retired::<token>"
+ * 3. Move staged widgets to the real workspace id
+ *    → fails? move the retired widgets back
+ * 4. Delete retired widgets that were replaced, trash the rest
+ *
+ * LEARNING: Each step is one updateMany/deleteMany, so the window where the
+ * workspace is incomplete is milliseconds - and even then no data is lost,
+ * it only sits under the staging/retired id
+ */
+const replaceWithStagedSwap = async (scope, widgets) => {
+  const token = crypto.randomBytes(6).toString('hex');
+  const stagingScope = { userId: scope.userId, workspaceId: `${scope.workspaceId}::staging::${token}` };
+  const retiredScope = { userId: scope.userId, workspaceId: `${scope.workspaceId}::retired::${token}` };
+  const incomingIds = widgets.map(widget => widget.id);
+
+  // STEP 1: Stage
+  let stagedIds;
+  try {
+    const staged = await Widget.insertMany(widgets.map(widget => ({ ...widget, workspaceId: stagingScope.workspaceId })));
+    stagedIds = staged.map(widget => widget._id);
+  } catch (error) {
+    await Widget.deleteMany(stagingScope);
+    throw error;
+  }
+
+  // STEP 2 + 3: Swap
+  try {
+    // WHY trashed widgets with an incoming id too: they'd collide with the staged ones (unique id)
+    await Widget.updateMany(
+      { ...scope, $or: [ACTIVE_FILTER, { id: { $in: incomingIds } }] },
+      { $set: { workspaceId: retiredScope.workspaceId } }
+    );
+    await Widget.updateMany(stagingScope, { $set: { workspaceId: scope.workspaceId } });
+  } catch (error) {
+    console.error('❌ Staged swap failed, restoring previous layout:', error.message);
+    // WHY by _id: staged widgets may already carry the real workspace id
+    await Widget.deleteMany({ _id: { $in: stagedIds } });
+    await Widget.updateMany(retiredScope, { $set: { workspaceId: scope.workspaceId } });
+    throw error;
+  }
+
+  // STEP 4: Clean up - replaced widgets go, left-out widgets move to the trash
+  await Widget.deleteMany({ ...retiredScope, id: { $in: incomingIds } });
+  await Widget.updateMany(retiredScope, { $set: { workspaceId: scope.workspaceId, ...trashFields() } });
+
+  return Widget.find({ ...scope, ...ACTIVE_FILTER }).sort({ createdAt: -1 });
+};
+
+// ========================================
+// REPLACE LAYOUT
+// ========================================
+
+/**
+ * WHAT THIS DOES: Replaces all widgets of a workspace - either every widget
+ * is saved or nothing changes
+ *
+ * @param {object} scope - { userId, workspaceId }
+ * @param {Array} widgets - Widget documents from prepareLayout
+ * @returns {object} { widgets, strategy: 'transaction' | 'staged' }
+ */
+const replaceLayout = async (scope, widgets) => {
+  if (await supportsTransactions()) {
+    return { widgets: await replaceWithTransaction(scope, widgets), strategy: 'transaction' };
+  }
+
+  return { widgets: await replaceWithStagedSwap(scope, widgets), strategy: 'staged' };
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  generateWidgetId,
+  prepareLayout,
+  supportsTransactions,
+  replaceLayout
+};
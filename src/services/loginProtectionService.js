@@ -0,0 +1,354 @@
+const LoginThrottle = require('../models/LoginThrottle');
+const LockoutEvent = require('../models/LockoutEvent');
+
+/**
+ * WHAT THIS DOES: Brute-force protection for login
+ *
+ * HOW IT WORKS (per account AND per IP):
+ * 1. Every failed login increments a counter
+ * 2. From LOGIN_DELAY_AFTER failures on, each further attempt must wait
+ *    longer: 1s, 2s, 4s, 8s ... (capped at LOGIN_MAX_DELAY_SECONDS)
+ * 3. At LOGIN_MAX_ATTEMPTS (accounts) / LOGIN_MAX_IP_ATTEMPTS (IPs) the key is
+ *    locked for LOGIN_LOCKOUT_MINUTES and a LockoutEvent is recorded
+ * 4. A successful login resets the counters
+ *
+ * 2FA CHALLENGES: Each challenge token also has its own counter - after
+ * TWO_FACTOR_MAX_ATTEMPTS wrong codes (or one successful login) it is burned
+ * and the user has to enter the password again
+ */
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+const getConfig = () => ({
+  delayAfter: parseInt(process.env.LOGIN_DELAY_AFTER) || 3,
+  maxDelaySeconds: parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 30,
+  maxAccountAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 10,
+  maxIpAttempts: parseInt(process.env.LOGIN_MAX_IP_ATTEMPTS) || 50,
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  maxChallengeAttempts: parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS) || 5,
+  // WHY: Counters of someone who stopped failing are forgotten after a day
+  counterTtlHours: 24
+});
+
+const accountKey = (email) => `account:${String(email || '').toLowerCase()}`;
+const ipKey = (ipAddress) => `ip:${ipAddress}`;
+const challengeKey = (jti) => `challenge:${jti}`;
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// ========================================
+// CHECK BEFORE LOGIN
+// ========================================
+
+/**
+ * WHAT THIS DOES: Decides whether a login attempt may proceed at all
+ *
+ * RETURNS:
+ * { allowed: true }
+ * { allowed: false, code: 'ACCOUNT_LOCKED' | 'IP_LOCKED' | 'TOO_MANY_ATTEMPTS', retryAfter }
+ */
+const checkLoginAllowed = async (email, ipAddress) => {
+  const now = new Date();
+  const throttles = await LoginThrottle.find({
+    key: { $in: [accountKey(email), ipKey(ipAddress)] }
+  });
+
+  // Lockouts first - they're the stronger answer
+  for (const throttle of throttles) {
+    if (throttle.lockedUntil && throttle.lockedUntil > now) {
+      return {
+        allowed: false,
+        code: throttle.scope === 'account' ? 'ACCOUNT_LOCKED' : 'IP_LOCKED',
+        retryAfter: secondsUntil(throttle.lockedUntil)
+      };
+    }
+  }
+
+  for (const throttle of throttles) {
+    if (throttle.nextAttemptAt && throttle.nextAttemptAt > now) {
+      return {
+        allowed: false,
+        code: 'TOO_MANY_ATTEMPTS',
+        retryAfter: secondsUntil(throttle.nextAttemptAt)
+      };
+    }
+  }
+
+  return { allowed: true };
+};
+
+// ========================================
+// RECORD FAILURE
+// ========================================
+
+/**
+ * HELPER: Increments one counter and applies delay / lockout rules
+ */
+const registerFailure = async ({ key, scope, maxAttempts, email, ipAddress, userId }) => {
+  const config = getConfig();
+  const now = new Date();
+
+  // LEARNING: $inc with upsert is atomic - parallel guesses can't lose counts
+  const throttle = await LoginThrottle.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failedCount: 1 },
+      $set: {
+        scope,
+        lastFailedAt: now,
+        expiresAt: new Date(now.getTime() + config.counterTtlHours * 60 * 60 * 1000)
+      }
+    },
+    { upsert: true, new: true }
+  );
+
+  // RULE 1: Too many failures → temporary lockout
+  if (throttle.failedCount >= maxAttempts) {
+    const lockedUntil = new Date(now.getTime() + config.lockoutMinutes * 60 * 1000);
+
+    await LoginThrottle.updateOne(
+      { _id: throttle._id },
+      // WHY: Counter restarts so the next lockout needs a full set of new failures
+      { $set: { lockedUntil, nextAttemptAt: null, failedCount: 0 } }
+    );
+
+    await LockoutEvent.create({
+      scope,
+      userId: scope === 'account' ? userId : null,
+      email: scope === 'account' ? email : null,
+      ipAddress,
+      failedCount: throttle.failedCount,
+      lockedUntil
+    });
+
+    console.warn(`🔒 Login lockout (${scope}): ${scope === 'account' ? email : ipAddress} until ${lockedUntil.toISOString()}`);
+
+    return { locked: true, scope, retryAfter: secondsUntil(lockedUntil) };
+  }
+
+  // RULE 2: Escalating delay after the first few failures
+  if (throttle.failedCount >= config.delayAfter) {
+    const exponent = throttle.failedCount - config.delayAfter;
+    const delaySeconds = Math.min(2 ** exponent, config.maxDelaySeconds);
+    const nextAttemptAt = new Date(now.getTime() + delaySeconds * 1000);
+
+    await LoginThrottle.updateOne({ _id: throttle._id }, { $set: { nextAttemptAt } });
+
+    return { locked: false, retryAfter: delaySeconds };
+  }
+
+  return { locked: false, retryAfter: 0 };
+};
+
+/**
+ * WHAT THIS DOES: Records a failed login for the account and the IP
+ *
+ * @param {object} attempt - { email, ipAddress, userId (null if unknown email) }
+ * @returns {object} { locked, code?, retryAfter }
+ */
+const recordFailedLogin = async ({ email, ipAddress, userId = null }) => {
+  const config = getConfig();
+
+  const accountResult = await registerFailure({
+    key: accountKey(email),
+    scope: 'account',
+    maxAttempts: config.maxAccountAttempts,
+    email,
+    ipAddress,
+    userId
+  });
+
+  const ipResult = await registerFailure({
+    key: ipKey(ipAddress),
+    scope: 'ip',
+    maxAttempts: config.maxIpAttempts,
+    email,
+    ipAddress,
+    userId
+  });
+
+  if (accountResult.locked) {
+    return { locked: true, code: 'ACCOUNT_LOCKED', retryAfter: accountResult.retryAfter };
+  }
+
+  if (ipResult.locked) {
+    return { locked: true, code: 'IP_LOCKED', retryAfter: ipResult.retryAfter };
+  }
+
+  return {
+    locked: false,
+    retryAfter: Math.max(accountResult.retryAfter, ipResult.retryAfter)
+  };
+};
+
+// ========================================
+// RECORD SUCCESS
+// ========================================
+
+/**
+ * WHAT THIS DOES: Clears the counters after a successful login
+ */
+const recordSuccessfulLogin = async ({ email, ipAddress }) => {
+  await LoginThrottle.deleteMany({
+    key: { $in: [accountKey(email), ipKey(ipAddress)] },
+    // WHY: Never lift an active lockout here - only support can do that early
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }]
+  });
+};
+
+// ========================================
+// TWO-FACTOR CHALLENGES
+// ========================================
+
+/**
+ * WHAT THIS DOES: Is this 2FA challenge token still usable?
+ *
+ * @param {object} decoded - Verified challenge token payload ({ jti, exp })
+ * @returns {boolean}
+ */
+const isChallengeUsable = async (decoded) => {
+  const throttle = await LoginThrottle.findOne({ key: challengeKey(decoded.jti) });
+
+  return !throttle || !throttle.lockedUntil;
+};
+
+/**
+ * WHAT THIS DOES: Counts a wrong code for one challenge token and burns the
+ * token once TWO_FACTOR_MAX_ATTEMPTS is reached
+ * WHY: A 6-digit code has only a million values - without this, one
+ * challenge could be replayed until the code is guessed
+ *
+ * @returns {object} { burned, attemptsRemaining }
+ */
+const recordFailedChallenge = async (decoded) => {
+  const { maxChallengeAttempts } = getConfig();
+  // WHY: The counter is useless once the token has expired anyway
+  const expiresAt = new Date(decoded.exp * 1000);
+
+  const throttle = await LoginThrottle.findOneAndUpdate(
+    { key: challengeKey(decoded.jti) },
+    {
+      $inc: { failedCount: 1 },
+      $set: { scope: 'challenge', lastFailedAt: new Date(), expiresAt }
+    },
+    { upsert: true, new: true }
+  );
+
+  if (throttle.failedCount >= maxChallengeAttempts) {
+    await LoginThrottle.updateOne({ _id: throttle._id }, { $set: { lockedUntil: expiresAt } });
+
+    console.warn(`🔒 2FA challenge burned after ${throttle.failedCount} wrong codes`);
+
+    return { burned: true, attemptsRemaining: 0 };
+  }
+
+  return { burned: false, attemptsRemaining: maxChallengeAttempts - throttle.failedCount };
+};
+
+/**
+ * WHAT THIS DOES: Burns a challenge token after it was used to log in
+ * WHY: The token must not start a second session
+ *
+ * @returns {boolean} false if the challenge was already burned (lost a race)
+ *
+ * LEARNING: The filter only matches an unburned counter. If a burned one
+ * exists, the upsert tries to insert a second document with the same unique
+ * key and fails with E11000 - so only one request can win.
+ */
+const consumeChallenge = async (decoded) => {
+  try {
+    await LoginThrottle.updateOne(
+      { key: challengeKey(decoded.jti), lockedUntil: null },
+      {
+        $set: {
+          scope: 'challenge',
+          lockedUntil: new Date(decoded.exp * 1000),
+          expiresAt: new Date(decoded.exp * 1000)
+        }
+      },
+      { upsert: true }
+    );
+
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// ========================================
+// BLOCKED RESPONSE
+// ========================================
+
+/**
+ * WHAT THIS DOES: Turns a blocked result into an HTTP status + JSON body
+ * WHY: The throttle middleware and the login controllers must answer identically
+ *
+ * STATUS CODES:
+ * - 423 Locked            → ACCOUNT_LOCKED
+ * - 429 Too Many Requests → IP_LOCKED, TOO_MANY_ATTEMPTS
+ */
+const getBlockedResponse = ({ code, retryAfter }) => {
+  const messages = {
+    ACCOUNT_LOCKED: 'Account temporarily locked due to too many failed login attempts.',
+    IP_LOCKED: 'Too many failed login attempts from this network.',
+    TOO_MANY_ATTEMPTS: 'Too many failed login attempts. Please wait before trying again.'
+  };
+
+  return {
+    statusCode: code === 'ACCOUNT_LOCKED' ? 423 : 429,
+    body: {
+      status: 'error',
+      message: messages[code],
+      code,
+      retryAfter,
+      ...(code === 'ACCOUNT_LOCKED' && {
+        hint: 'Try again later or contact support'
+      })
+    }
+  };
+};
+
+// ========================================
+// UNLOCK (Support)
+// ========================================
+
+/**
+ * WHAT THIS DOES: Lifts the lockout of an account before it expires
+ *
+ * @param {object} user - User document being unlocked
+ * @param {string} unlockedBy - Id of the admin performing the unlock
+ * @returns {number} How many lockout events were closed
+ */
+const unlockAccount = async (user, unlockedBy) => {
+  await LoginThrottle.deleteOne({ key: accountKey(user.email) });
+
+  const result = await LockoutEvent.updateMany(
+    {
+      scope: 'account',
+      email: user.email,
+      unlockedAt: null,
+      lockedUntil: { $gt: new Date() }
+    },
+    { $set: { unlockedAt: new Date(), unlockedBy } }
+  );
+
+  return result.modifiedCount;
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  checkLoginAllowed,
+  isChallengeUsable,
+  recordFailedChallenge,
+  consumeChallenge,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  getBlockedResponse,
+  unlockAccount
+};
@@ -0,0 +1,79 @@
+const {
+  TWO_FACTOR_CHALLENGE_TTL_SECONDS,
+  generateTwoFactorChallengeToken
+} = require('./tokenService');
+const { getRequestContext, createSession } = require('./sessionService');
+const { recordSuccessfulLogin } = require('./loginProtectionService');
+
+/**
+ * WHAT THIS DOES: The shared last steps of logging a user in
+ * WHY A SERVICE: Password login, 2FA verification and social (OIDC) login
+ * all end the same way - one place keeps them identical
+ */
+
+// ========================================
+// TWO-FACTOR CHALLENGE
+// ========================================
+
+/**
+ * WHAT THIS DOES: Builds the response data for users who still owe a second factor
+ * LEARNING: No session yet - only a 5-minute challenge token
+ *
+ * @param {object} user - User who still owes the second factor
+ * @param {object} options - { identity } OIDC identity that waits for the
+ *                           second factor before it gets linked (signed into the token)
+ *
+ * RETURNS:
+ * { requiresTwoFactor: true, challengeToken, expiresIn }
+ */
+const createTwoFactorChallenge = (user, { identity } = {}) => ({
+  requiresTwoFactor: true,
+  challengeToken: generateTwoFactorChallengeToken(user._id, { identity }),
+  expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS
+});
+
+// ========================================
+// COMPLETE LOGIN
+// ========================================
+
+/**
+ * WHAT THIS DOES: Final step of every successful login
+ * 1. Starts a session (tokens bound to it)
+ * 2. Resets failed-login counters
+ * 3. Updates last login timestamp and device list
+ * 4. Links a pending OIDC identity (options.identity)
+ *
+ * SECURITY: Social login links an identity by verified email only HERE -
+ * after the deactivation, lockout and 2FA checks passed. A login that is
+ * refused must not leave the provider account attached to the user.
+ *
+ * RETURNS: { safeUser, tokens, linked }
+ */
+const completeLogin = async (req, user, { identity } = {}) => {
+  const context = getRequestContext(req);
+  const { session, tokens } = await createSession(user._id, context);
+
+  // Successful login resets brute-force counters
+  await recordSuccessfulLogin({ email: user.email, ipAddress: req.ip });
+
+  const linked = identity ? user.linkIdentity(identity) : false;
+
+  user.lastLogin = new Date();
+  user.recordDevice({ ...context, deviceId: session.deviceId });
+  await user.save();
+
+  if (linked) {
+    console.log(`🔗 Linked ${identity.provider} identity to user: ${user.email}`);
+  }
+
+  return { safeUser: user.toSafeObject(), tokens, linked };
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  createTwoFactorChallenge,
+  completeLogin
+};
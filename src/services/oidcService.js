@@ -0,0 +1,393 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const OAuthState = require('../models/OAuthState');
+const cache = require('./cacheService');
+const { hashToken } = require('../utils/encryption');
+
+/**
+ * WHAT THIS DOES: Provider-agnostic OpenID Connect login
+ * (authorization code flow + PKCE)
+ *
+ * HOW IT WORKS:
+ * 1. startAuthorization   → URL of the provider's login page (with state, nonce, PKCE challenge)
+ * 2. User logs in at the provider, which redirects back with ?code&state
+ * 3. completeAuthorization → code exchanged for an ID token, token verified
+ * 4. resolveUser          → existing identity, account matched by verified email, or new account
+ *
+ * LEARNING: Every provider publishes its endpoints and signing keys at
+ * <issuer>/.well-known/openid-configuration - nothing provider-specific is hard-coded
+ */
+
+const STATE_TTL_MINUTES = 10;
+const METADATA_CACHE_SECONDS = 60 * 60;
+const HTTP_TIMEOUT_MS = 10 * 1000;
+
+// WHY: Asymmetric algorithms only - ID tokens must be verifiable with public keys
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+// ========================================
+// HTTP HELPERS
+// ========================================
+
+/**
+ * HELPER: Error for failures on the provider's side (unreachable, timeout,
+ * rejected request, unusable keys)
+ * WHY: Controllers answer 502 for these only - our own failures (database,
+ * validation) are a 500 like everywhere else
+ *
+ * USAGE: if (error.name === 'OidcProviderError') { ... }
+ */
+const providerError = (message) => {
+  const error = new Error(message);
+  error.name = 'OidcProviderError';
+  return error;
+};
+
+/**
+ * HELPER: fetch() that expects JSON and fails loudly
+ * LEARNING: Node 18+ ships fetch() built in
+ */
+const fetchJson = async (url, options = {}) => {
+  let response;
+
+  try {
+    response = await fetch(url, {
+      ...options,
+      signal: AbortSignal.timeout(HTTP_TIMEOUT_MS),
+      headers: { Accept: 'application/json', ...(options.headers || {}) }
+    });
+  } catch (error) {
+    throw providerError(`OIDC request to ${url} failed: ${error.message}`);
+  }
+
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const reason = body && (body.error_description || body.error);
+    throw providerError(`OIDC request to ${url} failed (${response.status})${reason ? `: ${reason}` : ''}`);
+  }
+
+  return body;
+};
+
+// ========================================
+// DISCOVERY & SIGNING KEYS
+// ========================================
+
+/**
+ * WHAT THIS DOES: Loads (and caches) the provider's OpenID configuration
+ */
+const getProviderMetadata = async (provider) => {
+  const cacheKey = `oidc:metadata:${provider.name}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+
+  const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+  cache.set(cacheKey, metadata, METADATA_CACHE_SECONDS);
+
+  return metadata;
+};
+
+/**
+ * WHAT THIS DOES: Finds the public key that signed an ID token
+ * WHY REFETCH: Providers rotate keys - an unknown kid means our copy is stale
+ */
+const getSigningKey = async (provider, kid) => {
+  const cacheKey = `oidc:jwks:${provider.name}`;
+  const findKey = (jwks) => (jwks.keys || []).find(key => !kid || key.kid === kid);
+
+  let jwks = cache.get(cacheKey);
+  let jwk = jwks && findKey(jwks);
+
+  if (!jwk) {
+    const metadata = await getProviderMetadata(provider);
+    jwks = await fetchJson(metadata.jwks_uri);
+    cache.set(cacheKey, jwks, METADATA_CACHE_SECONDS);
+    jwk = findKey(jwks);
+  }
+
+  if (!jwk) return null;
+
+  // LEARNING: Node converts a JWK straight into a KeyObject jsonwebtoken can use
+  try {
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  } catch (error) {
+    throw providerError(`Provider signing key ${jwk.kid || ''} is unusable: ${error.message}`);
+  }
+};
+
+// ========================================
+// STEP 1: START AUTHORIZATION
+// ========================================
+
+/**
+ * WHAT THIS DOES: Creates the provider login URL
+ *
+ * RETURNS: { authorizationUrl }
+ */
+const startAuthorization = async (provider) => {
+  const metadata = await getProviderMetadata(provider);
+
+  const state = base64url(crypto.randomBytes(32));
+  const nonce = base64url(crypto.randomBytes(16));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+
+  // LEARNING: PKCE - the provider gets sha256(verifier) now and the verifier
+  // itself at code exchange, proving both requests came from us
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  await OAuthState.create({
+    stateHash: hashToken(state),
+    provider: provider.name,
+    codeVerifier,
+    nonce,
+    redirectUri: provider.redirectUri,
+    expiresAt: new Date(Date.now() + STATE_TTL_MINUTES * 60 * 1000)
+  });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return {
+    authorizationUrl: `${metadata.authorization_endpoint}?${params.toString()}`
+  };
+};
+
+// ========================================
+// STEP 2: COMPLETE AUTHORIZATION
+// ========================================
+
+/**
+ * HELPER: Exchanges the authorization code for tokens at the token endpoint
+ */
+const exchangeCode = async (provider, metadata, { code, codeVerifier, redirectUri }) => {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier,
+    client_id: provider.clientId
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  if (provider.clientSecret) {
+    if (provider.tokenAuthMethod === 'client_secret_basic') {
+      const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      body.set('client_secret', provider.clientSecret);
+    }
+  }
+
+  return fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers,
+    body: body.toString()
+  });
+};
+
+/**
+ * HELPER: Verifies the ID token signature and claims
+ * RETURNS: { valid: true, claims } or { valid: false, error }
+ */
+const verifyIdToken = async (provider, metadata, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded || !ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+    return { valid: false, error: 'ID token is malformed or uses an unsupported algorithm' };
+  }
+
+  const key = await getSigningKey(provider, decoded.header.kid);
+
+  if (!key) {
+    return { valid: false, error: 'ID token signing key not found' };
+  }
+
+  try {
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: metadata.issuer,
+      audience: provider.clientId,
+      clockTolerance: 30
+    });
+
+    // SECURITY: The nonce ties this token to the login we started
+    if (claims.nonce !== nonce) {
+      return { valid: false, error: 'ID token nonce mismatch' };
+    }
+
+    if (!claims.sub) {
+      return { valid: false, error: 'ID token has no subject' };
+    }
+
+    return { valid: true, claims };
+  } catch (error) {
+    return { valid: false, error: `ID token rejected: ${error.message}` };
+  }
+};
+
+/**
+ * WHAT THIS DOES: Handles the provider's redirect back to us
+ *
+ * @param {object} provider - From config/oidcProviders
+ * @param {object} params - { code, state } from the callback
+ * @returns {object} { success: true, claims } or { success: false, code, error }
+ */
+const completeAuthorization = async (provider, { code, state }) => {
+  // STEP 1: Consume the stored state (single use)
+  const storedState = await OAuthState.findOneAndDelete({
+    stateHash: hashToken(state),
+    provider: provider.name,
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (!storedState) {
+    return {
+      success: false,
+      code: 'INVALID_OIDC_STATE',
+      error: 'Login request expired or is invalid. Please try again.'
+    };
+  }
+
+  // STEP 2: Exchange the code
+  const metadata = await getProviderMetadata(provider);
+  const tokenResponse = await exchangeCode(provider, metadata, {
+    code,
+    codeVerifier: storedState.codeVerifier,
+    redirectUri: storedState.redirectUri
+  });
+
+  if (!tokenResponse || !tokenResponse.id_token) {
+    return {
+      success: false,
+      code: 'OIDC_NO_ID_TOKEN',
+      error: 'Provider did not return an ID token'
+    };
+  }
+
+  // STEP 3: Verify the ID token
+  const verification = await verifyIdToken(provider, metadata, tokenResponse.id_token, storedState.nonce);
+
+  if (!verification.valid) {
+    return {
+      success: false,
+      code: 'INVALID_ID_TOKEN',
+      error: verification.error
+    };
+  }
+
+  return { success: true, claims: verification.claims };
+};
+
+// ========================================
+// STEP 3: RESOLVE USER
+// ========================================
+
+/**
+ * HELPER: A name for a new account (2-50 characters, like registration)
+ * ORDER: name claim → given_name claim → email local part → "HoloDesk user"
+ * EXAMPLE: { email: "x@example.com" } → "HoloDesk user" (one letter is too short)
+ */
+const displayNameFrom = (claims, email) => {
+  const candidates = [claims.name, claims.given_name, email.split('@')[0]];
+
+  for (const candidate of candidates) {
+    const name = String(candidate || '').trim().slice(0, 50).trim();
+    if (name.length >= 2) return name;
+  }
+
+  return 'HoloDesk user';
+};
+
+/**
+ * WHAT THIS DOES: Maps verified ID token claims to a HoloDesk account
+ *
+ * RULES:
+ * 1. Identity already linked → that user
+ * 2. Provider-verified email matches a user with a verified email → identity to link
+ * 3. No account with that email → create one (no password)
+ *
+ * SECURITY: We never link to an account whose email WE haven't verified -
+ * otherwise someone could pre-register a victim's email, wait for the victim
+ * to use social login, and share their account
+ *
+ * SECURITY: Rule 2 does NOT save the link - it returns it as pendingIdentity.
+ * The caller links it with completeLogin() once the account may log in
+ * (active, not locked, second factor passed).
+ *
+ * RETURNS: { success: true, user, created, pendingIdentity } or { success: false, statusCode, code, error }
+ */
+const resolveUser = async (provider, claims) => {
+  const identity = { provider: provider.name, subject: String(claims.sub) };
+
+  // RULE 1: Known identity
+  const linkedUser = await User.findOne({
+    identities: { $elemMatch: identity }
+  });
+
+  if (linkedUser) {
+    return { success: true, user: linkedUser, created: false, pendingIdentity: null };
+  }
+
+  const email = claims.email ? String(claims.email).toLowerCase() : null;
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+
+  if (!email) {
+    return {
+      success: false,
+      statusCode: 400,
+      code: 'OIDC_EMAIL_REQUIRED',
+      error: 'The provider did not share an email address'
+    };
+  }
+
+  const existingUser = await User.findOne({ email });
+
+  // RULE 2: Link by verified email
+  if (existingUser) {
+    if (!emailVerified || !existingUser.isEmailVerified) {
+      return {
+        success: false,
+        statusCode: 409,
+        code: 'ACCOUNT_LINK_REQUIRES_VERIFIED_EMAIL',
+        error: 'An account with this email already exists. Verify your email and log in with your password first.'
+      };
+    }
+
+    return { success: true, user: existingUser, created: false, pendingIdentity: { ...identity, email } };
+  }
+
+  // RULE 3: New account
+  const user = await User.create({
+    email,
+    name: displayNameFrom(claims, email),
+    role: 'user',
+    isEmailVerified: emailVerified,
+    identities: [{ ...identity, email }]
+  });
+
+  console.log(`✅ New user registered via ${provider.name}: ${email} (ID: ${user._id})`);
+
+  return { success: true, user, created: true, pendingIdentity: null };
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  startAuthorization,
+  completeAuthorization,
+  resolveUser
+};
@@ -0,0 +1,306 @@
+const Session = require('../models/Session');
+const {
+  generateTokenPair,
+  decodeToken,
+  markSessionRevoked
+} = require('./tokenService');
+const { hashToken } = require('../utils/encryption');
+
+/**
+ * WHAT THIS DOES: Manages server-side sessions and refresh-token rotation
+ * WHY IMPORTANT: A refresh token lives for 30 days - we must be able to
+ * detect when one has been stolen and shut it down
+ *
+ * HOW ROTATION WORKS:
+ * 1. Login → new Session, refresh token #1 (hash stored on the session)
+ * 2. Refresh with #1 → hash swapped to #2, client receives #2
+ * 3. Refresh with #1 again → #1 is no longer the stored hash, so someone
+ *    kept a copy. We revoke the session and every token in its family dies.
+ */
+
+// ========================================
+// REQUEST CONTEXT
+// ========================================
+
+/**
+ * HELPER: Builds a readable device name from a user agent
+ * EXAMPLE: "Mozilla/5.0 (Windows NT 10.0 ...) Chrome/120..." → "Chrome on Windows"
+ */
+const describeUserAgent = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return userAgent.slice(0, 50);
+
+  return [browser && browser[0], system && system[0]].filter(Boolean).join(' on ');
+};
+
+/**
+ * WHAT THIS DOES: Collects device/network details of the current request
+ * WHY: Stored on the session and in user.devices so users can recognise their logins
+ *
+ * DEVICE ID SOURCES (first one wins):
+ * 1. X-Device-Id header
+ * 2. deviceId in the request body
+ * 3. null → createSession uses the session id (see deviceIdOf)
+ *
+ * WHY NOT the user agent: every machine with the same browser build would
+ * share one "device", and revoking it would log all of them out
+ */
+const getRequestContext = (req) => {
+  const body = req.body || {};
+  const userAgent = req.get('user-agent') || null;
+
+  const clientDeviceId = req.get('x-device-id') || body.deviceId;
+  const deviceId = clientDeviceId ? String(clientDeviceId).slice(0, 100) : null;
+
+  const clientDeviceName = req.get('x-device-name') || body.deviceName;
+  const deviceName = clientDeviceName
+    ? String(clientDeviceName).slice(0, 50)
+    : describeUserAgent(userAgent);
+
+  return {
+    ipAddress: req.ip || null,
+    userAgent,
+    deviceId,
+    deviceName
+  };
+};
+
+/**
+ * HELPER: Device id of a session - the client's id, or one device per session
+ * EXAMPLE: no X-Device-Id → "session-65a1f0c2e4b0a1b2c3d4e5f6"
+ */
+const deviceIdOf = (session, context = {}) => {
+  return session.deviceId || context.deviceId || `session-${session._id}`;
+};
+
+/**
+ * HELPER: Reads the expiry of a freshly signed refresh token
+ * WHY: Keeps Session.expiresAt in sync with JWT_REFRESH_EXPIRE
+ */
+const getTokenExpiry = (token) => {
+  const decoded = decodeToken(token);
+  return new Date(decoded.exp * 1000);
+};
+
+// ========================================
+// CREATE SESSION (Login / Register)
+// ========================================
+
+/**
+ * WHAT THIS DOES: Starts a new session and issues its first token pair
+ *
+ * USAGE EXAMPLE:
+ * const { session, tokens } = await createSession(user._id, getRequestContext(req));
+ * user.recordDevice({ ...context, deviceId: session.deviceId });
+ */
+const createSession = async (userId, context = {}) => {
+  // LEARNING: new Session() assigns _id before saving,
+  // so the tokens can reference the session they belong to
+  const session = new Session({
+    userId,
+    ipAddress: context.ipAddress,
+    userAgent: context.userAgent,
+    deviceName: context.deviceName
+  });
+  session.deviceId = deviceIdOf(session, context);
+
+  const tokens = generateTokenPair(userId, session._id);
+
+  session.refreshTokenHash = hashToken(tokens.refreshToken);
+  session.expiresAt = getTokenExpiry(tokens.refreshToken);
+  session.lastUsedAt = new Date();
+
+  await session.save();
+
+  return { session, tokens };
+};
+
+// ========================================
+// ROTATE SESSION (Token refresh)
+// ========================================
+
+/**
+ * WHAT THIS DOES: Exchanges a refresh token for a new pair, exactly once
+ *
+ * @param {object} decoded - Verified refresh token payload
+ * @param {string} refreshToken - The raw token the client sent
+ * @param {object} context - Result of getRequestContext(req)
+ *
+ * RETURNS:
+ * { success: true, session, tokens }
+ * { success: false, code: 'SESSION_REVOKED' | 'REFRESH_TOKEN_REUSED' | ..., error }
+ */
+const rotateSession = async (decoded, refreshToken, context = {}) => {
+  if (!decoded.sid) {
+    return {
+      success: false,
+      code: 'SESSION_REQUIRED',
+      error: 'Refresh token is not bound to a session. Please login again.'
+    };
+  }
+
+  const session = await Session.findById(decoded.sid).select('+refreshTokenHash');
+
+  if (!session || String(session.userId) !== String(decoded.userId)) {
+    return {
+      success: false,
+      code: 'SESSION_NOT_FOUND',
+      error: 'Session not found. Please login again.'
+    };
+  }
+
+  if (session.revokedAt) {
+    return {
+      success: false,
+      code: 'SESSION_REVOKED',
+      error: 'Session has been revoked. Please login again.'
+    };
+  }
+
+  const presentedHash = hashToken(refreshToken);
+
+  // STEP 1: Issue the next token pair for this session
+  const tokens = generateTokenPair(session.userId, session._id);
+
+  // STEP 2: Swap hashes atomically
+  // LEARNING: The filter only matches while the presented token is still
+  // the current one - two requests racing with the same token can't both win
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(tokens.refreshToken),
+        expiresAt: getTokenExpiry(tokens.refreshToken),
+        lastUsedAt: new Date(),
+        ipAddress: context.ipAddress || session.ipAddress,
+        userAgent: context.userAgent || session.userAgent,
+        // WHY: A session stays on the device that created it
+        deviceId: deviceIdOf(session, context),
+        deviceName: session.deviceName || context.deviceName
+      },
+      $inc: { rotationCount: 1 }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    // SECURITY: A validly signed token for this session that is not the
+    // current one has already been rotated - treat it as stolen
+    await revokeSession(session._id, 'token_reuse');
+
+    console.warn(`🚨 Refresh token reuse detected - session ${session._id} revoked (user: ${session.userId})`);
+
+    return {
+      success: false,
+      code: 'REFRESH_TOKEN_REUSED',
+      error: 'Refresh token has already been used. Session revoked for your security.'
+    };
+  }
+
+  return { success: true, session: rotated, tokens };
+};
+
+// ========================================
+// REVOKE SESSIONS
+// ========================================
+
+/**
+ * WHAT THIS DOES: Marks a session revoked so none of its tokens work anymore
+ * - Refresh token: rejected by rotateSession
+ * - Access tokens: rejected by verifyAccessToken / authMiddleware
+ */
+const revokeSession = async (sessionId, reason) => {
+  markSessionRevoked(sessionId);
+
+  return Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+/**
+ * WHAT THIS DOES: Revokes every active session of a user ("log out everywhere")
+ *
+ * @param {string} userId
+ * @param {string} reason - Stored as Session.revokedReason
+ * @param {object} options
+ *   - exceptSessionId: keeps one session alive
+ *   - deviceId: only revoke sessions created on this device
+ * @returns {number} How many sessions were revoked
+ */
+const revokeAllSessions = async (userId, reason, options = {}) => {
+  const filter = { userId, revokedAt: null };
+
+  if (options.exceptSessionId) {
+    filter._id = { $ne: options.exceptSessionId };
+  }
+
+  if (options.deviceId) {
+    filter.deviceId = options.deviceId;
+  }
+
+  // STEP 1: Remember which sessions are being revoked
+  // WHY: Their access tokens must be rejected immediately
+  const sessions = await Session.find(filter).select('_id');
+  sessions.forEach(session => markSessionRevoked(session._id));
+
+  // STEP 2: Revoke them in the database
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+
+  return result.modifiedCount;
+};
+
+// ========================================
+// CHECK SESSION
+// ========================================
+
+/**
+ * WHAT THIS DOES: Checks that a session exists, belongs to the user and is not revoked
+ * WHY: The revocation list in tokenService is per-process - this is the
+ * authoritative check used by authMiddleware
+ */
+const isSessionActive = async (sessionId, userId) => {
+  const session = await Session.findOne({ _id: sessionId, userId }).select('revokedAt expiresAt');
+
+  if (!session || !session.isActive()) {
+    // Cache the answer so this process rejects the session without the DB next time
+    if (session) markSessionRevoked(sessionId);
+    return false;
+  }
+
+  return true;
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  getRequestContext,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive
+};
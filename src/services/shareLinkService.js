@@ -0,0 +1,172 @@
+const ShareLink = require('../models/ShareLink');
+const Workspace = require('../models/Workspace');
+const Widget = require('../models/Widget');
+const { generateRandomToken, hashToken } = require('../utils/encryption');
+const { ACTIVE_FILTER } = require('./widgetTrashService');
+const { workspaceScopeOf } = require('./workspaceService');
+
+/**
+ * WHAT THIS DOES: Creates, revokes and resolves public share links
+ *
+ * TOKEN FORMAT: hds_<64 random hex characters>
+ * WHY A DIFFERENT PREFIX than API keys (hdk_): A share token is not a login.
+ * authMiddleware doesn't know it, so sending one as a Bearer token is simply
+ * an invalid credential - a share link can never be used to write.
+ */
+
+const TOKEN_PREFIX = 'hds_';
+const DISPLAY_PREFIX_LENGTH = 12;
+const MAX_ACTIVE_LINKS_PER_WORKSPACE = 10;
+
+// WHY: A dashboard on a TV refreshes every minute - don't write on every view
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * WHAT THIS DOES: Tells whether a string looks like a share token
+ */
+const isShareToken = (token) => typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+
+// ========================================
+// CREATE / LIST / REVOKE
+// ========================================
+
+/**
+ * WHAT THIS DOES: Creates a new share link for a workspace
+ *
+ * @param {object} workspace - Workspace
+ * @param {string} userId - Creator (the owner)
+ * @param {object} options - { label?, expiresInDays? }
+ * @returns {object} { success: true, shareLink, token } - token is shown ONCE
+ *                   or { success: false, code, error }
+ */
+const createShareLink = async (workspace, userId, { label, expiresInDays }) => {
+  const activeCount = await ShareLink.countDocuments({
+    workspaceId: workspace._id,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+
+  if (activeCount >= MAX_ACTIVE_LINKS_PER_WORKSPACE) {
+    return {
+      success: false,
+      code: 'SHARE_LINK_LIMIT_REACHED',
+      error: `A workspace can have at most ${MAX_ACTIVE_LINKS_PER_WORKSPACE} active share links. Revoke one first.`
+    };
+  }
+
+  const token = `${TOKEN_PREFIX}${generateRandomToken(32)}`;
+
+  const shareLink = await ShareLink.create({
+    workspaceId: workspace._id,
+    createdBy: userId,
+    label,
+    prefix: token.slice(0, DISPLAY_PREFIX_LENGTH),
+    tokenHash: hashToken(token),
+    expiresAt: expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : null
+  });
+
+  return { success: true, shareLink, token };
+};
+
+/**
+ * WHAT THIS DOES: Lists a workspace's links, newest first (revoked ones included)
+ */
+const listShareLinks = async (workspace) => {
+  return ShareLink.find({ workspaceId: workspace._id }).sort({ createdAt: -1 });
+};
+
+/**
+ * WHAT THIS DOES: Revokes one link of a workspace
+ * RETURNS: The revoked link, or null if the workspace has no such active link
+ */
+const revokeShareLink = async (workspace, linkId) => {
+  return ShareLink.findOneAndUpdate(
+    { _id: linkId, workspaceId: workspace._id, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// ========================================
+// RESOLVE (public)
+// ========================================
+
+/**
+ * WHAT THIS DOES: Looks up the workspace behind a share token
+ *
+ * @param {string} token - Plaintext token from the URL
+ * @returns {object} { valid: true, shareLink, workspace } or { valid: false, code, error }
+ */
+const resolveShareToken = async (token) => {
+  if (!isShareToken(token)) {
+    return { valid: false, code: 'SHARE_LINK_NOT_FOUND', error: 'Share link not found' };
+  }
+
+  const shareLink = await ShareLink.findOne({ tokenHash: hashToken(token) });
+
+  if (!shareLink) {
+    return { valid: false, code: 'SHARE_LINK_NOT_FOUND', error: 'Share link not found' };
+  }
+
+  if (shareLink.revokedAt) {
+    return { valid: false, code: 'SHARE_LINK_REVOKED', error: 'This share link has been revoked' };
+  }
+
+  if (shareLink.expiresAt && shareLink.expiresAt <= new Date()) {
+    return { valid: false, code: 'SHARE_LINK_EXPIRED', error: 'This share link has expired' };
+  }
+
+  const workspace = await Workspace.findById(shareLink.workspaceId);
+
+  if (!workspace) {
+    return { valid: false, code: 'SHARE_LINK_NOT_FOUND', error: 'Share link not found' };
+  }
+
+  const now = Date.now();
+  if (!shareLink.lastUsedAt || now - shareLink.lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL_MS) {
+    await ShareLink.updateOne({ _id: shareLink._id }, { $set: { lastUsedAt: new Date(now) } });
+  }
+
+  return { valid: true, shareLink, workspace };
+};
+
+/**
+ * WHAT THIS DOES: The widgets a share link shows
+ *
+ * SECURITY: Trashed widgets and widgets marked excludeFromShare are never
+ * loaded, and only display fields are returned (no owner id, no trash info)
+ */
+const listSharedWidgets = async (workspace) => {
+  const widgets = await Widget.find({
+    ...workspaceScopeOf(workspace),
+    ...ACTIVE_FILTER,
+    excludeFromShare: { $ne: true }
+  }).sort({ createdAt: -1 });
+
+  return widgets.map(widget => ({
+    id: widget.id,
+    type: widget.type,
+    schemaVersion: widget.schemaVersion,
+    position: widget.position,
+    size: widget.size,
+    grid: widget.grid,
+    breakpointGrids: widget.breakpointGrids,
+    data: widget.data,
+    settings: widget.settings
+  }));
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  isShareToken,
+  createShareLink,
+  listShareLinks,
+  revokeShareLink,
+  resolveShareToken,
+  listSharedWidgets
+};
@@ -1,4 +1,12 @@
 const jwt = require('jsonwebtoken');
+const jws = require('../utils/jws');
+const { generateRandomToken } = require('../utils/encryption');
+const cache = require('./cacheService');
+const {
+  getActiveKey,
+  getVerificationKey,
+  isLegacyHs256Allowed
+} = require('../config/jwtKeys');
 
 /**
  * WHAT THIS DOES: Handles all JWT token operations
@@ -12,8 +20,85 @@ const jwt = require('jsonwebtoken');
  * 4. Client stores token (usually in localStorage)
  * 5. Client sends token with every API request
  * 6. Server verifies token to identify user
+ *
+ * SIGNING KEYS: Key pairs from config/jwtKeys.js (RS256/ES256/EdDSA with a
+ * "kid" header) when JWT_KEYS_DIR is set, otherwise HS256 with JWT_SECRET
  */
 
+const ISSUER = 'holodesk-api';
+
+// WHY: Revoked sessions must stay blocked at least as long as an access token lives
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+
+// ========================================
+// SIGN & VERIFY (Key selection)
+// ========================================
+
+/**
+ * WHAT THIS DOES: Signs a token with the active key pair, or the HS256 secret
+ *
+ * @param {object} payload - Claims
+ * @param {object} options - { secret (HS256 fallback), expiresIn, audience }
+ */
+const signToken = (payload, { secret, expiresIn, audience }) => {
+  const activeKey = getActiveKey();
+
+  if (!activeKey) {
+    return jwt.sign(payload, secret, { expiresIn, issuer: ISSUER, audience });
+  }
+
+  return jws.sign(payload, activeKey.privateKey, {
+    algorithm: activeKey.alg,
+    kid: activeKey.kid,
+    expiresIn,
+    issuer: ISSUER,
+    audience
+  });
+};
+
+/**
+ * WHAT THIS DOES: Verifies a token against the key named in its "kid" header
+ *
+ * LEARNING: Tokens without a kid were signed with the HS256 secret. They are
+ * accepted while JWT_LEGACY_HS256 allows it, so switching to key pairs
+ * doesn't log anyone out
+ *
+ * @throws Same errors as jwt.verify (TokenExpiredError, JsonWebTokenError)
+ */
+const verifyToken = (token, { secret, audience }) => {
+  const header = jws.decodeHeader(token);
+
+  if (header && header.kid) {
+    return jws.verify(token, ({ kid }) => getVerificationKey(kid), { issuer: ISSUER, audience });
+  }
+
+  if (getActiveKey() && !isLegacyHs256Allowed()) {
+    throw new jwt.JsonWebTokenError('HS256 tokens are no longer accepted');
+  }
+
+  return jwt.verify(token, secret, { algorithms: ['HS256'], issuer: ISSUER, audience });
+};
+
+// ========================================
+// SESSION REVOCATION LIST
+// ========================================
+
+/**
+ * WHAT THIS DOES: Remembers revoked session ids for the lifetime of an access token
+ * WHY: Access tokens are stateless - without this list a logged-out token
+ * keeps working until it expires
+ *
+ * LEARNING: The Session document is the source of truth (authMiddleware checks it);
+ * this list lets verifyAccessToken reject revoked tokens without a DB lookup
+ */
+const markSessionRevoked = (sessionId) => {
+  cache.set(`revoked:session:${sessionId}`, true, ACCESS_TOKEN_TTL_SECONDS);
+};
+
+const isSessionRevoked = (sessionId) => {
+  return cache.has(`revoked:session:${sessionId}`);
+};
+
 // ========================================
 // GENERATE ACCESS TOKEN (Short-lived)
 // ========================================
@@ -24,25 +109,26 @@ const jwt = require('jsonwebtoken');
  * WHY SHORT: If stolen, attacker only has 15 minutes to use it
  * 
  * USAGE EXAMPLE:
- * const token = generateAccessToken(user._id);
+ * const token = generateAccessToken(user._id, session._id);
  * res.json({ token });
  */
-const generateAccessToken = (userId) => {
+const generateAccessToken = (userId, sessionId = null) => {
   try {
-    // LEARNING: jwt.sign() creates a token
+    // LEARNING: signToken() creates a token
     // Payload: Data stored in token (user ID)
-    // Secret: Encryption key (must be secret!)
+    // Key: Active private key (or JWT_SECRET in HS256 mode)
     // Options: Expiry time
-    const token = jwt.sign(
+    const token = signToken(
       { 
         userId,                        // WHY: Identifies the user
+        sid: sessionId,                // WHY: Ties token to a server-side session
+        jti: generateRandomToken(16),  // WHY: Unique id of this specific token
         type: 'access',                // WHY: Distinguishes from refresh token
         iat: Math.floor(Date.now() / 1000)  // WHY: Issued at timestamp
       },
-      process.env.JWT_SECRET,          // WHY: Secret key encrypts the token
       { 
+        secret: process.env.JWT_SECRET,  // WHY: Used only in HS256 mode
         expiresIn: process.env.JWT_EXPIRE || '15m',  // WHY: Auto-expires for security
-        issuer: 'holodesk-api',        // WHY: Identifies token origin
         audience: 'holodesk-client'    // WHY: Identifies intended recipient
       }
     );
@@ -69,19 +155,22 @@ const generateAccessToken = (userId) => {
  * 3. No need to enter password again
  * 
  * SECURITY: Refresh token should be stored in httpOnly cookie
+ * ROTATION: Each token carries a random jti, so every rotation produces
+ * a distinct token whose hash the Session model can track
  */
-const generateRefreshToken = (userId) => {
+const generateRefreshToken = (userId, sessionId = null) => {
   try {
-    const token = jwt.sign(
+    const token = signToken(
       { 
         userId,
+        sid: sessionId,                // WHY: Session (token family) this token belongs to
+        jti: generateRandomToken(16),  // WHY: Makes every rotated token unique
         type: 'refresh',               // WHY: Distinguishes from access token
         iat: Math.floor(Date.now() / 1000)
       },
-      process.env.JWT_REFRESH_SECRET,  // WHY: Different secret from access token
       { 
+        secret: process.env.JWT_REFRESH_SECRET,  // WHY: Different secret from access token (HS256 mode)
         expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d',
-        issuer: 'holodesk-api',
         audience: 'holodesk-client'
       }
     );
@@ -109,12 +198,12 @@ const generateRefreshToken = (userId) => {
  */
 const verifyAccessToken = (token) => {
   try {
-    // LEARNING: jwt.verify() checks:
+    // LEARNING: verifyToken() checks:
     // 1. Token hasn't been tampered with
     // 2. Token hasn't expired
-    // 3. Token was signed with correct secret
-    const decoded = jwt.verify(token, process.env.JWT_SECRET, {
-      issuer: 'holodesk-api',
+    // 3. Token was signed with one of our keys
+    const decoded = verifyToken(token, {
+      secret: process.env.JWT_SECRET,
       audience: 'holodesk-client'
     });
 
@@ -126,6 +215,23 @@ const verifyAccessToken = (token) => {
       };
     }
 
+    // Check session binding
+    // WHY: Logout and "log out everywhere" work by revoking sessions
+    if (!decoded.sid) {
+      return {
+        valid: false,
+        error: 'Token is not bound to a session'
+      };
+    }
+
+    if (isSessionRevoked(decoded.sid)) {
+      return {
+        valid: false,
+        error: 'Session has been revoked',
+        revoked: true
+      };
+    }
+
     return {
       valid: true,
       decoded
@@ -163,8 +269,8 @@ const verifyAccessToken = (token) => {
  */
 const verifyRefreshToken = (token) => {
   try {
-    const decoded = jwt.verify(token, process.env.JWT_REFRESH_SECRET, {
-      issuer: 'holodesk-api',
+    const decoded = verifyToken(token, {
+      secret: process.env.JWT_REFRESH_SECRET,
       audience: 'holodesk-client'
     });
 
@@ -201,6 +307,148 @@ const verifyRefreshToken = (token) => {
   }
 };
 
+// ========================================
+// EMAIL VERIFICATION TOKENS
+// ========================================
+
+/**
+ * WHAT THIS DOES: Creates the signed token sent in verification emails
+ * EXPIRY: 24 hours (EMAIL_VERIFICATION_EXPIRE)
+ *
+ * SINGLE-USE: The random tokenId (jti) is stored hashed on the user.
+ * Verifying clears it, and sending a new email replaces it, so every
+ * token works at most once and only the newest link is valid.
+ */
+const generateEmailVerificationToken = (userId, tokenId) => {
+  try {
+    return signToken(
+      {
+        userId,
+        jti: tokenId,
+        type: 'email-verification'
+      },
+      {
+        secret: process.env.JWT_SECRET,
+        expiresIn: process.env.EMAIL_VERIFICATION_EXPIRE || '24h',
+        audience: 'holodesk-email-verification'  // WHY: Can never pass as an access token
+      }
+    );
+  } catch (error) {
+    console.error('❌ Error generating email verification token:', error);
+    throw new Error('Failed to generate email verification token');
+  }
+};
+
+/**
+ * WHAT THIS DOES: Checks signature, expiry and type of a verification token
+ * RETURNS: Same shape as verifyAccessToken
+ */
+const verifyEmailVerificationToken = (token) => {
+  try {
+    const decoded = verifyToken(token, {
+      secret: process.env.JWT_SECRET,
+      audience: 'holodesk-email-verification'
+    });
+
+    if (decoded.type !== 'email-verification' || !decoded.jti) {
+      return {
+        valid: false,
+        error: 'Invalid token type'
+      };
+    }
+
+    return {
+      valid: true,
+      decoded
+    };
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return {
+        valid: false,
+        error: 'Verification link expired',
+        expired: true
+      };
+    }
+
+    return {
+      valid: false,
+      error: 'Invalid verification token'
+    };
+  }
+};
+
+// ========================================
+// TWO-FACTOR CHALLENGE TOKENS
+// ========================================
+
+/**
+ * WHAT THIS DOES: Short-lived token proving the password step of login succeeded
+ * EXPIRY: 5 minutes
+ *
+ * HOW IT'S USED:
+ * 1. Login with correct password → challengeToken (no access/refresh tokens yet)
+ * 2. POST /api/auth/2fa/verify with challengeToken + TOTP code → real tokens
+ *
+ * @param {string} userId - User the challenge belongs to
+ * @param {object} options - { identity } OIDC identity to link once the code is right
+ */
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 5 * 60;
+
+const generateTwoFactorChallengeToken = (userId, { identity } = {}) => {
+  try {
+    return signToken(
+      {
+        userId,
+        jti: generateRandomToken(16),  // WHY: Failed codes are counted per challenge
+        type: '2fa-challenge',
+        ...(identity && { identity })
+      },
+      {
+        secret: process.env.JWT_SECRET,
+        expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS,
+        audience: 'holodesk-2fa'  // WHY: Can never pass as an access token
+      }
+    );
+  } catch (error) {
+    console.error('❌ Error generating 2FA challenge token:', error);
+    throw new Error('Failed to generate 2FA challenge token');
+  }
+};
+
+const verifyTwoFactorChallengeToken = (token) => {
+  try {
+    const decoded = verifyToken(token, {
+      secret: process.env.JWT_SECRET,
+      audience: 'holodesk-2fa'
+    });
+
+    if (decoded.type !== '2fa-challenge' || !decoded.jti) {
+      return {
+        valid: false,
+        error: 'Invalid token type'
+      };
+    }
+
+    return {
+      valid: true,
+      decoded
+    };
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return {
+        valid: false,
+        error: 'Two-factor challenge expired. Please login again.',
+        expired: true
+      };
+    }
+
+    return {
+      valid: false,
+      error: 'Invalid two-factor challenge'
+    };
+  }
+};
+
 // ========================================
 // DECODE TOKEN (Without Verification)
 // ========================================
@@ -229,6 +477,8 @@ const decodeToken = (token) => {
  * WHAT THIS DOES: Creates both access and refresh tokens together
  * WHY CONVENIENT: Login and token refresh need both
  * 
+ * NOTE: Pass the session id - tokens without one can't be refreshed
+ * 
  * RETURNS:
  * {
  *   accessToken: 'eyJhbGc...',
@@ -236,12 +486,12 @@ const decodeToken = (token) => {
  *   expiresIn: 900 (seconds)
  * }
  */
-const generateTokenPair = (userId) => {
-  const accessToken = generateAccessToken(userId);
-  const refreshToken = generateRefreshToken(userId);
+const generateTokenPair = (userId, sessionId = null) => {
+  const accessToken = generateAccessToken(userId, sessionId);
+  const refreshToken = generateRefreshToken(userId, sessionId);
 
   // Calculate expiry in seconds
-  const expiresIn = 15 * 60; // 15 minutes in seconds
+  const expiresIn = ACCESS_TOKEN_TTL_SECONDS;
 
   return {
     accessToken,
@@ -261,5 +511,12 @@ module.exports = {
   verifyAccessToken,
   verifyRefreshToken,
   decodeToken,
-  generateTokenPair
+  generateTokenPair,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  TWO_FACTOR_CHALLENGE_TTL_SECONDS,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
+  markSessionRevoked,
+  isSessionRevoked
 };
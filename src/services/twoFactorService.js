@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const { verifyTotp } = require('../utils/totp');
+const { hashToken, decrypt } = require('../utils/encryption');
+
+/**
+ * WHAT THIS DOES: Checks second factors (TOTP codes and recovery codes)
+ * WHY SEPARATE: Login and disabling 2FA both need exactly the same checks
+ */
+
+// WHY: Select string for every hidden 2FA field a check needs
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+const RECOVERY_CODE_COUNT = 10;
+
+// ========================================
+// RECOVERY CODES
+// ========================================
+
+/**
+ * HELPER: Normalizes a recovery code before hashing
+ * WHY: "ABCD-1234", "abcd1234" and " abcd-1234 " are the same code
+ */
+const hashRecoveryCode = (code) => {
+  return hashToken(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''));
+};
+
+/**
+ * WHAT THIS DOES: Creates one-time recovery codes
+ * RETURNS: { codes: ['a1b2-c3d4', ...], hashes: [...] }
+ *
+ * LEARNING: Users see the codes exactly once - only hashes are stored
+ */
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(hashRecoveryCode)
+  };
+};
+
+// ========================================
+// VERIFY SECOND FACTOR
+// ========================================
+
+/**
+ * WHAT THIS DOES: Checks a TOTP code or a recovery code for a user
+ *
+ * @param {object} user - User loaded with TWO_FACTOR_FIELDS
+ * @param {object} factor - { code } or { recoveryCode }
+ * @returns {object} { valid: true, method: 'totp' | 'recovery_code' } or { valid: false }
+ *
+ * NOTE: On success the user document is modified (used recovery code removed,
+ * lastUsedStep advanced) - caller must save it
+ */
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (!user.twoFactor || !user.twoFactor.enabled || !user.twoFactor.secret) {
+    return { valid: false };
+  }
+
+  // OPTION 1: Authenticator app code
+  if (code) {
+    const step = verifyTotp(decrypt(user.twoFactor.secret), code);
+
+    // SECURITY: A code is only accepted once, even inside its 30s window
+    if (step === null || (user.twoFactor.lastUsedStep && step <= user.twoFactor.lastUsedStep)) {
+      return { valid: false };
+    }
+
+    user.twoFactor.lastUsedStep = step;
+    return { valid: true, method: 'totp' };
+  }
+
+  // OPTION 2: One-time recovery code
+  if (recoveryCode) {
+    const codeHash = hashRecoveryCode(recoveryCode);
+    const index = (user.twoFactor.recoveryCodes || []).indexOf(codeHash);
+
+    if (index === -1) {
+      return { valid: false };
+    }
+
+    // Burn the code
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    return { valid: true, method: 'recovery_code' };
+  }
+
+  return { valid: false };
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  TWO_FACTOR_FIELDS,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  verifySecondFactor
+};
@@ -0,0 +1,235 @@
+const mongoose = require('mongoose');
+const WidgetRevision = require('../models/WidgetRevision');
+const { BREAKPOINT_NAMES, LARGEST_BREAKPOINT } = require('../utils/gridLayout');
+
+/**
+ * WHAT THIS DOES: Records and reads the revision history of widgets
+ *
+ * WHY: Support can answer "what did my note say yesterday?" and users can
+ * revert a widget to any kept revision
+ *
+ * BOUNDED: Only the newest WIDGET_REVISION_LIMIT revisions per widget are kept,
+ * and the history of a trashed widget is purged together with the widget
+ *
+ * BEST EFFORT: Recording history never fails the write it belongs to -
+ * errors are logged and the user's change stands
+ */
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+const REVISION_LIMIT = parseInt(process.env.WIDGET_REVISION_LIMIT) || 50;
+
+// ========================================
+// SNAPSHOTS & DIFFS
+// ========================================
+
+/**
+ * HELPER: Plain copy of a grid rectangle (null when not placed)
+ */
+const gridSnapshotOf = (grid) => (grid ? { x: grid.x, y: grid.y, w: grid.w, h: grid.h, z: grid.z ?? 0 } : null);
+
+/**
+ * WHAT THIS DOES: The parts of a widget worth keeping (no ids, no timestamps)
+ */
+const snapshotOf = (widget) => ({
+  type: widget.type,
+  schemaVersion: widget.schemaVersion || 1,
+  position: { x: widget.position?.x ?? 0, y: widget.position?.y ?? 0 },
+  size: { width: widget.size?.width, height: widget.size?.height },
+  grid: gridSnapshotOf(widget.grid),
+  breakpointGrids: BREAKPOINT_NAMES
+    .filter(name => name !== LARGEST_BREAKPOINT)
+    .reduce((grids, name) => ({ ...grids, [name]: gridSnapshotOf(widget.breakpointGrids?.[name]) }), {}),
+  data: widget.data || {},
+  settings: widget.settings || {},
+  excludeFromShare: Boolean(widget.excludeFromShare)
+});
+
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * WHAT THIS DOES: Lists what changed between two snapshots
+ *
+ * @returns {Array} e.g. ['position', 'grid', 'data.content', 'settings.color']
+ *
+ * LEARNING: data/settings are compared key by key - "data.content" tells
+ * support much more than "data"
+ */
+const diffSnapshots = (previous, next) => {
+  if (!previous) return ['*'];
+
+  const changed = [];
+
+  ['position', 'size', 'grid', 'breakpointGrids', 'excludeFromShare'].forEach((field) => {
+    if (!isSame(previous[field], next[field])) changed.push(field);
+  });
+
+  ['data', 'settings'].forEach((field) => {
+    const before = previous[field] || {};
+    const after = next[field] || {};
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    keys.forEach((key) => {
+      if (!isSame(before[key], after[key])) changed.push(`${field}.${key}`);
+    });
+  });
+
+  return changed;
+};
+
+// ========================================
+// RECORD
+// ========================================
+
+/**
+ * WHAT THIS DOES: Who is making a change (stored with each revision)
+ * @returns {object} { userId, via: 'session' | 'api_key', apiKeyId }
+ */
+const actorOf = (req) => ({
+  userId: req.userId,
+  via: req.authMethod === 'api_key' ? 'api_key' : 'session',
+  apiKeyId: req.apiKey ? req.apiKey._id : null
+});
+
+/**
+ * WHAT THIS DOES: Stores one revision per changed widget
+ *
+ * @param {object} scope - { userId, workspaceId } (workspace owner)
+ * @param {Array} widgets - Widgets after the change
+ * @param {object} change - { revision, action, actor: { userId, via, apiKeyId }, revertedFrom? }
+ *
+ * LEARNING: "update" and "layout" entries are skipped when nothing changed
+ * (e.g. a layout save that only moved one of 20 widgets records 1 entry)
+ */
+const recordRevisions = async (scope, widgets, { revision, action, actor, revertedFrom = null }) => {
+  if (widgets.length === 0) return;
+
+  try {
+    const widgetIds = widgets.map(widget => widget.id);
+
+    // STEP 0: Older entries follow the widget into (or out of) the trash
+    await syncPurgeDates(scope, widgets);
+
+    // STEP 1: Latest kept snapshot of each widget
+    // LEARNING: aggregate() doesn't cast like find() - userId must be an ObjectId
+    const latest = await WidgetRevision.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(String(scope.userId)),
+          workspaceId: scope.workspaceId,
+          widgetId: { $in: widgetIds }
+        }
+      },
+      { $sort: { widgetId: 1, revision: -1 } },
+      { $group: { _id: '$widgetId', snapshot: { $first: '$snapshot' } } }
+    ]);
+    const previousById = new Map(latest.map(entry => [entry._id, entry.snapshot]));
+
+    // STEP 2: Build entries with a compact diff
+    const entries = widgets
+      .map((widget) => {
+        const snapshot = snapshotOf(widget);
+        const changedFields = diffSnapshots(previousById.get(widget.id), snapshot);
+
+        return {
+          ...scope,
+          widgetId: widget.id,
+          revision,
+          action,
+          changedBy: actor.userId,
+          via: actor.via,
+          apiKeyId: actor.apiKeyId || null,
+          changedFields,
+          revertedFrom,
+          snapshot,
+          purgeAt: widget.purgeAt || null
+        };
+      })
+      .filter(entry => !['update', 'layout'].includes(action) || entry.changedFields.length > 0);
+
+    if (entries.length === 0) return;
+
+    await WidgetRevision.insertMany(entries, { ordered: false });
+
+    // STEP 3: Keep the history bounded
+    await Promise.all(entries.map(entry => pruneRevisions(scope, entry.widgetId)));
+
+  } catch (error) {
+    console.error(`❌ Failed to record widget history (${action}):`, error.message);
+  }
+};
+
+/**
+ * WHAT THIS DOES: Gives every kept revision of these widgets the widget's purgeAt
+ * WHY: Trashed → the history is purged with the widget (TTL index);
+ * restored or saved again → purgeAt cleared, the history stays
+ *
+ * LEARNING: The $ne filter makes this a no-op for the usual case (a live
+ * widget whose history has no purgeAt)
+ */
+const syncPurgeDates = async (scope, widgets) => {
+  await WidgetRevision.bulkWrite(widgets.map((widget) => {
+    const purgeAt = widget.purgeAt || null;
+
+    return {
+      updateMany: {
+        filter: { ...scope, widgetId: widget.id, purgeAt: { $ne: purgeAt } },
+        update: { $set: { purgeAt } }
+      }
+    };
+  }), { ordered: false });
+};
+
+/**
+ * WHAT THIS DOES: Deletes everything older than the newest REVISION_LIMIT entries
+ */
+const pruneRevisions = async (scope, widgetId) => {
+  const oldestKept = await WidgetRevision.findOne({ ...scope, widgetId })
+    .sort({ revision: -1 })
+    .skip(REVISION_LIMIT - 1)
+    .select('revision')
+    .lean();
+
+  if (oldestKept) {
+    await WidgetRevision.deleteMany({ ...scope, widgetId, revision: { $lt: oldestKept.revision } });
+  }
+};
+
+// ========================================
+// READ
+// ========================================
+
+/**
+ * WHAT THIS DOES: History of one widget, newest first
+ *
+ * @param {object} scope - { userId, workspaceId }
+ * @param {string} widgetId - Widget id
+ */
+const listRevisions = async (scope, widgetId) => {
+  return WidgetRevision.find({ ...scope, widgetId }).sort({ revision: -1 });
+};
+
+/**
+ * WHAT THIS DOES: One revision including its snapshot
+ *
+ * @returns {object|null} WidgetRevision or null
+ */
+const getRevisionEntry = async (scope, widgetId, revision) => {
+  return WidgetRevision.findOne({ ...scope, widgetId, revision });
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  REVISION_LIMIT,
+  snapshotOf,
+  diffSnapshots,
+  actorOf,
+  recordRevisions,
+  listRevisions,
+  getRevisionEntry
+};
@@ -0,0 +1,274 @@
+const WIDGET_TYPE_DEFINITIONS = require('../config/widgetTypes');
+
+/**
+ * WHAT THIS DOES: Central registry of widget types
+ *
+ * WHY: The list of types used to be hard-coded twice (Widget model enum and
+ * validators.js). Now every part of the backend asks the registry:
+ * - models/Widget.js         → is this a known type? current schemaVersion?
+ * - utils/validators.js      → data/settings schemas
+ * - widgetController          → defaults for new widgets
+ * - GET /api/widget-types    → what the frontend can offer
+ *
+ * VERSIONED DATA:
+ * Every stored widget carries a schemaVersion. When a type's shape changes,
+ * its schemaVersion goes up and a migration function is registered. Old
+ * widgets are upgraded lazily - the next time they are read - instead of
+ * migrating the whole collection at deploy time.
+ */
+
+const registry = new Map();
+
+// ========================================
+// REGISTER
+// ========================================
+
+/**
+ * WHAT THIS DOES: Adds a widget type (see config/widgetTypes.js for the fields)
+ *
+ * WHY THROW: A broken declaration is a programming error - the server should
+ * refuse to start rather than store widgets it can't validate or upgrade
+ */
+const registerWidgetType = (definition) => {
+  const { type, schemaVersion, schemas, migrations = {} } = definition;
+
+  if (!type || registry.has(type)) {
+    throw new Error(`Widget type "${type}" is missing or registered twice`);
+  }
+
+  if (!Number.isInteger(schemaVersion) || schemaVersion < 1) {
+    throw new Error(`Widget type "${type}": schemaVersion must be an integer >= 1`);
+  }
+
+  if (!schemas || !schemas.data || !schemas.settings) {
+    throw new Error(`Widget type "${type}": schemas.data and schemas.settings are required`);
+  }
+
+  if (definition.resetData !== undefined && typeof definition.resetData !== 'function') {
+    throw new Error(`Widget type "${type}": resetData must be a function`);
+  }
+
+  // Every version step needs a migration: 1 → 2 uses migrations[2], ...
+  for (let version = 2; version <= schemaVersion; version++) {
+    if (typeof migrations[version] !== 'function') {
+      throw new Error(`Widget type "${type}": missing migration to version ${version}`);
+    }
+  }
+
+  const entry = {
+    label: type,
+    defaultSize: { width: 300, height: 200 },
+    defaultData: {},
+    defaultSettings: {},
+    ...definition,
+    migrations
+  };
+
+  // Defaults must pass the type's own schemas
+  ['data', 'settings'].forEach((field) => {
+    const defaults = field === 'data' ? entry.defaultData : entry.defaultSettings;
+    if (!schemas[field].safeParse(defaults).success) {
+      throw new Error(`Widget type "${type}": default ${field} does not match its schema`);
+    }
+  });
+
+  registry.set(type, entry);
+};
+
+// ========================================
+// LOOKUPS
+// ========================================
+
+const getWidgetType = (type) => registry.get(type) || null;
+
+const isWidgetType = (type) => registry.has(type);
+
+const getWidgetTypeNames = () => Array.from(registry.keys());
+
+/**
+ * WHAT THIS DOES: Registry as sent to the frontend (no functions, no zod objects)
+ */
+const listWidgetTypes = () => Array.from(registry.values()).map((entry) => ({
+  type: entry.type,
+  label: entry.label,
+  schemaVersion: entry.schemaVersion,
+  defaultSize: entry.defaultSize,
+  defaultData: entry.defaultData,
+  defaultSettings: entry.defaultSettings
+}));
+
+// ========================================
+// VALIDATE CONTENT
+// ========================================
+
+/**
+ * WHAT THIS DOES: Checks data and settings against the widget type's schemas
+ *
+ * @param {string} type - Widget type ("sticky-note")
+ * @param {object} content - { data, settings } (either may be missing)
+ * @returns {object} { success: true } or { success: false, errors: [{ field, message }] }
+ *
+ * EXAMPLE ERROR:
+ * { field: 'data.links.0.url', message: 'Only http(s) links are allowed' }
+ */
+const validateWidgetContent = (type, { data, settings }) => {
+  const entry = getWidgetType(type);
+
+  if (!entry) {
+    return {
+      success: false,
+      errors: [{ field: 'type', message: `Unknown widget type: ${type}` }]
+    };
+  }
+
+  const errors = [];
+
+  [['data', data], ['settings', settings]].forEach(([field, value]) => {
+    if (value === undefined) return;
+
+    const result = entry.schemas[field].safeParse(value);
+
+    if (!result.success) {
+      result.error.errors.forEach((err) => errors.push({
+        field: [field, ...err.path].join('.'),
+        message: err.message
+      }));
+    }
+  });
+
+  return errors.length > 0 ? { success: false, errors } : { success: true };
+};
+
+/**
+ * WHAT THIS DOES: Drops top-level keys the widget type's schema doesn't know
+ *
+ * @param {string} type - Widget type ("sticky-note")
+ * @param {string} field - 'data' or 'settings'
+ * @param {object} value - Stored content
+ * @returns {object} Copy with only the schema's keys
+ *
+ * WHY: Widgets saved before the .strict() schemas may still carry keys the
+ * type no longer declares. Merging a patch on top of them would fail
+ * validation on keys the client never sent - so updates start from the
+ * known part of the stored content.
+ */
+const knownWidgetContent = (type, field, value = {}) => {
+  const entry = getWidgetType(type);
+  const shape = entry && entry.schemas[field].shape;
+
+  // LEARNING: Only plain z.object() schemas expose a shape - others are kept as they are
+  if (!shape) return { ...value };
+
+  return Object.fromEntries(Object.entries(value).filter(([key]) => key in shape));
+};
+
+// ========================================
+// DEFAULTS
+// ========================================
+
+/**
+ * WHAT THIS DOES: Fills in the type's defaults for a new widget
+ *
+ * LEARNING: Client values win - defaults only fill what's missing.
+ * New widgets are always stored in the current schemaVersion.
+ *
+ * @param {object} widget - { type, size?, data?, settings?, ... }
+ * @returns {object} Copy of the widget with defaults applied
+ */
+const applyWidgetDefaults = (widget) => {
+  const entry = getWidgetType(widget.type);
+
+  if (!entry) return widget;
+
+  return {
+    ...widget,
+    size: { ...entry.defaultSize, ...widget.size },
+    data: { ...entry.defaultData, ...widget.data },
+    settings: { ...entry.defaultSettings, ...widget.settings },
+    schemaVersion: entry.schemaVersion
+  };
+};
+
+/**
+ * WHAT THIS DOES: Content of a widget that starts over (e.g. in a cloned workspace)
+ *
+ * @param {object} widget - { type, data }
+ * @param {string} mode - 'reset' (type's resetData: clear progress, keep content)
+ *                        or 'defaults' (the type's starting content)
+ * @returns {object} New data
+ *
+ * EXAMPLE ('reset'): todo-list keeps open items, drops completed ones;
+ * habits keep the habits, wipe their check-ins; a pomodoro timer starts fresh
+ */
+const resetWidgetData = (widget, mode = 'reset') => {
+  const entry = getWidgetType(widget.type);
+
+  if (!entry) return widget.data || {};
+
+  if (mode === 'reset' && entry.resetData) {
+    return entry.resetData({ ...(widget.data || {}) });
+  }
+
+  return { ...entry.defaultData };
+};
+
+// ========================================
+// MIGRATIONS
+// ========================================
+
+/**
+ * WHAT THIS DOES: Brings a stored widget's data/settings to the current schemaVersion
+ *
+ * @param {object} widget - { type, schemaVersion?, data, settings }
+ * @returns {object} { upgraded: false } or { upgraded: true, fromVersion, schemaVersion, data, settings }
+ *
+ * LEARNING: Widgets saved before versioning have no schemaVersion → version 1.
+ * Migrations run one step at a time (1 → 2 → 3), so each one only has to
+ * know about the version right before it.
+ * Widgets NEWER than the registry (rollback after a deploy) are left untouched.
+ */
+const upgradeWidget = (widget) => {
+  const entry = getWidgetType(widget.type);
+  const fromVersion = widget.schemaVersion || 1;
+
+  if (!entry || fromVersion >= entry.schemaVersion) {
+    return { upgraded: false };
+  }
+
+  let content = { data: widget.data || {}, settings: widget.settings || {} };
+
+  for (let version = fromVersion + 1; version <= entry.schemaVersion; version++) {
+    content = entry.migrations[version](content);
+  }
+
+  return {
+    upgraded: true,
+    fromVersion,
+    schemaVersion: entry.schemaVersion,
+    data: content.data,
+    settings: content.settings
+  };
+};
+
+// ========================================
+// BUILT-IN TYPES
+// ========================================
+
+WIDGET_TYPE_DEFINITIONS.forEach(registerWidgetType);
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  registerWidgetType,
+  getWidgetType,
+  isWidgetType,
+  getWidgetTypeNames,
+  listWidgetTypes,
+  validateWidgetContent,
+  knownWidgetContent,
+  applyWidgetDefaults,
+  resetWidgetData,
+  upgradeWidget
+};
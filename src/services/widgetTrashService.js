@@ -0,0 +1,97 @@
+const Widget = require('../models/Widget');
+
+/**
+ * WHAT THIS DOES: Soft-deletes widgets into a per-workspace trash
+ *
+ * WHY: Deleting a todo list full of items used to be permanent. Now a deleted
+ * widget keeps its content, gets a deletedAt timestamp and can be restored
+ * until it is purged.
+ *
+ * HOW PURGING WORKS:
+ * Trashing sets purgeAt = deletedAt + retention. A MongoDB TTL index on
+ * purgeAt (models/Widget.js) removes the widget once that moment passes -
+ * no cron job needed.
+ *
+ * LEARNING: Storing purgeAt (instead of a TTL on deletedAt) means changing
+ * WIDGET_TRASH_RETENTION_DAYS only affects widgets trashed afterwards, and
+ * needs no index rebuild.
+ */
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+const TRASH_RETENTION_DAYS = parseInt(process.env.WIDGET_TRASH_RETENTION_DAYS) || 30;
+
+// LEARNING: Trashed widgets have a deletedAt date; null (or missing on
+// widgets saved before the trash existed) means the widget is live
+const ACTIVE_FILTER = { deletedAt: null };
+const TRASHED_FILTER = { deletedAt: { $ne: null } };
+
+/**
+ * WHAT THIS DOES: Fields that move a widget into the trash
+ *
+ * @param {Date} now - Deletion time (shared by widgets trashed together)
+ * @returns {object} { deletedAt, purgeAt }
+ */
+const trashFields = (now = new Date()) => ({
+  deletedAt: now,
+  purgeAt: new Date(now.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+});
+
+// ========================================
+// TRASH OPERATIONS
+// ========================================
+
+/**
+ * WHAT THIS DOES: Moves a live widget into the trash
+ *
+ * @param {object} scope - { userId, workspaceId }
+ * @param {string} widgetId - Widget id
+ * @returns {object|null} Trashed widget, or null when no live widget has this id
+ */
+const trashWidget = async (scope, widgetId) => {
+  return Widget.findOneAndUpdate(
+    { ...scope, ...ACTIVE_FILTER, id: widgetId },
+    { $set: trashFields() },
+    { new: true }
+  );
+};
+
+/**
+ * WHAT THIS DOES: Widgets currently in the trash, most recently deleted first
+ *
+ * @param {object} scope - { userId, workspaceId }
+ */
+const listTrash = async (scope) => {
+  return Widget.find({ ...scope, ...TRASHED_FILTER }).sort({ deletedAt: -1 });
+};
+
+/**
+ * WHAT THIS DOES: Takes a widget out of the trash
+ *
+ * @param {object} scope - { userId, workspaceId }
+ * @param {string} widgetId - Widget id
+ * @returns {object|null} Restored widget, or null when it's not in the trash
+ */
+const restoreWidget = async (scope, widgetId) => {
+  return Widget.findOneAndUpdate(
+    { ...scope, ...TRASHED_FILTER, id: widgetId },
+    { $set: { deletedAt: null, purgeAt: null } },
+    { new: true }
+  );
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  ACTIVE_FILTER,
+  TRASHED_FILTER,
+  trashFields,
+  trashWidget,
+  listTrash,
+  restoreWidget
+};
@@ -0,0 +1,368 @@
+const Widget = require('../models/Widget');
+const Workspace = require('../models/Workspace');
+const { ACTIVE_FILTER } = require('./widgetTrashService');
+const { prepareLayout } = require('./layoutService');
+const { getWidgetType, upgradeWidget } = require('./widgetRegistry');
+const { createWorkspace, workspaceScopeOf } = require('./workspaceService');
+
+/**
+ * WHAT THIS DOES: Exports a workspace to a JSON bundle and imports bundles
+ * WHY: Backups, moving a board to another account, copying it from staging
+ * to production
+ *
+ * ========================================
+ * BUNDLE FORMAT (version 1)
+ * ========================================
+ * {
+ *   "format": "holodesk.workspace",        ← always this string
+ *   "version": 1,                          ← bundle format version (BUNDLE_VERSION)
+ *   "exportedAt": "2026-10-19T08:00:00.000Z",
+ *   "workspace": {
+ *     "name": "Team planning",
+ *     "description": "",
+ *     "theme": { "primaryColor": null, "backgroundColor": null }
+ *   },
+ *   "widgets": [
+ *     {
+ *       "ref": "w1",                       ← bundle-local id (see ID REMAPPING)
+ *       "type": "todo-list",
+ *       "schemaVersion": 1,                ← version of data/settings (widget registry)
+ *       "position": { "x": 0, "y": 0 },
+ *       "size": { "width": 300, "height": 400 },
+ *       "grid": { "x": 0, "y": 0, "w": 4, "h": 3, "z": 0 },       ← or null
+ *       "breakpointGrids": { "md": null, "sm": null, "xs": null },
+ *       "data": { ... },
+ *       "settings": { ... },
+ *       "excludeFromShare": false
+ *     }
+ *   ]
+ * }
+ *
+ * NOT IN A BUNDLE: owner, members, share links, trash, history - a bundle
+ * describes the board, not who may see it
+ *
+ * ID REMAPPING: Widget ids are replaced by refs (w1, w2, ...) on export and
+ * by fresh ids on import. Importing the same bundle twice therefore creates
+ * two independent copies - nothing can collide with existing widgets.
+ *
+ * VERSIONS:
+ * - Bundle format: when the format changes, bump BUNDLE_VERSION and add
+ *   BUNDLE_MIGRATIONS[<new version>] converting the previous version
+ *   (same idea as widget type migrations in config/widgetTypes.js)
+ * - Widget content: each widget keeps its schemaVersion and is upgraded with
+ *   the widget registry's migrations on import
+ *
+ * CONFLICTS (per widget, reported on import):
+ * - UNKNOWN_WIDGET_TYPE     type doesn't exist on this server
+ * - WIDGET_VERSION_TOO_NEW  schemaVersion newer than this server understands
+ * - DUPLICATE_REF           two widgets with the same ref
+ * - WIDGET_INVALID          content doesn't pass the type's schema, or
+ *                           schemaVersion isn't a positive whole number
+ * onConflict 'fail' (default) imports nothing, 'skip' leaves those widgets out.
+ * A workspace name that is already taken is not a conflict - the import is
+ * renamed ("Team planning (2)") and that is reported too.
+ */
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+const BUNDLE_FORMAT = 'holodesk.workspace';
+const BUNDLE_VERSION = 1;
+
+// { <version>: (bundle) => bundle } - converts version - 1 to version
+const BUNDLE_MIGRATIONS = {};
+
+// WHY: The layout placeholder scope - the workspace is only created once the bundle is known to be good
+const importScopeOf = (userId) => ({ userId, workspaceId: 'import' });
+
+// ========================================
+// EXPORT
+// ========================================
+
+/**
+ * WHAT THIS DOES: Builds the bundle of a workspace (active widgets only)
+ *
+ * @param {object} workspace - Workspace
+ * @returns {object} Bundle (see BUNDLE FORMAT)
+ */
+const buildBundle = async (workspace) => {
+  const widgets = await Widget.find({ ...workspaceScopeOf(workspace), ...ACTIVE_FILTER }).sort({ createdAt: 1 });
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    workspace: {
+      name: workspace.name,
+      description: workspace.description,
+      theme: {
+        primaryColor: workspace.theme?.primaryColor ?? null,
+        backgroundColor: workspace.theme?.backgroundColor ?? null
+      }
+    },
+    widgets: widgets.map((widget, index) => {
+      const { type, schemaVersion, position, size, grid, breakpointGrids, data, settings, excludeFromShare } = widget.toObject();
+
+      return {
+        ref: `w${index + 1}`,
+        type,
+        schemaVersion: schemaVersion || 1,
+        position,
+        size,
+        grid,
+        breakpointGrids,
+        data,
+        settings,
+        excludeFromShare: Boolean(excludeFromShare)
+      };
+    })
+  };
+};
+
+// ========================================
+// IMPORT
+// ========================================
+
+/**
+ * WHAT THIS DOES: Brings a bundle to the current format version
+ *
+ * @returns {object} { success: true, bundle, fromVersion } or { success: false, code, error }
+ */
+const upgradeBundle = (bundle) => {
+  const fromVersion = bundle.version;
+
+  if (bundle.format !== BUNDLE_FORMAT) {
+    return {
+      success: false,
+      code: 'BUNDLE_FORMAT_INVALID',
+      error: `Not a workspace bundle (format must be "${BUNDLE_FORMAT}")`
+    };
+  }
+
+  if (fromVersion > BUNDLE_VERSION) {
+    return {
+      success: false,
+      code: 'BUNDLE_VERSION_UNSUPPORTED',
+      error: `Bundle version ${fromVersion} is newer than this server supports (${BUNDLE_VERSION})`
+    };
+  }
+
+  let upgraded = bundle;
+
+  for (let version = fromVersion + 1; version <= BUNDLE_VERSION; version++) {
+    upgraded = { ...BUNDLE_MIGRATIONS[version](upgraded), version };
+  }
+
+  return { success: true, bundle: upgraded, fromVersion };
+};
+
+/**
+ * HELPER: A workspace name the user doesn't use yet
+ * EXAMPLE: "Team planning" taken → "Team planning (2)"
+ */
+const availableName = async (userId, name) => {
+  const taken = new Set(await Workspace.distinct('name', { owner: userId }));
+
+  if (!taken.has(name)) return name;
+
+  for (let copy = 2; ; copy++) {
+    const suffix = ` (${copy})`;
+    const candidate = `${name.slice(0, 50 - suffix.length)}${suffix}`;
+    if (!taken.has(candidate)) return candidate;
+  }
+};
+
+/**
+ * WHAT THIS DOES: Checks every widget of a bundle and turns the good ones
+ * into widget documents
+ *
+ * @returns {object} { widgets: [{ ref, widget }], conflicts: [{ index, ref, code, message, errors? }] }
+ *
+ * LEARNING: Content checks reuse prepareLayout (the same rules as PUT layout),
+ * so an imported widget can't be anything a normal save couldn't produce
+ */
+const checkBundleWidgets = (userId, bundleWidgets) => {
+  const conflicts = [];
+  const candidates = [];
+  const seenRefs = new Set();
+
+  bundleWidgets.forEach((entry, index) => {
+    const ref = entry.ref || `#${index + 1}`;
+    const widgetType = getWidgetType(entry.type);
+
+    if (seenRefs.has(ref)) {
+      conflicts.push({ index, ref, code: 'DUPLICATE_REF', message: `Widget ref ${ref} is used twice` });
+      return;
+    }
+    seenRefs.add(ref);
+
+    if (!widgetType) {
+      conflicts.push({ index, ref, code: 'UNKNOWN_WIDGET_TYPE', message: `Unknown widget type: ${entry.type}` });
+      return;
+    }
+
+    // WHY before the migrations: -1 or 1.5 would make upgradeWidget look up migrations that don't exist
+    const schemaVersion = entry.schemaVersion ?? 1;
+
+    if (!Number.isInteger(schemaVersion) || schemaVersion < 1) {
+      conflicts.push({
+        index,
+        ref,
+        code: 'WIDGET_INVALID',
+        message: `schemaVersion must be a positive whole number (got ${JSON.stringify(entry.schemaVersion)})`
+      });
+      return;
+    }
+
+    if (schemaVersion > widgetType.schemaVersion) {
+      conflicts.push({
+        index,
+        ref,
+        code: 'WIDGET_VERSION_TOO_NEW',
+        message: `${entry.type} version ${entry.schemaVersion} is newer than this server supports (${widgetType.schemaVersion})`
+      });
+      return;
+    }
+
+    // Older content → current schemaVersion (registry migrations)
+    const upgrade = upgradeWidget({ ...entry, schemaVersion });
+    const content = upgrade.upgraded
+      ? { data: upgrade.data, settings: upgrade.settings }
+      : { data: entry.data, settings: entry.settings };
+
+    candidates.push({
+      index,
+      ref,
+      payload: {
+        type: entry.type,
+        position: entry.position,
+        size: entry.size,
+        grid: entry.grid,
+        breakpointGrids: entry.breakpointGrids,
+        excludeFromShare: entry.excludeFromShare,
+        ...content
+      }
+    });
+  });
+
+  // Invalid widgets are reported and left out, then the rest is normalized together again
+  // WHY a loop: the retry is checked like the first run - nothing unchecked reaches the import
+  let valid = candidates;
+  let prepared = prepareLayout(importScopeOf(userId), valid.map(candidate => candidate.payload));
+
+  while (!prepared.valid) {
+    const invalidIndexes = new Set(prepared.invalidWidgets.map(invalid => invalid.index));
+
+    prepared.invalidWidgets.forEach(({ index, errors }) => {
+      const candidate = valid[index];
+      conflicts.push({
+        index: candidate.index,
+        ref: candidate.ref,
+        code: 'WIDGET_INVALID',
+        message: 'Widget content does not match its type',
+        errors
+      });
+    });
+
+    valid = valid.filter((candidate, index) => !invalidIndexes.has(index));
+    prepared = prepareLayout(importScopeOf(userId), valid.map(candidate => candidate.payload));
+  }
+
+  return {
+    widgets: valid.map((candidate, index) => ({ ref: candidate.ref, widget: prepared.widgets[index] })),
+    conflicts: conflicts.sort((a, b) => a.index - b.index)
+  };
+};
+
+/**
+ * WHAT THIS DOES: Creates a new workspace from a bundle
+ *
+ * @param {string} userId - Owner of the new workspace
+ * @param {object} input - { bundle, name?, onConflict: 'fail' | 'skip', dryRun }
+ * @returns {object}
+ *   { success: true, dryRun, workspace?, widgets, idMap, conflicts, renamedTo, upgradedFrom }
+ *   or { success: false, status, code, error, conflicts? }
+ */
+const importBundle = async (userId, { bundle, name, onConflict = 'fail', dryRun = false }) => {
+  // STEP 1: Current bundle format
+  const upgrade = upgradeBundle(bundle);
+
+  if (!upgrade.success) {
+    return { success: false, status: 400, code: upgrade.code, error: upgrade.error };
+  }
+
+  const current = upgrade.bundle;
+
+  // STEP 2: Widgets (validated, upgraded, grids normalized)
+  const checked = checkBundleWidgets(userId, current.widgets);
+
+  if (checked.conflicts.length > 0 && onConflict === 'fail') {
+    return {
+      success: false,
+      status: 409,
+      code: 'IMPORT_CONFLICTS',
+      error: `${checked.conflicts.length} widget(s) cannot be imported. Fix the bundle or import with onConflict: "skip".`,
+      conflicts: checked.conflicts
+    };
+  }
+
+  // STEP 3: Workspace name (renamed instead of failing)
+  const requestedName = name || current.workspace.name;
+  const workspaceName = await availableName(userId, requestedName);
+
+  const report = {
+    conflicts: checked.conflicts,
+    renamedTo: workspaceName !== requestedName ? workspaceName : null,
+    upgradedFrom: upgrade.fromVersion !== BUNDLE_VERSION ? upgrade.fromVersion : null
+  };
+
+  if (dryRun) {
+    return { success: true, dryRun: true, widgets: checked.widgets.map(entry => entry.widget), idMap: {}, ...report };
+  }
+
+  // STEP 4: Create the workspace, then its widgets (rolled back together)
+  const created = await createWorkspace(userId, {
+    name: workspaceName,
+    description: current.workspace.description,
+    theme: current.workspace.theme
+  });
+
+  if (!created.success) {
+    return { success: false, status: 400, code: created.code, error: created.error };
+  }
+
+  const { workspace } = created;
+
+  try {
+    const idMap = {};
+    const documents = checked.widgets.map(({ ref, widget }) => {
+      idMap[ref] = widget.id;
+      return { ...widget, ...workspaceScopeOf(workspace) };
+    });
+
+    const widgets = documents.length > 0 ? await Widget.insertMany(documents) : [];
+
+    return { success: true, dryRun: false, workspace, widgets, idMap, ...report };
+
+  } catch (error) {
+    // WHY: No half-imported workspace is left behind
+    await Promise.all([
+      workspace.deleteOne(),
+      Widget.deleteMany(workspaceScopeOf(workspace))
+    ]);
+    throw error;
+  }
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  buildBundle,
+  upgradeBundle,
+  importBundle
+};
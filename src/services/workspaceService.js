@@ -0,0 +1,443 @@
+const mongoose = require('mongoose');
+const Workspace = require('../models/Workspace');
+const User = require('../models/User');
+const Widget = require('../models/Widget');
+const WidgetRevision = require('../models/WidgetRevision');
+const LayoutRevision = require('../models/LayoutRevision');
+const ShareLink = require('../models/ShareLink');
+const { DEFAULT_WORKSPACE_KEY } = require('../models/Workspace');
+const { ACTIVE_FILTER } = require('./widgetTrashService');
+const { generateWidgetId } = require('./layoutService');
+const { resetWidgetData } = require('./widgetRegistry');
+
+/**
+ * WHAT THIS DOES: Finds, creates, clones and deletes workspaces
+ *
+ * LEGACY WORKSPACES: Before workspaces were documents, widgets were grouped by
+ * any string in the URL (/api/widgets/default, /api/widgets/work). Such a
+ * string is "adopted" the first time it's used - a Workspace with that key is
+ * created, so old clients and bookmarks keep working.
+ *
+ * SCOPE: Widgets, revisions and the layout revision of a workspace are all
+ * stored under { userId: workspace.owner, workspaceId: workspace.key } -
+ * also when a member (editor) changes them
+ */
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+const MAX_WORKSPACES_PER_USER = 50;
+const MAX_MEMBERS_PER_WORKSPACE = 20;
+
+const DEFAULT_WORKSPACE_NAME = 'My Workspace';
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * WHAT THIS DOES: The filter for everything stored inside a workspace
+ */
+const workspaceScopeOf = (workspace) => ({
+  userId: workspace.owner,
+  workspaceId: workspace.key
+});
+
+/**
+ * HELPER: Creates the workspace for a key if it doesn't exist yet
+ *
+ * LEARNING: Upsert + unique index = two parallel first requests still end
+ * up with ONE workspace. The loser of the race gets 11000 and reads the winner's.
+ */
+const upsertWorkspace = async (userId, key, fields) => {
+  try {
+    return await Workspace.findOneAndUpdate(
+      { owner: userId, key },
+      { $setOnInsert: fields },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    if (error.code === 11000) {
+      return Workspace.findOne({ owner: userId, key });
+    }
+    throw error;
+  }
+};
+
+/**
+ * WHAT THIS DOES: The user's default workspace (created on first use)
+ */
+const ensureDefaultWorkspace = async (userId) => {
+  return upsertWorkspace(userId, DEFAULT_WORKSPACE_KEY, {
+    name: DEFAULT_WORKSPACE_NAME,
+    isDefault: true
+  });
+};
+
+/**
+ * WHAT THIS DOES: Creates a Workspace for every legacy workspace string that
+ * still has widgets but no document
+ */
+const adoptLegacyWorkspaces = async (userId) => {
+  const [widgetKeys, workspaceKeys] = await Promise.all([
+    Widget.distinct('workspaceId', { userId, ...ACTIVE_FILTER }),
+    Workspace.distinct('key', { owner: userId })
+  ]);
+
+  // WHY skip '::': staging copies of an in-flight layout replace (see layoutService)
+  const missing = widgetKeys.filter(key => !workspaceKeys.includes(key) && !key.includes('::'));
+
+  await Promise.all(missing.map(key => upsertWorkspace(userId, key, {
+    name: key.slice(0, 50),
+    isDefault: key === DEFAULT_WORKSPACE_KEY
+  })));
+};
+
+// ========================================
+// RESOLVE
+// ========================================
+
+/**
+ * WHAT THIS DOES: Turns the :workspaceId of a URL into a Workspace
+ *
+ * @param {string} userId - Caller
+ * @param {string} workspaceId - Workspace _id, or a key of the caller's own
+ *   workspaces ('default', legacy strings)
+ * @returns {object|null} Workspace, or null if it doesn't exist or the caller
+ *   is neither its owner nor a member (check workspace.roleOf() for what they may do)
+ *
+ * SECURITY: "Not yours" and "doesn't exist" both return null → the same 404.
+ * Keys with '::' are the staging/retired scopes of a layout replace (see
+ * layoutService) - never a workspace, so they are never adopted either
+ */
+const resolveWorkspace = async (userId, workspaceId) => {
+  if (String(workspaceId).includes('::')) return null;
+
+  // Shared workspaces are only reachable by _id - keys are per owner
+  if (mongoose.isValidObjectId(workspaceId)) {
+    const workspace = await Workspace.findById(workspaceId);
+    if (workspace && workspace.roleOf(userId)) return workspace;
+  }
+
+  const workspace = await Workspace.findOne({ owner: userId, key: workspaceId });
+  if (workspace) return workspace;
+
+  if (workspaceId === DEFAULT_WORKSPACE_KEY) {
+    return ensureDefaultWorkspace(userId);
+  }
+
+  // Legacy string with widgets → adopt it
+  const hasWidgets = await Widget.exists({ userId, workspaceId });
+
+  if (hasWidgets) {
+    return upsertWorkspace(userId, workspaceId, { name: workspaceId.slice(0, 50) });
+  }
+
+  return null;
+};
+
+// ========================================
+// LIST / CREATE / DELETE
+// ========================================
+
+/**
+ * WHAT THIS DOES: The user's own workspaces, then the ones shared with them,
+ * with their widget counts (own: default first, then oldest first)
+ *
+ * @returns {Array} [{ workspace, widgetCount }]
+ */
+const listWorkspaces = async (userId) => {
+  await ensureDefaultWorkspace(userId);
+  await adoptLegacyWorkspaces(userId);
+
+  const [own, shared] = await Promise.all([
+    Workspace.find({ owner: userId }).sort({ isDefault: -1, createdAt: 1 }),
+    Workspace.find({ 'members.userId': userId }).sort({ name: 1 })
+  ]);
+  const workspaces = [...own, ...shared];
+
+  // Shared workspaces' widgets belong to other owners → count per (owner, key)
+  const counts = await Widget.aggregate([
+    { $match: { $or: workspaces.map(workspaceScopeOf), ...ACTIVE_FILTER } },
+    { $group: { _id: { userId: '$userId', workspaceId: '$workspaceId' }, count: { $sum: 1 } } }
+  ]);
+
+  const countOf = new Map(counts.map(entry => [`${entry._id.userId}:${entry._id.workspaceId}`, entry.count]));
+
+  return workspaces.map(workspace => ({
+    workspace,
+    widgetCount: countOf.get(`${workspace.owner}:${workspace.key}`) || 0
+  }));
+};
+
+/**
+ * WHAT THIS DOES: Creates a new (empty) workspace
+ *
+ * @param {string} userId - Owner
+ * @param {object} fields - { name, description?, theme? }
+ * @returns {object} { success: true, workspace } or { success: false, code, error }
+ */
+const createWorkspace = async (userId, { name, description, theme }) => {
+  const workspaceCount = await Workspace.countDocuments({ owner: userId });
+
+  if (workspaceCount >= MAX_WORKSPACES_PER_USER) {
+    return {
+      success: false,
+      code: 'WORKSPACE_LIMIT_REACHED',
+      error: `You can have up to ${MAX_WORKSPACES_PER_USER} workspaces. Delete one to create a new one.`
+    };
+  }
+
+  // WHY generate the _id first: new workspaces use it as their key
+  const _id = new mongoose.Types.ObjectId();
+
+  const workspace = await Workspace.create({
+    _id,
+    key: _id.toString(),
+    owner: userId,
+    name,
+    description,
+    theme
+  });
+
+  return { success: true, workspace };
+};
+
+/**
+ * WHAT THIS DOES: Deletes a workspace and EVERYTHING in it
+ *
+ * CASCADE: widgets (including the trash), widget history, layout revision,
+ * share links
+ *
+ * LEARNING: The workspace document goes first - once it's gone no request can
+ * resolve the workspace, so nothing new is written while the rest is removed
+ *
+ * @returns {object} { success: true, deletedWidgets } or { success: false, code, error }
+ */
+const deleteWorkspace = async (workspace) => {
+  if (workspace.isDefault) {
+    return {
+      success: false,
+      code: 'WORKSPACE_DEFAULT_PROTECTED',
+      error: 'The default workspace cannot be deleted'
+    };
+  }
+
+  const scope = workspaceScopeOf(workspace);
+
+  await workspace.deleteOne();
+
+  const [widgets] = await Promise.all([
+    Widget.deleteMany(scope),
+    WidgetRevision.deleteMany(scope),
+    LayoutRevision.deleteOne(scope),
+    ShareLink.deleteMany({ workspaceId: workspace._id })
+  ]);
+
+  return { success: true, deletedWidgets: widgets.deletedCount };
+};
+
+// ========================================
+// CLONE
+// ========================================
+
+/**
+ * WHAT THIS DOES: Copies a workspace and its widgets into a new workspace
+ * owned by the caller (members are NOT copied)
+ *
+ * @param {object} source - Workspace to copy (caller has any role in it)
+ * @param {string} userId - Owner of the copy
+ * @param {object} options - { name?, description?, data: 'keep' | 'reset' | 'defaults' }
+ *   - keep:     widget content is copied as is
+ *   - reset:    progress is cleared (completed todos, habit check-ins) - see resetData in config/widgetTypes.js
+ *   - defaults: every widget starts with its type's default content
+ * @returns {object} { success: true, workspace, widgets, idMap } or { success: false, code, error }
+ *
+ * WHY NEW IDS: Widget ids are unique per (userId, workspaceId) - fresh ids
+ * also make sure nothing refers back to the source widgets
+ */
+const cloneWorkspace = async (source, userId, { name, description, data = 'keep' }) => {
+  const created = await createWorkspace(userId, {
+    name: name || `${source.name} (copy)`.slice(0, 50),
+    description: description !== undefined ? description : source.description,
+    theme: {
+      primaryColor: source.theme?.primaryColor ?? null,
+      backgroundColor: source.theme?.backgroundColor ?? null
+    }
+  });
+
+  if (!created.success) return created;
+
+  const { workspace } = created;
+
+  try {
+    const sourceWidgets = await Widget.find({ ...workspaceScopeOf(source), ...ACTIVE_FILTER }).sort({ createdAt: 1 });
+    const idMap = {};
+
+    const copies = sourceWidgets.map((widget) => {
+      const id = generateWidgetId();
+      idMap[widget.id] = id;
+
+      const { type, schemaVersion, position, size, grid, breakpointGrids, settings, excludeFromShare } = widget.toObject();
+
+      return {
+        ...workspaceScopeOf(workspace),
+        id,
+        type,
+        schemaVersion,
+        position,
+        size,
+        grid,
+        breakpointGrids,
+        data: data === 'keep' ? widget.data : resetWidgetData(widget, data),
+        settings,
+        excludeFromShare
+      };
+    });
+
+    const widgets = copies.length > 0 ? await Widget.insertMany(copies) : [];
+
+    return { success: true, workspace, widgets, idMap };
+
+  } catch (error) {
+    // WHY: No half-copied workspace is left behind
+    await Promise.all([
+      workspace.deleteOne(),
+      Widget.deleteMany(workspaceScopeOf(workspace))
+    ]);
+    throw error;
+  }
+};
+
+// ========================================
+// MEMBERS
+// ========================================
+
+/**
+ * WHAT THIS DOES: Owner + members with their names (for the sharing dialog)
+ *
+ * @returns {Array} [{ userId, name, email, role, addedAt }] - owner first
+ */
+const listMembers = async (workspace) => {
+  const userIds = [workspace.owner, ...workspace.members.map(member => member.userId)];
+  const users = await User.find({ _id: { $in: userIds } }).select('name email').lean();
+  const userById = new Map(users.map(user => [user._id.toString(), user]));
+
+  const entryOf = (userId, role, addedAt) => ({
+    userId,
+    name: userById.get(userId.toString())?.name ?? null,
+    email: userById.get(userId.toString())?.email ?? null,
+    role,
+    addedAt
+  });
+
+  return [
+    entryOf(workspace.owner, 'owner', workspace.createdAt),
+    ...workspace.members.map(member => entryOf(member.userId, member.role, member.addedAt))
+  ];
+};
+
+/**
+ * WHAT THIS DOES: Shares a workspace with a registered user
+ *
+ * @param {object} workspace - Workspace
+ * @param {object} invite - { email, role: 'editor' | 'viewer' }
+ * @param {string} addedBy - Owner adding the member
+ * @returns {object} { success: true, member } or { success: false, code, error, status }
+ *
+ * LEARNING: The update is conditional on the user NOT being a member yet,
+ * so two parallel invites can't add the same person twice
+ */
+const addMember = async (workspace, { email, role }, addedBy) => {
+  if (workspace.members.length >= MAX_MEMBERS_PER_WORKSPACE) {
+    return {
+      success: false,
+      status: 400,
+      code: 'WORKSPACE_MEMBER_LIMIT_REACHED',
+      error: `A workspace can have up to ${MAX_MEMBERS_PER_WORKSPACE} members`
+    };
+  }
+
+  const user = await User.findOne({ email: email.toLowerCase() }).select('name email');
+
+  if (!user) {
+    return {
+      success: false,
+      status: 404,
+      code: 'USER_NOT_FOUND',
+      error: `No account found for ${email}`
+    };
+  }
+
+  if (workspace.roleOf(user._id)) {
+    return {
+      success: false,
+      status: 409,
+      code: 'WORKSPACE_MEMBER_EXISTS',
+      error: `${email} already has access to this workspace`
+    };
+  }
+
+  const member = { userId: user._id, role, addedBy, addedAt: new Date() };
+
+  const updated = await Workspace.findOneAndUpdate(
+    { _id: workspace._id, 'members.userId': { $ne: user._id } },
+    { $push: { members: member } },
+    { new: true }
+  );
+
+  if (!updated) {
+    return {
+      success: false,
+      status: 409,
+      code: 'WORKSPACE_MEMBER_EXISTS',
+      error: `${email} already has access to this workspace`
+    };
+  }
+
+  return { success: true, member: { ...member, name: user.name, email: user.email } };
+};
+
+/**
+ * WHAT THIS DOES: Changes a member's role
+ * @returns {object|null} Updated workspace, or null if the user isn't a member
+ */
+const updateMemberRole = async (workspace, memberId, role) => {
+  return Workspace.findOneAndUpdate(
+    { _id: workspace._id, 'members.userId': memberId },
+    { $set: { 'members.$.role': role } },
+    { new: true }
+  );
+};
+
+/**
+ * WHAT THIS DOES: Removes a member (the owner removing someone, or a member leaving)
+ * @returns {object|null} Updated workspace, or null if the user isn't a member
+ */
+const removeMember = async (workspace, memberId) => {
+  return Workspace.findOneAndUpdate(
+    { _id: workspace._id, 'members.userId': memberId },
+    { $pull: { members: { userId: memberId } } },
+    { new: true }
+  );
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  MAX_WORKSPACES_PER_USER,
+  workspaceScopeOf,
+  ensureDefaultWorkspace,
+  resolveWorkspace,
+  listWorkspaces,
+  createWorkspace,
+  deleteWorkspace,
+  cloneWorkspace,
+  listMembers,
+  addMember,
+  updateMemberRole,
+  removeMember
+};
@@ -1 +1,1324 @@
-// src/tests/auth.test.js - Placeholder for implementation
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const app = require('../app');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const LoginThrottle = require('../models/LoginThrottle');
+const LockoutEvent = require('../models/LockoutEvent');
+const OAuthState = require('../models/OAuthState');
+const jws = require('../utils/jws');
+const { base32Encode, generateSecret, generateCodeForStep, generateTotp, verifyTotp } = require('../utils/totp');
+const { encrypt, hashToken } = require('../utils/encryption');
+const { generateRecoveryCodes, verifySecondFactor } = require('../services/twoFactorService');
+const {
+  generateAccessToken,
+  verifyAccessToken,
+  verifyRefreshToken,
+  generateEmailVerificationToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken
+} = require('../services/tokenService');
+const { getRequestContext, createSession, rotateSession } = require('../services/sessionService');
+const {
+  checkLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  isChallengeUsable,
+  recordFailedChallenge,
+  consumeChallenge
+} = require('../services/loginProtectionService');
+const { startAuthorization, completeAuthorization, resolveUser } = require('../services/oidcService');
+const { buildVerificationEmail, buildPasswordResetEmail } = require('../services/emailService');
+const { requireScope, requireSession } = require('../middleware/authMiddleware');
+
+/**
+ * WHAT THIS FILE TESTS: Sessions, refresh-token rotation, logout, devices,
+ * email verification, password reset, 2FA, login protection, OIDC, token
+ * signing and API key scopes
+ *
+ * LEARNING: No database - each test replaces the model calls it needs with
+ * an in-memory fake (see the HELPERS below), so the tests read like the
+ * scenario they check: "refresh twice with the same token" etc.
+ */
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * HELPER: What a mongoose query resolves to (chainable like .select().lean())
+ */
+const query = (value) => {
+  const chain = {
+    select: () => chain,
+    lean: () => chain,
+    sort: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+/**
+ * HELPER: Sessions kept in a Map instead of MongoDB
+ * Implements exactly the calls sessionService makes
+ */
+const fakeSessions = () => {
+  const sessions = new Map();
+
+  jest.spyOn(Session.prototype, 'save').mockImplementation(async function () {
+    sessions.set(String(this._id), this);
+    return this;
+  });
+
+  jest.spyOn(Session, 'findById').mockImplementation(id => query(sessions.get(String(id)) || null));
+
+  jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const session = sessions.get(String(filter._id));
+
+    if (!session || session.revokedAt || session.refreshTokenHash !== filter.refreshTokenHash) {
+      return null;
+    }
+
+    session.set(update.$set);
+    session.rotationCount = (session.rotationCount || 0) + update.$inc.rotationCount;
+    return session;
+  });
+
+  jest.spyOn(Session, 'updateOne').mockImplementation(async (filter, update) => {
+    const session = sessions.get(String(filter._id));
+    if (!session || session.revokedAt) return { modifiedCount: 0 };
+
+    session.set(update.$set);
+    return { modifiedCount: 1 };
+  });
+
+  // Lookups of logout / authMiddleware: { _id, userId } and { userId, revokedAt: null, _id: { $ne }, deviceId? }
+  const matching = filter => Array.from(sessions.values()).filter(session =>
+    (!filter.userId || String(session.userId) === String(filter.userId)) &&
+    (!filter.deviceId || session.deviceId === filter.deviceId) &&
+    (filter.revokedAt === undefined || !session.revokedAt) &&
+    (!filter._id || (filter._id.$ne ? String(session._id) !== String(filter._id.$ne) : String(session._id) === String(filter._id)))
+  );
+
+  jest.spyOn(Session, 'findOne').mockImplementation(filter => query(matching(filter)[0] || null));
+  jest.spyOn(Session, 'find').mockImplementation(filter => query(matching(filter)));
+
+  jest.spyOn(Session, 'updateMany').mockImplementation(async (filter, update) => {
+    const revoked = matching(filter);
+    revoked.forEach(session => session.set(update.$set));
+    return { modifiedCount: revoked.length };
+  });
+
+  return sessions;
+};
+
+/**
+ * HELPER: LoginThrottle counters in a Map (key → document)
+ */
+const fakeLoginThrottles = () => {
+  const throttles = new Map();
+  let nextId = 1;
+
+  const byId = id => Array.from(throttles.values()).find(throttle => throttle._id === id);
+
+  jest.spyOn(LoginThrottle, 'find').mockImplementation(async ({ key }) => {
+    return key.$in.map(name => throttles.get(name)).filter(Boolean);
+  });
+
+  jest.spyOn(LoginThrottle, 'findOne').mockImplementation(async ({ key }) => throttles.get(key) || null);
+
+  jest.spyOn(LoginThrottle, 'findOneAndUpdate').mockImplementation(async ({ key }, update) => {
+    const throttle = throttles.get(key) || { _id: nextId++, key, failedCount: 0, lockedUntil: null, nextAttemptAt: null };
+
+    throttle.failedCount += update.$inc.failedCount;
+    Object.assign(throttle, update.$set);
+    throttles.set(key, throttle);
+
+    return { ...throttle };
+  });
+
+  jest.spyOn(LoginThrottle, 'updateOne').mockImplementation(async (filter, update, options = {}) => {
+    if (filter._id) {
+      Object.assign(byId(filter._id), update.$set);
+      return { modifiedCount: 1 };
+    }
+
+    const throttle = throttles.get(filter.key);
+
+    if (throttle && throttle.lockedUntil) {
+      if (options.upsert) throw duplicateKeyError();
+      return { modifiedCount: 0 };
+    }
+
+    throttles.set(filter.key, { _id: nextId++, failedCount: 0, ...throttle, key: filter.key, ...update.$set });
+    return { modifiedCount: 1 };
+  });
+
+
+  jest.spyOn(LoginThrottle, 'deleteMany').mockImplementation(async ({ key }) => {
+    const now = new Date();
+
+    key.$in.forEach((name) => {
+      const throttle = throttles.get(name);
+      if (throttle && (!throttle.lockedUntil || throttle.lockedUntil <= now)) throttles.delete(name);
+    });
+  });
+
+  jest.spyOn(LoginThrottle, 'deleteOne').mockImplementation(async ({ key }) => {
+    throttles.delete(key);
+  });
+
+  jest.spyOn(LockoutEvent, 'create').mockImplementation(async event => event);
+  jest.spyOn(LockoutEvent, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+  return throttles;
+};
+
+/**
+ * HELPER: A user as authMiddleware loads it
+ */
+const buildUser = (fields = {}) => new User({
+  name: 'Ada Lovelace',
+  email: 'ada@example.com',
+  password: 'Sup3r-secret-password',
+  ...fields
+});
+
+/**
+ * HELPER: The emails the console transport printed (see emailService)
+ * @returns {string} All printed lines
+ */
+const printedEmails = () => console.log.mock.calls.map(args => args.join(' ')).join('\n');
+
+/**
+ * HELPER: A signed-in user with two sessions on two devices
+ * @returns {object} { sessions, user, laptop, phone } - laptop/phone: { session, tokens }
+ */
+const signInTwice = async () => {
+  const sessions = fakeSessions();
+  const user = buildUser();
+  jest.spyOn(User, 'findById').mockImplementation(() => query(user));
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+
+  const laptop = await createSession(user._id.toString(), { deviceId: 'laptop-1' });
+  const phone = await createSession(user._id.toString(), { deviceId: 'phone-1' });
+
+  return { sessions, user, laptop, phone };
+};
+
+/**
+ * HELPER: Lets a personal API key with the given scopes through authMiddleware
+ * @returns {string} The Bearer credential
+ */
+const useApiKey = (user, scopes) => {
+  const key = `hdk_${crypto.randomBytes(16).toString('hex')}`;
+  const apiKey = new ApiKey({
+    userId: user._id,
+    name: 'CI script',
+    prefix: key.slice(0, 12),
+    keyHash: hashToken(key),
+    scopes,
+    lastUsedAt: new Date()
+  });
+
+  jest.spyOn(ApiKey, 'findOne').mockImplementation(async ({ keyHash }) => (keyHash === apiKey.keyHash ? apiKey : null));
+  jest.spyOn(User, 'findById').mockImplementation(id => query(String(id) === String(user._id) ? user : null));
+
+  return key;
+};
+
+/**
+ * HELPER: Minimal Express response for calling middleware directly
+ */
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// ========================================
+// SESSIONS: ROTATION & REUSE DETECTION
+// ========================================
+
+describe('session rotation', () => {
+  const userId = new mongoose.Types.ObjectId().toString();
+
+  test('a refresh token can be exchanged exactly once', async () => {
+    const sessions = fakeSessions();
+    const { session, tokens } = await createSession(userId, {});
+
+    const decoded = verifyRefreshToken(tokens.refreshToken).decoded;
+    const rotated = await rotateSession(decoded, tokens.refreshToken, {});
+
+    expect(rotated.success).toBe(true);
+    expect(rotated.tokens.refreshToken).not.toBe(tokens.refreshToken);
+    expect(sessions.get(String(session._id)).refreshTokenHash).toBe(hashToken(rotated.tokens.refreshToken));
+  });
+
+  test('reusing a rotated refresh token revokes the whole session', async () => {
+    const sessions = fakeSessions();
+    const { session, tokens } = await createSession(userId, {});
+    const firstDecoded = verifyRefreshToken(tokens.refreshToken).decoded;
+
+    const rotated = await rotateSession(firstDecoded, tokens.refreshToken, {});
+    const reused = await rotateSession(firstDecoded, tokens.refreshToken, {});
+
+    expect(reused).toMatchObject({ success: false, code: 'REFRESH_TOKEN_REUSED' });
+    expect(sessions.get(String(session._id))).toMatchObject({ revokedReason: 'token_reuse' });
+
+    // WHY: The thief may hold the newest token - it must die as well
+    const latestDecoded = verifyRefreshToken(rotated.tokens.refreshToken).decoded;
+    const afterRevoke = await rotateSession(latestDecoded, rotated.tokens.refreshToken, {});
+
+    expect(afterRevoke).toMatchObject({ success: false, code: 'SESSION_REVOKED' });
+    expect(verifyAccessToken(rotated.tokens.accessToken)).toMatchObject({ valid: false, revoked: true });
+  });
+
+  test('two parallel refreshes with the same token: one wins, the session is revoked', async () => {
+    fakeSessions();
+    const { tokens } = await createSession(userId, {});
+    const decoded = verifyRefreshToken(tokens.refreshToken).decoded;
+
+    const results = await Promise.all([
+      rotateSession(decoded, tokens.refreshToken, {}),
+      rotateSession(decoded, tokens.refreshToken, {})
+    ]);
+
+    expect(results.filter(result => result.success)).toHaveLength(1);
+    expect(results.find(result => !result.success).code).toBe('REFRESH_TOKEN_REUSED');
+  });
+
+  test('a refresh token of another user is not accepted for the session', async () => {
+    fakeSessions();
+    const { tokens } = await createSession(userId, {});
+    const decoded = { ...verifyRefreshToken(tokens.refreshToken).decoded, userId: new mongoose.Types.ObjectId().toString() };
+
+    expect(await rotateSession(decoded, tokens.refreshToken, {})).toMatchObject({ code: 'SESSION_NOT_FOUND' });
+  });
+});
+
+describe('logout', () => {
+  const getMe = accessToken => request(app).get('/api/auth/me').set('Authorization', `Bearer ${accessToken}`);
+
+  test('logout revokes only the current session', async () => {
+    const { sessions, laptop, phone } = await signInTwice();
+
+    const res = await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${laptop.tokens.accessToken}`);
+
+    expect(res.status).toBe(200);
+    expect(sessions.get(String(laptop.session._id))).toMatchObject({ revokedReason: 'logout' });
+    expect((await getMe(laptop.tokens.accessToken)).body.code).toBe('SESSION_REVOKED');
+    expect((await getMe(phone.tokens.accessToken)).status).toBe(200);
+  });
+
+  test('logout-all revokes every session of the user', async () => {
+    const { laptop, phone } = await signInTwice();
+
+    const res = await request(app).post('/api/auth/logout-all').set('Authorization', `Bearer ${laptop.tokens.accessToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.revokedSessions).toBe(2);
+    expect((await getMe(phone.tokens.accessToken)).body.code).toBe('SESSION_REVOKED');
+
+    const refresh = await rotateSession(verifyRefreshToken(phone.tokens.refreshToken).decoded, phone.tokens.refreshToken, {});
+    expect(refresh.code).toBe('SESSION_REVOKED');
+  });
+
+  test('an access token without a session is rejected', () => {
+    expect(verifyAccessToken(generateAccessToken('user-1'))).toMatchObject({ valid: false, error: 'Token is not bound to a session' });
+  });
+});
+
+// ========================================
+// DEVICES
+// ========================================
+
+describe('device ids', () => {
+  const userId = new mongoose.Types.ObjectId().toString();
+  const requestWith = headers => ({ body: {}, ip: '203.0.113.7', get: name => headers[name.toLowerCase()] });
+
+  test('without X-Device-Id every session is its own device', async () => {
+    fakeSessions();
+    const chrome = 'Mozilla/5.0 (X11; Linux x86_64) Chrome/120.0 Safari/537.36';
+
+    const context = getRequestContext(requestWith({ 'user-agent': chrome }));
+    const first = await createSession(userId, context);
+    const second = await createSession(userId, context);
+
+    expect(context).toMatchObject({ deviceId: null, deviceName: 'Chrome on Linux' });
+    expect(first.session.deviceId).toBe(`session-${first.session._id}`);
+    expect(second.session.deviceId).not.toBe(first.session.deviceId);
+  });
+
+  test('the client device id wins and survives rotation', async () => {
+    fakeSessions();
+    const context = getRequestContext(requestWith({ 'x-device-id': 'laptop-1' }));
+    const { tokens } = await createSession(userId, context);
+
+    const rotated = await rotateSession(verifyRefreshToken(tokens.refreshToken).decoded, tokens.refreshToken, {});
+
+    expect(rotated.session.deviceId).toBe('laptop-1');
+  });
+
+  test('only the 20 most recently active devices are kept', () => {
+    const user = buildUser();
+
+    for (let i = 0; i < 25; i++) {
+      user.recordDevice({ deviceId: `device-${i}`, deviceName: `Device ${i}` });
+      user.devices[user.devices.length - 1].lastActive = new Date(Date.now() + i * 1000);
+    }
+
+    expect(user.devices).toHaveLength(20);
+    expect(user.devices.map(device => device.deviceId)).not.toContain('device-0');
+  });
+
+  test('signing a device out revokes its sessions only', async () => {
+    const { sessions, laptop, phone } = await signInTwice();
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const res = await request(app)
+      .delete('/api/users/me/devices/phone-1')
+      .set('Authorization', `Bearer ${laptop.tokens.accessToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.revokedSessions).toBe(1);
+    expect(sessions.get(String(phone.session._id))).toMatchObject({ revokedReason: 'device_revoked' });
+    expect(sessions.get(String(laptop.session._id)).revokedAt).toBeFalsy();
+  });
+});
+
+// ========================================
+// EMAIL VERIFICATION
+// ========================================
+
+describe('email verification', () => {
+  /**
+   * HELPER: An unverified user whose latest verification link is `token`
+   * LEARNING: findOneAndUpdate only matches while the link's jti is the stored one
+   */
+  const unverifiedUser = () => {
+    const user = buildUser({ isEmailVerified: false });
+    const jti = crypto.randomBytes(16).toString('hex');
+    user.emailVerificationTokenHash = hashToken(jti);
+
+    jest.spyOn(User, 'findById').mockImplementation(() => query(user));
+    jest.spyOn(User, 'findOneAndUpdate').mockImplementation(async (filter) => {
+      if (filter.emailVerificationTokenHash !== user.emailVerificationTokenHash) return null;
+
+      user.isEmailVerified = true;
+      user.emailVerificationTokenHash = undefined;
+      return user;
+    });
+
+    return { user, token: generateEmailVerificationToken(user._id.toString(), jti) };
+  };
+
+  const verify = token => request(app).post('/api/auth/verify-email').send({ token });
+
+  test('a link verifies the email once - a second click is harmless', async () => {
+    const { user, token } = unverifiedUser();
+
+    const first = await verify(token);
+    expect(first.status).toBe(200);
+    expect(first.body.message).toBe('Email verified successfully');
+    expect(user.isEmailVerified).toBe(true);
+
+    const second = await verify(token);
+    expect(second.status).toBe(200);
+    expect(second.body.message).toBe('Email is already verified');
+  });
+
+  test('only the newest link works', async () => {
+    const { user, token } = unverifiedUser();
+    user.emailVerificationTokenHash = hashToken('a-newer-link');
+
+    const res = await verify(token);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_VERIFICATION_TOKEN');
+    expect(user.isEmailVerified).toBe(false);
+  });
+
+  test('an access token is not a verification link', async () => {
+    const { user } = unverifiedUser();
+
+    const res = await verify(generateAccessToken(user._id.toString(), 'session-1'));
+
+    expect(res.status).toBe(400);
+    expect(user.isEmailVerified).toBe(false);
+  });
+
+  test('resending replaces the link and is limited to 3 emails an hour', async () => {
+    const { user, laptop } = await signInTwice();
+    user.isEmailVerified = false;
+    const resend = () => request(app)
+      .post('/api/auth/resend-verification')
+      .set('Authorization', `Bearer ${laptop.tokens.accessToken}`);
+
+    const responses = [];
+    for (let i = 0; i < 4; i++) {
+      const previousHash = user.emailVerificationTokenHash;
+      responses.push(await resend());
+      if (i < 3) expect(user.emailVerificationTokenHash).not.toBe(previousHash);
+    }
+
+    expect(responses.slice(0, 3).map(res => res.status)).toEqual([200, 200, 200]);
+    expect(responses[3].status).toBe(429);
+    expect(responses[3].body.code).toBe('EMAIL_RATE_LIMITED');
+    expect(printedEmails()).toContain('To: ada@example.com');
+    expect(printedEmails()).toContain('/verify-email?token=');
+  });
+
+  test('a verified user gets no new email', async () => {
+    const { user, laptop } = await signInTwice();
+    user.isEmailVerified = true;
+
+    const res = await request(app)
+      .post('/api/auth/resend-verification')
+      .set('Authorization', `Bearer ${laptop.tokens.accessToken}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('EMAIL_ALREADY_VERIFIED');
+  });
+});
+
+// ========================================
+// PASSWORD RESET
+// ========================================
+
+describe('password reset', () => {
+  /**
+   * HELPER: Lets reset-password claim the user's stored reset token
+   * LEARNING: Like MongoDB, the claim only matches an unexpired stored hash - and removes it
+   */
+  const fakeResetClaims = (user) => {
+    jest.spyOn(User, 'findOneAndUpdate').mockImplementation(async (filter) => {
+      const matches = user.passwordResetTokenHash === filter.passwordResetTokenHash &&
+        user.passwordResetExpiresAt > filter.passwordResetExpiresAt.$gt;
+      if (!matches) return null;
+
+      const claimed = { _id: user._id, isActive: user.isActive };
+      user.passwordResetTokenHash = undefined;
+      user.passwordResetExpiresAt = undefined;
+      return claimed;
+    });
+  };
+
+  /**
+   * HELPER: Requests a reset link for the signed-in user
+   * NOTE: forgot-password allows 3 requests an hour per IP - and every test here is the same IP
+   * @returns {object} { sessions, user, response, token } - token read from the printed email
+   */
+  const requestReset = async () => {
+    const { sessions, user } = await signInTwice();
+    jest.spyOn(User, 'findOne').mockImplementation(async ({ email }) => (email === user.email ? user : null));
+
+    const response = await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+    const [, token] = printedEmails().match(/reset-password\?token=([0-9a-f]+)/) || [];
+
+    fakeResetClaims(user);
+
+    return { sessions, user, response, token };
+  };
+
+  const reset = token => request(app).post('/api/auth/reset-password').send({ token, password: 'N3w-secret-password' });
+
+  test('unknown and known emails get the same answer', async () => {
+    const { user, response, token } = await requestReset();
+
+    const unknown = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' });
+
+    expect(unknown.status).toBe(response.status);
+    expect(unknown.body).toEqual(response.body);
+    // SECURITY: Only the hash of the emailed token is stored
+    expect(user.passwordResetTokenHash).toBe(hashToken(token));
+  });
+
+  test('a reset link works once and signs out every session', async () => {
+    const { sessions, user, token } = await requestReset();
+
+    const first = await reset(token);
+    expect(first.status).toBe(200);
+    expect(user.password).toBe('N3w-secret-password');
+    expect(Array.from(sessions.values()).map(session => session.revokedReason)).toEqual(['password_reset', 'password_reset']);
+
+    const second = await reset(token);
+    expect(second.status).toBe(400);
+    expect(second.body.code).toBe('INVALID_RESET_TOKEN');
+  });
+
+  test('an expired link is rejected', async () => {
+    const { user } = await signInTwice();
+    const token = crypto.randomBytes(32).toString('hex');
+    user.passwordResetTokenHash = hashToken(token);
+    user.passwordResetExpiresAt = new Date(Date.now() - 1000);
+    fakeResetClaims(user);
+
+    const res = await reset(token);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_RESET_TOKEN');
+  });
+
+  test('names in emails are HTML-escaped', () => {
+    const user = buildUser({ name: '<a href="https://evil.example">Ada</a>' });
+
+    [buildVerificationEmail(user, 'abc'), buildPasswordResetEmail(user, 'abc', 30)].forEach((email) => {
+      expect(email.html).toContain('Hi &lt;a href=&quot;https://evil.example&quot;&gt;Ada&lt;/a&gt;,');
+      expect(email.html).not.toContain('evil.example">');
+      // The plain text part is shown as is
+      expect(email.text).toContain(`Hi ${user.name},`);
+    });
+  });
+});
+
+// ========================================
+// TOTP & SECOND FACTOR
+// ========================================
+
+describe('TOTP', () => {
+  // RFC 6238 appendix B - secret "12345678901234567890", last 6 of the 8-digit codes
+  const rfcSecret = base32Encode(Buffer.from('12345678901234567890'));
+
+  test('matches the RFC 6238 test vectors', () => {
+    expect(generateCodeForStep(rfcSecret, Math.floor(59 / 30))).toBe('287082');
+    expect(generateCodeForStep(rfcSecret, Math.floor(1111111109 / 30))).toBe('081804');
+    expect(generateCodeForStep(rfcSecret, Math.floor(1234567890 / 30))).toBe('005924');
+  });
+
+  test('accepts one step of clock drift, not more', () => {
+    const secret = generateSecret();
+    const now = Date.now();
+
+    expect(verifyTotp(secret, generateTotp(secret, now - 30 * 1000), { timeMs: now })).not.toBeNull();
+    expect(verifyTotp(secret, generateTotp(secret, now + 30 * 1000), { timeMs: now })).not.toBeNull();
+    expect(verifyTotp(secret, generateTotp(secret, now - 90 * 1000), { timeMs: now })).toBeNull();
+  });
+
+  test('rejects malformed codes', () => {
+    const secret = generateSecret();
+
+    expect(verifyTotp(secret, '12345')).toBeNull();
+    expect(verifyTotp(secret, 'abcdef')).toBeNull();
+    expect(verifyTotp(secret, undefined)).toBeNull();
+  });
+
+  test('a code is accepted once - the same code again is a replay', () => {
+    const secret = generateSecret();
+    const user = buildUser({ twoFactor: { enabled: true, secret: encrypt(secret), recoveryCodes: [] } });
+    const code = generateTotp(secret);
+
+    expect(verifySecondFactor(user, { code })).toEqual({ valid: true, method: 'totp' });
+    expect(verifySecondFactor(user, { code })).toEqual({ valid: false });
+  });
+
+  test('a recovery code works once, however it is typed', () => {
+    const { codes, hashes } = generateRecoveryCodes();
+    const user = buildUser({ twoFactor: { enabled: true, secret: encrypt(generateSecret()), recoveryCodes: hashes } });
+    const typed = ` ${codes[0].toUpperCase().replace('-', '')} `;
+
+    expect(verifySecondFactor(user, { recoveryCode: typed })).toEqual({ valid: true, method: 'recovery_code' });
+    expect(verifySecondFactor(user, { recoveryCode: codes[0] })).toEqual({ valid: false });
+    expect(user.twoFactor.recoveryCodes).toHaveLength(9);
+  });
+});
+
+describe('2FA login', () => {
+  /**
+   * HELPER: A user with 2FA enabled, as POST /api/auth/2fa/verify loads them
+   * @returns {object} { user, secret, challengeToken }
+   */
+  const twoFactorUser = () => {
+    fakeSessions();
+    fakeLoginThrottles();
+    const secret = generateSecret();
+    const user = buildUser({ twoFactor: { enabled: true, secret: encrypt(secret), recoveryCodes: [] } });
+    jest.spyOn(User, 'findById').mockImplementation(() => query(user));
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+
+    return { user, secret, challengeToken: generateTwoFactorChallengeToken(user._id.toString()) };
+  };
+
+  const verifyCode = body => request(app).post('/api/auth/2fa/verify').send(body);
+
+  test('the right code starts a session - the same code cannot start a second one', async () => {
+    const { user, secret, challengeToken } = twoFactorUser();
+    const code = generateTotp(secret);
+
+    const res = await verifyCode({ challengeToken, code });
+
+    expect(res.status).toBe(200);
+    expect(verifyAccessToken(res.body.data.tokens.accessToken)).toMatchObject({ valid: true, decoded: { userId: user._id.toString() } });
+
+    const replay = await verifyCode({ challengeToken: generateTwoFactorChallengeToken(user._id.toString()), code });
+    expect(replay.status).toBe(401);
+    expect(replay.body.code).toBe('INVALID_TWO_FACTOR_CODE');
+  });
+
+  test('a social login challenge links its identity only with the right code', async () => {
+    const { user, secret } = twoFactorUser();
+    const identity = { provider: 'test-idp', subject: 'idp-user-1', email: 'ada@example.com' };
+    const challengeFor = () => generateTwoFactorChallengeToken(user._id.toString(), { identity });
+
+    const wrong = await verifyCode({ challengeToken: challengeFor(), code: generateCodeForStep(secret, 1) });
+    expect(wrong.status).toBe(401);
+    expect(user.identities).toHaveLength(0);
+
+    const res = await verifyCode({ challengeToken: challengeFor(), code: generateTotp(secret) });
+    expect(res.status).toBe(200);
+    expect(res.body.data.linked).toBe(true);
+    expect(user.identities).toEqual([expect.objectContaining({ provider: 'test-idp', subject: 'idp-user-1' })]);
+  });
+
+  test('a wrong code is rejected', async () => {
+    const { secret, challengeToken } = twoFactorUser();
+
+    const res = await verifyCode({ challengeToken, code: generateCodeForStep(secret, 1) });
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('INVALID_TWO_FACTOR_CODE');
+  });
+
+  test('a challenge token is not an access token, and an access token is not a challenge', async () => {
+    const { user, secret } = twoFactorUser();
+
+    expect(verifyAccessToken(generateTwoFactorChallengeToken(user._id.toString())).valid).toBe(false);
+
+    const res = await verifyCode({ challengeToken: generateAccessToken(user._id.toString(), 'session-1'), code: generateTotp(secret) });
+    expect(res.body.code).toBe('INVALID_TWO_FACTOR_CHALLENGE');
+  });
+});
+
+// ========================================
+// LOGIN PROTECTION (lockout)
+// ========================================
+
+describe('login lockout', () => {
+  const attempt = { email: 'ada@example.com', ipAddress: '198.51.100.4', userId: null };
+
+  test('failures first slow the account down, then lock it', async () => {
+    fakeLoginThrottles();
+
+    const results = [];
+    for (let i = 0; i < 10; i++) {
+      results.push(await recordFailedLogin(attempt));
+    }
+
+    // LOGIN_DELAY_AFTER = 3 → 1s, 2s, 4s ...
+    expect(results[1]).toEqual({ locked: false, retryAfter: 0 });
+    expect(results[2]).toEqual({ locked: false, retryAfter: 1 });
+    expect(results[3]).toEqual({ locked: false, retryAfter: 2 });
+
+    // LOGIN_MAX_ATTEMPTS = 10
+    expect(results[9]).toMatchObject({ locked: true, code: 'ACCOUNT_LOCKED' });
+    expect(LockoutEvent.create).toHaveBeenCalledWith(expect.objectContaining({ scope: 'account', email: attempt.email }));
+
+    const check = await checkLoginAllowed(attempt.email, attempt.ipAddress);
+    expect(check).toMatchObject({ allowed: false, code: 'ACCOUNT_LOCKED' });
+    expect(check.retryAfter).toBeGreaterThan(14 * 60);
+  });
+
+  test('a successful login resets counters but never lifts an active lockout', async () => {
+    const throttles = fakeLoginThrottles();
+
+    await recordFailedLogin(attempt);
+    await recordSuccessfulLogin(attempt);
+    expect(throttles.size).toBe(0);
+
+    for (let i = 0; i < 10; i++) {
+      await recordFailedLogin(attempt);
+    }
+    await recordSuccessfulLogin(attempt);
+
+    expect(await checkLoginAllowed(attempt.email, attempt.ipAddress)).toMatchObject({ code: 'ACCOUNT_LOCKED' });
+  });
+
+  test('email case does not create a second counter', async () => {
+    const throttles = fakeLoginThrottles();
+
+    await recordFailedLogin(attempt);
+    await recordFailedLogin({ ...attempt, email: 'ADA@example.com' });
+
+    expect(throttles.get('account:ada@example.com').failedCount).toBe(2);
+  });
+
+  test('POST /api/auth/login stays locked for the right password until an admin unlocks it', async () => {
+    fakeSessions();
+    fakeLoginThrottles();
+    // WHY: Only the lockout is under test here, not the escalating delay
+    process.env.LOGIN_DELAY_AFTER = '100';
+
+    const user = buildUser();
+    const admin = buildUser({ email: 'grace@example.com', role: 'admin' });
+    jest.spyOn(user, 'comparePassword').mockImplementation(async candidate => candidate === 'Sup3r-secret-password');
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function () { return this; });
+    jest.spyOn(User, 'findOne').mockImplementation(({ email }) => query(email === user.email ? user : null));
+    jest.spyOn(User, 'findById').mockImplementation(id => query([user, admin].find(candidate => String(candidate._id) === String(id)) || null));
+
+    const login = password => request(app).post('/api/auth/login').send({ email: user.email, password });
+
+    try {
+      for (let i = 0; i < 10; i++) {
+        await login('Wr0ng-password');
+      }
+
+      const locked = await login('Sup3r-secret-password');
+      expect(locked.status).toBe(423);
+      expect(locked.body.code).toBe('ACCOUNT_LOCKED');
+      expect(locked.headers['retry-after']).toBeDefined();
+
+      const { tokens } = await createSession(admin._id.toString(), {});
+      const unlock = await request(app)
+        .post(`/api/admin/users/${user._id}/unlock`)
+        .set('Authorization', `Bearer ${tokens.accessToken}`);
+      expect(unlock.status).toBe(200);
+
+      expect((await login('Sup3r-secret-password')).status).toBe(200);
+    } finally {
+      delete process.env.LOGIN_DELAY_AFTER;
+    }
+  });
+
+  test('only admins can unlock accounts', async () => {
+    const { laptop } = await signInTwice();
+
+    const res = await request(app)
+      .post(`/api/admin/users/${new mongoose.Types.ObjectId()}/unlock`)
+      .set('Authorization', `Bearer ${laptop.tokens.accessToken}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  test('the lockout list answers 400 for an invalid userId filter', async () => {
+    fakeSessions();
+    const admin = buildUser({ email: 'grace@example.com', role: 'admin' });
+    jest.spyOn(User, 'findById').mockImplementation(() => query(admin));
+    jest.spyOn(admin, 'save').mockResolvedValue(admin);
+    const find = jest.spyOn(LockoutEvent, 'find');
+    const { tokens } = await createSession(admin._id.toString(), {});
+
+    const res = await request(app)
+      .get('/api/admin/lockouts?userId=not-an-id')
+      .set('Authorization', `Bearer ${tokens.accessToken}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_ID');
+    expect(find).not.toHaveBeenCalled();
+  });
+});
+
+describe('2FA challenge tokens', () => {
+  const userId = new mongoose.Types.ObjectId().toString();
+  const challengeOf = () => verifyTwoFactorChallengeToken(generateTwoFactorChallengeToken(userId)).decoded;
+
+  test('every challenge has its own id', () => {
+    expect(challengeOf().jti).not.toBe(challengeOf().jti);
+  });
+
+  test('is burned after TWO_FACTOR_MAX_ATTEMPTS wrong codes', async () => {
+    fakeLoginThrottles();
+    const challenge = challengeOf();
+
+    const results = [];
+    for (let i = 0; i < 5; i++) {
+      results.push(await recordFailedChallenge(challenge));
+    }
+
+    expect(results.map(result => result.attemptsRemaining)).toEqual([4, 3, 2, 1, 0]);
+    expect(results[4].burned).toBe(true);
+    expect(await isChallengeUsable(challenge)).toBe(false);
+
+    // Other challenges are not affected
+    expect(await isChallengeUsable(challengeOf())).toBe(true);
+  });
+
+  test('can start only one session', async () => {
+    fakeLoginThrottles();
+    const challenge = challengeOf();
+
+    expect(await consumeChallenge(challenge)).toBe(true);
+    expect(await consumeChallenge(challenge)).toBe(false);
+    expect(await isChallengeUsable(challenge)).toBe(false);
+  });
+
+  test('POST /api/auth/2fa/verify stops accepting codes once the challenge is burned', async () => {
+    fakeLoginThrottles();
+    // WHY: Only the per-challenge limit is under test here, not the account delay
+    process.env.LOGIN_DELAY_AFTER = '100';
+
+    const secret = generateSecret();
+    const user = buildUser({ twoFactor: { enabled: true, secret: encrypt(secret), recoveryCodes: [] } });
+    jest.spyOn(User, 'findById').mockImplementation(() => query(user));
+
+    const challengeToken = generateTwoFactorChallengeToken(user._id.toString());
+    const wrongCode = generateCodeForStep(secret, 1);
+
+    try {
+      const responses = [];
+      for (let i = 0; i < 5; i++) {
+        responses.push(await request(app).post('/api/auth/2fa/verify').send({ challengeToken, code: wrongCode }));
+      }
+
+      expect(responses[0].status).toBe(401);
+      expect(responses[0].body).toMatchObject({ code: 'INVALID_TWO_FACTOR_CODE', attemptsRemaining: 4 });
+      expect(responses[4].body.code).toBe('TWO_FACTOR_CHALLENGE_EXHAUSTED');
+
+      // Even the right code can't use this challenge anymore
+      const late = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken, code: generateTotp(secret) });
+
+      expect(late.status).toBe(401);
+      expect(late.body.code).toBe('TWO_FACTOR_CHALLENGE_EXHAUSTED');
+    } finally {
+      delete process.env.LOGIN_DELAY_AFTER;
+    }
+  });
+
+  test('a challenge token is not an access token', () => {
+    const token = generateTwoFactorChallengeToken(userId);
+
+    expect(verifyAccessToken(token).valid).toBe(false);
+  });
+});
+
+// ========================================
+// OIDC (state, nonce, PKCE, account linking)
+// ========================================
+
+describe('OIDC login', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const provider = {
+    name: 'test-idp',
+    issuer: 'https://idp.example.test',
+    clientId: 'holodesk',
+    clientSecret: 'idp-secret',
+    tokenAuthMethod: 'client_secret_post',
+    redirectUri: 'https://app.example.test/oidc/callback',
+    scopes: 'openid email profile'
+  };
+  const metadata = {
+    issuer: provider.issuer,
+    authorization_endpoint: `${provider.issuer}/authorize`,
+    token_endpoint: `${provider.issuer}/token`,
+    jwks_uri: `${provider.issuer}/jwks`
+  };
+
+  /**
+   * HELPER: Stands in for the provider (discovery, JWKS, token endpoint)
+   * and for the OAuthState collection
+   * @param {function} idTokenFor - (authorizeParams) => ID token the token endpoint returns
+   */
+  const fakeProvider = ({ idTokenFor, tokenStatus = 200 }) => {
+    const states = [];
+    let authorizeParams = null;
+
+    jest.spyOn(OAuthState, 'create').mockImplementation(async (state) => {
+      states.push(state);
+      return state;
+    });
+
+    jest.spyOn(OAuthState, 'findOneAndDelete').mockImplementation(async (filter) => {
+      const index = states.findIndex(state => state.stateHash === filter.stateHash && state.provider === filter.provider);
+      return index === -1 ? null : states.splice(index, 1)[0];
+    });
+
+    const fetchMock = jest.spyOn(global, 'fetch').mockImplementation(async (url) => {
+      const reply = (status, body) => ({ ok: status < 400, status, json: async () => body });
+
+      if (url.endsWith('/.well-known/openid-configuration')) return reply(200, metadata);
+      if (url === metadata.jwks_uri) return reply(200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'idp-1' }] });
+      if (url === metadata.token_endpoint) {
+        return tokenStatus === 200
+          ? reply(200, { id_token: idTokenFor(authorizeParams) })
+          : reply(tokenStatus, { error: 'server_error' });
+      }
+
+      throw new Error(`Unexpected fetch: ${url}`);
+    });
+
+    const start = async () => {
+      const { authorizationUrl } = await startAuthorization(provider);
+      authorizeParams = new URL(authorizationUrl).searchParams;
+      return authorizeParams;
+    };
+
+    return { start, states, fetchMock };
+  };
+
+  const signIdToken = (claims, options = {}) => jwt.sign(claims, privateKey, {
+    algorithm: 'RS256',
+    keyid: 'idp-1',
+    issuer: provider.issuer,
+    audience: provider.clientId,
+    expiresIn: '5m',
+    ...options
+  });
+
+  test('completes a login and sends the PKCE verifier with the code', async () => {
+    const idp = fakeProvider({
+      idTokenFor: params => signIdToken({ sub: 'idp-user-1', email: 'ada@example.com', nonce: params.get('nonce') })
+    });
+
+    const params = await idp.start();
+    const storedState = idp.states[0];
+
+    expect(storedState.stateHash).toBe(hashToken(params.get('state')));
+    expect(params.get('code_challenge')).toBe(
+      crypto.createHash('sha256').update(storedState.codeVerifier).digest('base64url')
+    );
+
+    const result = await completeAuthorization(provider, { code: 'auth-code', state: params.get('state') });
+
+    expect(result).toMatchObject({ success: true, claims: { sub: 'idp-user-1' } });
+
+    const tokenCall = idp.fetchMock.mock.calls.find(([url]) => url === metadata.token_endpoint);
+    expect(new URLSearchParams(tokenCall[1].body).get('code_verifier')).toBe(storedState.codeVerifier);
+  });
+
+  test('a state can only be used once', async () => {
+    const idp = fakeProvider({
+      idTokenFor: params => signIdToken({ sub: 'idp-user-1', nonce: params.get('nonce') })
+    });
+    const params = await idp.start();
+
+    await completeAuthorization(provider, { code: 'auth-code', state: params.get('state') });
+    const replay = await completeAuthorization(provider, { code: 'auth-code', state: params.get('state') });
+
+    expect(replay).toMatchObject({ success: false, code: 'INVALID_OIDC_STATE' });
+  });
+
+  test('an unknown state is rejected before the provider is called', async () => {
+    const idp = fakeProvider({ idTokenFor: () => 'unused' });
+
+    const result = await completeAuthorization(provider, { code: 'auth-code', state: 'forged-state' });
+
+    expect(result.code).toBe('INVALID_OIDC_STATE');
+    expect(idp.fetchMock).not.toHaveBeenCalled();
+  });
+
+  test('an ID token with another nonce is rejected', async () => {
+    const idp = fakeProvider({ idTokenFor: () => signIdToken({ sub: 'idp-user-1', nonce: 'from-another-login' }) });
+    const params = await idp.start();
+
+    const result = await completeAuthorization(provider, { code: 'auth-code', state: params.get('state') });
+
+    expect(result).toMatchObject({ success: false, code: 'INVALID_ID_TOKEN', error: 'ID token nonce mismatch' });
+  });
+
+  test('an ID token for another client is rejected', async () => {
+    const idp = fakeProvider({
+      idTokenFor: params => signIdToken({ sub: 'idp-user-1', nonce: params.get('nonce') }, { audience: 'someone-else' })
+    });
+    const params = await idp.start();
+
+    const result = await completeAuthorization(provider, { code: 'auth-code', state: params.get('state') });
+
+    expect(result.code).toBe('INVALID_ID_TOKEN');
+  });
+
+  test('an HS256 ID token is rejected (symmetric algorithms are not allowed)', async () => {
+    const idp = fakeProvider({
+      idTokenFor: params => jwt.sign({ sub: 'idp-user-1', nonce: params.get('nonce') }, 'guessable', {
+        issuer: provider.issuer,
+        audience: provider.clientId
+      })
+    });
+    const params = await idp.start();
+
+    const result = await completeAuthorization(provider, { code: 'auth-code', state: params.get('state') });
+
+    expect(result.code).toBe('INVALID_ID_TOKEN');
+  });
+
+  test('a failing token endpoint surfaces as a provider error', async () => {
+    const idp = fakeProvider({ idTokenFor: () => 'unused', tokenStatus: 500 });
+    const params = await idp.start();
+
+    await expect(completeAuthorization(provider, { code: 'auth-code', state: params.get('state') }))
+      .rejects.toMatchObject({ name: 'OidcProviderError' });
+  });
+
+  describe('account resolution', () => {
+    /**
+     * HELPER: The users collection as resolveUser queries it
+     * @param {object} existing - User already registered (or null)
+     */
+    const fakeUsers = (existing) => {
+      jest.spyOn(User, 'findOne').mockImplementation(async (filter) => {
+        if (filter.identities) {
+          const { provider: name, subject } = filter.identities.$elemMatch;
+          const known = existing && existing.identities.some(identity => identity.provider === name && identity.subject === subject);
+          return known ? existing : null;
+        }
+        return existing && existing.email === filter.email ? existing : null;
+      });
+      jest.spyOn(User, 'create').mockImplementation(async fields => buildUser(fields));
+      if (existing) jest.spyOn(existing, 'save').mockResolvedValue(existing);
+    };
+
+    test('a known identity logs into its account', async () => {
+      const user = buildUser({ identities: [{ provider: 'test-idp', subject: 'idp-user-1', email: 'ada@example.com' }] });
+      fakeUsers(user);
+
+      const result = await resolveUser(provider, { sub: 'idp-user-1', email: 'someone@else.test' });
+
+      expect(result).toMatchObject({ success: true, created: false, pendingIdentity: null });
+      expect(result.user).toBe(user);
+    });
+
+    test('offers a link to an existing account only when both sides verified the email', async () => {
+      const user = buildUser({ isEmailVerified: true });
+      fakeUsers(user);
+
+      const unverified = await resolveUser(provider, { sub: 'idp-user-1', email: 'ADA@example.com', email_verified: false });
+      expect(unverified).toMatchObject({ success: false, statusCode: 409, code: 'ACCOUNT_LINK_REQUIRES_VERIFIED_EMAIL' });
+      expect(user.identities).toHaveLength(0);
+
+      const verified = await resolveUser(provider, { sub: 'idp-user-1', email: 'ADA@example.com', email_verified: true });
+      expect(verified).toMatchObject({
+        success: true,
+        pendingIdentity: { provider: 'test-idp', subject: 'idp-user-1', email: 'ada@example.com' }
+      });
+    });
+
+    test('the link is not stored before the login succeeds', async () => {
+      const user = buildUser({ isEmailVerified: true, isActive: false });
+      fakeUsers(user);
+
+      await resolveUser(provider, { sub: 'idp-user-1', email: 'ada@example.com', email_verified: true });
+
+      expect(user.identities).toHaveLength(0);
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    test('an unknown email creates a new account', async () => {
+      fakeUsers(null);
+
+      const result = await resolveUser(provider, { sub: 'idp-user-2', email: 'grace@example.com', email_verified: true, name: 'Grace Hopper' });
+
+      expect(result).toMatchObject({ success: true, created: true });
+      expect(User.create).toHaveBeenCalledWith(expect.objectContaining({ email: 'grace@example.com', name: 'Grace Hopper', isEmailVerified: true }));
+    });
+
+    test('a provider without an email cannot create an account', async () => {
+      fakeUsers(null);
+
+      expect(await resolveUser(provider, { sub: 'idp-user-3' })).toMatchObject({ success: false, code: 'OIDC_EMAIL_REQUIRED' });
+    });
+
+    test('a new account always gets a valid name', async () => {
+      fakeUsers(null);
+
+      await resolveUser(provider, { sub: 'idp-user-4', email: 'x@example.com', email_verified: true });
+      await resolveUser(provider, { sub: 'idp-user-5', email: 'x@example.com', email_verified: true, name: ' ', given_name: 'Al' });
+
+      expect(User.create.mock.calls.map(([fields]) => fields.name)).toEqual(['HoloDesk user', 'Al']);
+    });
+  });
+});
+
+// ========================================
+// JWS & JWKS
+// ========================================
+
+describe('JWS signing', () => {
+  const keyFor = (type, options) => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync(type, options);
+    return { kid: `${type}-key`, alg: jws.getAlgorithmForKey(publicKey), privateKey, publicKey };
+  };
+
+  const keys = [
+    keyFor('ed25519'),
+    keyFor('ec', { namedCurve: 'prime256v1' }),
+    keyFor('rsa', { modulusLength: 2048 })
+  ];
+  const options = { issuer: 'holodesk-api', audience: 'holodesk-client' };
+
+  test.each(keys.map(key => [key.alg, key]))('%s tokens verify with the public key', (alg, key) => {
+    const token = jws.sign({ userId: 'u1' }, key.privateKey, { algorithm: key.alg, kid: key.kid, expiresIn: '15m', ...options });
+
+    expect(jws.decodeHeader(token)).toEqual({ alg, typ: 'JWT', kid: key.kid });
+    expect(jws.verify(token, () => key, options)).toMatchObject({ userId: 'u1', iss: 'holodesk-api' });
+  });
+
+  test('a changed payload fails the signature check', () => {
+    const [key] = keys;
+    const token = jws.sign({ role: 'user' }, key.privateKey, { algorithm: key.alg, kid: key.kid, expiresIn: '15m', ...options });
+    const [header, , signature] = token.split('.');
+    const forged = `${header}.${Buffer.from(JSON.stringify({ role: 'admin', iss: 'holodesk-api', aud: 'holodesk-client' })).toString('base64url')}.${signature}`;
+
+    expect(() => jws.verify(forged, () => key, options)).toThrow('invalid signature');
+  });
+
+  test('the algorithm comes from our key, not from the token header', () => {
+    const [edKey, ecKey] = keys;
+    const token = jws.sign({}, edKey.privateKey, { algorithm: edKey.alg, kid: edKey.kid, expiresIn: '15m', ...options });
+
+    expect(() => jws.verify(token, () => ecKey, options)).toThrow('invalid algorithm');
+    expect(() => jws.verify(token, () => null, options)).toThrow('unknown signing key');
+  });
+
+  test('expired tokens throw TokenExpiredError', () => {
+    const [key] = keys;
+    const token = jws.sign({}, key.privateKey, { algorithm: key.alg, kid: key.kid, expiresIn: 60, ...options });
+    const later = Date.now() + 2 * 60 * 1000;
+
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+
+    expect(() => jws.verify(token, () => key, options)).toThrow(expect.objectContaining({ name: 'TokenExpiredError' }));
+  });
+
+  test('issuer and audience are checked', () => {
+    const [key] = keys;
+    const token = jws.sign({}, key.privateKey, { algorithm: key.alg, kid: key.kid, expiresIn: '15m', issuer: 'other', audience: 'holodesk-client' });
+
+    expect(() => jws.verify(token, () => key, options)).toThrow('jwt issuer invalid');
+  });
+});
+
+describe('signing key pairs (JWT_KEYS_DIR)', () => {
+  let keysDir;
+
+  beforeAll(() => {
+    keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'holodesk-keys-'));
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    fs.writeFileSync(path.join(keysDir, '2026-01.pem'), privateKey.export({ format: 'pem', type: 'pkcs8' }));
+  });
+
+  afterAll(() => {
+    fs.rmSync(keysDir, { recursive: true, force: true });
+  });
+
+  /**
+   * HELPER: Loads tokenService/jwtKeys fresh with the given environment
+   * WHY: Keys are read once at startup
+   */
+  const loadWithKeys = (env) => {
+    const previous = { ...process.env };
+    Object.assign(process.env, { JWT_KEYS_DIR: keysDir }, env);
+
+    try {
+      let modules;
+      jest.isolateModules(() => {
+        modules = {
+          tokenService: require('../services/tokenService'),
+          jwtKeys: require('../config/jwtKeys')
+        };
+      });
+      return modules;
+    } finally {
+      process.env = previous;
+    }
+  };
+
+  test('new tokens carry the key id and verify', () => {
+    const { tokenService } = loadWithKeys();
+    const token = tokenService.generateAccessToken('user-1', 'session-1');
+
+    expect(jws.decodeHeader(token)).toMatchObject({ alg: 'EdDSA', kid: '2026-01' });
+    expect(tokenService.verifyAccessToken(token)).toMatchObject({ valid: true, decoded: { userId: 'user-1' } });
+  });
+
+  test('old HS256 tokens keep working until JWT_LEGACY_HS256=false', () => {
+    const legacyToken = jwt.sign(
+      { userId: 'user-1', sid: 'session-1', type: 'access' },
+      process.env.JWT_SECRET,
+      { issuer: 'holodesk-api', audience: 'holodesk-client', expiresIn: '15m' }
+    );
+
+    expect(loadWithKeys().tokenService.verifyAccessToken(legacyToken).valid).toBe(true);
+
+    // WHY inside: JWT_LEGACY_HS256 is read on every verification
+    const { tokenService } = loadWithKeys();
+    process.env.JWT_LEGACY_HS256 = 'false';
+    try {
+      expect(tokenService.verifyAccessToken(legacyToken).valid).toBe(false);
+    } finally {
+      delete process.env.JWT_LEGACY_HS256;
+    }
+  });
+
+  test('the JWKS publishes public halves only', () => {
+    const { jwtKeys } = loadWithKeys();
+    const { keys } = jwtKeys.getPublicJwks();
+
+    expect(keys).toEqual([expect.objectContaining({ kid: '2026-01', kty: 'OKP', crv: 'Ed25519', alg: 'EdDSA', use: 'sig' })]);
+    expect(keys[0]).not.toHaveProperty('d');
+  });
+
+  test('GET /.well-known/jwks.json is cacheable and empty in HS256 mode', async () => {
+    const res = await request(app).get('/.well-known/jwks.json');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ keys: [] });
+    expect(res.headers['cache-control']).toMatch(/max-age=\d+/);
+  });
+});
+
+// ========================================
+// API KEY SCOPES
+// ========================================
+
+describe('API key scopes', () => {
+  test('requireScope lets sessions through and checks every scope of a key', () => {
+    const next = jest.fn();
+    const guard = requireScope(['widgets:read', 'widgets:write']);
+
+    guard({ user: {}, apiKey: null }, mockResponse(), next);
+    expect(next).toHaveBeenCalledTimes(1);
+
+    const res = mockResponse();
+    guard({ user: {}, apiKey: { scopes: ['widgets:read'] } }, res, next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INSUFFICIENT_SCOPE' }));
+  });
+
+  test('requireSession rejects API keys whatever their scopes', () => {
+    const next = jest.fn();
+    const res = mockResponse();
+
+    requireSession({ user: {}, apiKey: { scopes: ['widgets:read', 'widgets:write'] } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'API_KEY_NOT_ALLOWED' }));
+  });
+
+  test('an API key cannot manage API keys', async () => {
+    const user = buildUser();
+    const key = useApiKey(user, ['widgets:read', 'widgets:write']);
+
+    const res = await request(app).get('/api/users/me/api-keys').set('Authorization', `Bearer ${key}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('API_KEY_NOT_ALLOWED');
+  });
+
+  test('revoked and unknown keys are rejected', async () => {
+    const user = buildUser();
+    const key = useApiKey(user, ['widgets:read']);
+
+    const unknown = await request(app).get('/api/widgets/default').set('Authorization', 'Bearer hdk_unknown');
+    expect(unknown.status).toBe(401);
+    expect(unknown.body.code).toBe('INVALID_API_KEY');
+
+    const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+    apiKey.revokedAt = new Date();
+
+    const revoked = await request(app).get('/api/widgets/default').set('Authorization', `Bearer ${key}`);
+    expect(revoked.status).toBe(401);
+    expect(revoked.body.code).toBe('API_KEY_REVOKED');
+  });
+});
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+/**
+ * WHAT THIS FILE DOES: Prepares every test file (see jest.config.js)
+ *
+ * - Test secrets instead of a .env file
+ * - No command buffering: an un-faked model call throws right away
+ * - Fakes are removed after every test, so tests can't leak into each other
+ * - Quiet console: the emoji request/progress logs are for humans running the server
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-access-secret-at-least-32-characters';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret-at-least-32-characters';
+process.env.ENCRYPTION_KEY = 'test-encryption-key-at-least-32-characters';
+
+mongoose.set('bufferCommands', false);
+
+const quietConsole = () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+};
+
+// WHY twice: once for the route mounting logs while test files load, then again after every restore
+quietConsole();
+beforeEach(quietConsole);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
@@ -1 +1,1344 @@
-// src/tests/widget.test.js - Placeholder for implementation
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const app = require('../app');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const Widget = require('../models/Widget');
+const Workspace = require('../models/Workspace');
+const LayoutRevision = require('../models/LayoutRevision');
+const WidgetRevision = require('../models/WidgetRevision');
+const WidgetPreset = require('../models/WidgetPreset');
+const { hashToken } = require('../utils/encryption');
+const {
+  formatEtag,
+  parseIfMatch,
+  getRevision,
+  claimRevision,
+  withRevision
+} = require('../services/layoutRevisionService');
+const { prepareLayout, replaceLayout } = require('../services/layoutService');
+const { ACTIVE_FILTER } = require('../services/widgetTrashService');
+const { snapshotOf, diffSnapshots, recordRevisions } = require('../services/widgetHistoryService');
+const {
+  compactLayout,
+  deriveLayout,
+  findOverlaps,
+  placeItem,
+  resolveOverlaps
+} = require('../utils/gridLayout');
+const {
+  registerWidgetType,
+  getWidgetTypeNames,
+  validateWidgetContent,
+  applyWidgetDefaults
+} = require('../services/widgetRegistry');
+const widgetSchemas = require('../utils/widgetSchemas');
+
+/**
+ * WHAT THIS FILE TESTS: Granular widget CRUD, optimistic concurrency
+ * (ETag / If-Match / 412), all-or-nothing layout saves, per-type widget
+ * content schemas, the widget type registry (versions and migrations), the
+ * trash, widget history, the grid engine and the presets library
+ *
+ * LEARNING: No database - the collections a test touches are replaced with
+ * in-memory fakes (see HELPERS), which behave like MongoDB for exactly the
+ * queries the controllers send
+ */
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * HELPER: What a mongoose query resolves to (chainable like .select().lean())
+ */
+const query = (value) => {
+  const chain = {
+    select: () => chain,
+    lean: () => chain,
+    sort: () => chain,
+    skip: () => chain,
+    limit: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+/**
+ * HELPER: Does a plain document match a MongoDB filter?
+ * Supports what the layout services use: equality, null, $in, $ne, $or
+ */
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (field === '$or') return condition.some(option => matches(doc, option));
+
+  const value = doc[field] === undefined ? null : doc[field];
+
+  if (condition && typeof condition === 'object' && !(condition instanceof Date) && !mongoose.isValidObjectId(condition)) {
+    if ('$in' in condition) return condition.$in.map(String).includes(String(value));
+    if ('$ne' in condition) return String(value) !== String(condition.$ne);
+  }
+
+  return String(value) === String(condition);
+});
+
+/**
+ * HELPER: The per-workspace revision counter in a Map
+ *
+ * LEARNING: A conditional upsert that finds the counter at another revision
+ * throws E11000 (unique index) - the same as in MongoDB
+ */
+const fakeLayoutRevisions = (initial = {}) => {
+  const counters = new Map(Object.entries(initial));
+  const keyOf = filter => `${filter.userId}:${filter.workspaceId}`;
+
+  jest.spyOn(LayoutRevision, 'findOne').mockImplementation((filter) => {
+    const revision = counters.get(keyOf(filter));
+    return query(revision === undefined ? null : { revision });
+  });
+
+  jest.spyOn(LayoutRevision, 'findOneAndUpdate').mockImplementation(async (filter, update, options = {}) => {
+    const key = keyOf(filter);
+    const current = counters.get(key);
+
+    if (current === undefined) {
+      if (!options.upsert) return null;
+      counters.set(key, (filter.revision || 0) + update.$inc.revision);
+      return { revision: counters.get(key) };
+    }
+
+    if (filter.revision !== undefined && filter.revision !== current) {
+      if (options.upsert) throw duplicateKeyError();
+      return null;
+    }
+
+    counters.set(key, current + update.$inc.revision);
+    return { revision: counters.get(key) };
+  });
+
+  jest.spyOn(LayoutRevision, 'updateOne').mockImplementation(async (filter, update) => {
+    const key = keyOf(filter);
+    if (counters.get(key) !== filter.revision) return { modifiedCount: 0 };
+
+    counters.set(key, filter.revision + update.$inc.revision);
+    return { modifiedCount: 1 };
+  });
+
+  return counters;
+};
+
+/**
+ * HELPER: The widgets collection as an array of plain documents
+ */
+const fakeWidgets = (initial = []) => {
+  const widgets = initial.map(widget => ({ _id: new mongoose.Types.ObjectId(), deletedAt: null, purgeAt: null, ...widget }));
+
+  jest.spyOn(Widget, 'insertMany').mockImplementation(async (documents) => {
+    const inserted = documents.map(document => ({ _id: new mongoose.Types.ObjectId(), deletedAt: null, purgeAt: null, ...document }));
+    widgets.push(...inserted);
+    return inserted;
+  });
+
+  jest.spyOn(Widget, 'updateMany').mockImplementation(async (filter, update) => {
+    const matched = widgets.filter(widget => matches(widget, filter));
+    matched.forEach(widget => Object.assign(widget, update.$set));
+    return { modifiedCount: matched.length };
+  });
+
+  jest.spyOn(Widget, 'deleteMany').mockImplementation(async (filter) => {
+    const remaining = widgets.filter(widget => !matches(widget, filter));
+    const deletedCount = widgets.length - remaining.length;
+    widgets.splice(0, widgets.length, ...remaining);
+    return { deletedCount };
+  });
+
+  jest.spyOn(Widget, 'find').mockImplementation(filter => query(widgets.filter(widget => matches(widget, filter))));
+
+  jest.spyOn(Widget, 'distinct').mockImplementation(async (field, filter) =>
+    widgets.filter(widget => matches(widget, filter)).map(widget => widget[field])
+  );
+
+  jest.spyOn(Widget, 'exists').mockImplementation(async (filter) => {
+    const found = widgets.find(widget => matches(widget, filter));
+    return found ? { _id: found._id } : null;
+  });
+
+  jest.spyOn(Widget, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const found = widgets.find(widget => matches(widget, filter));
+    return found ? Object.assign(found, update.$set) : null;
+  });
+
+  return widgets;
+};
+
+/**
+ * HELPER: Widget history that records into mocks
+ * @returns {object} { bulkWrite, insertMany, deleteMany } - the write mocks
+ */
+const fakeWidgetHistory = () => {
+  jest.spyOn(WidgetRevision, 'aggregate').mockResolvedValue([]);
+  jest.spyOn(WidgetRevision, 'findOne').mockImplementation(() => query(null));
+
+  return {
+    bulkWrite: jest.spyOn(WidgetRevision, 'bulkWrite').mockResolvedValue({}),
+    insertMany: jest.spyOn(WidgetRevision, 'insertMany').mockResolvedValue([]),
+    deleteMany: jest.spyOn(WidgetRevision, 'deleteMany').mockResolvedValue({ deletedCount: 0 })
+  };
+};
+
+/**
+ * HELPER: Signed-in API key client with its default workspace
+ * @returns {object} { auth, user, workspace, scope }
+ */
+const signIn = (scopes = ['widgets:read', 'widgets:write']) => {
+  const user = new User({ name: 'Ada Lovelace', email: 'ada@example.com', password: 'Sup3r-secret-password' });
+  const key = `hdk_${crypto.randomBytes(16).toString('hex')}`;
+  const apiKey = new ApiKey({ userId: user._id, name: 'CI', prefix: key.slice(0, 12), keyHash: hashToken(key), scopes, lastUsedAt: new Date() });
+  const workspace = new Workspace({ owner: user._id, key: 'default', name: 'My Workspace', isDefault: true });
+
+  jest.spyOn(ApiKey, 'findOne').mockImplementation(async ({ keyHash }) => (keyHash === apiKey.keyHash ? apiKey : null));
+  jest.spyOn(User, 'findById').mockImplementation(() => query(user));
+  jest.spyOn(Workspace, 'findOne').mockImplementation(async filter => (matches(workspace, filter) ? workspace : null));
+  fakeLayoutRevisions();
+  fakeWidgetHistory();
+
+  return { auth: `Bearer ${key}`, user, workspace, scope: `${user._id}:default` };
+};
+
+/**
+ * HELPER: A stored widget whose save() resolves without a database
+ */
+const storedWidget = (user, fields = {}) => {
+  const widget = new Widget({
+    userId: user._id,
+    workspaceId: 'default',
+    id: 'widget-1',
+    type: 'sticky-note',
+    position: { x: 10, y: 20 },
+    size: { width: 300, height: 200 },
+    data: { title: 'Shopping', content: 'Buy milk' },
+    ...fields
+  });
+
+  jest.spyOn(widget, 'save').mockResolvedValue(widget);
+  return widget;
+};
+
+// ========================================
+// SINGLE WIDGETS
+// ========================================
+
+describe('widget CRUD', () => {
+  test('POST creates one widget in the caller\'s workspace with a server id', async () => {
+    const { auth, user } = signIn();
+    jest.spyOn(Widget, 'create').mockImplementation(async document => document);
+
+    const res = await request(app)
+      .post('/api/widgets/default')
+      .set('Authorization', auth)
+      .send({ type: 'clock' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.widget.id).toMatch(/^widget-/);
+    expect(Widget.create).toHaveBeenCalledWith(expect.objectContaining({
+      userId: user._id,
+      workspaceId: 'default',
+      type: 'clock'
+    }));
+  });
+
+  test('POST with an id that exists answers 409', async () => {
+    const { auth } = signIn();
+    jest.spyOn(Widget, 'create').mockRejectedValue(duplicateKeyError());
+    jest.spyOn(Widget, 'exists').mockResolvedValue(null);
+
+    const res = await request(app)
+      .post('/api/widgets/default')
+      .set('Authorization', auth)
+      .send({ id: 'widget-1', type: 'clock' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('WIDGET_ALREADY_EXISTS');
+  });
+
+  test('a failing trash lookup still answers the duplicate id with 409', async () => {
+    const { auth } = signIn();
+    jest.spyOn(Widget, 'create').mockRejectedValue(duplicateKeyError());
+    jest.spyOn(Widget, 'exists').mockRejectedValue(new Error('connection reset'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await request(app)
+      .post('/api/widgets/default')
+      .set('Authorization', auth)
+      .send({ id: 'widget-1', type: 'clock' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('WIDGET_ALREADY_EXISTS');
+  });
+
+  test('PATCH changes only the given coordinates and data keys', async () => {
+    const { auth, user } = signIn();
+    const widget = storedWidget(user);
+    jest.spyOn(Widget, 'findOne').mockResolvedValue(widget);
+
+    const res = await request(app)
+      .patch('/api/widgets/default/widget-1')
+      .set('Authorization', auth)
+      .send({ position: { x: 40 }, data: { content: 'Buy oat milk' } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.widget.position).toEqual({ x: 40, y: 20 });
+    expect(res.body.widget.data).toEqual({ title: 'Shopping', content: 'Buy oat milk' });
+  });
+
+  test('PATCH drops legacy keys the stored content no longer may carry', async () => {
+    const { auth, user } = signIn();
+    const widget = storedWidget(user, {
+      data: { title: 'Shopping', content: 'Buy milk', legacyColor: 'red' },
+      settings: { color: 'yellow', legacyPinned: true }
+    });
+    jest.spyOn(Widget, 'findOne').mockResolvedValue(widget);
+
+    const res = await request(app)
+      .patch('/api/widgets/default/widget-1')
+      .set('Authorization', auth)
+      .send({ data: { content: 'Buy oat milk' }, settings: { fontSize: 16 } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.widget.data).toEqual({ title: 'Shopping', content: 'Buy oat milk' });
+    expect(res.body.widget.settings).toEqual({ color: 'yellow', fontSize: 16 });
+  });
+
+  test('PATCH validates the merged content against the widget type', async () => {
+    const { auth, user, scope } = signIn();
+    const counters = fakeLayoutRevisions({ [scope]: 3 });
+    const widget = storedWidget(user);
+    jest.spyOn(Widget, 'findOne').mockResolvedValue(widget);
+
+    const res = await request(app)
+      .patch('/api/widgets/default/widget-1')
+      .set('Authorization', auth)
+      .send({ data: { content: 42 } });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ code: 'WIDGET_VALIDATION_FAILED', fields: ['data.content'] });
+    expect(widget.save).not.toHaveBeenCalled();
+    expect(counters.get(scope)).toBe(3);
+  });
+
+  test('PATCH refuses fields that never change', async () => {
+    const { auth } = signIn();
+
+    const res = await request(app)
+      .patch('/api/widgets/default/widget-1')
+      .set('Authorization', auth)
+      .send({ type: 'clock' });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('DELETE of an unknown widget answers 404 without a new revision', async () => {
+    const { auth, scope } = signIn();
+    const counters = fakeLayoutRevisions({ [scope]: 2 });
+    jest.spyOn(Widget, 'exists').mockResolvedValue(null);
+
+    const res = await request(app)
+      .delete('/api/widgets/default/widget-404')
+      .set('Authorization', auth);
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('WIDGET_NOT_FOUND');
+    expect(counters.get(scope)).toBe(2);
+  });
+
+  test('a read-only key can list but not write', async () => {
+    const { auth } = signIn(['widgets:read']);
+    jest.spyOn(Widget, 'find').mockImplementation(() => query([]));
+
+    const list = await request(app).get('/api/widgets/default').set('Authorization', auth);
+    expect(list.status).toBe(200);
+
+    const create = await request(app)
+      .post('/api/widgets/default')
+      .set('Authorization', auth)
+      .send({ type: 'clock' });
+
+    expect(create.status).toBe(403);
+    expect(create.body.code).toBe('INSUFFICIENT_SCOPE');
+  });
+});
+
+// ========================================
+// REPLACE LAYOUT
+// ========================================
+
+describe('PUT /api/widgets/:workspaceId/layout', () => {
+  test('invalid widgets are all reported and nothing is written', async () => {
+    const { auth } = signIn();
+    const widgets = fakeWidgets();
+
+    const res = await request(app)
+      .put('/api/widgets/default/layout')
+      .set('Authorization', auth)
+      .send({ widgets: [{ id: 'widget-1', type: 'clock' }, { id: 'widget-1', type: 'sticky-note' }, { type: 'no-such-widget' }] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('WIDGET_VALIDATION_FAILED');
+    expect(res.body.invalidWidgets.map(invalid => invalid.index)).toEqual([1, 2]);
+    expect(widgets).toHaveLength(0);
+  });
+
+  test('replaces the workspace with the given widgets', async () => {
+    const { auth } = signIn();
+    fakeWidgets();
+
+    const res = await request(app)
+      .put('/api/widgets/default/layout')
+      .set('Authorization', auth)
+      .send({ widgets: [{ type: 'clock' }, { type: 'todo-list' }] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.widgets.map(widget => widget.type)).toEqual(['clock', 'todo-list']);
+  });
+});
+
+// ========================================
+// ETAG & IF-MATCH
+// ========================================
+
+describe('If-Match parsing', () => {
+  test('reads strong, weak and listed revision tags', () => {
+    expect(formatEtag(7)).toBe('"rev-7"');
+    expect(parseIfMatch('"rev-7"')).toEqual({ any: false, revisions: [7] });
+    expect(parseIfMatch('W/"rev-7", "rev-8"')).toEqual({ any: false, revisions: [7, 8] });
+    expect(parseIfMatch('*')).toEqual({ any: true });
+    expect(parseIfMatch(undefined)).toBeNull();
+  });
+
+  test('unknown tags never match anything', () => {
+    expect(parseIfMatch('"v7"')).toEqual({ any: false, revisions: [] });
+  });
+});
+
+describe('revision claims', () => {
+  const scope = { userId: 'user-1', workspaceId: 'team' };
+
+  test('without If-Match every write gets the next revision', async () => {
+    fakeLayoutRevisions();
+
+    expect(await claimRevision(scope)).toEqual({ success: true, revision: 1 });
+    expect(await claimRevision(scope, '*')).toEqual({ success: true, revision: 2 });
+  });
+
+  test('a stale If-Match is refused with the current revision', async () => {
+    fakeLayoutRevisions({ 'user-1:team': 5 });
+
+    expect(await claimRevision(scope, '"rev-4"')).toEqual({ success: false, currentRevision: 5 });
+    expect(await claimRevision(scope, '"rev-5"')).toEqual({ success: true, revision: 6 });
+  });
+
+  test('two tabs writing the same revision: exactly one wins', async () => {
+    fakeLayoutRevisions({ 'user-1:team': 3 });
+
+    const results = await Promise.all([claimRevision(scope, '"rev-3"'), claimRevision(scope, '"rev-3"')]);
+
+    expect(results).toContainEqual({ success: true, revision: 4 });
+    expect(results).toContainEqual({ success: false, currentRevision: 4 });
+  });
+
+  test('"rev-0" creates the counter once, then is stale', async () => {
+    fakeLayoutRevisions();
+
+    expect(await claimRevision(scope, '"rev-0"')).toEqual({ success: true, revision: 1 });
+    expect(await claimRevision(scope, '"rev-0"')).toEqual({ success: false, currentRevision: 1 });
+  });
+});
+
+describe('withRevision', () => {
+  const scope = { userId: 'user-1', workspaceId: 'team' };
+
+  test('keeps the revision when the write succeeds', async () => {
+    fakeLayoutRevisions({ 'user-1:team': 2 });
+
+    const change = await withRevision(scope, '"rev-2"', async () => ({ id: 'widget-1' }));
+
+    expect(change).toEqual({ success: true, revision: 3, result: { id: 'widget-1' } });
+    expect(await getRevision(scope)).toBe(3);
+  });
+
+  test('hands the revision back when the write throws', async () => {
+    fakeLayoutRevisions({ 'user-1:team': 2 });
+
+    await expect(withRevision(scope, '"rev-2"', async () => { throw new Error('disk full'); })).rejects.toThrow('disk full');
+
+    // WHY: The client's ETag is still current - its retry must not get a 412
+    expect(await getRevision(scope)).toBe(2);
+    expect(await claimRevision(scope, '"rev-2"')).toEqual({ success: true, revision: 3 });
+  });
+
+  test('hands the revision back when nothing was written', async () => {
+    fakeLayoutRevisions({ 'user-1:team': 2 });
+
+    const change = await withRevision(scope, undefined, async () => null);
+
+    expect(change.result).toBeNull();
+    expect(await getRevision(scope)).toBe(2);
+  });
+
+  test('a refused If-Match never calls the write', async () => {
+    fakeLayoutRevisions({ 'user-1:team': 2 });
+    const write = jest.fn();
+
+    expect(await withRevision(scope, '"rev-1"', write)).toEqual({ success: false, currentRevision: 2 });
+    expect(write).not.toHaveBeenCalled();
+  });
+
+  test('a release never undoes a later write of another request', async () => {
+    const counters = fakeLayoutRevisions({ 'user-1:team': 2 });
+
+    await expect(withRevision(scope, undefined, async () => {
+      // Another request claims the next revision while this write fails
+      counters.set('user-1:team', counters.get('user-1:team') + 1);
+      throw new Error('write failed');
+    })).rejects.toThrow('write failed');
+
+    expect(await getRevision(scope)).toBe(4);
+  });
+});
+
+describe('412 responses', () => {
+  test('PUT layout with a stale ETag answers 412 with the current widgets', async () => {
+    const client = signIn();
+    fakeLayoutRevisions({ [client.scope]: 5 });
+    jest.spyOn(Widget, 'distinct').mockResolvedValue([]);
+    jest.spyOn(Widget, 'find').mockImplementation(() => query([]));
+    const deleteMany = jest.spyOn(Widget, 'deleteMany');
+
+    const res = await request(app)
+      .put('/api/widgets/default/layout')
+      .set('Authorization', client.auth)
+      .set('If-Match', '"rev-4"')
+      .send({ widgets: [{ type: 'clock' }] });
+
+    expect(res.status).toBe(412);
+    expect(res.headers.etag).toBe('"rev-5"');
+    expect(res.body).toMatchObject({ code: 'LAYOUT_REVISION_MISMATCH', currentRevision: 5, widgets: [] });
+    expect(deleteMany).not.toHaveBeenCalled();
+  });
+
+  test('creating a widget returns the new ETag', async () => {
+    const client = signIn();
+    const counters = fakeLayoutRevisions({ [client.scope]: 5 });
+    jest.spyOn(Widget, 'create').mockImplementation(async data => new Widget(data));
+
+    const res = await request(app)
+      .post('/api/widgets/default')
+      .set('Authorization', client.auth)
+      .set('If-Match', '"rev-5"')
+      .send({ type: 'clock' });
+
+    expect(res.status).toBe(201);
+    expect(res.headers.etag).toBe('"rev-6"');
+    expect(res.body.revision).toBe(6);
+    expect(counters.get(client.scope)).toBe(6);
+  });
+
+  test('GET tags the widget list with the current revision', async () => {
+    const client = signIn();
+    fakeLayoutRevisions({ [client.scope]: 7 });
+    jest.spyOn(Widget, 'find').mockImplementation(() => query([]));
+
+    const res = await request(app).get('/api/widgets/default').set('Authorization', client.auth);
+
+    expect(res.headers.etag).toBe('"rev-7"');
+    expect(res.body.revision).toBe(7);
+  });
+  test('a failed create does not use up the revision', async () => {
+    const client = signIn();
+    const counters = fakeLayoutRevisions({ [client.scope]: 5 });
+    jest.spyOn(Widget, 'create').mockRejectedValue(duplicateKeyError());
+    jest.spyOn(Widget, 'exists').mockResolvedValue(null);
+
+    const res = await request(app)
+      .post('/api/widgets/default')
+      .set('Authorization', client.auth)
+      .set('If-Match', '"rev-5"')
+      .send({ id: 'clock-1', type: 'clock' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('WIDGET_ALREADY_EXISTS');
+    expect(counters.get(client.scope)).toBe(5);
+  });
+});
+
+describe('legacy bulk save (POST /api/widgets/:workspaceId with { widgets })', () => {
+  test('is handled as a layout replace and marked deprecated', async () => {
+    const client = signIn();
+    fakeLayoutRevisions({ [client.scope]: 5 });
+    jest.spyOn(Widget, 'distinct').mockResolvedValue([]);
+    jest.spyOn(Widget, 'find').mockImplementation(() => query([]));
+
+    const res = await request(app)
+      .post('/api/widgets/default')
+      .set('Authorization', client.auth)
+      .set('If-Match', '"rev-1"')
+      .send({ widgets: [{ type: 'clock' }] });
+
+    // WHY 412: proves it went through replaceLayout's If-Match check
+    expect(res.status).toBe(412);
+    expect(res.headers.deprecation).toBe('true');
+    expect(res.headers.sunset).toBe('Wed, 31 Mar 2027 00:00:00 GMT');
+    expect(res.headers.link).toBe('</api/widgets/default/layout>; rel="successor-version"');
+  });
+
+  test('a single widget is still created without the deprecation headers', async () => {
+    const { auth } = signIn();
+    jest.spyOn(Widget, 'create').mockImplementation(async document => document);
+
+    const res = await request(app)
+      .post('/api/widgets/default')
+      .set('Authorization', auth)
+      .send({ type: 'clock' });
+
+    expect(res.status).toBe(201);
+    expect(res.headers.deprecation).toBeUndefined();
+    expect(res.headers.sunset).toBeUndefined();
+  });
+
+  test('still needs widgets:write', async () => {
+    const { auth } = signIn(['widgets:read']);
+
+    const res = await request(app)
+      .post('/api/widgets/default')
+      .set('Authorization', auth)
+      .send({ widgets: [] });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('INSUFFICIENT_SCOPE');
+  });
+});
+
+// ========================================
+// LAYOUT REPLACE (all-or-nothing)
+// ========================================
+
+describe('prepareLayout', () => {
+  const scope = { userId: new mongoose.Types.ObjectId(), workspaceId: 'team' };
+
+  test('reports every invalid widget at once', () => {
+    const prepared = prepareLayout(scope, [
+      { type: 'clock' },
+      { type: 'no-such-widget' },
+      { type: 'sticky-note', data: { content: 42 } }
+    ]);
+
+    expect(prepared.valid).toBe(false);
+    expect(prepared.invalidWidgets.map(invalid => invalid.index)).toEqual([1, 2]);
+  });
+
+  test('rejects duplicate ids', () => {
+    const prepared = prepareLayout(scope, [{ id: 'a', type: 'clock' }, { id: 'a', type: 'clock' }]);
+
+    expect(prepared.invalidWidgets).toEqual([
+      expect.objectContaining({ index: 1, errors: [{ field: 'id', message: 'Duplicate widget id: a' }] })
+    ]);
+  });
+
+  test('fills in ids and the workspace scope', () => {
+    const prepared = prepareLayout(scope, [{ type: 'clock', workspaceId: 'someone-else' }]);
+
+    expect(prepared.widgets[0]).toMatchObject({ ...scope, type: 'clock', id: expect.stringMatching(/^widget-/) });
+  });
+
+  test('stores an overlap-free grid', () => {
+    const prepared = prepareLayout(scope, [
+      { id: 'a', type: 'clock', grid: { x: 0, y: 0, w: 6, h: 2 } },
+      { id: 'b', type: 'clock', grid: { x: 3, y: 1, w: 6, h: 2 } }
+    ]);
+
+    expect(prepared.valid).toBe(true);
+    const items = prepared.widgets.map(widget => ({ widgetId: widget.id, ...widget.grid }));
+    expect(findOverlaps(items)).toEqual([]);
+  });
+});
+
+describe('replaceLayout (staged swap)', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const scope = { userId, workspaceId: 'team' };
+  const live = ids => ids.map(id => ({ ...scope, id, type: 'clock' }));
+
+  // LEARNING: Not connected = no replica set detected, so these run the staged swap
+
+  test('replaces kept widgets, inserts new ones and trashes the rest', async () => {
+    const widgets = fakeWidgets(live(['a', 'b']));
+
+    const result = await replaceLayout(scope, prepareLayout(scope, [{ id: 'a', type: 'clock' }, { id: 'c', type: 'clock' }]).widgets);
+
+    expect(result.strategy).toBe('staged');
+    expect(result.widgets.map(widget => widget.id).sort()).toEqual(['a', 'c']);
+
+    const trashed = widgets.filter(widget => widget.deletedAt);
+    expect(trashed.map(widget => widget.id)).toEqual(['b']);
+    expect(trashed[0].purgeAt).toBeInstanceOf(Date);
+    expect(widgets.every(widget => widget.workspaceId === 'team')).toBe(true);
+  });
+
+  test('a failure while swapping leaves the old layout in place', async () => {
+    const widgets = fakeWidgets(live(['a', 'b']));
+    const before = JSON.stringify(widgets);
+    const updateMany = Widget.updateMany.getMockImplementation();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    // STEP 3 (staged → live) fails
+    Widget.updateMany
+      .mockImplementationOnce(updateMany)
+      .mockImplementationOnce(async () => { throw new Error('connection reset'); });
+
+    const incoming = prepareLayout(scope, [{ id: 'a', type: 'clock' }, { id: 'c', type: 'clock' }]).widgets;
+    await expect(replaceLayout(scope, incoming)).rejects.toThrow('connection reset');
+
+    expect(JSON.stringify(widgets)).toBe(before);
+  });
+
+  test('a failure while staging never touches the workspace', async () => {
+    const widgets = fakeWidgets(live(['a']));
+    const before = JSON.stringify(widgets);
+    Widget.insertMany.mockRejectedValueOnce(new Error('validation failed'));
+
+    await expect(replaceLayout(scope, prepareLayout(scope, [{ type: 'clock' }]).widgets)).rejects.toThrow('validation failed');
+
+    expect(JSON.stringify(widgets)).toBe(before);
+    expect(widgets.filter(widget => matches(widget, ACTIVE_FILTER))).toHaveLength(1);
+  });
+});
+
+// ========================================
+// WIDGET CONTENT SCHEMAS
+// ========================================
+
+describe('widget content schemas', () => {
+  // WHY one bad payload per type: each schema has its own rules to get wrong
+  const rejected = [
+    ['pomodoro-timer', { settings: { workMinutes: 0 } }, 'settings.workMinutes'],
+    ['clock', { settings: { timezone: 'Mars/Olympus_Mons' } }, 'settings.timezone'],
+    ['sticky-note', { data: { content: 'x'.repeat(10001) } }, 'data.content'],
+    ['todo-list', { data: { items: [{ id: 't1', text: 'Ship it', dueDate: 'tomorrow' }] } }, 'data.items.0.dueDate'],
+    ['quick-links', { data: { links: [{ id: 'l1', title: 'Evil', url: 'javascript:alert(1)' }] } }, 'data.links.0.url'],
+    ['calendar', { data: { events: [{ id: 'e1', title: 'Standup', date: '2026-01-05', startTime: '9am' }] } }, 'data.events.0.startTime'],
+    ['habits', { settings: { weekStartsOn: 7 } }, 'settings.weekStartsOn']
+  ];
+
+  test('every widget type has a schema under test', () => {
+    expect(rejected.map(([type]) => type).sort()).toEqual(getWidgetTypeNames().sort());
+  });
+
+  test.each(rejected)('%s rejects invalid content', (type, content, field) => {
+    const result = validateWidgetContent(type, content);
+
+    expect(result.success).toBe(false);
+    expect(result.errors.map(err => err.field)).toContain(field);
+  });
+
+  test('unknown keys are rejected, empty content is fine', () => {
+    expect(validateWidgetContent('clock', { data: {}, settings: {} })).toEqual({ success: true });
+    expect(validateWidgetContent('sticky-note', { data: { html: '<b>hi</b>' } }).success).toBe(false);
+  });
+
+  test('an unknown type is reported on the type field', () => {
+    expect(validateWidgetContent('no-such-widget', {}).errors).toEqual([{ field: 'type', message: 'Unknown widget type: no-such-widget' }]);
+  });
+});
+
+// ========================================
+// WIDGET TYPE REGISTRY
+// ========================================
+
+describe('widget type registry', () => {
+  // LEARNING: A test type whose shape changed twice (v1 "text" → v2 "content" → v3 + "title")
+  beforeAll(() => registerWidgetType({
+    type: 'legacy-note',
+    schemaVersion: 3,
+    schemas: widgetSchemas.stickyNote,
+    defaultData: { content: '' },
+    migrations: {
+      2: ({ data, settings }) => {
+        const { text, ...rest } = data;
+        return { data: { ...rest, content: text }, settings };
+      },
+      3: ({ data, settings }) => ({ data: { title: 'Untitled', ...data }, settings })
+    }
+  }));
+
+  const stored = (fields) => Widget.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    workspaceId: 'default',
+    id: 'note-1',
+    type: 'legacy-note',
+    data: { text: 'Buy milk' },
+    settings: {},
+    ...fields
+  });
+
+  test('loading an old widget runs every migration step in order', () => {
+    const widget = stored({ schemaVersion: 1 });
+
+    expect(widget.schemaVersion).toBe(3);
+    expect(widget.data).toEqual({ title: 'Untitled', content: 'Buy milk' });
+    expect(widget.$locals.storedSchemaVersion).toBe(1);
+  });
+
+  test('widgets saved before versioning count as version 1', () => {
+    const widget = stored({});
+
+    expect(widget.schemaVersion).toBe(3);
+    expect(widget.data.content).toBe('Buy milk');
+  });
+
+  test('current widgets are left alone', () => {
+    const widget = stored({ schemaVersion: 3, data: { title: 'Kept', content: 'as is' } });
+
+    expect(widget.data).toEqual({ title: 'Kept', content: 'as is' });
+    expect(widget.$locals).not.toHaveProperty('storedSchemaVersion');
+  });
+
+  test('persistMigrations writes back only if nobody saved in between', async () => {
+    const bulkWrite = jest.spyOn(Widget, 'bulkWrite').mockResolvedValue({});
+    const upgraded = stored({ schemaVersion: 1 });
+    const current = stored({ schemaVersion: 3 });
+
+    await Widget.persistMigrations([upgraded, current]);
+
+    expect(bulkWrite).toHaveBeenCalledWith([{
+      updateOne: {
+        filter: { _id: upgraded._id, schemaVersion: 1 },
+        update: { $set: { data: upgraded.data, settings: upgraded.settings, schemaVersion: 3 } },
+        timestamps: false
+      }
+    }]);
+    expect(upgraded.$locals).not.toHaveProperty('storedSchemaVersion');
+  });
+
+  test('new widgets get the defaults and the current version', () => {
+    expect(applyWidgetDefaults({ type: 'legacy-note', data: { title: 'Mine' } })).toMatchObject({
+      data: { content: '', title: 'Mine' },
+      schemaVersion: 3
+    });
+  });
+
+  test('a version bump without its migration is refused at startup', () => {
+    expect(() => registerWidgetType({
+      type: 'broken-note',
+      schemaVersion: 2,
+      schemas: widgetSchemas.stickyNote
+    })).toThrow('missing migration to version 2');
+  });
+
+  test('GET /api/widget-types lists the built-in types', async () => {
+    const res = await request(app).get('/api/widget-types');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.widgetTypes.map(widgetType => widgetType.type)).toEqual(expect.arrayContaining(['clock', 'sticky-note']));
+  });
+});
+
+// ========================================
+// TRASH
+// ========================================
+
+describe('widget trash', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+
+  /**
+   * HELPER: Signed-in client whose "default" workspace holds the given widgets
+   */
+  const withWidgets = (ids) => {
+    const client = signIn();
+    const widgets = fakeWidgets(ids.map(id => ({ userId: client.user._id, workspaceId: 'default', id, type: 'clock' })));
+    return { ...client, widgets };
+  };
+
+  test('DELETE moves the widget to the trash for 30 days', async () => {
+    const { auth, widgets } = withWidgets(['clock-1', 'clock-2']);
+
+    const res = await request(app).delete('/api/widgets/default/clock-1').set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(new Date(res.body.widget.purgeAt) - new Date(res.body.widget.deletedAt)).toBe(30 * DAY);
+    expect(widgets).toHaveLength(2);
+
+    const list = await request(app).get('/api/widgets/default').set('Authorization', auth);
+    expect(list.body.widgets.map(widget => widget.id)).toEqual(['clock-2']);
+
+    const trash = await request(app).get('/api/widgets/default/trash').set('Authorization', auth);
+    expect(trash.body).toMatchObject({ retentionDays: 30, widgets: [expect.objectContaining({ id: 'clock-1' })] });
+  });
+
+  test('a restored widget is live again and leaves the trash', async () => {
+    const { auth, widgets } = withWidgets(['clock-1']);
+    await request(app).delete('/api/widgets/default/clock-1').set('Authorization', auth);
+
+    const res = await request(app).post('/api/widgets/default/trash/clock-1/restore').set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(widgets[0]).toMatchObject({ deletedAt: null, purgeAt: null });
+  });
+
+  test('only trashed widgets can be restored', async () => {
+    const { auth } = withWidgets(['clock-1']);
+
+    const res = await request(app).post('/api/widgets/default/trash/clock-1/restore').set('Authorization', auth);
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('WIDGET_NOT_IN_TRASH');
+  });
+
+  test('creating a widget with the id of a trashed one points to restore', async () => {
+    const { auth } = withWidgets(['clock-1']);
+    await request(app).delete('/api/widgets/default/clock-1').set('Authorization', auth);
+    jest.spyOn(Widget, 'create').mockRejectedValue(duplicateKeyError());
+
+    const res = await request(app)
+      .post('/api/widgets/default')
+      .set('Authorization', auth)
+      .send({ id: 'clock-1', type: 'clock' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('WIDGET_IN_TRASH');
+  });
+});
+
+// ========================================
+// WIDGET HISTORY
+// ========================================
+
+describe('widget history', () => {
+  const scope = { userId: new mongoose.Types.ObjectId(), workspaceId: 'team' };
+  const actor = { userId: scope.userId, via: 'session', apiKeyId: null };
+
+  test('snapshots keep everything a revert needs', () => {
+    const widget = new Widget({
+      ...scope,
+      id: 'note-1',
+      type: 'sticky-note',
+      position: { x: 40, y: 80 },
+      grid: { x: 0, y: 0, w: 4, h: 2 },
+      breakpointGrids: { sm: { x: 0, y: 0, w: 6, h: 2 } },
+      data: { content: 'Hello' },
+      settings: { color: 'yellow' },
+      excludeFromShare: true
+    });
+
+    expect(snapshotOf(widget)).toMatchObject({
+      type: 'sticky-note',
+      schemaVersion: 1,
+      position: { x: 40, y: 80 },
+      size: { width: 300, height: 200 },
+      grid: { x: 0, y: 0, w: 4, h: 2, z: 0 },
+      breakpointGrids: { md: null, sm: { x: 0, y: 0, w: 6, h: 2, z: 0 }, xs: null },
+      data: { content: 'Hello' },
+      settings: { color: 'yellow' },
+      excludeFromShare: true
+    });
+  });
+
+  test('diffs name the changed fields', () => {
+    const before = snapshotOf({ type: 'clock', position: { x: 0, y: 0 }, data: { a: 1 }, settings: {} });
+    const after = snapshotOf({ type: 'clock', position: { x: 10, y: 0 }, data: { a: 2 }, settings: { format: '12h' } });
+
+    expect(diffSnapshots(before, after)).toEqual(['position', 'data.a', 'settings.format']);
+    expect(diffSnapshots(null, after)).toEqual(['*']);
+  });
+
+  test('the share flag is part of the diff', () => {
+    const before = snapshotOf({ type: 'clock', data: {}, settings: {} });
+    const after = snapshotOf({ type: 'clock', data: {}, settings: {}, excludeFromShare: true });
+
+    expect(diffSnapshots(before, after)).toEqual(['excludeFromShare']);
+  });
+
+  test('history of a trashed widget gets its purge date, a restore clears it', async () => {
+    const { bulkWrite, insertMany } = fakeWidgetHistory();
+
+    const purgeAt = new Date('2026-11-18T00:00:00.000Z');
+    const widget = { ...scope, id: 'clock-1', type: 'clock', data: {}, settings: {}, purgeAt };
+
+    await recordRevisions(scope, [widget], { revision: 4, action: 'delete', actor });
+
+    expect(insertMany.mock.calls[0][0]).toEqual([expect.objectContaining({ widgetId: 'clock-1', purgeAt })]);
+    expect(bulkWrite.mock.calls[0][0]).toEqual([{
+      updateMany: {
+        filter: { ...scope, widgetId: 'clock-1', purgeAt: { $ne: purgeAt } },
+        update: { $set: { purgeAt } }
+      }
+    }]);
+
+    await recordRevisions(scope, [{ ...widget, purgeAt: null }], { revision: 5, action: 'restore', actor });
+
+    expect(bulkWrite.mock.calls[1][0][0].updateMany.update).toEqual({ $set: { purgeAt: null } });
+  });
+
+  test('an update that changes nothing is not recorded', async () => {
+    const { insertMany } = fakeWidgetHistory();
+    const widget = { id: 'clock-1', type: 'clock', data: {}, settings: {} };
+    WidgetRevision.aggregate.mockResolvedValue([{ _id: 'clock-1', snapshot: snapshotOf(widget) }]);
+
+    await recordRevisions(scope, [widget], { revision: 4, action: 'update', actor });
+
+    expect(insertMany).not.toHaveBeenCalled();
+  });
+
+  test('only the newest revisions of a widget are kept', async () => {
+    const { insertMany, deleteMany } = fakeWidgetHistory();
+    WidgetRevision.findOne.mockImplementation(() => query({ revision: 12 }));
+
+    await recordRevisions(scope, [{ id: 'clock-1', type: 'clock' }], { revision: 61, action: 'create', actor });
+
+    expect(insertMany.mock.calls[0][0]).toEqual([expect.objectContaining({ widgetId: 'clock-1', revision: 61, changedFields: ['*'] })]);
+    expect(deleteMany).toHaveBeenCalledWith({ ...scope, widgetId: 'clock-1', revision: { $lt: 12 } });
+  });
+
+  test('a failing history write never fails the widget write', async () => {
+    fakeWidgetHistory();
+    WidgetRevision.insertMany.mockRejectedValue(new Error('disk full'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(recordRevisions(scope, [{ id: 'clock-1', type: 'clock' }], { revision: 1, action: 'create', actor })).resolves.toBeUndefined();
+  });
+
+  test('reverting restores the snapshot content as a new revision', async () => {
+    const { auth, user, scope: revisionScope } = signIn();
+    const counters = fakeLayoutRevisions({ [revisionScope]: 8 });
+    const widget = storedWidget(user, { data: { title: 'Shopping', content: 'Buy bread' } });
+    const entry = new WidgetRevision({
+      userId: user._id,
+      workspaceId: 'default',
+      widgetId: 'widget-1',
+      revision: 5,
+      action: 'update',
+      changedBy: user._id,
+      snapshot: snapshotOf(storedWidget(user))
+    });
+    jest.spyOn(Widget, 'findOne').mockResolvedValue(widget);
+    WidgetRevision.findOne.mockImplementation(filter => query(filter.revision === 5 ? entry : null));
+
+    const res = await request(app)
+      .post('/api/widgets/default/widget-1/revisions/5/revert')
+      .set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.widget.data).toEqual({ title: 'Shopping', content: 'Buy milk' });
+    expect(counters.get(revisionScope)).toBe(9);
+    expect(WidgetRevision.insertMany.mock.calls[0][0]).toEqual([expect.objectContaining({ action: 'revert', revertedFrom: 5, revision: 9 })]);
+  });
+});
+
+// ========================================
+// GRID ENGINE (compaction)
+// ========================================
+
+describe('compaction', () => {
+  const item = (widgetId, x, y, w, h) => ({ widgetId, x, y, w, h, z: 0 });
+
+  test('vertical: items float up and overlaps are pushed down', () => {
+    const layout = compactLayout([item('a', 0, 0, 6, 2), item('b', 3, 1, 6, 2), item('c', 9, 10, 3, 1)], 'vertical');
+
+    expect(layout).toEqual([item('a', 0, 0, 6, 2), item('c', 9, 0, 3, 1), item('b', 3, 2, 6, 2)]);
+    expect(findOverlaps(layout)).toEqual([]);
+  });
+
+  test('horizontal: items float left and wrap when the row is full', () => {
+    const layout = compactLayout([item('a', 0, 0, 8, 1), item('b', 6, 0, 6, 1)], 'horizontal');
+
+    expect(layout).toEqual([item('a', 0, 0, 8, 1), item('b', 0, 1, 6, 1)]);
+  });
+
+  test('none: nothing moves and overlaps are reported', () => {
+    const items = [item('a', 0, 0, 6, 2), item('b', 3, 1, 6, 2)];
+
+    expect(compactLayout(items, 'none')).toEqual(items);
+    expect(findOverlaps(items)).toEqual([{ widgetIds: ['a', 'b'] }]);
+  });
+
+  test('the same input always gives the same layout', () => {
+    const items = [item('b', 0, 0, 6, 1), item('a', 0, 0, 6, 1), item('c', 0, 0, 6, 1)];
+
+    expect(compactLayout(items)).toEqual(compactLayout([...items].reverse()));
+  });
+
+  test('placeItem moves only the new item', () => {
+    expect(placeItem(item('b', 0, 0, 4, 1), [item('a', 0, 0, 4, 3)])).toEqual(item('b', 0, 3, 4, 1));
+    expect(placeItem(item('b', 4, 0, 4, 1), [item('a', 0, 0, 4, 3)])).toEqual(item('b', 4, 0, 4, 1));
+  });
+
+  test('fixed items never move, the rest flows around them', () => {
+    const layout = compactLayout([item('b', 0, 0, 4, 1)], 'vertical', { fixedItems: [item('a', 0, 0, 12, 2)] });
+
+    expect(layout).toEqual([item('b', 0, 2, 4, 1)]);
+  });
+
+  test('resolveOverlaps keeps deliberate gaps', () => {
+    expect(resolveOverlaps([item('a', 0, 5, 4, 1)])).toEqual([item('a', 0, 5, 4, 1)]);
+    expect(resolveOverlaps([item('a', 0, 5, 4, 2), item('b', 0, 6, 4, 1)])).toEqual([item('a', 0, 5, 4, 2), item('b', 0, 7, 4, 1)]);
+  });
+
+  test('smaller breakpoints scale the lg layout and stay inside the grid', () => {
+    const derived = deriveLayout([item('a', 0, 0, 6, 2), item('b', 6, 0, 6, 2)], [], 4);
+
+    expect(derived).toEqual([
+      { ...item('a', 0, 0, 2, 2), derived: true },
+      { ...item('b', 2, 0, 2, 2), derived: true }
+    ]);
+    expect(derived.every(entry => entry.x + entry.w <= 4)).toBe(true);
+  });
+
+  test('an arranged breakpoint item stays put and derived ones flow around it', () => {
+    const derived = deriveLayout([item('a', 0, 0, 12, 2)], [item('b', 0, 0, 6, 1)], 6);
+
+    expect(derived).toEqual(expect.arrayContaining([item('b', 0, 0, 6, 1), { ...item('a', 0, 1, 6, 2), derived: true }]));
+  });
+});
+
+describe('PUT /api/widgets/:workspaceId/grid', () => {
+  /**
+   * HELPER: Signed-in client with two clocks side by side
+   */
+  const withGrid = () => {
+    const client = signIn();
+    const widgets = fakeWidgets([
+      { userId: client.user._id, workspaceId: 'default', id: 'a', type: 'clock', grid: { x: 0, y: 0, w: 6, h: 2, z: 0 } },
+      { userId: client.user._id, workspaceId: 'default', id: 'b', type: 'clock', grid: { x: 6, y: 0, w: 6, h: 2, z: 0 } }
+    ]);
+    const bulkWrite = jest.spyOn(Widget, 'bulkWrite').mockResolvedValue({});
+
+    // WHY hydrate: the grid endpoint sets nested paths on real documents
+    Widget.find.mockImplementation(filter => query(widgets.filter(widget => matches(widget, filter)).map(widget => Widget.hydrate(widget))));
+
+    return { ...client, widgets, bulkWrite };
+  };
+
+  test('compact "none" refuses overlaps and saves nothing', async () => {
+    const { auth, bulkWrite } = withGrid();
+
+    const res = await request(app)
+      .put('/api/widgets/default/grid')
+      .set('Authorization', auth)
+      .send({ layout: [{ widgetId: 'a', x: 3, y: 0, w: 6, h: 2 }], compact: 'none' });
+
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({ code: 'GRID_OVERLAP', overlaps: [{ widgetIds: ['a', 'b'] }] });
+    expect(bulkWrite).not.toHaveBeenCalled();
+  });
+
+  test('overlaps are compacted and only moved widgets are written', async () => {
+    const { auth, bulkWrite } = withGrid();
+
+    const res = await request(app)
+      .put('/api/widgets/default/grid')
+      .set('Authorization', auth)
+      .send({ layout: [{ widgetId: 'a', x: 3, y: 0, w: 6, h: 2 }], compact: 'vertical' });
+
+    expect(res.status).toBe(200);
+    expect(findOverlaps(res.body.layout)).toEqual([]);
+    expect(bulkWrite.mock.calls[0][0].map(operation => operation.updateOne.filter.id).sort()).toEqual(res.body.changed.sort());
+  });
+
+  test('a dry run previews without claiming a revision', async () => {
+    const { auth, scope, bulkWrite } = withGrid();
+    const counters = fakeLayoutRevisions({ [scope]: 4 });
+
+    const res = await request(app)
+      .put('/api/widgets/default/grid')
+      .set('Authorization', auth)
+      .send({ layout: [{ widgetId: 'a', x: 3, y: 0, w: 6, h: 2 }], dryRun: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.dryRun).toBe(true);
+    expect(bulkWrite).not.toHaveBeenCalled();
+    expect(counters.get(scope)).toBe(4);
+  });
+
+  test('a smaller breakpoint is stored separately, lg stays as it is', async () => {
+    const { auth, bulkWrite } = withGrid();
+
+    const res = await request(app)
+      .put('/api/widgets/default/grid')
+      .set('Authorization', auth)
+      .send({ breakpoint: 'sm', layout: [{ widgetId: 'b', x: 0, y: 0, w: 6, h: 2 }] });
+
+    expect(res.status).toBe(200);
+    expect(bulkWrite.mock.calls[0][0]).toEqual([
+      expect.objectContaining({ updateOne: expect.objectContaining({ update: { $set: { 'breakpointGrids.sm': expect.objectContaining({ x: 0, y: 0, w: 6, h: 2 }) } } }) })
+    ]);
+    expect(res.body.layout.find(entry => entry.widgetId === 'a')).toMatchObject({ derived: true, y: 2 });
+  });
+
+  test('rectangles wider than the breakpoint are refused', async () => {
+    const { auth } = withGrid();
+
+    const res = await request(app)
+      .put('/api/widgets/default/grid')
+      .set('Authorization', auth)
+      .send({ breakpoint: 'xs', layout: [{ widgetId: 'a', x: 0, y: 0, w: 6, h: 2 }] });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('widgets of other workspaces cannot be placed', async () => {
+    const { auth } = withGrid();
+
+    const res = await request(app)
+      .put('/api/widgets/default/grid')
+      .set('Authorization', auth)
+      .send({ layout: [{ widgetId: 'someone-elses', x: 0, y: 4, w: 2, h: 2 }] });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ code: 'GRID_UNKNOWN_WIDGETS', widgetIds: ['someone-elses'] });
+  });
+});
+
+// ========================================
+// PRESETS
+// ========================================
+
+describe('widget presets', () => {
+  const otherUserId = new mongoose.Types.ObjectId();
+
+  /**
+   * HELPER: The presets collection - one private preset of the caller, one
+   * public and one private preset of another user
+   */
+  const withPresets = () => {
+    const client = signIn();
+    const presets = [
+      new WidgetPreset({ userId: client.user._id, name: 'Deep work', type: 'pomodoro-timer', settings: { workMinutes: 50 } }),
+      new WidgetPreset({ userId: otherUserId, name: 'Standup', type: 'todo-list', data: { title: 'Standup' }, isPublic: true, usageCount: 7 }),
+      new WidgetPreset({ userId: otherUserId, name: 'Diary', type: 'sticky-note', data: { content: 'Dear diary' } })
+    ];
+    presets.forEach(preset => jest.spyOn(preset, 'save').mockResolvedValue(preset));
+
+    jest.spyOn(WidgetPreset, 'find').mockImplementation(filter => query(presets.filter(preset => matches(preset, filter))));
+    jest.spyOn(WidgetPreset, 'findOne').mockImplementation(async filter => presets.find(preset => matches(preset, filter)) || null);
+    jest.spyOn(WidgetPreset, 'findOneAndDelete').mockImplementation(async (filter) => {
+      const index = presets.findIndex(preset => matches(preset, filter));
+      return index === -1 ? null : presets.splice(index, 1)[0];
+    });
+    jest.spyOn(WidgetPreset, 'countDocuments').mockImplementation(async filter => presets.filter(preset => matches(preset, filter)).length);
+    jest.spyOn(WidgetPreset, 'create').mockImplementation(async fields => new WidgetPreset(fields));
+    jest.spyOn(WidgetPreset, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const [mine, shared, diary] = presets;
+    return { ...client, presets, mine, shared, diary };
+  };
+
+  const names = res => res.body.data.presets.map(preset => preset.name);
+
+  test('scope=mine, public and all show the right presets, own ones first', async () => {
+    const { auth } = withPresets();
+
+    const mine = await request(app).get('/api/presets?scope=mine').set('Authorization', auth);
+    const shared = await request(app).get('/api/presets?scope=public').set('Authorization', auth);
+    const all = await request(app).get('/api/presets').set('Authorization', auth);
+
+    expect(names(mine)).toEqual(['Deep work']);
+    expect(names(shared)).toEqual(['Standup']);
+    expect(names(all)).toEqual(['Deep work', 'Standup']);
+    expect(all.body.data.presets.map(preset => preset.isOwn)).toEqual([true, false]);
+  });
+
+  test('someone else\'s private preset looks like a missing one', async () => {
+    const { auth, diary } = withPresets();
+
+    const res = await request(app).get(`/api/presets/${diary._id}`).set('Authorization', auth);
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('PRESET_NOT_FOUND');
+  });
+
+  test('a public preset of another user can be used but not edited or deleted', async () => {
+    const { auth, shared } = withPresets();
+
+    const read = await request(app).get(`/api/presets/${shared._id}`).set('Authorization', auth);
+    const edit = await request(app).patch(`/api/presets/${shared._id}`).set('Authorization', auth).send({ name: 'Mine now' });
+    const remove = await request(app).delete(`/api/presets/${shared._id}`).set('Authorization', auth);
+
+    expect(read.status).toBe(200);
+    expect(edit.status).toBe(404);
+    expect(remove.status).toBe(404);
+    expect(shared.name).toBe('Standup');
+    expect(shared.save).not.toHaveBeenCalled();
+  });
+
+  test('PATCH validates the merged settings and keeps the other keys', async () => {
+    const { auth, mine } = withPresets();
+
+    const invalid = await request(app)
+      .patch(`/api/presets/${mine._id}`)
+      .set('Authorization', auth)
+      .send({ settings: { shortBreakMinutes: 0 } });
+
+    expect(invalid.status).toBe(400);
+    expect(invalid.body).toMatchObject({ code: 'PRESET_VALIDATION_FAILED', fields: ['settings.shortBreakMinutes'] });
+
+    const valid = await request(app)
+      .patch(`/api/presets/${mine._id}`)
+      .set('Authorization', auth)
+      .send({ settings: { shortBreakMinutes: 10 } });
+
+    expect(valid.status).toBe(200);
+    expect(valid.body.data.preset.settings).toEqual({ workMinutes: 50, shortBreakMinutes: 10 });
+  });
+
+  test('content is checked against the widget type when a preset is saved', async () => {
+    const { auth } = withPresets();
+
+    const res = await request(app)
+      .post('/api/presets')
+      .set('Authorization', auth)
+      .send({ name: 'Broken', type: 'clock', settings: { format: '36h' } });
+
+    expect(res.status).toBe(400);
+    expect(WidgetPreset.create).not.toHaveBeenCalled();
+  });
+
+  test('a user can keep at most 100 presets', async () => {
+    const { auth } = withPresets();
+    WidgetPreset.countDocuments.mockResolvedValue(100);
+
+    const res = await request(app)
+      .post('/api/presets')
+      .set('Authorization', auth)
+      .send({ name: 'One more', type: 'clock' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('PRESET_LIMIT_REACHED');
+    expect(WidgetPreset.create).not.toHaveBeenCalled();
+  });
+
+  test('from-preset creates an independent widget with a fresh id each time', async () => {
+    const { auth, shared } = withPresets();
+    jest.spyOn(Widget, 'create').mockImplementation(async fields => new Widget(fields));
+
+    const first = await request(app).post(`/api/widgets/default/from-preset/${shared._id}`).set('Authorization', auth).send({});
+    const second = await request(app).post(`/api/widgets/default/from-preset/${shared._id}`).set('Authorization', auth).send({});
+
+    expect(first.status).toBe(201);
+    expect(first.body.widget).toMatchObject({ type: 'todo-list', data: { title: 'Standup' }, workspaceId: 'default' });
+    expect(first.body.widget.id).toMatch(/^widget-/);
+    expect(first.body.widget.id).not.toBe(second.body.widget.id);
+    expect(WidgetPreset.updateOne).toHaveBeenCalledWith({ _id: shared._id }, { $inc: { usageCount: 1 } }, { timestamps: false });
+  });
+
+  test('from-preset cannot use someone else\'s private preset', async () => {
+    const { auth, diary } = withPresets();
+    const create = jest.spyOn(Widget, 'create');
+
+    const res = await request(app).post(`/api/widgets/default/from-preset/${diary._id}`).set('Authorization', auth).send({});
+
+    expect(res.status).toBe(404);
+    expect(create).not.toHaveBeenCalled();
+  });
+});
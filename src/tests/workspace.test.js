@@ -1 +1,921 @@
-// src/tests/workspace.test.js - Placeholder for implementation
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const app = require('../app');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const Widget = require('../models/Widget');
+const Workspace = require('../models/Workspace');
+const ShareLink = require('../models/ShareLink');
+const LayoutRevision = require('../models/LayoutRevision');
+const WidgetRevision = require('../models/WidgetRevision');
+const { hashToken } = require('../utils/encryption');
+const {
+  createShareLink,
+  resolveShareToken,
+  listSharedWidgets
+} = require('../services/shareLinkService');
+const { cloneWorkspace } = require('../services/workspaceService');
+const { BUNDLE_FORMAT, BUNDLE_VERSION, importBundle } = require('../services/workspaceBundleService');
+
+/**
+ * WHAT THIS FILE TESTS: Workspaces - listing (default + legacy adoption),
+ * creating (limit), deleting (cascade), who may open a workspace, share links,
+ * cloning, bundle import (id remapping, conflicts) and which API key scopes
+ * may manage a workspace
+ *
+ * LEARNING: Same approach as widget.test.js - the collections a test touches
+ * are in-memory fakes, so no MongoDB is needed
+ */
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * HELPER: What a mongoose query resolves to (chainable like .sort().skip().lean())
+ */
+const query = (value) => {
+  const chain = {
+    select: () => chain,
+    lean: () => chain,
+    sort: () => chain,
+    skip: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+/**
+ * HELPER: The values at a dotted path - arrays are flattened, so
+ * 'members.userId' gives every member's userId (like MongoDB does)
+ */
+const valuesAt = (doc, path) => path.split('.').reduce((values, field) => values.flatMap((value) => {
+  const next = value === null || value === undefined ? null : value[field];
+  if (Array.isArray(next)) return next;
+  return [next === undefined ? null : next];
+}), [doc]);
+
+/**
+ * HELPER: Does a document match a simple MongoDB filter? (equality, null, $ne)
+ */
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  const values = valuesAt(doc, field).map(String);
+
+  if (condition && typeof condition === 'object' && '$ne' in condition) {
+    return !values.includes(String(condition.$ne));
+  }
+
+  return values.includes(String(condition));
+});
+
+/**
+ * HELPER: The workspaces collection as an array of Workspace documents
+ */
+const fakeWorkspaces = (initial = []) => {
+  const workspaces = initial.map(fields => new Workspace(fields));
+
+  jest.spyOn(Workspace, 'findOne').mockImplementation(async filter => workspaces.find(workspace => matches(workspace, filter)) || null);
+  jest.spyOn(Workspace, 'findById').mockImplementation(async id => workspaces.find(workspace => String(workspace._id) === String(id)) || null);
+  jest.spyOn(Workspace, 'find').mockImplementation(filter => query(workspaces.filter(workspace => matches(workspace, filter))));
+  jest.spyOn(Workspace, 'distinct').mockImplementation(async (field, filter) =>
+    workspaces.filter(workspace => matches(workspace, filter)).map(workspace => workspace[field])
+  );
+  jest.spyOn(Workspace, 'countDocuments').mockImplementation(async filter => workspaces.filter(workspace => matches(workspace, filter)).length);
+
+  jest.spyOn(Workspace, 'create').mockImplementation(async (fields) => {
+    const workspace = new Workspace(fields);
+    workspaces.push(workspace);
+    return workspace;
+  });
+
+  // LEARNING: The upsert used for the default workspace and legacy keys, and
+  // the conditional member updates ($push / $pull / $set members.$.role)
+  jest.spyOn(Workspace, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const existing = workspaces.find(workspace => matches(workspace, filter));
+
+    if (update.$setOnInsert) {
+      if (existing) return existing;
+
+      const workspace = new Workspace({ ...filter, ...update.$setOnInsert });
+      workspaces.push(workspace);
+      return workspace;
+    }
+
+    if (!existing) return null;
+
+    if (update.$push) existing.members.push(update.$push.members);
+    if (update.$pull) {
+      existing.members = existing.members.filter(member => String(member.userId) !== String(update.$pull.members.userId));
+    }
+    if (update.$set) {
+      existing.members.find(member => String(member.userId) === String(filter['members.userId'])).role = update.$set['members.$.role'];
+    }
+
+    return existing;
+  });
+
+  jest.spyOn(Workspace.prototype, 'deleteOne').mockImplementation(async function() {
+    workspaces.splice(workspaces.indexOf(this), 1);
+    return { deletedCount: 1 };
+  });
+
+  return workspaces;
+};
+
+const buildWorkspace = (fields = {}) => new Workspace({
+  owner: new mongoose.Types.ObjectId(),
+  key: 'team',
+  name: 'Team planning',
+  ...fields
+});
+
+/**
+ * HELPER: The share links collection as an array of ShareLink documents
+ */
+const fakeShareLinks = (initial = []) => {
+  const links = initial.map(link => new ShareLink(link));
+
+  jest.spyOn(ShareLink, 'countDocuments').mockImplementation(async ({ workspaceId }) => links.filter(link =>
+    String(link.workspaceId) === String(workspaceId) &&
+    !link.revokedAt &&
+    (!link.expiresAt || link.expiresAt > new Date())
+  ).length);
+
+  jest.spyOn(ShareLink, 'create').mockImplementation(async (fields) => {
+    const link = new ShareLink(fields);
+    links.push(link);
+    return link;
+  });
+
+  jest.spyOn(ShareLink, 'findOne').mockImplementation(async ({ tokenHash }) =>
+    links.find(link => link.tokenHash === tokenHash) || null
+  );
+
+  jest.spyOn(ShareLink, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+  return links;
+};
+
+/**
+ * HELPER: A bundle as exported by GET /api/workspaces/:workspaceId/export
+ */
+const buildBundle = (widgets) => ({
+  format: BUNDLE_FORMAT,
+  version: BUNDLE_VERSION,
+  exportedAt: new Date().toISOString(),
+  workspace: { name: 'Team planning', description: '', theme: { primaryColor: null, backgroundColor: null } },
+  widgets
+});
+
+const note = (ref, fields = {}) => ({
+  ref,
+  type: 'sticky-note',
+  schemaVersion: 1,
+  position: { x: 0, y: 0 },
+  size: { width: 250, height: 250 },
+  grid: null,
+  data: { content: `Note ${ref}` },
+  settings: { color: 'yellow', fontSize: 14 },
+  ...fields
+});
+
+/**
+ * HELPER: Workspaces and widgets the import writes to
+ * @param {Array} takenNames - Workspace names the user already has
+ * @returns {object} { workspaces, widgets } - what was created
+ */
+const fakeImportTarget = (takenNames = []) => {
+  const workspaces = [];
+  const widgets = [];
+
+  jest.spyOn(Workspace, 'distinct').mockResolvedValue([...takenNames]);
+  jest.spyOn(Workspace, 'countDocuments').mockResolvedValue(takenNames.length);
+  jest.spyOn(Workspace, 'create').mockImplementation(async (fields) => {
+    const workspace = new Workspace(fields);
+    workspaces.push(workspace);
+    return workspace;
+  });
+
+  jest.spyOn(Widget, 'insertMany').mockImplementation(async (documents) => {
+    widgets.push(...documents);
+    return documents.map(document => new Widget(document));
+  });
+
+  return { workspaces, widgets };
+};
+
+/**
+ * HELPER: The widgets collection as an array of plain documents
+ */
+const fakeWidgets = (initial = []) => {
+  const widgets = initial.map(widget => ({ deletedAt: null, ...widget }));
+
+  jest.spyOn(Widget, 'exists').mockImplementation(async filter => (widgets.some(widget => matches(widget, filter)) ? { _id: 'x' } : null));
+  jest.spyOn(Widget, 'distinct').mockImplementation(async (field, filter) =>
+    Array.from(new Set(widgets.filter(widget => matches(widget, filter)).map(widget => widget[field])))
+  );
+
+  jest.spyOn(Widget, 'aggregate').mockImplementation(async () => {
+    const counts = new Map();
+    widgets.filter(widget => !widget.deletedAt).forEach((widget) => {
+      const key = `${widget.userId}:${widget.workspaceId}`;
+      counts.set(key, { _id: { userId: widget.userId, workspaceId: widget.workspaceId }, count: (counts.get(key)?.count || 0) + 1 });
+    });
+    return Array.from(counts.values());
+  });
+
+  jest.spyOn(Widget, 'deleteMany').mockImplementation(async (filter) => {
+    const remaining = widgets.filter(widget => !matches(widget, filter));
+    const deletedCount = widgets.length - remaining.length;
+    widgets.splice(0, widgets.length, ...remaining);
+    return { deletedCount };
+  });
+
+  return widgets;
+};
+
+// Everyone signed in during the current test (API key hash → key, _id → user)
+const apiKeys = new Map();
+const users = new Map();
+
+beforeEach(() => {
+  apiKeys.clear();
+  users.clear();
+});
+
+/**
+ * HELPER: Signed-in API key client - call it again for a second user
+ * @returns {object} { auth, user }
+ */
+const signIn = (name = 'Ada Lovelace', scopes = ['widgets:read', 'widgets:write']) => {
+  const email = `${name.split(' ')[0].toLowerCase()}@example.com`;
+  const user = new User({ name, email, password: 'Sup3r-secret-password' });
+  const key = `hdk_${crypto.randomBytes(16).toString('hex')}`;
+  const apiKey = new ApiKey({ userId: user._id, name: 'CI', prefix: key.slice(0, 12), keyHash: hashToken(key), scopes, lastUsedAt: new Date() });
+
+  apiKeys.set(apiKey.keyHash, apiKey);
+  users.set(String(user._id), user);
+
+  jest.spyOn(ApiKey, 'findOne').mockImplementation(async ({ keyHash }) => apiKeys.get(keyHash) || null);
+  jest.spyOn(User, 'findById').mockImplementation(id => query(users.get(String(id)) || null));
+
+  return { auth: `Bearer ${key}`, user };
+};
+
+/**
+ * HELPER: Signed-in API key client that owns the workspace "team"
+ * @returns {object} { auth, user, workspace }
+ */
+const signInWithWorkspace = (scopes) => {
+  const user = new User({ name: 'Ada Lovelace', email: 'ada@example.com', password: 'Sup3r-secret-password' });
+  const key = `hdk_${crypto.randomBytes(16).toString('hex')}`;
+  const apiKey = new ApiKey({ userId: user._id, name: 'CI', prefix: key.slice(0, 12), keyHash: hashToken(key), scopes, lastUsedAt: new Date() });
+  const workspace = buildWorkspace({ owner: user._id });
+
+  jest.spyOn(ApiKey, 'findOne').mockImplementation(async ({ keyHash }) => (keyHash === apiKey.keyHash ? apiKey : null));
+  jest.spyOn(User, 'findById').mockImplementation(() => query(user));
+  jest.spyOn(Workspace, 'findOne').mockImplementation(async filter => (filter.key === 'team' ? workspace : null));
+
+  return { auth: `Bearer ${key}`, user, workspace };
+};
+
+// ========================================
+// LIST & CREATE
+// ========================================
+
+describe('listing and creating workspaces', () => {
+  test('the default workspace is created on first use and widgets are counted', async () => {
+    const { auth, user } = signIn();
+    const workspaces = fakeWorkspaces();
+    fakeWidgets([
+      { userId: user._id, workspaceId: 'default', id: 'a' },
+      { userId: user._id, workspaceId: 'default', id: 'b' },
+      { userId: user._id, workspaceId: 'default', id: 'c', deletedAt: new Date() }
+    ]);
+
+    const res = await request(app).get('/api/workspaces').set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.workspaces).toEqual([expect.objectContaining({ name: 'My Workspace', isDefault: true, widgetCount: 2 })]);
+    expect(workspaces).toHaveLength(1);
+  });
+
+  test('legacy workspace strings are adopted, staging copies of a layout save are not', async () => {
+    const { auth, user } = signIn();
+    const workspaces = fakeWorkspaces();
+    fakeWidgets([
+      { userId: user._id, workspaceId: 'work', id: 'a' },
+      { userId: user._id, workspaceId: 'work::staging::4f2a9c', id: 'b' }
+    ]);
+
+    const res = await request(app).get('/api/workspaces').set('Authorization', auth);
+
+    expect(res.body.data.workspaces.map(workspace => workspace.name)).toEqual(['My Workspace', 'work']);
+    expect(workspaces.map(workspace => workspace.key).sort()).toEqual(['default', 'work']);
+  });
+
+  test('a new workspace uses its _id as key', async () => {
+    const { auth } = signIn();
+    const workspaces = fakeWorkspaces();
+
+    const res = await request(app)
+      .post('/api/workspaces')
+      .set('Authorization', auth)
+      .send({ name: 'Side project' });
+
+    expect(res.status).toBe(201);
+    expect(workspaces[0].key).toBe(String(workspaces[0]._id));
+    expect(workspaces[0].isDefault).toBe(false);
+  });
+
+  test('a user can have at most 50 workspaces', async () => {
+    const { auth, user } = signIn();
+    fakeWorkspaces(Array.from({ length: 50 }, (_, index) => ({ owner: user._id, key: `ws-${index}`, name: `Workspace ${index}` })));
+
+    const res = await request(app)
+      .post('/api/workspaces')
+      .set('Authorization', auth)
+      .send({ name: 'One too many' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('WORKSPACE_LIMIT_REACHED');
+    expect(Workspace.create).not.toHaveBeenCalled();
+  });
+});
+
+// ========================================
+// DELETE (cascade)
+// ========================================
+
+describe('deleting a workspace', () => {
+  /**
+   * HELPER: A default workspace and a "Side project" with live, trashed and
+   * history data in it
+   */
+  const withTwoWorkspaces = () => {
+    const client = signIn('Ada Lovelace', ['widgets:read', 'widgets:write', 'workspaces:admin']);
+    const { user } = client;
+    const workspaces = fakeWorkspaces([
+      { owner: user._id, key: 'default', name: 'My Workspace', isDefault: true },
+      { owner: user._id, key: 'side', name: 'Side project' }
+    ]);
+    const widgets = fakeWidgets([
+      { userId: user._id, workspaceId: 'default', id: 'keep-me' },
+      { userId: user._id, workspaceId: 'side', id: 'live' },
+      { userId: user._id, workspaceId: 'side', id: 'trashed', deletedAt: new Date() }
+    ]);
+    const history = jest.spyOn(WidgetRevision, 'deleteMany').mockResolvedValue({ deletedCount: 4 });
+    const revision = jest.spyOn(LayoutRevision, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    const shareLinks = jest.spyOn(ShareLink, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+
+    const [defaultWorkspace, side] = workspaces;
+    return { ...client, workspaces, widgets, history, revision, shareLinks, defaultWorkspace, side };
+  };
+
+  test('removes widgets (including the trash), history, the layout revision and share links', async () => {
+    const { auth, user, workspaces, widgets, history, revision, shareLinks, side } = withTwoWorkspaces();
+
+    const res = await request(app).delete(`/api/workspaces/${side._id}`).set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.deletedWidgets).toBe(2);
+    expect(workspaces.map(workspace => workspace.key)).toEqual(['default']);
+    expect(widgets.map(widget => widget.id)).toEqual(['keep-me']);
+    expect(history).toHaveBeenCalledWith({ userId: user._id, workspaceId: 'side' });
+    expect(revision).toHaveBeenCalledWith({ userId: user._id, workspaceId: 'side' });
+    expect(shareLinks).toHaveBeenCalledWith({ workspaceId: side._id });
+  });
+
+  test('the default workspace cannot be deleted', async () => {
+    const { auth, workspaces, widgets, defaultWorkspace } = withTwoWorkspaces();
+
+    const res = await request(app).delete(`/api/workspaces/${defaultWorkspace._id}`).set('Authorization', auth);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('WORKSPACE_DEFAULT_PROTECTED');
+    expect(workspaces).toHaveLength(2);
+    expect(widgets).toHaveLength(3);
+    expect(ShareLink.deleteMany).not.toHaveBeenCalled();
+  });
+});
+
+// ========================================
+// ACCESS
+// ========================================
+
+describe('opening a workspace', () => {
+  test('another user\'s workspace looks like a missing one', async () => {
+    const { auth } = signIn();
+    const [foreign] = fakeWorkspaces([{ owner: new mongoose.Types.ObjectId(), key: 'theirs', name: 'Not yours' }]);
+    fakeWidgets();
+
+    const workspace = await request(app).get(`/api/workspaces/${foreign._id}`).set('Authorization', auth);
+    const widgets = await request(app).get(`/api/widgets/${foreign._id}`).set('Authorization', auth);
+
+    expect(workspace.status).toBe(404);
+    expect(widgets.status).toBe(404);
+    expect(widgets.body.code).toBe('WORKSPACE_NOT_FOUND');
+  });
+
+  test('an unknown key without widgets is not created', async () => {
+    const { auth } = signIn();
+    const workspaces = fakeWorkspaces();
+    fakeWidgets();
+
+    const res = await request(app).get('/api/widgets/typo').set('Authorization', auth);
+
+    expect(res.status).toBe(404);
+    expect(workspaces).toHaveLength(0);
+  });
+
+  test.each(['work::staging::4f2a9c', 'work::retired::4f2a9c'])('the layout replace scope %s is never opened or adopted', async (key) => {
+    const { auth, user } = signIn();
+    const workspaces = fakeWorkspaces();
+    fakeWidgets([{ userId: user._id, workspaceId: key, id: 'a' }]);
+
+    const res = await request(app).get(`/api/widgets/${encodeURIComponent(key)}`).set('Authorization', auth);
+
+    expect(res.status).toBe(404);
+    expect(workspaces).toHaveLength(0);
+    expect(Widget.exists).not.toHaveBeenCalled();
+  });
+});
+
+// ========================================
+// SHARING (members)
+// ========================================
+
+describe('workspace members', () => {
+  /**
+   * HELPER: Ada's "Team" workspace with a viewer (Bob), an editor (Cleo) and
+   * one widget in it. Dan has no access.
+   */
+  const withSharedWorkspace = () => {
+    const scopes = ['widgets:read', 'widgets:write', 'workspaces:share'];
+    const ada = signIn('Ada Lovelace', scopes);
+    const bob = signIn('Bob Builder', scopes);
+    const cleo = signIn('Cleo Patra', scopes);
+    const dan = signIn('Dan Brown', scopes);
+
+    const [team] = fakeWorkspaces([{
+      owner: ada.user._id,
+      key: 'team',
+      name: 'Team',
+      members: [
+        { userId: bob.user._id, role: 'viewer' },
+        { userId: cleo.user._id, role: 'editor' }
+      ]
+    }]);
+    fakeWidgets([{ userId: ada.user._id, workspaceId: 'team', id: 'widget-1' }]);
+
+    const widget = new Widget({ userId: ada.user._id, workspaceId: 'team', id: 'widget-1', type: 'clock' });
+    jest.spyOn(widget, 'save').mockResolvedValue(widget);
+    jest.spyOn(Widget, 'findOne').mockResolvedValue(widget);
+
+    jest.spyOn(LayoutRevision, 'findOneAndUpdate').mockResolvedValue({ revision: 2 });
+    jest.spyOn(WidgetRevision, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(WidgetRevision, 'findOne').mockImplementation(() => query(null));
+    jest.spyOn(WidgetRevision, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(WidgetRevision, 'insertMany').mockResolvedValue([]);
+
+    return { ada, bob, cleo, dan, team, widget };
+  };
+
+  test('a viewer can read but gets 403 on PATCH, DELETE and PUT layout', async () => {
+    const { bob, team, widget } = withSharedWorkspace();
+
+    const read = await request(app).get(`/api/workspaces/${team._id}`).set('Authorization', bob.auth);
+    const patch = await request(app).patch(`/api/widgets/${team._id}/widget-1`).set('Authorization', bob.auth).send({ position: { x: 0, y: 0 } });
+    const remove = await request(app).delete(`/api/widgets/${team._id}/widget-1`).set('Authorization', bob.auth);
+    const layout = await request(app).put(`/api/widgets/${team._id}/layout`).set('Authorization', bob.auth).send({ widgets: [] });
+
+    expect(read.status).toBe(200);
+    expect(read.body.data.workspace.role).toBe('viewer');
+    [patch, remove, layout].forEach((res) => {
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('WORKSPACE_ROLE_REQUIRED');
+    });
+    expect(widget.save).not.toHaveBeenCalled();
+  });
+
+  test('an editor changes widgets in the owner\'s scope', async () => {
+    const { ada, cleo, team, widget } = withSharedWorkspace();
+
+    const res = await request(app)
+      .patch(`/api/widgets/${team._id}/widget-1`)
+      .set('Authorization', cleo.auth)
+      .send({ position: { x: 40, y: 50 } });
+
+    expect(res.status).toBe(200);
+    expect(widget.position).toEqual(expect.objectContaining({ x: 40, y: 50 }));
+    expect(Widget.findOne).toHaveBeenCalledWith(expect.objectContaining({ userId: ada.user._id, workspaceId: 'team' }));
+  });
+
+  test('a non-member gets 404, as if the workspace didn\'t exist', async () => {
+    const { dan, team, widget } = withSharedWorkspace();
+
+    const read = await request(app).get(`/api/workspaces/${team._id}`).set('Authorization', dan.auth);
+    const patch = await request(app).patch(`/api/widgets/${team._id}/widget-1`).set('Authorization', dan.auth).send({ position: { x: 0, y: 0 } });
+
+    expect(read.status).toBe(404);
+    expect(patch.status).toBe(404);
+    expect(widget.save).not.toHaveBeenCalled();
+  });
+
+  test('shared workspaces are listed with the member\'s role', async () => {
+    const { cleo } = withSharedWorkspace();
+
+    const res = await request(app).get('/api/workspaces').set('Authorization', cleo.auth);
+
+    expect(res.body.data.workspaces.map(({ name, role, widgetCount }) => ({ name, role, widgetCount }))).toEqual([
+      { name: 'My Workspace', role: 'owner', widgetCount: 0 },
+      { name: 'Team', role: 'editor', widgetCount: 1 }
+    ]);
+  });
+
+  test('a removed member loses access on the next request', async () => {
+    const { ada, cleo, team } = withSharedWorkspace();
+
+    const before = await request(app).get(`/api/workspaces/${team._id}`).set('Authorization', cleo.auth);
+    const removed = await request(app).delete(`/api/workspaces/${team._id}/members/${cleo.user._id}`).set('Authorization', ada.auth);
+    const after = await request(app).get(`/api/workspaces/${team._id}`).set('Authorization', cleo.auth);
+
+    expect(before.status).toBe(200);
+    expect(removed.status).toBe(200);
+    expect(removed.body.message).toBe('Member removed');
+    expect(after.status).toBe(404);
+  });
+
+  test('only the owner removes others, but anyone can leave', async () => {
+    const { bob, cleo, team } = withSharedWorkspace();
+
+    const other = await request(app).delete(`/api/workspaces/${team._id}/members/${bob.user._id}`).set('Authorization', cleo.auth);
+    const leave = await request(app).delete(`/api/workspaces/${team._id}/members/${bob.user._id}`).set('Authorization', bob.auth);
+
+    expect(other.status).toBe(403);
+    expect(other.body.code).toBe('WORKSPACE_ROLE_REQUIRED');
+    expect(leave.status).toBe(200);
+    expect(leave.body.message).toBe('You left the workspace');
+    expect(team.members.map(member => String(member.userId))).toEqual([String(cleo.user._id)]);
+  });
+});
+
+// ========================================
+// SHARE LINKS
+// ========================================
+
+describe('Share links', () => {
+  test('stores only the hash of a new token', async () => {
+    const workspace = buildWorkspace();
+    const links = fakeShareLinks();
+
+    const result = await createShareLink(workspace, workspace.owner, { label: 'Office TV', expiresInDays: 7 });
+
+    expect(result.success).toBe(true);
+    expect(result.token).toMatch(/^hds_[0-9a-f]{64}$/);
+    expect(links[0].tokenHash).toBe(hashToken(result.token));
+    expect(JSON.stringify(links[0].toObject())).not.toContain(result.token);
+    expect(links[0].prefix).toBe(result.token.slice(0, 12));
+    expect(links[0].expiresAt.getTime()).toBeGreaterThan(Date.now() + 6 * 24 * 60 * 60 * 1000);
+  });
+
+  test('allows at most 10 active links - revoked and expired ones do not count', async () => {
+    const workspace = buildWorkspace();
+    const active = Array.from({ length: 9 }, () => ({ workspaceId: workspace._id, tokenHash: crypto.randomUUID(), prefix: 'hds_' }));
+    fakeShareLinks([
+      ...active,
+      { workspaceId: workspace._id, tokenHash: 'revoked', prefix: 'hds_', revokedAt: new Date() },
+      { workspaceId: workspace._id, tokenHash: 'expired', prefix: 'hds_', expiresAt: new Date(Date.now() - 1000) }
+    ]);
+
+    expect((await createShareLink(workspace, workspace.owner, {})).success).toBe(true);
+
+    const eleventh = await createShareLink(workspace, workspace.owner, {});
+    expect(eleventh).toMatchObject({ success: false, code: 'SHARE_LINK_LIMIT_REACHED' });
+  });
+
+  test('resolves a valid token to its workspace', async () => {
+    const workspace = buildWorkspace();
+    fakeShareLinks();
+    jest.spyOn(Workspace, 'findById').mockResolvedValue(workspace);
+
+    const { token } = await createShareLink(workspace, workspace.owner, {});
+    const result = await resolveShareToken(token);
+
+    expect(result.valid).toBe(true);
+    expect(result.workspace).toBe(workspace);
+  });
+
+  test('rejects unknown, revoked and expired tokens', async () => {
+    const workspace = buildWorkspace();
+    const token = (suffix) => `hds_${suffix.padEnd(64, '0')}`;
+    fakeShareLinks([
+      { workspaceId: workspace._id, tokenHash: hashToken(token('a')), prefix: 'hds_', revokedAt: new Date() },
+      { workspaceId: workspace._id, tokenHash: hashToken(token('b')), prefix: 'hds_', expiresAt: new Date(Date.now() - 1000) }
+    ]);
+    const findById = jest.spyOn(Workspace, 'findById');
+
+    expect(await resolveShareToken(token('a'))).toMatchObject({ valid: false, code: 'SHARE_LINK_REVOKED' });
+    expect(await resolveShareToken(token('b'))).toMatchObject({ valid: false, code: 'SHARE_LINK_EXPIRED' });
+    expect(await resolveShareToken(token('c'))).toMatchObject({ valid: false, code: 'SHARE_LINK_NOT_FOUND' });
+    expect(findById).not.toHaveBeenCalled();
+  });
+
+  test('an API key is not a share token', async () => {
+    const findOne = jest.spyOn(ShareLink, 'findOne');
+
+    const result = await resolveShareToken(`hdk_${'0'.repeat(32)}`);
+
+    expect(result).toMatchObject({ valid: false, code: 'SHARE_LINK_NOT_FOUND' });
+    expect(findOne).not.toHaveBeenCalled();
+  });
+
+  test('never loads trashed or excluded widgets and returns display fields only', async () => {
+    const workspace = buildWorkspace();
+    const find = jest.spyOn(Widget, 'find').mockReturnValue(query([
+      new Widget({ id: 'widget-1', userId: workspace.owner, workspaceId: 'team', type: 'clock', data: {}, settings: {} })
+    ]));
+
+    const widgets = await listSharedWidgets(workspace);
+
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({
+      userId: workspace.owner,
+      workspaceId: 'team',
+      deletedAt: null,
+      excludeFromShare: { $ne: true }
+    }));
+    expect(widgets[0].id).toBe('widget-1');
+    expect(widgets[0]).not.toHaveProperty('userId');
+    expect(widgets[0]).not.toHaveProperty('deletedAt');
+  });
+
+  test('GET /api/shared/:token answers 410 for a revoked link', async () => {
+    const workspace = buildWorkspace();
+    const token = `hds_${'f'.repeat(64)}`;
+    fakeShareLinks([{ workspaceId: workspace._id, tokenHash: hashToken(token), prefix: 'hds_', revokedAt: new Date() }]);
+
+    const res = await request(app).get(`/api/shared/${token}`);
+
+    expect(res.status).toBe(410);
+    expect(res.body.code).toBe('SHARE_LINK_REVOKED');
+    expect(res.headers['cache-control']).toBe('private, no-store');
+  });
+});
+
+// ========================================
+// CLONE
+// ========================================
+
+describe('cloning a workspace', () => {
+  /**
+   * HELPER: A source workspace with a todo list and a habit tracker, and an
+   * empty collection for the copy
+   */
+  const withSource = () => {
+    const userId = new mongoose.Types.ObjectId();
+    const source = buildWorkspace({ owner: userId, name: 'Sprint 13' });
+    const workspaces = fakeWorkspaces([source]);
+    const copies = [];
+
+    jest.spyOn(Widget, 'find').mockReturnValue(query([
+      new Widget({
+        userId,
+        workspaceId: 'team',
+        id: 'widget-todo',
+        type: 'todo-list',
+        data: { items: [{ id: 'a', text: 'Ship it', completed: true }, { id: 'b', text: 'Demo', completed: false }] }
+      }),
+      new Widget({
+        userId,
+        workspaceId: 'team',
+        id: 'widget-habits',
+        type: 'habits',
+        data: { habits: [{ id: 'h', name: 'Stand-up', completedDates: ['2026-10-01', '2026-10-02'] }] }
+      })
+    ]));
+    jest.spyOn(Widget, 'insertMany').mockImplementation(async (documents) => {
+      copies.push(...documents);
+      return documents.map(document => new Widget(document));
+    });
+
+    return { userId, source, workspaces, copies };
+  };
+
+  test('copies get fresh ids and idMap tells which is which', async () => {
+    const { userId, source, workspaces, copies } = withSource();
+
+    const result = await cloneWorkspace(source, userId, {});
+
+    expect(result.success).toBe(true);
+    expect(result.workspace.name).toBe('Sprint 13 (copy)');
+    expect(workspaces).toHaveLength(2);
+    expect(Object.keys(result.idMap)).toEqual(['widget-todo', 'widget-habits']);
+    expect(copies.map(copy => copy.id)).toEqual([result.idMap['widget-todo'], result.idMap['widget-habits']]);
+    expect(copies.map(copy => copy.id)).not.toContain('widget-todo');
+    expect(copies.every(copy => copy.workspaceId === result.workspace.key)).toBe(true);
+    // 'keep' copies the content as is
+    expect(copies[0].data.items).toHaveLength(2);
+  });
+
+  test('\'reset\' drops completed todos and wipes habit check-ins', async () => {
+    const { userId, source, copies } = withSource();
+
+    await cloneWorkspace(source, userId, { data: 'reset' });
+
+    expect(copies[0].data.items).toEqual([{ id: 'b', text: 'Demo', completed: false }]);
+    expect(copies[1].data.habits).toEqual([{ id: 'h', name: 'Stand-up', completedDates: [] }]);
+  });
+
+  test('\'defaults\' starts every widget with its type\'s default content', async () => {
+    const { userId, source, copies } = withSource();
+
+    await cloneWorkspace(source, userId, { data: 'defaults' });
+
+    expect(copies.map(copy => copy.data)).toEqual([{ items: [] }, { habits: [] }]);
+  });
+
+  test('the new workspace is removed again when the widgets cannot be saved', async () => {
+    const { userId, source, workspaces } = withSource();
+    Widget.insertMany.mockRejectedValue(new Error('write failed'));
+    const deleteWidgets = jest.spyOn(Widget, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+
+    await expect(cloneWorkspace(source, userId, {})).rejects.toThrow('write failed');
+
+    expect(workspaces.map(workspace => workspace.key)).toEqual(['team']);
+    expect(deleteWidgets).toHaveBeenCalledWith({ userId, workspaceId: expect.any(String) });
+    expect(deleteWidgets.mock.calls[0][0].workspaceId).not.toBe('team');
+  });
+});
+
+// ========================================
+// BUNDLE IMPORT
+// ========================================
+
+describe('Bundle import', () => {
+  test('replaces bundle refs with fresh widget ids', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const { workspaces, widgets } = fakeImportTarget();
+
+    const result = await importBundle(userId, { bundle: buildBundle([note('w1'), note('w2')]) });
+
+    expect(result.success).toBe(true);
+    expect(Object.keys(result.idMap)).toEqual(['w1', 'w2']);
+    expect(widgets.map(widget => widget.id)).toEqual([result.idMap.w1, result.idMap.w2]);
+    expect(new Set(widgets.map(widget => widget.id)).size).toBe(2);
+    expect(widgets.every(widget => widget.id.startsWith('widget-'))).toBe(true);
+    // Stored in the new workspace, never in the layout placeholder scope
+    expect(widgets.every(widget => widget.workspaceId === workspaces[0].key)).toBe(true);
+    expect(widgets.every(widget => String(widget.userId) === String(userId))).toBe(true);
+  });
+
+  test('importing the same bundle twice gives two independent copies', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const bundle = buildBundle([note('w1')]);
+    const { workspaces } = fakeImportTarget();
+
+    const first = await importBundle(userId, { bundle });
+    Workspace.distinct.mockResolvedValue([first.workspace.name]);
+    const second = await importBundle(userId, { bundle });
+
+    expect(first.idMap.w1).not.toBe(second.idMap.w1);
+    expect(workspaces[0].key).not.toBe(workspaces[1].key);
+    expect(second.renamedTo).toBe('Team planning (2)');
+  });
+
+  test('a dry run creates nothing', async () => {
+    const { workspaces, widgets } = fakeImportTarget(['Team planning']);
+
+    const result = await importBundle(new mongoose.Types.ObjectId(), { bundle: buildBundle([note('w1')]), dryRun: true });
+
+    expect(result).toMatchObject({ success: true, dryRun: true, idMap: {}, renamedTo: 'Team planning (2)' });
+    expect(result.widgets).toHaveLength(1);
+    expect(workspaces).toHaveLength(0);
+    expect(widgets).toHaveLength(0);
+  });
+
+  test('reports schemaVersions that are not positive whole numbers as conflicts', async () => {
+    fakeImportTarget();
+    const bundle = buildBundle([
+      note('w1', { schemaVersion: -1 }),
+      note('w2', { schemaVersion: 1.5 }),
+      note('w3', { schemaVersion: 99 }),
+      note('w4')
+    ]);
+
+    const failed = await importBundle(new mongoose.Types.ObjectId(), { bundle });
+
+    expect(failed).toMatchObject({ success: false, status: 409, code: 'IMPORT_CONFLICTS' });
+    expect(failed.conflicts.map(conflict => [conflict.ref, conflict.code])).toEqual([
+      ['w1', 'WIDGET_INVALID'],
+      ['w2', 'WIDGET_INVALID'],
+      ['w3', 'WIDGET_VERSION_TOO_NEW']
+    ]);
+
+    const skipped = await importBundle(new mongoose.Types.ObjectId(), { bundle, onConflict: 'skip' });
+
+    expect(skipped.success).toBe(true);
+    expect(Object.keys(skipped.idMap)).toEqual(['w4']);
+  });
+
+  test('leaves out widgets whose content does not match their type', async () => {
+    const { widgets } = fakeImportTarget();
+    const bundle = buildBundle([note('w1', { data: { content: 42 } }), note('w2'), note('w2')]);
+
+    const result = await importBundle(new mongoose.Types.ObjectId(), { bundle, onConflict: 'skip' });
+
+    expect(result.conflicts.map(conflict => [conflict.ref, conflict.code])).toEqual([
+      ['w1', 'WIDGET_INVALID'],
+      ['w2', 'DUPLICATE_REF']
+    ]);
+    expect(widgets).toHaveLength(1);
+    expect(widgets[0].data).toEqual({ content: 'Note w2' });
+  });
+
+  test('removes the new workspace again when the widgets cannot be saved', async () => {
+    fakeImportTarget();
+    Widget.insertMany.mockRejectedValue(new Error('write failed'));
+    const deleteWorkspace = jest.spyOn(Workspace.prototype, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    const deleteWidgets = jest.spyOn(Widget, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+
+    await expect(importBundle(new mongoose.Types.ObjectId(), { bundle: buildBundle([note('w1')]) }))
+      .rejects.toThrow('write failed');
+
+    expect(deleteWorkspace).toHaveBeenCalledTimes(1);
+    expect(deleteWidgets).toHaveBeenCalledWith(expect.objectContaining({ workspaceId: expect.any(String) }));
+  });
+
+  test('POST /api/workspaces/import answers 409 with the conflicts', async () => {
+    const { auth } = signInWithWorkspace(['widgets:write']);
+    fakeImportTarget();
+
+    const res = await request(app)
+      .post('/api/workspaces/import')
+      .set('Authorization', auth)
+      .send({ bundle: buildBundle([note('w1', { type: 'weather-radar' })]) });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('IMPORT_CONFLICTS');
+    expect(res.body.conflicts[0]).toMatchObject({ ref: 'w1', code: 'UNKNOWN_WIDGET_TYPE' });
+  });
+});
+
+// ========================================
+// API KEY SCOPES
+// ========================================
+
+describe('Workspace API key scopes', () => {
+  test('deleting a workspace needs workspaces:admin', async () => {
+    const { auth } = signInWithWorkspace(['widgets:read', 'widgets:write', 'workspaces:share']);
+
+    const res = await request(app).delete('/api/workspaces/team').set('Authorization', auth);
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('INSUFFICIENT_SCOPE');
+  });
+
+  test('a workspaces:admin key can delete a workspace', async () => {
+    const { auth, workspace } = signInWithWorkspace(['workspaces:admin']);
+    const deleteWorkspace = jest.spyOn(workspace, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(Widget, 'deleteMany').mockResolvedValue({ deletedCount: 3 });
+    jest.spyOn(WidgetRevision, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+    jest.spyOn(LayoutRevision, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(ShareLink, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+
+    const res = await request(app).delete('/api/workspaces/team').set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.deletedWidgets).toBe(3);
+    expect(deleteWorkspace).toHaveBeenCalled();
+  });
+
+  test.each([
+    ['post', '/api/workspaces/team/members'],
+    ['patch', '/api/workspaces/team/members/507f1f77bcf86cd799439011'],
+    ['delete', '/api/workspaces/team/members/507f1f77bcf86cd799439011'],
+    ['post', '/api/workspaces/team/share-links'],
+    ['delete', '/api/workspaces/team/share-links/507f1f77bcf86cd799439011']
+  ])('%s %s needs workspaces:share', async (method, path) => {
+    const { auth } = signInWithWorkspace(['widgets:read', 'widgets:write']);
+
+    const res = await request(app)[method](path).set('Authorization', auth).send({});
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('INSUFFICIENT_SCOPE');
+  });
+
+  test('a workspaces:share key can create a share link', async () => {
+    const { auth } = signInWithWorkspace(['workspaces:share']);
+    const links = fakeShareLinks();
+
+    const res = await request(app)
+      .post('/api/workspaces/team/share-links')
+      .set('Authorization', auth)
+      .send({ label: 'Office TV' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.token).toMatch(/^hds_/);
+    expect(links).toHaveLength(1);
+  });
+});
@@ -1 +1,122 @@
-// src/utils/encryption.js - Placeholder for implementation
+const crypto = require('crypto');
+
+/**
+ * WHAT THIS DOES: Small crypto helpers shared by models and services
+ * WHY SEPARATE: Token hashing must be identical everywhere it's used
+ * LEARNING: Node's built-in crypto module covers everything we need here
+ */
+
+// ========================================
+// RANDOM TOKENS
+// ========================================
+
+/**
+ * WHAT THIS DOES: Creates a cryptographically secure random string
+ * WHY: Token ids, reset tokens, API keys must be unguessable
+ *
+ * USAGE EXAMPLE:
+ * const token = generateRandomToken();     // 64 hex characters
+ * const short = generateRandomToken(16);   // 32 hex characters
+ */
+const generateRandomToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+// ========================================
+// TOKEN HASHING
+// ========================================
+
+/**
+ * WHAT THIS DOES: One-way SHA-256 hash of a token
+ * WHY: We store hashes, never raw tokens - a leaked database
+ * can't be replayed against the API
+ *
+ * LEARNING: bcrypt is for low-entropy passwords; random tokens
+ * already have 256 bits of entropy, so a fast hash is enough
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * WHAT THIS DOES: Compares two strings in constant time
+ * WHY: Regular === leaks timing information about where strings differ
+ */
+const safeCompare = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+
+  if (bufferA.length !== bufferB.length) return false;
+
+  return crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// ========================================
+// SYMMETRIC ENCRYPTION (AES-256-GCM)
+// ========================================
+
+/**
+ * WHAT THIS DOES: Derives the 32-byte key used for encrypting secrets at rest
+ * SOURCE: ENCRYPTION_KEY (falls back to JWT_SECRET so development just works)
+ *
+ * WARNING: Changing the key makes previously encrypted values unreadable
+ */
+const getEncryptionKey = () => {
+  const secret = process.env.ENCRYPTION_KEY || process.env.JWT_SECRET;
+
+  if (!secret) {
+    throw new Error('ENCRYPTION_KEY is not configured');
+  }
+
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * WHAT THIS DOES: Encrypts a string we need to read back later (e.g. TOTP secrets)
+ * WHY NOT HASH: Hashes are one-way - we need the original value to compute codes
+ *
+ * FORMAT: iv:authTag:ciphertext (all hex)
+ */
+const encrypt = (plainText) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+
+  const encrypted = Buffer.concat([cipher.update(String(plainText), 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return [iv.toString('hex'), authTag.toString('hex'), encrypted.toString('hex')].join(':');
+};
+
+/**
+ * WHAT THIS DOES: Reverses encrypt()
+ * LEARNING: GCM's auth tag makes decryption fail if the data was tampered with
+ */
+const decrypt = (payload) => {
+  const [ivHex, authTagHex, encryptedHex] = String(payload).split(':');
+
+  const decipher = crypto.createDecipheriv(
+    'aes-256-gcm',
+    getEncryptionKey(),
+    Buffer.from(ivHex, 'hex')
+  );
+  decipher.setAuthTag(Buffer.from(authTagHex, 'hex'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(encryptedHex, 'hex')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  generateRandomToken,
+  hashToken,
+  safeCompare,
+  encrypt,
+  decrypt
+};
@@ -0,0 +1,262 @@
+/**
+ * WHAT THIS DOES: Grid layout engine (12 columns, like react-grid-layout)
+ * with responsive breakpoints (lg / md / sm / xs)
+ *
+ * WHY ON THE SERVER: Every client used to arrange widgets itself, so the same
+ * workspace could look different on two devices. The server now decides the
+ * final, overlap-free arrangement and every client renders exactly that.
+ *
+ * GRID ITEMS: { widgetId, x, y, w, h, z }
+ * - x / w in columns (0-11 / 1-12 on lg), y / h in rows
+ * - z is the stacking order - kept as sent, it never affects placement
+ *
+ * COMPACTION:
+ * - vertical:   every item floats up as far as it can (newspaper columns)
+ * - horizontal: every item floats left as far as it can, wrapping to the
+ *               next row when it doesn't fit
+ * - none:       items stay where they are (overlaps are reported instead)
+ *
+ * LEARNING: All functions are pure - they return new arrays and never touch
+ * the database, so the same input always gives the same layout
+ */
+
+/**
+ * BREAKPOINTS: Column count per screen size, largest first
+ * (same defaults as react-grid-layout's ResponsiveGridLayout)
+ * - lg: wide monitors   md: laptops   sm: tablets   xs: phones
+ *
+ * LEARNING: lg is the "master" layout (Widget.grid). Other breakpoints are
+ * stored only when the user arranged them - otherwise they're derived from lg
+ */
+const BREAKPOINTS = {
+  lg: 12,
+  md: 10,
+  sm: 6,
+  xs: 4
+};
+const BREAKPOINT_NAMES = Object.keys(BREAKPOINTS);
+const LARGEST_BREAKPOINT = BREAKPOINT_NAMES[0];
+
+const GRID_COLUMNS = BREAKPOINTS[LARGEST_BREAKPOINT];
+const COMPACT_MODES = ['vertical', 'horizontal', 'none'];
+
+// ========================================
+// GEOMETRY HELPERS
+// ========================================
+
+/**
+ * WHAT THIS DOES: Do two rectangles share at least one cell?
+ * LEARNING: Touching edges (a ends at column 4, b starts at 4) is NOT an overlap
+ */
+const collides = (a, b) => {
+  if (a.widgetId === b.widgetId) return false;
+  return a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
+};
+
+const firstCollision = (item, others) => others.find(other => collides(item, other));
+
+// WHY tie-break on widgetId: equal coordinates must still sort the same on every run
+const byRowThenColumn = (a, b) => a.y - b.y || a.x - b.x || a.widgetId.localeCompare(b.widgetId);
+const byColumnThenRow = (a, b) => a.x - b.x || a.y - b.y || a.widgetId.localeCompare(b.widgetId);
+
+// ========================================
+// VALIDATION
+// ========================================
+
+/**
+ * WHAT THIS DOES: Lists every pair of overlapping items
+ *
+ * @param {Array} items - Grid items
+ * @returns {Array} [{ widgetIds: ['a', 'b'] }, ...]
+ */
+const findOverlaps = (items) => {
+  const overlaps = [];
+
+  items.forEach((item, index) => {
+    items.slice(index + 1).forEach((other) => {
+      if (collides(item, other)) {
+        overlaps.push({ widgetIds: [item.widgetId, other.widgetId] });
+      }
+    });
+  });
+
+  return overlaps;
+};
+
+// ========================================
+// COMPACTION
+// ========================================
+
+/**
+ * HELPER: Moves one item up (vertical) or left (horizontal) until it hits
+ * something, then pushes it past anything it still overlaps
+ */
+const compactItem = (item, placed, mode, columns) => {
+  const next = { ...item };
+
+  if (mode === 'vertical') {
+    while (next.y > 0 && !firstCollision({ ...next, y: next.y - 1 }, placed)) {
+      next.y -= 1;
+    }
+
+    let collision;
+    while ((collision = firstCollision(next, placed))) {
+      next.y = collision.y + collision.h;
+    }
+  }
+
+  if (mode === 'horizontal') {
+    while (next.x > 0 && !firstCollision({ ...next, x: next.x - 1 }, placed)) {
+      next.x -= 1;
+    }
+
+    let collision;
+    while ((collision = firstCollision(next, placed))) {
+      next.x = collision.x + collision.w;
+
+      // Doesn't fit in this row → start of the next row
+      if (next.x + next.w > columns) {
+        next.x = 0;
+        next.y += 1;
+      }
+    }
+  }
+
+  return next;
+};
+
+/**
+ * WHAT THIS DOES: Resolves overlaps and removes gaps
+ *
+ * @param {Array} items - Grid items
+ * @param {string} mode - 'vertical' | 'horizontal' | 'none'
+ * @param {object} options - { columns = 12, fixedItems = [] }
+ *   fixedItems never move - the other items flow around them (not returned)
+ * @returns {Array} New items sorted top-left to bottom-right
+ *
+ * EXAMPLE (vertical):
+ * a { x: 0, y: 0, w: 6, h: 2 } + b { x: 3, y: 1, w: 6, h: 2 }
+ * → b overlaps a and is pushed down to y: 2
+ */
+const compactLayout = (items, mode = 'vertical', { columns = GRID_COLUMNS, fixedItems = [] } = {}) => {
+  if (mode === 'none') {
+    return [...items].sort(byRowThenColumn);
+  }
+
+  const placed = [...fixedItems];
+  const order = [...items].sort(mode === 'horizontal' ? byColumnThenRow : byRowThenColumn);
+
+  order.forEach((item) => {
+    placed.push(compactItem(item, placed, mode, columns));
+  });
+
+  return placed.slice(fixedItems.length).sort(byRowThenColumn);
+};
+
+/**
+ * WHAT THIS DOES: Builds a smaller breakpoint's layout from the lg layout
+ *
+ * @param {Array} largestItems - lg items of widgets WITHOUT their own layout here
+ * @param {Array} explicitItems - Items the user arranged for this breakpoint
+ * @param {number} columns - Columns of the target breakpoint
+ * @returns {Array} explicit + derived items (derived ones have derived: true)
+ *
+ * HOW:
+ * 1. Scale x and w to the narrower grid (a half-width widget stays half-width)
+ * 2. Keep every widget at least 1 column wide and inside the grid
+ * 3. Compact vertically around the explicit items, which never move
+ */
+const deriveLayout = (largestItems, explicitItems, columns) => {
+  const ratio = columns / GRID_COLUMNS;
+
+  const scaled = largestItems.map((item) => {
+    const w = Math.min(columns, Math.max(1, Math.round(item.w * ratio)));
+    const x = Math.min(Math.round(item.x * ratio), columns - w);
+    return { ...item, x, w };
+  });
+
+  const derived = compactLayout(scaled, 'vertical', { columns, fixedItems: explicitItems })
+    .map(item => ({ ...item, derived: true }));
+
+  return [...explicitItems, ...derived].sort(byRowThenColumn);
+};
+
+/**
+ * WHAT THIS DOES: Finds a free spot for ONE item without moving the others
+ *
+ * WHY: Adding or restoring a single widget shouldn't rearrange the whole
+ * workspace - the new item is pushed down until it no longer overlaps
+ *
+ * @param {object} item - Grid item to place
+ * @param {Array} fixedItems - Items already on the grid
+ * @returns {object} The item at its free position
+ */
+const placeItem = (item, fixedItems) => {
+  const next = { ...item };
+
+  let collision;
+  while ((collision = firstCollision(next, fixedItems))) {
+    next.y = collision.y + collision.h;
+  }
+
+  return next;
+};
+
+/**
+ * WHAT THIS DOES: Pushes overlapping items down, leaves everything else as is
+ *
+ * WHY not compactLayout: Gaps the user left on purpose stay - only real
+ * overlaps are fixed (an overlap-free layout comes back unchanged)
+ */
+const resolveOverlaps = (items) => {
+  const placed = [];
+
+  [...items].sort(byRowThenColumn).forEach((item) => {
+    placed.push(placeItem(item, placed));
+  });
+
+  return placed;
+};
+
+/**
+ * WHAT THIS DOES: A widget's stored rectangle for one breakpoint (or null)
+ * LEARNING: lg lives in widget.grid, smaller ones in widget.breakpointGrids
+ */
+const gridOf = (widget, breakpoint = LARGEST_BREAKPOINT) => {
+  if (breakpoint === LARGEST_BREAKPOINT) return widget.grid || null;
+  return (widget.breakpointGrids && widget.breakpointGrids[breakpoint]) || null;
+};
+
+/**
+ * WHAT THIS DOES: Ids of items whose rectangle differs between two layouts
+ */
+const changedItems = (before, after) => {
+  const beforeById = new Map(before.map(item => [item.widgetId, item]));
+
+  return after
+    .filter((item) => {
+      const previous = beforeById.get(item.widgetId);
+      return !previous || ['x', 'y', 'w', 'h', 'z'].some(key => previous[key] !== item[key]);
+    })
+    .map(item => item.widgetId);
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  BREAKPOINTS,
+  BREAKPOINT_NAMES,
+  LARGEST_BREAKPOINT,
+  GRID_COLUMNS,
+  COMPACT_MODES,
+  collides,
+  findOverlaps,
+  compactLayout,
+  deriveLayout,
+  placeItem,
+  resolveOverlaps,
+  gridOf,
+  changedItems
+};
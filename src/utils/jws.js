@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const {
+  JsonWebTokenError,
+  TokenExpiredError,
+  NotBeforeError
+} = require('jsonwebtoken');
+
+/**
+ * WHAT THIS DOES: Signs and verifies JWTs with asymmetric keys (RS256, ES256, EdDSA)
+ *
+ * WHY NOT jsonwebtoken: It has no EdDSA (Ed25519) support. Node's crypto
+ * module does, and a compact JWS is only base64url(header).base64url(payload).signature
+ *
+ * LEARNING: Errors are jsonwebtoken's own error classes, so code checking
+ * error.name === 'TokenExpiredError' works the same for both libraries
+ */
+
+// ========================================
+// ALGORITHMS
+// ========================================
+
+// LEARNING: digest null = the key type defines the hash (Ed25519 does its own)
+const ALGORITHMS = {
+  RS256: { digest: 'sha256' },
+  ES256: { digest: 'sha256', dsaEncoding: 'ieee-p1363' },  // WHY: JWS wants raw r||s, not DER
+  EdDSA: { digest: null }
+};
+
+/**
+ * WHAT THIS DOES: Picks the JWS algorithm that matches a key
+ * RETURNS: 'RS256' | 'ES256' | 'EdDSA' | null (unsupported key)
+ */
+const getAlgorithmForKey = (key) => {
+  switch (key.asymmetricKeyType) {
+    case 'rsa':
+      return 'RS256';
+    case 'ec':
+      return key.asymmetricKeyDetails.namedCurve === 'prime256v1' ? 'ES256' : null;
+    case 'ed25519':
+      return 'EdDSA';
+    default:
+      return null;
+  }
+};
+
+// ========================================
+// HELPERS
+// ========================================
+
+const encodeSegment = (object) => Buffer.from(JSON.stringify(object)).toString('base64url');
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+const UNIT_SECONDS = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60, w: 7 * 24 * 60 * 60 };
+
+/**
+ * HELPER: Converts expiresIn ('15m', '30d', 900) to seconds
+ * LEARNING: Same meaning as jsonwebtoken - numbers are seconds,
+ * strings without a unit are milliseconds
+ */
+const parseDuration = (value) => {
+  if (typeof value === 'number') return value;
+
+  const match = /^(\d+)\s*(ms|s|m|h|d|w)?$/.exec(String(value).trim());
+
+  if (!match) {
+    throw new Error(`Invalid token lifetime: "${value}"`);
+  }
+
+  const amount = parseInt(match[1], 10);
+  const unit = match[2] || 'ms';
+
+  return unit === 'ms' ? Math.floor(amount / 1000) : amount * UNIT_SECONDS[unit];
+};
+
+/**
+ * WHAT THIS DOES: Reads the JWS header without verifying anything
+ * RETURNS: { alg, kid, typ } or null
+ */
+const decodeHeader = (token) => {
+  try {
+    return decodeSegment(String(token).split('.')[0]);
+  } catch (error) {
+    return null;
+  }
+};
+
+// ========================================
+// SIGN
+// ========================================
+
+/**
+ * WHAT THIS DOES: Creates a signed JWT
+ *
+ * @param {object} payload - Claims
+ * @param {KeyObject} privateKey - Signing key
+ * @param {object} options - { algorithm, kid, expiresIn, issuer, audience }
+ */
+const sign = (payload, privateKey, { algorithm, kid, expiresIn, issuer, audience }) => {
+  const spec = ALGORITHMS[algorithm];
+
+  if (!spec) {
+    throw new Error(`Unsupported signing algorithm: ${algorithm}`);
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const header = { alg: algorithm, typ: 'JWT', kid };
+  const claims = {
+    ...payload,
+    iat: payload.iat || now,
+    exp: now + parseDuration(expiresIn),
+    iss: issuer,
+    aud: audience
+  };
+
+  const signingInput = `${encodeSegment(header)}.${encodeSegment(claims)}`;
+  const signature = crypto.sign(spec.digest, Buffer.from(signingInput), {
+    key: privateKey,
+    dsaEncoding: spec.dsaEncoding
+  });
+
+  return `${signingInput}.${signature.toString('base64url')}`;
+};
+
+// ========================================
+// VERIFY
+// ========================================
+
+/**
+ * WHAT THIS DOES: Verifies signature, expiry, issuer and audience
+ *
+ * @param {string} token
+ * @param {function} getKey - (header) => { alg, publicKey } or null
+ * @param {object} options - { issuer, audience }
+ * @returns {object} Decoded claims
+ * @throws JsonWebTokenError | TokenExpiredError | NotBeforeError
+ *
+ * SECURITY: The algorithm comes from OUR key, never from the token header -
+ * a token can't talk us into a weaker algorithm
+ */
+const verify = (token, getKey, { issuer, audience }) => {
+  const parts = String(token).split('.');
+
+  if (parts.length !== 3) {
+    throw new JsonWebTokenError('jwt malformed');
+  }
+
+  const header = decodeHeader(token);
+  const key = header && getKey(header);
+
+  if (!key) {
+    throw new JsonWebTokenError('unknown signing key');
+  }
+
+  if (header.alg !== key.alg) {
+    throw new JsonWebTokenError('invalid algorithm');
+  }
+
+  const spec = ALGORITHMS[key.alg];
+  const isValid = crypto.verify(
+    spec.digest,
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    { key: key.publicKey, dsaEncoding: spec.dsaEncoding },
+    Buffer.from(parts[2], 'base64url')
+  );
+
+  if (!isValid) {
+    throw new JsonWebTokenError('invalid signature');
+  }
+
+  let claims;
+  try {
+    claims = decodeSegment(parts[1]);
+  } catch (error) {
+    throw new JsonWebTokenError('jwt malformed');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+
+  if (typeof claims.exp === 'number' && now >= claims.exp) {
+    throw new TokenExpiredError('jwt expired', new Date(claims.exp * 1000));
+  }
+
+  if (typeof claims.nbf === 'number' && now < claims.nbf) {
+    throw new NotBeforeError('jwt not active', new Date(claims.nbf * 1000));
+  }
+
+  if (issuer && claims.iss !== issuer) {
+    throw new JsonWebTokenError(`jwt issuer invalid. expected: ${issuer}`);
+  }
+
+  if (audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(audience)) {
+      throw new JsonWebTokenError(`jwt audience invalid. expected: ${audience}`);
+    }
+  }
+
+  return claims;
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  getAlgorithmForKey,
+  decodeHeader,
+  sign,
+  verify
+};
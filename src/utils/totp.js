@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+
+/**
+ * WHAT THIS DOES: Time-based one-time passwords (TOTP, RFC 6238)
+ * WHY: Powers two-factor authentication with any authenticator app
+ * (Google Authenticator, 1Password, Authy...)
+ *
+ * HOW IT WORKS:
+ * 1. Server and app share a random secret (shown once as a QR code / URI)
+ * 2. Both compute HMAC-SHA1(secret, current 30-second time step)
+ * 3. The result is shortened to 6 digits - if both sides agree, the code is valid
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DEFAULT_STEP_SECONDS = 30;
+const DEFAULT_DIGITS = 6;
+
+// ========================================
+// BASE32 (authenticator apps expect secrets in base32)
+// ========================================
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// ========================================
+// SECRETS
+// ========================================
+
+/**
+ * WHAT THIS DOES: Creates a new random base32 secret (160 bits, as RFC 4226 recommends)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * WHAT THIS DOES: Builds the otpauth:// URI authenticator apps import
+ * LEARNING: The frontend renders this URI as a QR code
+ *
+ * EXAMPLE:
+ * otpauth://totp/HoloDesk:john%40example.com?secret=JBSW...&issuer=HoloDesk&...
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer = 'HoloDesk' }) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DEFAULT_DIGITS),
+    period: String(DEFAULT_STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// ========================================
+// CODE GENERATION & VERIFICATION
+// ========================================
+
+/**
+ * WHAT THIS DOES: Time step number for a given moment
+ */
+const getTimeStep = (timeMs = Date.now(), stepSeconds = DEFAULT_STEP_SECONDS) => {
+  return Math.floor(timeMs / 1000 / stepSeconds);
+};
+
+/**
+ * WHAT THIS DOES: Computes the code for a specific time step (HOTP, RFC 4226)
+ */
+const generateCodeForStep = (secret, step, digits = DEFAULT_DIGITS) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  // LEARNING: "Dynamic truncation" - the last nibble picks 4 bytes to use
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * WHAT THIS DOES: Current TOTP code for a secret
+ */
+const generateTotp = (secret, timeMs = Date.now()) => {
+  return generateCodeForStep(secret, getTimeStep(timeMs));
+};
+
+/**
+ * WHAT THIS DOES: Checks a code, allowing for small clock drift
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - 6-digit code typed by the user
+ * @param {object} options - { window: steps accepted before/after now, timeMs }
+ * @returns {number|null} The matching time step, or null if invalid
+ *
+ * WHY RETURN THE STEP: Callers store it to reject the same code twice (replay)
+ */
+const verifyTotp = (secret, code, options = {}) => {
+  const { window = 1, timeMs = Date.now() } = options;
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const currentStep = getTimeStep(timeMs);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateCodeForStep(secret, step);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  buildOtpauthUri,
+  generateCodeForStep,
+  generateTotp,
+  verifyTotp
+};
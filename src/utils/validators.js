@@ -1,4 +1,18 @@
 const { z } = require('zod');
+const { API_KEY_SCOPES } = require('../models/ApiKey');
+const { MEMBER_ROLES } = require('../models/Workspace');
+const {
+  isWidgetType,
+  getWidgetTypeNames,
+  validateWidgetContent
+} = require('../services/widgetRegistry');
+const {
+  BREAKPOINTS,
+  BREAKPOINT_NAMES,
+  LARGEST_BREAKPOINT,
+  GRID_COLUMNS,
+  COMPACT_MODES,
+} = require('./gridLayout');
 
 /**
  * WHAT THIS DOES: Defines validation rules using Zod library
@@ -10,6 +24,22 @@ const { z } = require('zod');
 // AUTHENTICATION VALIDATORS
 // ========================================
 
+/**
+ * Strong Password Rule
+ * WHY SHARED: Registration and password reset must enforce the same rules
+ */
+const strongPassword = z
+  .string({
+    required_error: 'Password is required',
+  })
+  .min(8, 'Password must be at least 8 characters')
+  .max(128, 'Password too long')
+  // LEARNING: Regex ensures strong password
+  .regex(
+    /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/,
+    'Password must contain uppercase, lowercase, and number'
+  );
+
 /**
  * Registration Validation
  * REQUIREMENTS:
@@ -26,17 +56,7 @@ const registerSchema = z.object({
     .trim()
     .toLowerCase(),
   
-  password: z
-    .string({
-      required_error: 'Password is required',
-    })
-    .min(8, 'Password must be at least 8 characters')
-    .max(128, 'Password too long')
-    // LEARNING: Regex ensures strong password
-    .regex(
-      /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/,
-      'Password must contain uppercase, lowercase, and number'
-    ),
+  password: strongPassword,
   
   name: z
     .string({
@@ -45,6 +65,9 @@ const registerSchema = z.object({
     .min(2, 'Name must be at least 2 characters')
     .max(50, 'Name cannot exceed 50 characters')
     .trim(),
+
+  deviceId: z.string().max(100).optional(),
+  deviceName: z.string().max(50).trim().optional(),
 });
 
 /**
@@ -67,6 +90,174 @@ const loginSchema = z.object({
       required_error: 'Password is required',
     })
     .min(1, 'Password is required'),
+
+  // WHY: Lets apps identify the device instead of relying on the user agent
+  deviceId: z.string().max(100).optional(),
+  deviceName: z.string().max(50).trim().optional(),
+});
+
+/**
+ * Verify Email Validation
+ */
+const verifyEmailSchema = z.object({
+  token: z
+    .string({
+      required_error: 'Verification token is required',
+    })
+    .min(1, 'Verification token is required'),
+});
+
+/**
+ * Forgot Password Validation
+ */
+const forgotPasswordSchema = z.object({
+  email: z
+    .string({
+      required_error: 'Email is required',
+    })
+    .email('Invalid email format')
+    .trim()
+    .toLowerCase(),
+});
+
+/**
+ * Reset Password Validation
+ */
+const resetPasswordSchema = z.object({
+  token: z
+    .string({
+      required_error: 'Reset token is required',
+    })
+    .min(1, 'Reset token is required'),
+
+  password: strongPassword,
+});
+
+// ========================================
+// TWO-FACTOR VALIDATORS
+// ========================================
+
+/**
+ * 6-digit authenticator code
+ */
+const totpCode = z
+  .string({
+    required_error: 'Authentication code is required',
+  })
+  .trim()
+  .regex(/^\d{6}$/, 'Authentication code must be 6 digits');
+
+/**
+ * Enable 2FA Validation
+ */
+const enableTwoFactorSchema = z.object({
+  code: totpCode,
+});
+
+/**
+ * 2FA Login Validation
+ * LEARNING: .refine() adds a rule involving several fields
+ */
+const twoFactorLoginSchema = z
+  .object({
+    challengeToken: z
+      .string({
+        required_error: 'Challenge token is required',
+      })
+      .min(1, 'Challenge token is required'),
+    code: totpCode.optional(),
+    recoveryCode: z.string().trim().max(20).optional(),
+  })
+  .refine((data) => data.code || data.recoveryCode, {
+    message: 'Provide an authentication code or a recovery code',
+    path: ['code'],
+  });
+
+/**
+ * Disable 2FA Validation
+ */
+const disableTwoFactorSchema = z
+  .object({
+    password: z
+      .string({
+        required_error: 'Password is required',
+      })
+      .min(1, 'Password is required'),
+    code: totpCode.optional(),
+    recoveryCode: z.string().trim().max(20).optional(),
+  })
+  .refine((data) => data.code || data.recoveryCode, {
+    message: 'Provide an authentication code or a recovery code',
+    path: ['code'],
+  });
+
+// ========================================
+// SOCIAL LOGIN (OIDC) VALIDATORS
+// ========================================
+
+/**
+ * OIDC Callback Validation
+ * LEARNING: code and state come from the provider's redirect query string
+ */
+const oidcCallbackSchema = z.object({
+  code: z
+    .string({
+      required_error: 'Authorization code is required',
+    })
+    .min(1, 'Authorization code is required')
+    .max(2048, 'Authorization code too long'),
+  state: z
+    .string({
+      required_error: 'State is required',
+    })
+    .min(1, 'State is required')
+    .max(512, 'State too long'),
+});
+
+// ========================================
+// DEVICE VALIDATORS
+// ========================================
+
+/**
+ * Rename Device Validation
+ */
+const renameDeviceSchema = z.object({
+  deviceName: z
+    .string({
+      required_error: 'Device name is required',
+    })
+    .min(1, 'Device name cannot be empty')
+    .max(50, 'Device name too long')
+    .trim(),
+});
+
+// ========================================
+// API KEY VALIDATORS
+// ========================================
+
+/**
+ * Create API Key Validation
+ * LEARNING: z.enum() only accepts the listed scopes
+ */
+const createApiKeySchema = z.object({
+  name: z
+    .string({
+      required_error: 'API key name is required',
+    })
+    .min(1, 'API key name cannot be empty')
+    .max(50, 'API key name too long')
+    .trim(),
+  scopes: z
+    .array(z.enum(API_KEY_SCOPES), {
+      required_error: 'At least one scope is required',
+    })
+    .min(1, 'At least one scope is required'),
+  expiresInDays: z
+    .number()
+    .int('Expiry must be a whole number of days')
+    .min(1, 'Expiry must be at least 1 day')
+    .max(365, 'Expiry cannot exceed 365 days')
+    .optional(),
 });
 
 // ========================================
@@ -99,48 +290,381 @@ const createWorkspaceSchema = z.object({
 });
 
 /**
- * Update Layout Validation
- * LEARNING: Zod can validate complex nested structures
+ * Update Workspace Validation (PATCH)
+ * NOTE: theme keys are merged - { theme: { primaryColor } } keeps backgroundColor
+ */
+const updateWorkspaceSchema = createWorkspaceSchema
+  .partial()
+  .strict()
+  .refine((update) => Object.keys(update).length > 0, {
+    message: 'Provide at least one field to update',
+  });
+
+/**
+ * Clone Workspace Validation
+ * NOTE: data decides what happens to widget content (see workspaceService.cloneWorkspace)
  */
-const updateLayoutSchema = z.object({
-  layout: z.array(
-    z.object({
-      widgetId: z.string(),
-      x: z.number().min(0),
-      y: z.number().min(0),
-      w: z.number().min(1).max(12),
-      h: z.number().min(1).max(12),
-      z: z.number().optional(),
+const cloneWorkspaceSchema = z.object({
+  name: z
+    .string()
+    .min(1, 'Workspace name cannot be empty')
+    .max(50, 'Workspace name too long')
+    .trim()
+    .optional(),
+
+  description: z
+    .string()
+    .max(200, 'Description too long')
+    .optional(),
+
+  data: z
+    .enum(['keep', 'reset', 'defaults'], {
+      errorMap: () => ({ message: 'data must be one of: keep, reset, defaults' }),
     })
+    .default('keep'),
+}).strict();
+
+/**
+ * Import Workspace Validation
+ * NOTE: Only the bundle envelope is checked here - widgets are checked one by
+ * one in workspaceBundleService.importBundle, which reports them as conflicts
+ * (bundle format documented there)
+ */
+const importWorkspaceSchema = z.object({
+  bundle: z.object(
+    {
+      // NOTE: format and version are understood by the bundle service (upgradeBundle)
+      format: z.string({ required_error: 'Bundle format is required' }),
+
+      version: z
+        .number({ required_error: 'Bundle version is required' })
+        .int('Bundle version must be a whole number')
+        .min(1, 'Bundle version must be at least 1'),
+
+      workspace: z.object({
+        name: createWorkspaceSchema.shape.name,
+        description: z.string().max(200, 'Description too long').optional(),
+        theme: z
+          .object({
+            primaryColor: z.string().nullable().optional(),
+            backgroundColor: z.string().nullable().optional(),
+          })
+          .optional(),
+      }),
+
+      widgets: z
+        .array(z.object({}).passthrough(), {
+          required_error: 'Widgets array is required',
+        })
+        .max(200, 'A workspace can hold at most 200 widgets'),
+    },
+    { required_error: 'Bundle is required' }
   ),
+
+  // WHY: Overrides the bundle's workspace name
+  name: createWorkspaceSchema.shape.name.optional(),
+
+  onConflict: z
+    .enum(['fail', 'skip'], {
+      errorMap: () => ({ message: 'onConflict must be one of: fail, skip' }),
+    })
+    .default('fail'),
+
+  dryRun: z.boolean().default(false),
+}).strict();
+
+/**
+ * Add Workspace Member Validation
+ * NOTE: 'owner' can't be given away - only editor or viewer
+ */
+const memberRole = z.enum(MEMBER_ROLES, {
+  errorMap: () => ({ message: `Role must be one of: ${MEMBER_ROLES.join(', ')}` }),
 });
 
+const addWorkspaceMemberSchema = z.object({
+  email: z
+    .string({
+      required_error: 'Email is required',
+    })
+    .email('Invalid email format')
+    .trim()
+    .toLowerCase(),
+
+  role: memberRole,
+}).strict();
+
+/**
+ * Update Workspace Member Validation
+ */
+const updateWorkspaceMemberSchema = z.object({
+  role: memberRole,
+}).strict();
+
+/**
+ * Create Share Link Validation
+ * NOTE: No expiresInDays = the link works until it is revoked
+ */
+const createShareLinkSchema = z.object({
+  label: z
+    .string()
+    .max(50, 'Label too long')
+    .trim()
+    .optional(),
+  expiresInDays: z
+    .number()
+    .int('Expiry must be a whole number of days')
+    .min(1, 'Expiry must be at least 1 day')
+    .max(365, 'Expiry cannot exceed 365 days')
+    .optional(),
+}).strict();
+
 // ========================================
 // WIDGET VALIDATORS
 // ========================================
 
+// LEARNING: Widget ids are generated by the frontend ("widget-1712345678901")
+const widgetId = z
+  .string()
+  .min(1, 'Widget ID cannot be empty')
+  .max(100, 'Widget ID too long')
+  .regex(/^[A-Za-z0-9_:.-]+$/, 'Widget ID may only contain letters, numbers and _ : . -')
+  // WHY: These are route names (/api/widgets/:workspaceId/layout, /trash)
+  .refine((id) => !['layout', 'grid', 'trash'].includes(id), 'Widget IDs "layout", "grid" and "trash" are reserved');
+
+const widgetPosition = z.object({
+  x: z.number(),
+  y: z.number(),
+});
+
+const widgetSize = z.object({
+  width: z.number().positive('Width must be positive'),
+  height: z.number().positive('Height must be positive'),
+});
+
+// LEARNING: Grid cells - x/w in columns (12 per row), y/h in rows
+const gridRect = z.object({
+  x: z.number().int().min(0, 'x cannot be negative').max(GRID_COLUMNS - 1),
+  y: z.number().int().min(0, 'y cannot be negative').max(10000),
+  w: z.number().int().min(1).max(GRID_COLUMNS, `Width cannot exceed ${GRID_COLUMNS} columns`),
+  h: z.number().int().min(1).max(12, 'Height cannot exceed 12 rows'),
+  z: z.number().int().optional(),
+});
+
+// WHY: A rectangle starting at column 8 can't be 6 columns wide
+const fitsColumns = (rect, columns) => rect.x + rect.w <= columns;
+const fitsColumnsMessage = (columns) => `Widget extends past column ${columns} (x + w must be <= ${columns})`;
+
+const gridRectFor = (columns) => gridRect.refine((rect) => fitsColumns(rect, columns), {
+  message: fitsColumnsMessage(columns),
+  path: ['w'],
+});
+
+const widgetGrid = gridRectFor(GRID_COLUMNS);
+
+// LEARNING: { md, sm, xs } - each checked against its own column count
+const widgetBreakpointGrids = z
+  .object(
+    BREAKPOINT_NAMES
+      .filter((name) => name !== LARGEST_BREAKPOINT)
+      .reduce((shape, name) => ({ ...shape, [name]: gridRectFor(BREAKPOINTS[name]).nullable().optional() }), {})
+  )
+  .strict();
+
 /**
  * Create Widget Validation
+ * LEARNING: id is optional - the server generates one when it's missing
+ *
+ * WHY superRefine: data/settings depend on the type, so they are checked
+ * against the type's schema (from the widget registry) once the type is known.
+ * Errors keep their full path, e.g. "data.items.2.text"
  */
-const createWidgetSchema = z.object({
-  workspaceId: z
-    .string({
-      required_error: 'Workspace ID is required',
+const createWidgetSchema = z
+  .object({
+    id: widgetId.optional(),
+
+    // LEARNING: Known types come from the widget registry (services/widgetRegistry.js)
+    type: z
+      .string({ required_error: 'Widget type is required' })
+      .refine(isWidgetType, () => ({
+        message: `Widget type must be one of: ${getWidgetTypeNames().join(', ')}`,
+      })),
+
+    position: widgetPosition.partial().optional(),
+    size: widgetSize.partial().optional(),
+    grid: widgetGrid.nullable().optional(),
+    breakpointGrids: widgetBreakpointGrids.optional(),
+    data: z.record(z.any()).optional(),       // WHY: Widget-specific content (checked per type below)
+    settings: z.record(z.any()).optional(),
+    excludeFromShare: z.boolean().optional(),
+  })
+  .superRefine((widget, ctx) => {
+    // WHY: An unknown type was already reported above
+    if (!isWidgetType(widget.type)) return;
+
+    const content = validateWidgetContent(widget.type, widget);
+
+    if (!content.success) {
+      content.errors.forEach((err) => ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: err.field.split('.'),
+        message: err.message,
+      }));
+    }
+  });
+
+/**
+ * Update Widget Validation (PATCH)
+ * LEARNING: .strict() rejects id/type/userId - those never change
+ * NOTE: data/settings are checked per type in the controller, AFTER being
+ * merged with the stored values (the type isn't part of the request)
+ */
+const updateWidgetSchema = z
+  .object({
+    position: widgetPosition.partial().optional(),
+    size: widgetSize.partial().optional(),
+    data: z.record(z.any()).optional(),
+    settings: z.record(z.any()).optional(),
+    excludeFromShare: z.boolean().optional(),
+  })
+  .strict()
+  .refine((update) => Object.keys(update).length > 0, {
+    message: 'Provide at least one of: position, size, data, settings, excludeFromShare',
+  });
+
+// ========================================
+// WIDGET PRESET VALIDATORS
+// ========================================
+
+const presetName = z
+  .string()
+  .trim()
+  .min(1, 'Preset name is required')
+  .max(60, 'Preset name cannot exceed 60 characters');
+
+const presetDescription = z.string().trim().max(300, 'Description cannot exceed 300 characters');
+
+/**
+ * Create Preset Validation
+ * LEARNING: Same per-type content rules as widgets - a preset that passes
+ * here can always be instantiated
+ */
+const createPresetSchema = z
+  .object({
+    name: presetName,
+    description: presetDescription.optional(),
+    type: z
+      .string({ required_error: 'Widget type is required' })
+      .refine(isWidgetType, () => ({
+        message: `Widget type must be one of: ${getWidgetTypeNames().join(', ')}`,
+      })),
+    size: widgetSize.optional(),
+    data: z.record(z.any()).optional(),
+    settings: z.record(z.any()).optional(),
+    isPublic: z.boolean().optional(),
+  })
+  .strict()
+  .superRefine((preset, ctx) => {
+    if (!isWidgetType(preset.type)) return;
+
+    const content = validateWidgetContent(preset.type, preset);
+
+    if (!content.success) {
+      content.errors.forEach((err) => ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: err.field.split('.'),
+        message: err.message,
+      }));
+    }
+  });
+
+/**
+ * Update Preset Validation (PATCH)
+ * NOTE: Like widgets, data/settings are merged and checked per type in the controller
+ */
+const updatePresetSchema = z
+  .object({
+    name: presetName.optional(),
+    description: presetDescription.optional(),
+    size: widgetSize.nullable().optional(),
+    data: z.record(z.any()).optional(),
+    settings: z.record(z.any()).optional(),
+    isPublic: z.boolean().optional(),
+  })
+  .strict()
+  .refine((update) => Object.keys(update).length > 0, {
+    message: 'Provide at least one field to update',
+  });
+
+/**
+ * Instantiate Preset Validation (POST /api/widgets/:workspaceId/from-preset/:presetId)
+ * LEARNING: Only placement - content comes from the preset
+ */
+const instantiatePresetSchema = z
+  .object({
+    position: widgetPosition.partial().optional(),
+    size: widgetSize.partial().optional(),
+    grid: widgetGrid.optional(),
+  })
+  .strict();
+
+/**
+ * Update Grid Validation (PUT /api/widgets/:workspaceId/grid)
+ * LEARNING: Zod can validate complex nested structures - each rectangle is
+ * checked against the breakpoint's columns, overlaps are resolved by utils/gridLayout.js
+ */
+const updateLayoutSchema = z
+  .object({
+    breakpoint: z.enum(BREAKPOINT_NAMES).default(LARGEST_BREAKPOINT),
+    layout: z
+      .array(gridRect.extend({ widgetId }))
+      .max(200, 'A workspace can hold at most 200 widgets'),
+    compact: z.enum(COMPACT_MODES).default('vertical'),
+    dryRun: z.boolean().default(false),
+  })
+  .superRefine((body, ctx) => {
+    const columns = BREAKPOINTS[body.breakpoint];
+    const seen = new Set();
+
+    body.layout.forEach((item, index) => {
+      if (!fitsColumns(item, columns)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['layout', index, 'w'],
+          message: fitsColumnsMessage(columns),
+        });
+      }
+
+      if (seen.has(item.widgetId)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['layout', index, 'widgetId'],
+          message: `Duplicate widget id: ${item.widgetId}`,
+        });
+      }
+      seen.add(item.widgetId);
+    });
+  });
+
+/**
+ * List Widgets Query Validation (GET /api/widgets/:workspaceId?breakpoint=md)
+ */
+const listWidgetsQuerySchema = z.object({
+  breakpoint: z.enum(BREAKPOINT_NAMES, {
+    errorMap: () => ({ message: `Breakpoint must be one of: ${BREAKPOINT_NAMES.join(', ')}` }),
+  }).optional(),
+});
+
+/**
+ * Replace Layout Validation (bulk save)
+ * WHY passthrough: Each widget is checked by layoutService.prepareLayout,
+ * which reports errors per widget instead of one flat list
+ */
+const replaceLayoutSchema = z.object({
+  widgets: z
+    .array(z.object({}).passthrough(), {
+      required_error: 'Widgets array is required',
     })
-    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid workspace ID format'),
-  
-  widgetType: z.enum(['clock', 'sticky-note', 'calendar'], {
-    errorMap: () => ({ message: 'Invalid widget type' }),
-  }),
-  
-  position: z.object({
-    x: z.number().min(0),
-    y: z.number().min(0),
-    w: z.number().min(1).max(12),
-    h: z.number().min(1).max(12),
-  }),
-  
-  props: z.record(z.any()).optional(),  // WHY: Widget-specific data (flexible)
+    .max(200, 'A workspace can hold at most 200 widgets'),
 });
 
 // ========================================
@@ -181,8 +705,29 @@ const validateRequest = (schema, data) => {
 module.exports = {
   registerSchema,
   loginSchema,
+  verifyEmailSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  enableTwoFactorSchema,
+  twoFactorLoginSchema,
+  disableTwoFactorSchema,
+  oidcCallbackSchema,
+  renameDeviceSchema,
+  createApiKeySchema,
   createWorkspaceSchema,
+  updateWorkspaceSchema,
+  cloneWorkspaceSchema,
+  importWorkspaceSchema,
+  addWorkspaceMemberSchema,
+  updateWorkspaceMemberSchema,
+  createShareLinkSchema,
   updateLayoutSchema,
   createWidgetSchema,
+  updateWidgetSchema,
+  replaceLayoutSchema,
+  listWidgetsQuerySchema,
+  createPresetSchema,
+  updatePresetSchema,
+  instantiatePresetSchema,
   validateRequest,
 };
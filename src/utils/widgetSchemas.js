@@ -0,0 +1,230 @@
+const { z } = require('zod');
+
+/**
+ * WHAT THIS DOES: Defines what each widget type may store in `data` and `settings`
+ * WHY IMPORTANT: The Widget model stores both as Mixed (any shape) - without
+ * these schemas any junk a client sends ends up in the database
+ *
+ * USED BY: config/widgetTypes.js (each type declares its schemas there)
+ *
+ * RULES:
+ * - Every field is optional (a brand-new widget starts with {}), but if a
+ *   field is present it must have the right type and size
+ * - .strict() rejects unknown keys instead of silently storing them
+ * - Errors carry the full path, e.g. "data.items.3.text"
+ */
+
+// ========================================
+// SHARED BUILDING BLOCKS
+// ========================================
+
+const itemId = z.string().min(1).max(100);
+
+// LEARNING: Plain calendar dates ("2026-01-31") - no time zone surprises
+const isoDate = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Must be a date in YYYY-MM-DD format');
+
+const isoDateTime = z.string().datetime({ offset: true, message: 'Must be an ISO 8601 date-time' });
+
+const color = z.string().max(30, 'Color too long');
+
+// SECURITY: Only web links - "javascript:" URLs would run code when clicked
+const webUrl = z
+  .string()
+  .url('Must be a valid URL')
+  .max(2048, 'URL too long')
+  .refine((value) => /^https?:\/\//i.test(value), 'Only http(s) links are allowed');
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const weekStartsOn = z.number().int().min(0, 'Use 0 (Sunday) to 6 (Saturday)').max(6, 'Use 0 (Sunday) to 6 (Saturday)');
+
+// ========================================
+// PER-TYPE SCHEMAS
+// ========================================
+
+const pomodoroTimer = {
+  data: z
+    .object({
+      mode: z.enum(['work', 'shortBreak', 'longBreak']),
+      remainingSeconds: z.number().int().min(0).max(4 * 60 * 60),
+      isRunning: z.boolean(),
+      completedSessions: z.number().int().min(0),
+      startedAt: isoDateTime.nullable(),
+    })
+    .partial()
+    .strict(),
+  settings: z
+    .object({
+      workMinutes: z.number().int().min(1).max(180),
+      shortBreakMinutes: z.number().int().min(1).max(60),
+      longBreakMinutes: z.number().int().min(1).max(120),
+      sessionsBeforeLongBreak: z.number().int().min(1).max(12),
+      autoStartBreaks: z.boolean(),
+      soundEnabled: z.boolean(),
+    })
+    .partial()
+    .strict(),
+};
+
+const clock = {
+  data: z.object({}).strict(),
+  settings: z
+    .object({
+      timezone: z.string().max(64).refine(isValidTimeZone, 'Unknown time zone'),
+      format: z.enum(['12h', '24h']),
+      style: z.enum(['digital', 'analog']),
+      showSeconds: z.boolean(),
+      showDate: z.boolean(),
+    })
+    .partial()
+    .strict(),
+};
+
+const stickyNote = {
+  data: z
+    .object({
+      title: z.string().max(100, 'Title too long'),
+      content: z.string().max(10000, 'Note too long (max 10,000 characters)'),
+    })
+    .partial()
+    .strict(),
+  settings: z
+    .object({
+      color,
+      fontSize: z.number().min(8).max(72),
+    })
+    .partial()
+    .strict(),
+};
+
+const todoList = {
+  data: z
+    .object({
+      title: z.string().max(100, 'Title too long'),
+      items: z
+        .array(
+          z
+            .object({
+              id: itemId,
+              text: z.string().max(500, 'Todo text too long'),
+              completed: z.boolean().optional(),
+              createdAt: isoDateTime.optional(),
+              dueDate: isoDate.nullable().optional(),
+            })
+            .strict()
+        )
+        .max(500, 'A todo list can hold at most 500 items'),
+    })
+    .partial()
+    .strict(),
+  settings: z
+    .object({
+      showCompleted: z.boolean(),
+      sortBy: z.enum(['created', 'dueDate', 'alphabetical']),
+    })
+    .partial()
+    .strict(),
+};
+
+const quickLinks = {
+  data: z
+    .object({
+      links: z
+        .array(
+          z
+            .object({
+              id: itemId,
+              title: z.string().min(1).max(100, 'Link title too long'),
+              url: webUrl,
+              icon: z.string().max(2048).optional(),
+            })
+            .strict()
+        )
+        .max(100, 'At most 100 links'),
+    })
+    .partial()
+    .strict(),
+  settings: z
+    .object({
+      openInNewTab: z.boolean(),
+      layout: z.enum(['list', 'grid']),
+    })
+    .partial()
+    .strict(),
+};
+
+const calendar = {
+  data: z
+    .object({
+      events: z
+        .array(
+          z
+            .object({
+              id: itemId,
+              title: z.string().min(1).max(200, 'Event title too long'),
+              date: isoDate,
+              startTime: z.string().regex(/^\d{2}:\d{2}$/, 'Use HH:MM').optional(),
+              endTime: z.string().regex(/^\d{2}:\d{2}$/, 'Use HH:MM').optional(),
+              allDay: z.boolean().optional(),
+              color: color.optional(),
+            })
+            .strict()
+        )
+        .max(1000, 'At most 1000 events'),
+    })
+    .partial()
+    .strict(),
+  settings: z
+    .object({
+      view: z.enum(['month', 'week', 'agenda']),
+      weekStartsOn,
+      showWeekNumbers: z.boolean(),
+    })
+    .partial()
+    .strict(),
+};
+
+const habits = {
+  data: z
+    .object({
+      habits: z
+        .array(
+          z
+            .object({
+              id: itemId,
+              name: z.string().min(1).max(100, 'Habit name too long'),
+              color: color.optional(),
+              completedDates: z.array(isoDate).max(3660, 'Too many completed dates'),
+            })
+            .strict()
+        )
+        .max(100, 'At most 100 habits'),
+    })
+    .partial()
+    .strict(),
+  settings: z
+    .object({
+      weekStartsOn,
+      showStreaks: z.boolean(),
+      targetPerWeek: z.number().int().min(1).max(7),
+    })
+    .partial()
+    .strict(),
+};
+
+module.exports = {
+  pomodoroTimer,
+  clock,
+  stickyNote,
+  todoList,
+  quickLinks,
+  calendar,
+  habits,
+};